@@ -101,21 +101,39 @@ class BEBEmailApp {
     initializeModules() {
         console.info('📦 Initializing modules...');
 
-        // Initialize theme, performance and security modules first
-        this.theme = new ThemeManager();
+        // Initialize translations first, all modules show their messages in the chosen language
+        this.i18n = new I18nManager();
+
+        // Initialize notifications, theme, performance and security modules (security reports through notifications)
+        this.notifications = new NotificationManager(this.i18n);
+        this.theme = new ThemeManager(this.i18n);
         this.performance = new PerformanceManager();
-        this.security = new SecurityManager();
+        this.security = new SecurityManager(this.notifications, this.i18n);
+
+        // Initialize core modules (storage uses security for passphrase protection)
+        this.storage = new StorageManager(this.security, this.i18n);
+
+        // Load the chosen languages from storage
+        this.i18n.setStorage(this.storage);
+
+        this.validation = new ValidationManager(this.i18n);
+        this.holidays = new HolidayManager();
 
-        // Initialize core modules (no dependencies)
-        this.storage = new StorageManager();
-        this.validation = new ValidationManager();
-        this.calendar = new CalendarManager();
+        // Initialize calendar module (depends on holidays, storage for imported closure days and translations)
+        this.calendar = new CalendarManager(this.holidays, this.storage, this.i18n);
 
-        // Initialize email module (depends on calendar and validation)
-        this.email = new EmailManager(this.calendar, this.validation);
+        // Initialize email module (depends on calendar, validation, templates, storage for the history and translations)
+        this.templates = new TemplateManager(this.storage, this.i18n);
+        this.email = new EmailManager(this.calendar, this.validation, this.templates, this.storage, this.notifications, this.i18n);
+
+        // Initialize calendar export (depends on calendar)
+        this.ics = new IcsManager(this.calendar);
+
+        // Initialize backup export and import (depends on storage, theme, security and translations)
+        this.backup = new BackupManager(this.storage, this.theme, this.security, this.i18n);
 
         // Initialize UI module (depends on all other modules)
-        this.ui = new UIManager(this.storage, this.validation, this.email, this.calendar);
+        this.ui = new UIManager(this.storage, this.validation, this.email, this.calendar, this.templates, this.ics, this.backup, this.security, this.notifications, this.i18n);
 
         // Optimize critical functions with performance monitoring
         this.optimizePerformance();
@@ -194,7 +212,7 @@ class BEBEmailApp {
         if (error instanceof Error) {
             this.showUserError(error.message);
         } else {
-            this.showUserError('Ein unerwarteter Fehler ist aufgetreten.');
+            this.showUserError(this.t('app.unexpectedError'));
         }
     }
 
@@ -208,11 +226,11 @@ class BEBEmailApp {
         if (container) {
             container.innerHTML = `
                 <div style="text-align: center; padding: 40px; color: #dc2626;">
-                    <h2>⚠️ Initialisierungsfehler</h2>
-                    <p>Die Anwendung konnte nicht gestartet werden.</p>
-                    <p><strong>Fehler:</strong> ${error.message}</p>
+                    <h2>⚠️ ${this.t('app.initError.title')}</h2>
+                    <p>${this.t('app.initError.text')}</p>
+                    <p><strong>${this.t('app.initError.error')}</strong> ${error.message}</p>
                     <button onclick="location.reload()" style="margin-top: 20px; padding: 10px 20px; background: #dc2626; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                        🔄 Seite neu laden
+                        🔄 ${this.t('app.initError.reload')}
                     </button>
                 </div>
             `;
@@ -225,10 +243,20 @@ class BEBEmailApp {
      * @param {string} message - Error message
      */
     showUserError(message) {
-        // Try to use a more user-friendly notification if available
-        if (typeof alert === 'function') {
-            alert(`⚠️ Fehler: ${message}\n\nBitte versuchen Sie es erneut oder laden Sie die Seite neu.`);
-        }
+        if (!this.notifications) return;
+
+        this.notifications.show(`⚠️ ${this.t('app.userError', { message })}`, { type: 'error' });
+    }
+
+    /**
+     * Translate a message, also if the error happened before the translations were initialized
+     * @private
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {name} parameters (optional)
+     * @returns {string} Message in the language of the user interface
+     */
+    t(key, params = {}) {
+        return (this.i18n || new I18nManager()).t(key, params);
     }
 
     /**
@@ -245,6 +273,7 @@ class BEBEmailApp {
             clearStorage: () => this.storage?.clearFormData?.(),
             getValidation: () => this.validation,
             getCalendar: () => this.calendar,
+            getHolidays: () => this.holidays?.getDataInfo?.(),
             getEmail: () => this.email,
             getUI: () => this.ui,
             getTheme: () => this.theme?.getThemeStats?.(),
@@ -308,19 +337,23 @@ class BEBEmailApp {
 
     /**
      * Clear all application data
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    clearAppData() {
-        if (!confirm('Möchten Sie wirklich alle gespeicherten Daten löschen?')) {
+    async clearAppData() {
+        const confirmed = await this.notifications.confirm(this.t('app.clearData.question'), {
+            title: this.t('app.clearData.title'),
+            confirmLabel: this.t('app.clearData.confirm'),
+            danger: true
+        });
+        if (!confirmed) {
             return false;
         }
 
         const success = this.storage?.clearFormData() || false;
         if (success) {
-            alert('✅ Alle Daten wurden gelöscht.');
             location.reload();
         } else {
-            alert('❌ Fehler beim Löschen der Daten.');
+            this.notifications.show(`❌ ${this.t('app.clearData.failed')}`, { type: 'error' });
         }
 
         return success;
@@ -0,0 +1,445 @@
+/**
+ * @fileoverview Export and import of all app data as JSON backup file
+ * @version 1.2.0
+ */
+
+/**
+ * Backup manager for moving all data to another browser or device
+ * A backup contains all profiles with their form data, email history and pickup pattern,
+ * the custom templates, imported closure days and settings. A SHA-256 checksum over the
+ * data detects damaged or edited files.
+ */
+class BackupManager {
+    constructor(storageManager, themeManager = null, securityManager = null, i18nManager = null) {
+        this.storage = storageManager;
+        this.theme = themeManager;
+        this.security = securityManager;
+        this.i18n = i18nManager || new I18nManager();
+
+        this.FORMAT = 'beb-email-generator-backup';
+        this.FORMAT_VERSION = 1;
+        this.CHECKSUM_ALGORITHM = 'SHA-256';
+        this.MODES = ['merge', 'replace'];
+    }
+
+    /**
+     * Create a backup of all app data
+     * @returns {Promise<Object>} Backup with format, version, checksum and data
+     */
+    async createBackup() {
+        const data = this.collectData();
+
+        return {
+            format: this.FORMAT,
+            formatVersion: this.FORMAT_VERSION,
+            appVersion: this.storage.VERSION,
+            createdAt: new Date().toISOString(),
+            checksum: {
+                algorithm: this.CHECKSUM_ALGORITHM,
+                value: await this.createChecksum(data)
+            },
+            data
+        };
+    }
+
+    /**
+     * Collect all app data of this browser
+     * @returns {Object} { activeProfileId, profiles, profileData, templates, closures, settings }
+     * @throws {Error} If the data is protected by a passphrase and still locked
+     */
+    collectData() {
+        if (this.storage.isLocked()) {
+            throw new Error(this.i18n.t('backup.error.locked'));
+        }
+
+        const profiles = this.storage.getProfiles();
+        const profileData = {};
+        profiles.forEach(profile => {
+            profileData[profile.id] = this.storage.exportProfileData(profile.id);
+        });
+
+        return {
+            activeProfileId: this.storage.getActiveProfile().id,
+            profiles,
+            profileData,
+            templates: this.storage.loadCustomTemplates(),
+            closures: this.storage.loadClosures(),
+            settings: {
+                theme: this.theme ? this.theme.exportConfig() : null,
+                sendMethod: this.storage.loadSendMethod(),
+                language: this.storage.loadLanguageSettings(),
+                privacyMode: this.security ? !!this.security.privacyMode : false
+            }
+        };
+    }
+
+    /**
+     * Read and check a backup file
+     * @param {string} text - File content
+     * @returns {Promise<Object>} { success, backup } or { success: false, error }
+     */
+    async readBackup(text) {
+        try {
+            let backup;
+            try {
+                backup = JSON.parse(text);
+            } catch {
+                throw new Error(this.i18n.t('backup.error.invalidFile'));
+            }
+
+            if (!backup || backup.format !== this.FORMAT) {
+                throw new Error(this.i18n.t('backup.error.otherFormat'));
+            }
+
+            if (!Number.isInteger(backup.formatVersion) || backup.formatVersion > this.FORMAT_VERSION) {
+                throw new Error(this.i18n.t('backup.error.newerVersion'));
+            }
+
+            const checksum = await this.createChecksum(backup.data);
+            if (backup.checksum?.algorithm !== this.CHECKSUM_ALGORITHM || backup.checksum?.value !== checksum) {
+                throw new Error(this.i18n.t('backup.error.checksum'));
+            }
+
+            const errors = this.validateData(backup.data);
+            if (errors.length > 0) {
+                throw new Error(this.i18n.t('backup.error.incomplete', { errors: errors.join(', ') }));
+            }
+
+            return { success: true, backup };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Describe what an import would change
+     * @param {Object} backup - Checked backup from readBackup()
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {string[]} Changes, one line each (empty if nothing would change)
+     */
+    previewImport(backup, mode = 'merge') {
+        const current = this.collectData();
+        const imported = mode === 'replace' ? backup.data : this.mergeData(current, backup.data);
+        const changes = [];
+
+        imported.profiles.forEach(profile => {
+            const before = current.profiles.find(item => item.id === profile.id);
+            const oldData = current.profileData[profile.id] || {};
+            const newData = imported.profileData[profile.id] || {};
+
+            if (!before) {
+                changes.push(`➕ ${this.i18n.t('backup.preview.newProfile', { name: profile.name })}`);
+                return;
+            }
+
+            const details = [];
+            if (before.name !== profile.name) {
+                details.push(this.i18n.t('backup.preview.name', { name: profile.name }));
+            }
+            if (!this.isEqual(oldData.formData, newData.formData)) {
+                details.push(this.i18n.t('backup.preview.formData'));
+            }
+
+            const oldIds = new Set((oldData.history || []).map(entry => entry.id));
+            const addedEmails = (newData.history || []).filter(entry => !oldIds.has(entry.id)).length;
+            if (addedEmails > 0) {
+                details.push(this.i18n.t('backup.preview.history', { count: addedEmails }));
+            }
+            if (!this.isEqual(oldData.pattern, newData.pattern)) {
+                details.push(this.i18n.t('backup.preview.pattern'));
+            }
+
+            if (details.length > 0) {
+                changes.push(`✏️ ${this.i18n.t('backup.preview.changedProfile', { name: before.name, details: details.join(', ') })}`);
+            }
+        });
+
+        current.profiles
+            .filter(profile => !imported.profiles.some(item => item.id === profile.id))
+            .forEach(profile => changes.push(`🗑️ ${this.i18n.t('backup.preview.deletedProfile', { name: profile.name })}`));
+
+        imported.templates.forEach(template => {
+            const before = current.templates.find(item => item.id === template.id);
+            if (!before) {
+                changes.push(`➕ ${this.i18n.t('backup.preview.newTemplate', { name: template.name })}`);
+            } else if (!this.isEqual(before, template)) {
+                changes.push(`✏️ ${this.i18n.t('backup.preview.changedTemplate', { name: template.name })}`);
+            }
+        });
+
+        current.templates
+            .filter(template => !imported.templates.some(item => item.id === template.id))
+            .forEach(template => changes.push(`🗑️ ${this.i18n.t('backup.preview.deletedTemplate', { name: template.name })}`));
+
+        if (!this.isEqual(current.closures, imported.closures)) {
+            changes.push(`🏫 ${this.i18n.t('backup.preview.closures')}`);
+        }
+
+        if (mode === 'replace' && imported.settings?.theme?.theme && imported.settings.theme.theme !== current.settings.theme?.theme) {
+            changes.push(`🎨 ${this.i18n.t('backup.preview.theme', { theme: this.i18n.t(`theme.${imported.settings.theme.theme}`) })}`);
+        }
+
+        return changes;
+    }
+
+    /**
+     * Import a checked backup
+     * Merging keeps existing data and adds the backup (newer form data wins, histories are combined);
+     * replacing deletes all existing data first and also restores the settings.
+     * @param {Object} backup - Checked backup from readBackup()
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Object} { success, profileCount } or { success: false, error }
+     */
+    importBackup(backup, mode = 'merge') {
+        try {
+            if (!this.MODES.includes(mode)) {
+                throw new Error(this.i18n.t('backup.error.mode'));
+            }
+
+            const current = this.collectData();
+            const data = mode === 'replace' ? backup.data : this.mergeData(current, backup.data);
+
+            // Check all profile ids and form data before anything is written
+            const invalidProfile = data.profiles.find(profile => !this.storage.isProfileId(profile.id));
+            if (invalidProfile) {
+                throw new Error(this.i18n.t('profile.error.invalidId', { id: invalidProfile.id }));
+            }
+
+            Object.values(data.profileData).forEach(profileData => {
+                if (profileData?.formData) this.storage.prepareImportedFormData(profileData.formData);
+            });
+
+            if (mode === 'replace') {
+                current.profiles.forEach(profile => this.storage.removeProfileData(profile.id));
+            }
+
+            data.profiles.forEach(profile => {
+                this.storage.importProfileData(profile.id, data.profileData[profile.id] || {});
+            });
+
+            this.storage.replaceProfiles(data.profiles, data.activeProfileId);
+            this.storage.saveCustomTemplates(data.templates);
+            this.storage.saveClosures(data.closures);
+
+            if (mode === 'replace') {
+                this.applySettings(data.settings);
+            }
+
+            return { success: true, profileCount: data.profiles.length };
+
+        } catch (error) {
+            console.warn('Backup import failed:', error);
+            return {
+                success: false,
+                error: this.i18n.t('backup.error.import', { error: error.message })
+            };
+        }
+    }
+
+    /**
+     * Merge backup data into the current data
+     * @private
+     * @param {Object} current - Data of this browser
+     * @param {Object} imported - Data of the backup
+     * @returns {Object} Merged data
+     */
+    mergeData(current, imported) {
+        const profiles = current.profiles.map(profile => ({ ...profile }));
+        const profileData = { ...current.profileData };
+
+        imported.profiles.forEach(profile => {
+            const incoming = imported.profileData[profile.id] || {};
+            const existing = profiles.find(item => item.id === profile.id);
+
+            if (!existing) {
+                // Profiles with the same name but a different origin are kept apart
+                const nameTaken = profiles.some(item => item.name.toLowerCase() === profile.name.toLowerCase());
+                profiles.push({ id: profile.id, name: nameTaken ? `${profile.name} (Import)` : profile.name });
+                profileData[profile.id] = incoming;
+                return;
+            }
+
+            const local = profileData[profile.id] || {};
+            const isNewer = (incoming.formData?.timestamp || 0) > (local.formData?.timestamp || 0);
+
+            const history = [...(local.history || [])];
+            (incoming.history || []).forEach(entry => {
+                if (!history.some(item => item.id === entry.id)) history.push(entry);
+            });
+            history.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+            profileData[profile.id] = {
+                formData: isNewer || !local.formData ? incoming.formData : local.formData,
+                history,
+                pattern: local.pattern || incoming.pattern || null
+            };
+        });
+
+        const templates = current.templates.filter(template => !imported.templates.some(item => item.id === template.id));
+
+        const closures = { ...current.closures };
+        Object.entries(imported.closures).forEach(([facility, list]) => {
+            const merged = [...(closures[facility] || [])];
+            list.forEach(closure => {
+                if (!merged.some(item => item.start === closure.start && item.end === closure.end && item.name === closure.name)) {
+                    merged.push(closure);
+                }
+            });
+            closures[facility] = merged;
+        });
+
+        return {
+            activeProfileId: current.activeProfileId,
+            profiles,
+            profileData,
+            templates: [...templates, ...imported.templates],
+            closures,
+            settings: current.settings
+        };
+    }
+
+    /**
+     * Restore theme, send method, languages and privacy mode
+     * @private
+     * @param {Object} settings - { theme, sendMethod, language, privacyMode }
+     */
+    applySettings(settings = {}) {
+        if (this.theme && settings.theme) {
+            this.theme.importConfig(settings.theme);
+        }
+
+        if (typeof settings.sendMethod === 'string') {
+            this.storage.saveSendMethod(settings.sendMethod);
+        }
+
+        if (settings.language && typeof settings.language === 'object') {
+            this.storage.saveLanguageSettings(settings.language);
+        }
+
+        if (this.security && typeof settings.privacyMode === 'boolean') {
+            this.security.setPrivacyMode(settings.privacyMode);
+        }
+    }
+
+    /**
+     * Check the structure of backup data
+     * @private
+     * @param {Object} data - Backup data
+     * @returns {string[]} Problems found (empty if valid)
+     */
+    validateData(data) {
+        const errors = [];
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        const isObjectList = value => Array.isArray(value) && value.every(isObject);
+
+        if (!isObject(data)) {
+            return [this.i18n.t('backup.invalid.data')];
+        }
+
+        if (!Array.isArray(data.profiles) || data.profiles.length === 0 ||
+            data.profiles.some(profile => !isObject(profile) || !profile.id || typeof profile.name !== 'string' || !profile.name)) {
+            errors.push(this.i18n.t('backup.invalid.profiles'));
+        } else if (data.profiles.some(profile => !this.storage.isProfileId(profile.id))) {
+            errors.push(this.i18n.t('backup.invalid.profileIds'));
+        }
+
+        // Preview and merge read the history entries of each profile
+        if (!isObject(data.profileData) ||
+            Object.values(data.profileData).some(entry => !isObject(entry) || !isObjectList(entry.history))) {
+            errors.push(this.i18n.t('backup.invalid.profileData'));
+        }
+
+        if (!isObjectList(data.templates)) {
+            errors.push(this.i18n.t('backup.invalid.templates'));
+        }
+
+        // Closure days are stored as a list per facility
+        if (!isObject(data.closures) || !Object.values(data.closures).every(isObjectList)) {
+            errors.push(this.i18n.t('backup.invalid.closures'));
+        }
+
+        if (errors.length === 0) {
+            data.profiles.forEach(profile => {
+                const formData = data.profileData[profile.id]?.formData;
+                if (!formData) return;
+
+                try {
+                    this.storage.prepareImportedFormData(formData);
+                } catch (error) {
+                    errors.push(this.i18n.t('backup.invalid.formData', { name: profile.name }));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create the checksum of backup data
+     * @private
+     * @param {Object} data - Backup data
+     * @returns {Promise<string>} Hex encoded SHA-256 hash of the JSON data
+     */
+    async createChecksum(data) {
+        const bytes = new TextEncoder().encode(JSON.stringify(data ?? null));
+        const hash = await crypto.subtle.digest(this.CHECKSUM_ALGORITHM, bytes);
+
+        return Array.from(new Uint8Array(hash))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Compare two values by their JSON representation
+     * @private
+     * @param {any} a - First value
+     * @param {any} b - Second value
+     * @returns {boolean} True if equal
+     */
+    isEqual(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    /**
+     * Get file name for a backup
+     * @param {Date} date - Backup date
+     * @returns {string} File name, e.g. beb-email-generator-sicherung-2026-10-19.json
+     */
+    getFileName(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `beb-email-generator-sicherung-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+    }
+
+    /**
+     * Offer a backup as file download
+     * @param {Object} backup - Backup from createBackup()
+     * @returns {boolean} Success status
+     */
+    downloadBackup(backup) {
+        try {
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+
+            const tempLink = document.createElement('a');
+            tempLink.href = url;
+            tempLink.download = this.getFileName(new Date(backup.createdAt));
+            tempLink.style.display = 'none';
+            document.body.appendChild(tempLink);
+            tempLink.click();
+            document.body.removeChild(tempLink);
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return true;
+        } catch (error) {
+            console.warn('Backup download failed:', error);
+            return false;
+        }
+    }
+}
+
+// Export for use in main application
+window.BackupManager = BackupManager;
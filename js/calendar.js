@@ -5,28 +5,67 @@
 
 /**
  * Calendar utilities for week calculations and date formatting
- * Handles ISO calendar weeks and German date formatting
+ * Handles ISO calendar weeks and locale-aware date formatting (German by default)
  */
 class CalendarManager {
-    constructor() {
-        this.dayNames = ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag'];
+    constructor(holidayManager = null, storageManager = null, i18nManager = null) {
+        this.holidays = holidayManager;
+        this.storage = storageManager;
+        this.i18n = i18nManager || new I18nManager();
+
+        // Closure days imported from ICS files, per facility email
+        this.importedClosures = this.storage ? this.storage.loadClosures() : {};
+
         this.dayIds = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
 
+        // All weekdays in Date.getDay() order, schedule entries are not limited to Monday-Friday
+        this.weekdayIds = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
         this.dateFormatOptions = {
             year: 'numeric',
             month: 'long',
             day: 'numeric'
         };
+    }
 
-        this.locale = 'de-DE';
+    /**
+     * Day names (Monday-Friday) in the language of the user interface
+     * @returns {string[]} Array of day names
+     */
+    get dayNames() {
+        return this.getDayNames();
+    }
+
+    /**
+     * Get the locale for date formatting
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {string} Locale, e.g. 'de-DE'
+     */
+    getLocale(language = this.i18n.uiLanguage) {
+        return this.i18n.getLocale(language);
+    }
+
+    /**
+     * Get the name of a weekday
+     * @param {string} dayId - Day ID, e.g. 'monday'
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {string} Day name
+     */
+    getWeekdayName(dayId, language = this.i18n.uiLanguage) {
+        return this.i18n.t(`day.${dayId}`, {}, language);
     }
 
     /**
      * Get dates for the selected week (Monday to Friday)
-     * @param {string} weekType - 'current' or 'next'
+     * @param {string} weekType - 'current', 'next' or ISO week id (e.g. '2026-W44')
      * @returns {Date[]} Array of 5 dates (Monday-Friday)
      */
     getWeekDates(weekType = 'current') {
+        const isoWeek = this.parseWeekId(weekType);
+        if (isoWeek) {
+            return this.getWeekDatesForIsoWeek(isoWeek.year, isoWeek.week);
+        }
+
         const today = new Date();
         const currentDay = today.getDay();
         const monday = new Date(today);
@@ -40,10 +79,40 @@ class CalendarManager {
             monday.setDate(monday.getDate() + 7);
         }
 
-        // Generate Monday to Friday dates
+        return this.getWorkdaysFrom(monday);
+    }
+
+    /**
+     * Get dates for an ISO calendar week (Monday to Friday)
+     * @param {number} year - ISO week-numbering year
+     * @param {number} week - ISO week number (1-53)
+     * @returns {Date[]} Array of 5 dates (Monday-Friday)
+     */
+    getWeekDatesForIsoWeek(year, week) {
+        if (!Number.isInteger(year) || !Number.isInteger(week) ||
+            week < 1 || week > this.getIsoWeeksInYear(year)) {
+            throw new Error(this.i18n.t('calendar.invalidWeek', { week, year }));
+        }
+
+        // January 4th is always in week 1
+        const january4 = new Date(year, 0, 4);
+        const monday = new Date(january4);
+        monday.setDate(january4.getDate() - ((january4.getDay() || 7) - 1) + (week - 1) * 7);
+
+        return this.getWorkdaysFrom(monday);
+    }
+
+    /**
+     * Get Monday to Friday starting at the given Monday
+     * @private
+     * @param {Date} monday - Monday of the week
+     * @returns {Date[]} Array of 5 dates (Monday-Friday)
+     */
+    getWorkdaysFrom(monday) {
         const weekDates = [];
         for (let i = 0; i < 5; i++) {
             const date = new Date(monday);
+            date.setHours(0, 0, 0, 0);
             date.setDate(monday.getDate() + i);
             weekDates.push(date);
         }
@@ -51,6 +120,104 @@ class CalendarManager {
         return weekDates;
     }
 
+    /**
+     * Get number of ISO weeks in a year
+     * @param {number} year - ISO week-numbering year
+     * @returns {number} 52 or 53
+     */
+    getIsoWeeksInYear(year) {
+        // December 28th is always in the last week of the year
+        return this.getCalendarWeek(new Date(year, 11, 28));
+    }
+
+    /**
+     * Get ISO week-numbering year (may differ from calendar year around New Year)
+     * @param {Date} date - Date to check
+     * @returns {number} ISO week-numbering year
+     */
+    getIsoWeekYear(date) {
+        const thursday = new Date(date);
+        thursday.setDate(thursday.getDate() + 4 - (thursday.getDay() || 7));
+        return thursday.getFullYear();
+    }
+
+    /**
+     * Parse an ISO week id
+     * @param {string} weekId - Week id in 'YYYY-Www' format (e.g. '2026-W44')
+     * @returns {Object|null} { year, week } or null if not an ISO week id
+     */
+    parseWeekId(weekId) {
+        const match = /^(\d{4})-W(\d{2})$/.exec(weekId || '');
+        if (!match) return null;
+
+        return {
+            year: Number(match[1]),
+            week: Number(match[2])
+        };
+    }
+
+    /**
+     * Format an ISO week id
+     * @param {number} year - ISO week-numbering year
+     * @param {number} week - ISO week number
+     * @returns {string} Week id in 'YYYY-Www' format
+     */
+    formatWeekId(year, week) {
+        return `${year}-W${String(week).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get ISO week id for a date
+     * @param {Date} date - Date within the week
+     * @returns {string} Week id in 'YYYY-Www' format
+     */
+    getWeekId(date) {
+        return this.formatWeekId(this.getIsoWeekYear(date), this.getCalendarWeek(date));
+    }
+
+    /**
+     * Resolve a week type to its ISO week id
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @returns {string} Week id in 'YYYY-Www' format
+     */
+    resolveWeekId(weekType) {
+        return this.getWeekId(this.getWeekDates(weekType)[0]);
+    }
+
+    /**
+     * Get ISO week id relative to a week
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @param {number} offset - Number of weeks to shift (may be negative)
+     * @returns {string} Week id in 'YYYY-Www' format
+     */
+    getRelativeWeekId(weekType, offset) {
+        const monday = this.addDays(this.getWeekDates(weekType)[0], offset * 7);
+        return this.getWeekId(monday);
+    }
+
+    /**
+     * Get consecutive weeks starting at a week
+     * @param {string} weekType - First week ('current', 'next' or ISO week id)
+     * @param {number} count - Number of consecutive weeks
+     * @returns {string[]} Week types, the first one unchanged, following ones as ISO week ids
+     */
+    getConsecutiveWeeks(weekType, count) {
+        const weeks = [weekType];
+        for (let i = 1; i < count; i++) {
+            weeks.push(this.getRelativeWeekId(weekType, i));
+        }
+        return weeks;
+    }
+
+    /**
+     * Check whether a week lies before the current week
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @returns {boolean} True if the week is already over
+     */
+    isPastWeek(weekType) {
+        return this.getWeekDates(weekType)[0] < this.getWeekDates('current')[0];
+    }
+
     /**
      * Calculate ISO calendar week number
      * @param {Date} date - Date to calculate week for
@@ -74,24 +241,96 @@ class CalendarManager {
     }
 
     /**
-     * Format date for German locale (without weekday)
+     * Format date for a language (without weekday)
      * @param {Date} date - Date to format
-     * @returns {string} Formatted date string
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {string} Formatted date string, e.g. '2. November 2026'
      */
-    formatDate(date) {
-        return date.toLocaleDateString(this.locale, this.dateFormatOptions);
+    formatDate(date, language = this.i18n.uiLanguage) {
+        return date.toLocaleDateString(this.getLocale(language), this.dateFormatOptions);
+    }
+
+    /**
+     * Convert date to local date key
+     * Static so that HolidayManager and StorageManager can use it without a calendar instance
+     * @param {Date} date - Date to convert
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    static toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Convert date to local date key (see CalendarManager.toDateKey)
+     * @param {Date} date - Date to convert
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    toDateKey(date) {
+        return CalendarManager.toDateKey(date);
+    }
+
+    /**
+     * Parse local date key (as used by date inputs)
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Date|null} Date at local midnight or null if invalid
+     */
+    parseDateKey(dateKey) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+        if (!match) return null;
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return this.toDateKey(date) === dateKey ? date : null;
     }
 
     /**
      * Get calendar week info for a date
      * @param {Date} date - Date to get week info for
+     * @param {string} language - Language code (default: language of the user interface)
      * @returns {Object} Week info object
      */
-    getWeekInfo(date) {
+    getWeekInfo(date, language = this.i18n.uiLanguage) {
+        const week = this.getCalendarWeek(date);
+        const year = this.getIsoWeekYear(date);
+
+        return {
+            week,
+            year,
+            formatted: this.i18n.t('calendar.week', { week, year }, language)
+        };
+    }
+
+    /**
+     * Get calendar week info for a range of weeks
+     * @param {Date} firstDate - Date within the first week
+     * @param {Date} lastDate - Date within the last week
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {Object} Range info object (e.g. 'KW 44–47/2026' or 'KW 52/2026–2/2027')
+     */
+    getWeekRangeInfo(firstDate, lastDate, language = this.i18n.uiLanguage) {
+        const first = this.getWeekInfo(firstDate, language);
+        const last = this.getWeekInfo(lastDate, language);
+
+        if (first.week === last.week && first.year === last.year) {
+            return first;
+        }
+
+        const formatted = first.year === last.year
+            ? this.i18n.t('calendar.weekRange', { firstWeek: first.week, lastWeek: last.week, year: first.year }, language)
+            : this.i18n.t('calendar.weekRangeYears', {
+                firstWeek: first.week,
+                firstYear: first.year,
+                lastWeek: last.week,
+                lastYear: last.year
+            }, language);
+
         return {
-            week: this.getCalendarWeek(date),
-            year: date.getFullYear(),
-            formatted: `KW ${this.getCalendarWeek(date)}/${date.getFullYear()}`
+            week: first.week,
+            year: first.year,
+            endWeek: last.week,
+            endYear: last.year,
+            formatted
         };
     }
 
@@ -113,27 +352,593 @@ class CalendarManager {
         return this.getWeekInfo(nextWeek);
     }
 
+    /**
+     * Get closure information (public or school holiday, imported closure day) for a date
+     * @param {Date} date - Date to check
+     * @param {string} facility - Facility email for imported closure days (optional)
+     * @returns {Object|null} Closure info ({ type, name }) or null if open
+     */
+    getClosureInfo(date, facility = '') {
+        const holiday = this.holidays ? this.holidays.getClosure(date) : null;
+        if (holiday) return holiday;
+
+        const dateKey = this.toDateKey(date);
+        const closure = this.getImportedClosures(facility)
+            .find(imported => dateKey >= imported.start && dateKey <= imported.end);
+
+        return closure ? { type: 'facilityClosure', name: closure.name } : null;
+    }
+
+    /**
+     * Get closure information for each weekday of the selected week
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @param {string} facility - Facility email for imported closure days (optional)
+     * @returns {Array<Object|null>} Closure info per weekday (Monday-Friday)
+     */
+    getWeekClosures(weekType, facility = '') {
+        return this.getWeekDates(weekType).map(date => this.getClosureInfo(date, facility));
+    }
+
+    /**
+     * Import closure days of a facility from ICS content
+     * Events are merged with earlier imports, so several files can be imported
+     * @param {string} facility - Facility email
+     * @param {string} icsContent - Content of the .ics file
+     * @returns {Object} { success, count } or { success: false, error }
+     */
+    importClosures(facility, icsContent) {
+        try {
+            if (!facility) {
+                throw new Error(this.i18n.t('closures.noFacility'));
+            }
+
+            const closures = this.parseIcsClosures(icsContent);
+            if (closures.length === 0) {
+                throw new Error(this.i18n.t('closures.noEvents'));
+            }
+
+            const merged = new Map();
+            [...this.getImportedClosures(facility), ...closures].forEach(closure => {
+                merged.set(`${closure.start}|${closure.end}|${closure.name}`, closure);
+            });
+
+            this.importedClosures[facility] = [...merged.values()]
+                .sort((a, b) => a.start.localeCompare(b.start));
+            this.persistClosures();
+
+            return {
+                success: true,
+                count: closures.length
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get imported closure days of a facility
+     * @param {string} facility - Facility email
+     * @returns {Array<Object>} List of { name, start, end } (date keys, end inclusive)
+     */
+    getImportedClosures(facility) {
+        return facility && this.importedClosures[facility] ? [...this.importedClosures[facility]] : [];
+    }
+
+    /**
+     * Remove imported closure days of a facility
+     * @param {string} facility - Facility email
+     */
+    clearImportedClosures(facility) {
+        delete this.importedClosures[facility];
+        this.persistClosures();
+    }
+
+    /**
+     * Parse VEVENTs of an ICS file into closure periods
+     * All-day events use the exclusive DTEND of RFC 5545, events with a time
+     * close the days they touch. Recurrence rules are not expanded.
+     * @param {string} icsContent - Content of the .ics file
+     * @returns {Array<Object>} List of { name, start, end } (date keys, end inclusive)
+     */
+    parseIcsClosures(icsContent) {
+        // Unfold continuation lines (RFC 5545, 3.1)
+        const lines = String(icsContent || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const closures = [];
+        let event = null;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+                return;
+            }
+
+            if (line === 'END:VEVENT') {
+                const closure = event && this.createClosureFromEvent(event);
+                if (closure) closures.push(closure);
+                event = null;
+                return;
+            }
+
+            if (!event) return;
+
+            const separator = line.indexOf(':');
+            if (separator < 0) return;
+
+            const [name, ...params] = line.slice(0, separator).split(';');
+            event[name.toUpperCase()] = {
+                value: line.slice(separator + 1),
+                params: params.map(param => param.toUpperCase())
+            };
+        });
+
+        return closures;
+    }
+
+    /**
+     * Create a closure period from parsed VEVENT properties
+     * @private
+     * @param {Object} event - Properties by name ({ value, params })
+     * @returns {Object|null} Closure ({ name, start, end }) or null if invalid
+     */
+    createClosureFromEvent(event) {
+        const start = this.parseIcsDate(event.DTSTART?.value);
+        if (!start) return null;
+
+        const isAllDay = event.DTSTART.params.includes('VALUE=DATE') || !event.DTSTART.value.includes('T');
+        let end = this.parseIcsDate(event.DTEND?.value);
+
+        if (!end) {
+            end = new Date(start);
+        } else if (isAllDay || /T000000Z?$/.test(event.DTEND.value)) {
+            // Exclusive end: the event ends before this day
+            end.setDate(end.getDate() - 1);
+        }
+
+        if (end < start) {
+            end = new Date(start);
+        }
+
+        const name = (event.SUMMARY?.value || '')
+            .replace(/\\n/gi, ' ')
+            .replace(/\\([,;\\])/g, '$1')
+            .trim();
+
+        return {
+            name: name || this.i18n.t('closures.defaultName'),
+            start: this.toDateKey(start),
+            end: this.toDateKey(end)
+        };
+    }
+
+    /**
+     * Parse the date part of an ICS DATE or DATE-TIME value
+     * UTC times are converted to local time first
+     * @private
+     * @param {string} value - e.g. 20261102, 20261102T080000 or 20261102T070000Z
+     * @returns {Date|null} Date at midnight or null if invalid
+     */
+    parseIcsDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        const date = utc
+            ? new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds))
+            : new Date(+year, +month - 1, +day, +(hours || 0), +(minutes || 0), +(seconds || 0));
+
+        if (isNaN(date.getTime())) return null;
+
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Persist imported closure days
+     * @private
+     */
+    persistClosures() {
+        if (this.storage) {
+            this.storage.saveClosures(this.importedClosures);
+        }
+    }
+
+    /**
+     * Create a pickup schedule entry
+     * @param {Object} entry - { date, child, time, pickupPerson, note } with date as Date or date key,
+     *     child is null for a pickup of all children
+     * @returns {Object|null} Entry with date key or null if date or time are invalid
+     */
+    createScheduleEntry({ date, child = null, time, pickupPerson = '', note = '' } = {}) {
+        const dateKey = date instanceof Date ? this.toDateKey(date) : date;
+        if (!this.parseDateKey(dateKey) || !/^\d{1,2}:\d{2}$/.test(time || '')) {
+            return null;
+        }
+
+        return {
+            date: dateKey,
+            child: child || null,
+            time,
+            pickupPerson: String(pickupPerson || '').trim(),
+            note: String(note || '').trim()
+        };
+    }
+
+    /**
+     * Get the name of a child without name in schedule entries
+     * The name ends up in emails and calendar files, so it is written in the email language
+     * @param {number} index - Position in the child list
+     * @returns {string} Child name, e.g. 'Kind 2'
+     */
+    getFallbackChildName(index) {
+        return this.i18n.t('children.child', { number: index + 1 }, this.i18n.emailLanguage);
+    }
+
+    /**
+     * Get pickup data as schedule (list of entries sorted by date)
+     * Pickup data of the former day grid format ({ monday, mondayTime, … } or a list of
+     * { name, pickupData } per child) is converted for the given week
+     * @param {string} weekType - 'current', 'next' or ISO week id (only used for the grid format)
+     * @param {Array<Object>|Object} pickupData - Schedule entries or day grid pickup data
+     * @returns {Array<Object>} List of { date, child, time, pickupPerson, note }
+     */
+    toSchedule(weekType, pickupData) {
+        let entries;
+
+        if (!Array.isArray(pickupData)) {
+            entries = this.createEntriesFromGrid(weekType, pickupData);
+        } else if (pickupData.some(item => item && 'pickupData' in item)) {
+            entries = pickupData.flatMap((child, index) => {
+                return this.createEntriesFromGrid(weekType, child.pickupData, child.name || this.getFallbackChildName(index));
+            });
+        } else {
+            entries = pickupData.map(entry => this.createScheduleEntry(entry)).filter(Boolean);
+        }
+
+        // Stable sort keeps the child order within a day
+        return entries.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Create schedule entries from the day grid of a week
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @param {Object} pickupData - Day selections, times, pickup persons and notes
+     *     ({ monday: true, mondayTime: '16:00', mondayPickupPerson: 'Oma', mondayNote: '', … })
+     * @param {string|null} child - Child name (null for a schedule shared by all children)
+     * @returns {Array<Object>} Schedule entries of the selected days
+     */
+    createEntriesFromGrid(weekType, pickupData, child = null) {
+        const weekDates = this.getWeekDates(weekType);
+        const days = pickupData || {};
+
+        return this.dayIds
+            .filter(dayId => days[dayId])
+            .map(dayId => this.createScheduleEntry({
+                date: weekDates[this.dayIds.indexOf(dayId)],
+                child,
+                time: days[dayId + 'Time'],
+                pickupPerson: days[dayId + 'PickupPerson'],
+                note: days[dayId + 'Note']
+            }))
+            .filter(Boolean);
+    }
+
+    /**
+     * Create the day grid of a week from schedule entries
+     * @param {Array<Object>} schedule - Schedule entries
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @param {string|null} child - Child name (null for a schedule shared by all children)
+     * @returns {Object} Day selections, times, pickup persons and notes
+     *     ({ monday: true, mondayTime: '16:00', mondayPickupPerson: 'Oma', mondayNote: '', … })
+     */
+    createGridFromEntries(schedule, weekType, child = null) {
+        const weekDates = this.getWeekDates(weekType);
+        const pickupData = {};
+
+        this.dayIds.forEach((dayId, index) => {
+            const dateKey = this.toDateKey(weekDates[index]);
+            const entry = (schedule || []).find(item => item.date === dateKey && (item.child || null) === (child || null));
+
+            pickupData[dayId] = !!entry;
+            pickupData[dayId + 'PickupPerson'] = entry?.pickupPerson || '';
+            pickupData[dayId + 'Note'] = entry?.note || '';
+            if (entry) {
+                pickupData[dayId + 'Time'] = entry.time;
+            }
+        });
+
+        return pickupData;
+    }
+
+    /**
+     * Copy the schedule entries of one week to the same weekdays of another week
+     * @param {Array<Object>} schedule - Schedule entries
+     * @param {string} fromWeekType - Week to copy from ('current', 'next' or ISO week id)
+     * @param {string} toWeekType - Week to copy to ('current', 'next' or ISO week id)
+     * @returns {Array<Object>} Entries of the source week with dates moved to the target week
+     */
+    shiftSchedule(schedule, fromWeekType, toWeekType) {
+        const fromMonday = this.getWeekDates(fromWeekType)[0];
+        const toMonday = this.getWeekDates(toWeekType)[0];
+        const fromStart = this.toDateKey(fromMonday);
+        const fromEnd = this.toDateKey(this.addDays(fromMonday, 6));
+
+        // Whole days, independent of daylight saving time changes in between
+        const days = Math.round((toMonday - fromMonday) / (24 * 60 * 60 * 1000));
+
+        return (schedule || [])
+            .filter(entry => entry && entry.date >= fromStart && entry.date <= fromEnd)
+            .map(entry => this.createScheduleEntry({
+                ...entry,
+                date: this.addDays(this.parseDateKey(entry.date), days)
+            }))
+            .filter(Boolean);
+    }
+
+    /**
+     * Create a recurring pickup pattern
+     * An exception replaces the pattern on its date; an exception without time means no pickup.
+     * @param {Object} pattern - { days, exceptions, autoApply } with days as list of
+     *     { dayId, time, child } and exceptions as list of { date, child, time, note }
+     * @returns {Object|null} Normalized pattern or null if it has no valid day
+     */
+    createPattern({ days = [], exceptions = [], autoApply = false } = {}) {
+        const isValidTime = time => /^\d{1,2}:\d{2}$/.test(time || '');
+
+        const patternDays = (days || [])
+            .filter(day => day && this.weekdayIds.includes(day.dayId) && isValidTime(day.time))
+            .map(day => ({ dayId: day.dayId, time: day.time, child: day.child || null }));
+
+        if (patternDays.length === 0) return null;
+
+        // A later exception for the same date and child replaces an earlier one
+        const patternExceptions = new Map();
+        (exceptions || [])
+            .filter(exception => exception && this.parseDateKey(exception.date) && (!exception.time || isValidTime(exception.time)))
+            .forEach(exception => {
+                patternExceptions.set(`${exception.date}|${exception.child || ''}`, {
+                    date: exception.date,
+                    child: exception.child || null,
+                    time: exception.time || '',
+                    note: String(exception.note || '').trim()
+                });
+            });
+
+        return {
+            days: patternDays,
+            exceptions: [...patternExceptions.values()].sort((a, b) => a.date.localeCompare(b.date)),
+            autoApply: !!autoApply
+        };
+    }
+
+    /**
+     * Expand a recurring pattern and its exceptions into the pickup entries of a week
+     * @param {Object} pattern - Pattern from createPattern()
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @returns {Array<Object>} Schedule entries of the week (Monday to Sunday)
+     */
+    expandPattern(pattern, weekType) {
+        if (!pattern || !Array.isArray(pattern.days)) return [];
+
+        const monday = this.getWeekDates(weekType)[0];
+        const children = [...new Set(pattern.days.map(day => day.child || null))];
+        const entries = [];
+
+        for (let offset = 0; offset < 7; offset++) {
+            const date = this.addDays(monday, offset);
+            const dateKey = this.toDateKey(date);
+            const dayId = this.weekdayIds[date.getDay()];
+
+            children.forEach(child => {
+                const exception = this.findPatternException(pattern, dateKey, child);
+                const rule = pattern.days.find(day => day.dayId === dayId && (day.child || null) === child);
+                const time = exception ? exception.time : rule?.time;
+                if (!time) return;
+
+                const entry = this.createScheduleEntry({ date: dateKey, child, time, note: exception?.note });
+                if (entry) entries.push(entry);
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Add the notes of pattern exceptions to entries that were picked up as planned in the exception
+     * @param {Array<Object>} entries - Schedule entries
+     * @param {Object|null} pattern - Pattern from createPattern()
+     * @returns {Array<Object>} Entries with notes
+     */
+    applyPatternNotes(entries, pattern) {
+        if (!pattern) return entries;
+
+        return entries.map(entry => {
+            const exception = this.findPatternException(pattern, entry.date, entry.child);
+            return exception?.note && exception.time === entry.time && !entry.note
+                ? { ...entry, note: exception.note }
+                : entry;
+        });
+    }
+
+    /**
+     * Format the days and times of a pattern, e.g. "Mo, Mi, Fr 15:00 Uhr · Di 16:30 Uhr"
+     * @param {Object} pattern - Pattern from createPattern()
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {string} Pattern summary (one line per child for individual patterns)
+     */
+    formatPattern(pattern, language = this.i18n.uiLanguage) {
+        if (!pattern || !Array.isArray(pattern.days)) return '';
+
+        // Monday first
+        const dayOrder = [...this.weekdayIds.slice(1), this.weekdayIds[0]];
+        const children = [...new Set(pattern.days.map(day => day.child || null))];
+
+        return children.map(child => {
+            const times = new Map();
+            pattern.days
+                .filter(day => (day.child || null) === child)
+                .sort((a, b) => dayOrder.indexOf(a.dayId) - dayOrder.indexOf(b.dayId))
+                .forEach(day => {
+                    const shortName = this.getWeekdayName(day.dayId, language).slice(0, 2);
+                    times.set(day.time, [...(times.get(day.time) || []), shortName]);
+                });
+
+            const summary = [...times.entries()]
+                .map(([time, days]) => `${days.join(', ')} ${this.i18n.t('calendar.time', { time }, language)}`)
+                .join(' · ');
+            return child ? `${child}: ${summary}` : summary;
+        }).join('\n');
+    }
+
+    /**
+     * Find the exception of a pattern for a date
+     * Exceptions for a child take precedence over exceptions for all children
+     * @private
+     * @param {Object} pattern - Pattern from createPattern()
+     * @param {string} dateKey - Date in 'YYYY-MM-DD' format
+     * @param {string|null} child - Child name (null for shared patterns)
+     * @returns {Object|null} Exception
+     */
+    findPatternException(pattern, dateKey, child) {
+        const exceptions = (pattern.exceptions || []).filter(exception => exception.date === dateKey);
+        return exceptions.find(exception => child && exception.child === child) ||
+            exceptions.find(exception => !exception.child) ||
+            null;
+    }
+
+    /**
+     * Get structured pickup entries of a week
+     * Days on which the facility is closed are skipped
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @param {Array<Object>|Object} selectedDays - Schedule entries (or day grid pickup data)
+     * @param {string} facility - Facility email for imported closure days (optional)
+     * @param {string} language - Language of the day names (default: language of the user interface)
+     * @returns {Array<Object>} List of { date, dateKey, dayId, dayName, time, child, pickupPerson, note }
+     *     sorted by day, date is a Date and child is null for a pickup of all children
+     */
+    getPickupEntries(weekType, selectedDays, facility = '', language = this.i18n.uiLanguage) {
+        const monday = this.getWeekDates(weekType)[0];
+        const weekStart = this.toDateKey(monday);
+        const weekEnd = this.toDateKey(this.addDays(monday, 6));
+
+        return this.toSchedule(weekType, selectedDays)
+            .filter(entry => entry.date >= weekStart && entry.date <= weekEnd)
+            .map(entry => {
+                const date = this.parseDateKey(entry.date);
+                return {
+                    ...entry,
+                    date,
+                    dateKey: entry.date,
+                    dayId: this.weekdayIds[date.getDay()],
+                    dayName: this.getWeekdayName(this.weekdayIds[date.getDay()], language)
+                };
+            })
+            .filter(entry => !this.getClosureInfo(entry.date, facility));
+    }
+
     /**
      * Generate pickup list with formatted dates
-     * @param {string} weekType - 'current' or 'next'
-     * @param {Object} selectedDays - Object with day selections and times
+     * Days on which all children leave together get one line (naming the children
+     * if not all of them are picked up), days with different times list each child.
+     * Days on which the facility is closed are skipped.
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @param {Array<Object>|Object} selectedDays - Schedule entries (or day grid pickup data)
+     * @param {string} facility - Facility email for imported closure days (optional)
+     * @param {string[]} children - Names of all children of the email (optional, defaults
+     *     to the children of the schedule)
+     * @param {string} language - Language code (default: language of the user interface)
      * @returns {string[]} Array of formatted pickup strings
      */
-    generatePickupList(weekType, selectedDays) {
-        const weekDates = this.getWeekDates(weekType);
+    generatePickupList(weekType, selectedDays, facility = '', children = null, language = this.i18n.uiLanguage) {
+        const entries = this.getPickupEntries(weekType, selectedDays, facility, language);
+        const childNames = children || this.getScheduleChildren(weekType, selectedDays);
         const pickupList = [];
 
-        this.dayIds.forEach((dayId, index) => {
-            if (selectedDays[dayId] && selectedDays[dayId + 'Time']) {
-                const formattedDate = this.formatDate(weekDates[index]);
-                const timeString = selectedDays[dayId + 'Time'];
-                pickupList.push(`• ${this.dayNames[index]}, ${formattedDate} um ${timeString} Uhr`);
+        [...new Set(entries.map(entry => entry.dateKey))].forEach(dateKey => {
+            const pickups = entries.filter(entry => entry.dateKey === dateKey);
+            const [first] = pickups;
+            const dayLabel = `${first.dayName}, ${this.formatDate(first.date, language)}`;
+            const atTime = pickup => this.formatTime(pickup.time, language);
+            const details = pickup => this.formatEntryDetails(pickup, language);
+
+            // Pickups of all children together
+            if (pickups.every(pickup => !pickup.child)) {
+                pickups.forEach(pickup => {
+                    pickupList.push(`• ${dayLabel} ${atTime(pickup)}${details(pickup)}`);
+                });
+                return;
+            }
+
+            const isCombined = pickups.every(pickup => {
+                return pickup.time === first.time &&
+                    pickup.pickupPerson === first.pickupPerson &&
+                    pickup.note === first.note;
+            });
+
+            if (isCombined) {
+                const names = pickups.length < childNames.length
+                    ? ` (${pickups.map(pickup => pickup.child || this.i18n.t('calendar.allChildrenInline', {}, language)).join(', ')})`
+                    : '';
+                pickupList.push(`• ${dayLabel} ${atTime(first)}${names}${details(first)}`);
+            } else {
+                pickupList.push(`• ${dayLabel}:`);
+                pickups.forEach(pickup => {
+                    const child = pickup.child || this.i18n.t('calendar.allChildren', {}, language);
+                    pickupList.push(`    ${child} ${atTime(pickup)}${details(pickup)}`);
+                });
             }
         });
 
         return pickupList;
     }
 
+    /**
+     * Get the names of the children in pickup data
+     * @private
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     * @param {Array<Object>|Object} selectedDays - Schedule entries (or day grid pickup data)
+     * @returns {string[]} Child names (children without pickups are included for the grid format)
+     */
+    getScheduleChildren(weekType, selectedDays) {
+        if (Array.isArray(selectedDays) && selectedDays.some(item => item && 'pickupData' in item)) {
+            return selectedDays.map((child, index) => child.name || this.getFallbackChildName(index));
+        }
+
+        return [...new Set(this.toSchedule(weekType, selectedDays).map(entry => entry.child).filter(Boolean))];
+    }
+
+    /**
+     * Format a pickup time within a sentence
+     * @param {string} time - Time in 'HH:MM' format
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {string} Time, e.g. "um 15:00 Uhr"
+     */
+    formatTime(time, language = this.i18n.uiLanguage) {
+        return this.i18n.t('calendar.atTime', { time }, language);
+    }
+
+    /**
+     * Format pickup person and note of an entry
+     * @param {Object} entry - Schedule entry
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {string} Details, e.g. " – Abholung durch Oma Ilse, Arzttermin" (empty if none)
+     */
+    formatEntryDetails(entry, language = this.i18n.uiLanguage) {
+        const details = [];
+
+        if (entry.pickupPerson) {
+            details.push(this.i18n.t('calendar.pickupBy', { person: entry.pickupPerson }, language));
+        }
+
+        if (entry.note) {
+            details.push(entry.note);
+        }
+
+        return details.length > 0 ? ` – ${details.join(', ')}` : '';
+    }
+
     /**
      * Check if date is weekend
      * @param {Date} date - Date to check
@@ -155,11 +960,12 @@ class CalendarManager {
     }
 
     /**
-     * Get day names
-     * @returns {string[]} Array of German day names
+     * Get day names (Monday-Friday)
+     * @param {string} language - Language code (default: language of the user interface)
+     * @returns {string[]} Array of day names
      */
-    getDayNames() {
-        return [...this.dayNames];
+    getDayNames(language = this.i18n.uiLanguage) {
+        return this.dayIds.map(dayId => this.getWeekdayName(dayId, language));
     }
 
     /**
@@ -8,12 +8,62 @@
  * Handles email content creation, mailto links, and cross-platform sending
  */
 class EmailManager {
-    constructor(calendarManager, validationManager) {
+    constructor(calendarManager, validationManager, templateManager = null, storageManager = null, notificationManager = null,
+        i18nManager = null) {
         this.calendar = calendarManager;
         this.validation = validationManager;
+        this.i18n = i18nManager || new I18nManager();
+        this.templates = templateManager || new TemplateManager(null, this.i18n);
+        this.storage = storageManager;
+        this.notifications = notificationManager;
 
         this.currentEmailContent = '';
         this.currentMailtoLink = '';
+        this.currentMessage = null;
+        this.currentBatch = [];
+
+        // Webmail compose pages: either fixed parameters plus parameter names per email field,
+        // or a mailto handler that receives the complete mailto link
+        this.WEBMAIL_PROVIDERS = {
+            gmail: {
+                label: 'Gmail',
+                url: 'https://mail.google.com/mail/',
+                fixed: { view: 'cm', fs: '1' },
+                fields: { to: 'to', cc: 'cc', subject: 'su', body: 'body' }
+            },
+            outlook: {
+                label: 'Outlook.com',
+                url: 'https://outlook.live.com/mail/0/deeplink/compose',
+                fields: { to: 'to', cc: 'cc', subject: 'subject', body: 'body' }
+            },
+            gmx: {
+                label: 'GMX',
+                url: 'https://navigator.gmx.net/mailto',
+                mailtoParam: 'mailto'
+            },
+            webde: {
+                label: 'WEB.DE',
+                url: 'https://navigator.web.de/mailto',
+                mailtoParam: 'mailto'
+            }
+        };
+        this.DEFAULT_SEND_METHOD = 'ask';
+
+        // Greeting of the facility leader, salutations come from data-leader-salutation and
+        // data-leader-type="office" marks facilities without a personal leader
+        this.GREETING_STYLES = ['neutral', 'formal', 'informal'];
+        this.GREETING_SALUTATIONS = ['frau', 'herr'];
+
+        // Longer mailto links are cut off by some email programs (e.g. Outlook on Windows)
+        this.MAILTO_MAX_LENGTH = 2000;
+
+        // .eml export: bytes per RFC 2047 encoded word, so header lines stay below 76 characters
+        this.EML_WORD_BYTES = 39;
+        this.EML_LINE_LENGTH = 76;
+
+        // Email history (kept in memory only when no storage is available)
+        this.HISTORY_LIMIT = 100;
+        this.history = [];
 
         this.isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     }
@@ -22,46 +72,108 @@ class EmailManager {
      * Generate email content from form data
      * @param {Object} formData - Form data object
      * @param {string} selectedWeek - Selected week type
-     * @param {Object} pickupData - Pickup days and times
+     * @param {Array<Object>|Object} pickupData - Schedule entries (or day grid pickup data)
      * @returns {Object} Generated email data
      */
     generateEmail(formData, selectedWeek, pickupData) {
         try {
             // Get week information
             const weekDates = this.calendar.getWeekDates(selectedWeek);
-            const weekInfo = this.calendar.getWeekInfo(weekDates[0]);
+            const weekInfo = this.calendar.getWeekInfo(weekDates[0], this.i18n.emailLanguage);
 
             // Generate pickup list
-            const pickupList = this.calendar.generatePickupList(selectedWeek, pickupData);
+            const pickupList = this.createPickupList(formData, [{ weekType: selectedWeek, pickupData: pickupData || [] }]);
+
+            return this.buildEmail(formData, weekInfo, pickupList);
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Generate one email covering several consecutive weeks
+     * @param {Object} formData - Form data object
+     * @param {Array<Object>} weekSchedules - List of { weekType, pickupData } per week
+     * @returns {Object} Generated email data
+     */
+    generateRangeEmail(formData, weekSchedules) {
+        try {
+            if (!weekSchedules || weekSchedules.length === 0) {
+                throw new Error(this.i18n.t('email.error.noWeeks'));
+            }
+
+            const weekInfo = this.createRangeWeekInfo(weekSchedules);
+            const pickupList = this.createPickupList(formData, weekSchedules);
+
+            return this.buildEmail(formData, weekInfo, pickupList);
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
-            if (pickupList.length === 0) {
-                throw new Error('Bitte wählen Sie mindestens einen Tag für die Abholung aus.');
+    /**
+     * Generate one email per facility for children at different facilities
+     * @param {Object} formData - Form data object with children ({ name, schoolClass, facility })
+     *     and facility details per recipient (facilities)
+     * @param {Array<Object>} weekSchedules - List of { weekType, pickupData } per week
+     * @returns {Object} { success, emails, displayContent } or { success: false, error }
+     */
+    generateBatchEmails(formData, weekSchedules) {
+        try {
+            if (!weekSchedules || weekSchedules.length === 0) {
+                throw new Error(this.i18n.t('email.error.noWeeks'));
             }
 
-            // Create email content
-            const subject = this.createSubject(formData.childNames, weekInfo);
-            const body = this.createEmailBody(formData, weekInfo, pickupList);
+            const groups = this.groupChildrenByRecipient(formData);
+            const emails = [];
 
-            // Create mailto link
-            const mailtoLink = this.createMailtoLink(formData.bebLocation, subject, body, formData.parentEmail);
+            for (const group of groups) {
+                const groupFormData = this.createGroupFormData(formData, group);
 
-            // Create display content
-            const displayContent = this.createDisplayContent(formData.bebLocation, subject, body, formData.parentEmail);
+                // Individual schedules only contain the children of this facility
+                const names = group.children.map(child => child.name);
+                const groupSchedules = weekSchedules.map(week => ({
+                    ...week,
+                    pickupData: this.calendar.toSchedule(week.weekType, week.pickupData)
+                        .filter(entry => !entry.child || names.includes(entry.child))
+                }));
 
-            // Store current email data
-            this.currentEmailContent = displayContent;
-            this.currentMailtoLink = mailtoLink;
+                const result = groupSchedules.length > 1
+                    ? this.generateRangeEmail(groupFormData, groupSchedules)
+                    : this.generateEmail(groupFormData, groupSchedules[0].weekType, groupSchedules[0].pickupData);
+
+                if (!result.success) {
+                    throw new Error(`${groupFormData.facilityName || group.recipient}: ${result.error}`);
+                }
+
+                emails.push({
+                    ...result,
+                    recipient: group.recipient,
+                    facilityName: groupFormData.facilityName,
+                    childNames: groupFormData.childNames,
+                    children: groupFormData.children
+                });
+            }
+
+            this.currentBatch = emails;
+            this.selectEmail(0);
 
             return {
                 success: true,
-                subject,
-                body,
-                displayContent,
-                mailtoLink,
-                weekInfo
+                emails,
+                displayContent: emails.map(email => email.displayContent).join('\n\n――――――――――\n\n')
             };
 
         } catch (error) {
+            this.currentBatch = [];
             return {
                 success: false,
                 error: error.message
@@ -70,47 +182,336 @@ class EmailManager {
     }
 
     /**
-     * Create email subject line
+     * Group children by the facility their email goes to
+     * Children without an own facility use the facility selected in the form
+     * @param {Object} formData - Form data object
+     * @returns {Array<Object>} List of { recipient, children } in order of first appearance
+     */
+    groupChildrenByRecipient(formData) {
+        const groups = new Map();
+
+        (formData.children || []).forEach(child => {
+            const recipient = child.facility || formData.bebLocation;
+            if (!recipient) {
+                throw new Error(this.i18n.t('email.error.childFacility', { name: child.name }));
+            }
+
+            if (!groups.has(recipient)) {
+                groups.set(recipient, { recipient, children: [] });
+            }
+            groups.get(recipient).children.push(child);
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Get the form data of the email to one facility
+     * Recipient, facility name and leader come from the group, so the email never goes to the
+     * facility selected in the form when the children are at another one
+     * @param {Object} formData - Form data object with facility details per recipient (facilities)
+     * @param {Object} group - { recipient, children } from groupChildrenByRecipient()
+     * @returns {Object} Form data of the group
+     */
+    createGroupFormData(formData, group) {
+        const ownFacility = group.recipient === formData.bebLocation;
+        const facility = formData.facilities?.[group.recipient] ||
+            (ownFacility ? {
+                name: formData.facilityName,
+                leader: formData.facilityLeader,
+                salutation: formData.facilityLeaderSalutation,
+                type: formData.facilityLeaderType
+            } : {});
+
+        return {
+            ...formData,
+            bebLocation: group.recipient,
+            children: group.children,
+            childNames: group.children.map(child => child.name).join(', '),
+            childClass: [...new Set(group.children.map(child => child.schoolClass).filter(Boolean))].join(', '),
+            facilityName: facility.name || '',
+            facilityLeader: facility.leader || '',
+            facilityLeaderSalutation: facility.salutation || '',
+            facilityLeaderType: facility.type || ''
+        };
+    }
+
+    /**
+     * Select an email of the last batch for sending or copying
+     * @param {number} index - Position in the batch
+     * @returns {boolean} True if the email exists
+     */
+    selectEmail(index) {
+        const email = this.currentBatch[index];
+        if (!email) return false;
+
+        this.currentEmailContent = email.displayContent;
+        this.currentMailtoLink = email.mailtoLink;
+        this.currentMessage = { recipient: email.recipient, cc: email.cc || '', subject: email.subject, body: email.body };
+        return true;
+    }
+
+    /**
+     * Render a template with the current form data without sending anything
+     * Used for the live preview in the template editor, so missing form data is not an error
+     * @param {Object} template - Template with subject and body
+     * @param {Object} formData - Form data object
+     * @param {Array<Object>} weekSchedules - List of { weekType, pickupData } per week
+     * @returns {Object} Rendered { success, subject, body } or { success: false, error }
+     */
+    previewTemplate(template, formData, weekSchedules) {
+        try {
+            const weekInfo = this.createRangeWeekInfo(weekSchedules);
+            const pickupList = this.createPickupList(formData, weekSchedules);
+
+            const values = this.createTemplateValues(formData, weekInfo, pickupList);
+
+            return {
+                success: true,
+                subject: this.createSubject(template, values),
+                body: this.createEmailBody(template, values)
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Create week information for one or more consecutive weeks
      * @private
-     * @param {string} childNames - Names of children
-     * @param {Object} weekInfo - Week information
-     * @returns {string} Email subject
+     * @param {Array<Object>} weekSchedules - List of { weekType, pickupData } per week
+     * @returns {Object} Week or week range information
      */
-    createSubject(childNames, weekInfo) {
-        return `Abholzeiten für ${childNames} - ${weekInfo.formatted}`;
+    createRangeWeekInfo(weekSchedules) {
+        const language = this.i18n.emailLanguage;
+        const firstDates = this.calendar.getWeekDates(weekSchedules[0].weekType);
+        if (weekSchedules.length === 1) {
+            return this.calendar.getWeekInfo(firstDates[0], language);
+        }
+
+        const lastDates = this.calendar.getWeekDates(weekSchedules[weekSchedules.length - 1].weekType);
+        return this.calendar.getWeekRangeInfo(firstDates[0], lastDates[0], language);
     }
 
     /**
-     * Create email body content
+     * Create pickup list of one week or grouped per calendar week
+     * Weeks without pickups are left out of a range
      * @private
+     * @param {Object} formData - Form data object (facility and children of the email)
+     * @param {Array<Object>} weekSchedules - List of { weekType, pickupData } per week
+     * @returns {string[]} Formatted pickup list
+     */
+    createPickupList(formData, weekSchedules) {
+        const language = this.i18n.emailLanguage;
+        const children = formData.children?.length > 0 ? formData.children.map(child => child.name) : null;
+        const createWeekList = ({ weekType, pickupData }) => {
+            return this.calendar.generatePickupList(weekType, pickupData || [], formData.bebLocation, children, language);
+        };
+
+        if (weekSchedules.length === 1) {
+            return createWeekList(weekSchedules[0]);
+        }
+
+        const pickupList = [];
+
+        weekSchedules.forEach(week => {
+            const weekPickups = createWeekList(week);
+            if (weekPickups.length === 0) return;
+
+            if (pickupList.length > 0) {
+                pickupList.push('');
+            }
+
+            const weekStart = this.calendar.getWeekDates(week.weekType)[0];
+            pickupList.push(`${this.calendar.getWeekInfo(weekStart, language).formatted}:`);
+            pickupList.push(...weekPickups);
+        });
+
+        return pickupList;
+    }
+
+    /**
+     * Build email content, links and display text
+     * @private
+     * @param {Object} formData - Form data object
+     * @param {Object} weekInfo - Week or week range information
+     * @param {string[]} pickupList - Formatted pickup list
+     * @returns {Object} Generated email data
+     */
+    buildEmail(formData, weekInfo, pickupList) {
+        const template = this.templates.getTemplate(formData.templateId);
+        this.checkTemplateRequirements(template, formData, pickupList);
+
+        // Create email content
+        const values = this.createTemplateValues(formData, weekInfo, pickupList);
+        const subject = this.createSubject(template, values);
+        const body = this.createEmailBody(template, values);
+
+        // Create mailto link
+        const mailtoLink = this.createMailtoLink(formData.bebLocation, subject, body, formData.parentEmail);
+
+        // Create display content
+        const displayContent = this.createDisplayContent(formData.bebLocation, subject, body, formData.parentEmail);
+
+        // Store current email data
+        this.currentEmailContent = displayContent;
+        this.currentMailtoLink = mailtoLink;
+        this.currentMessage = { recipient: formData.bebLocation, cc: formData.parentEmail || '', subject, body };
+        this.currentBatch = [];
+
+        return {
+            success: true,
+            recipient: formData.bebLocation,
+            cc: formData.parentEmail || '',
+            subject,
+            body,
+            displayContent,
+            mailtoLink,
+            mailtoTooLong: this.isMailtoTooLong(mailtoLink),
+            weekInfo
+        };
+    }
+
+    /**
+     * Check that the form provides everything the template needs
+     * @private
+     * @param {Object} template - Selected template
      * @param {Object} formData - Form data
-     * @param {Object} weekInfo - Week information
      * @param {string[]} pickupList - Formatted pickup list
-     * @returns {string} Email body
+     * @throws {Error} If required information is missing
+     */
+    checkTemplateRequirements(template, formData, pickupList) {
+        const requires = template.requires || {};
+
+        if (requires.pickup && pickupList.length === 0) {
+            throw new Error(this.i18n.t('validation.noDays'));
+        }
+
+        if (requires.absence && !this.calendar.parseDateKey(formData.absenceFrom)) {
+            throw new Error(this.i18n.t('validation.absenceFrom'));
+        }
+
+        if (requires.pickupPerson && !formData.pickupPerson) {
+            throw new Error(this.i18n.t('validation.pickupPerson'));
+        }
+    }
+
+    /**
+     * Create placeholder values for templates
+     * @private
+     * @param {Object} formData - Form data
+     * @param {Object} weekInfo - Week or week range information
+     * @param {string[]} pickupList - Formatted pickup list
+     * @returns {Object} Placeholder values
+     */
+    createTemplateValues(formData, weekInfo, pickupList) {
+        const language = this.i18n.emailLanguage;
+        const absenceFrom = this.calendar.parseDateKey(formData.absenceFrom);
+        const absenceTo = this.calendar.parseDateKey(formData.absenceTo);
+        const formatDate = date => this.calendar.formatDate(date, language);
+
+        let zeitraum = '';
+        if (absenceFrom && absenceTo && absenceTo > absenceFrom) {
+            zeitraum = this.i18n.t('email.period', { from: formatDate(absenceFrom), to: formatDate(absenceTo) }, language);
+        } else if (absenceFrom) {
+            zeitraum = this.i18n.t('email.day', { date: formatDate(absenceFrom) }, language);
+        }
+
+        return {
+            kinder: formData.childNames || '',
+            klasse: formData.childClass || '',
+            kw: weekInfo.formatted,
+            abholliste: pickupList.join('\n'),
+            notizen: formData.notes || '',
+            elternname: formData.parentName || '',
+            einrichtung: formData.facilityName || '',
+            leitung: formData.facilityLeader || '',
+            anrede: this.createGreeting(formData, language),
+            zeitraum,
+            von: absenceFrom ? formatDate(absenceFrom) : '',
+            bis: absenceTo && absenceTo > absenceFrom ? formatDate(absenceTo) : '',
+            abholperson: formData.pickupPerson || ''
+        };
+    }
+
+    /**
+     * Create the greeting line of an email
+     * Several leaders are separated by "/" in data-leader. The gender is never guessed: formal greetings
+     * use "Frau"/"Herr" only if data-leader-salutation names one for every leader, otherwise the full names.
+     * Facilities without a personal leader (data-leader-type="office", the Geschäftsstelle) are greeted without a name.
+     * @param {Object} formData - { greetingStyle, facilityLeader, facilityLeaderSalutation, facilityLeaderType }
+     * @param {string} language - Language code (default: language of the emails)
+     * @returns {string} Greeting, e.g. "Guten Tag Anja Rathjen," or "Hallo Jana und Jan,"
      */
-    createEmailBody(formData, weekInfo, pickupList) {
-        let emailBody = 'Hallo,\n\n';
+    createGreeting(formData, language = this.i18n.emailLanguage) {
+        const t = (key, params = {}) => this.i18n.t(key, params, language);
+        const style = this.GREETING_STYLES.includes(formData.greetingStyle) ? formData.greetingStyle : 'neutral';
+        const leader = (formData.facilityLeader || '').trim();
 
-        // Child information with optional class
-        let childInfo = formData.childNames;
-        if (formData.childClass) {
-            childInfo += ` (Klasse: ${formData.childClass})`;
+        if (style === 'neutral' || !leader) {
+            return t('greeting.neutral');
         }
 
-        emailBody += `hiermit teile ich Ihnen die Abholzeiten für ${childInfo} für ${weekInfo.formatted} mit:\n\n`;
-        emailBody += pickupList.join('\n') + '\n\n';
+        if (formData.facilityLeaderType === 'office') {
+            return t(`greeting.team.${style}`);
+        }
+
+        const names = leader.split('/').map(name => name.trim()).filter(Boolean);
 
-        // Optional notes
-        if (formData.notes) {
-            emailBody += `Zusätzliche Notizen:\n${formData.notes}\n\n`;
+        if (style === 'informal') {
+            return t('greeting.informal', { names: this.joinNames(names.map(name => name.split(/\s+/)[0]), language) });
         }
 
-        // Closing
-        emailBody += 'Vielen Dank!\n\n';
-        emailBody += 'Mit freundlichen Grüßen\n';
-        emailBody += formData.parentName;
+        const salutations = (formData.facilityLeaderSalutation || '').split('/').map(salutation => salutation.trim().toLowerCase());
+        if (!names.every((name, index) => this.GREETING_SALUTATIONS.includes(salutations[index]))) {
+            return t('greeting.formal', { names: this.joinNames(names, language) });
+        }
 
-        return emailBody;
+        const addressed = names.map((name, index) => {
+            return t(`greeting.salutation.${salutations[index]}`, { name: name.split(/\s+/).pop() });
+        });
+        const greeting = t('greeting.formalSalutation', { names: this.joinNames(addressed, language) });
+
+        return greeting.charAt(0).toUpperCase() + greeting.slice(1);
+    }
+
+    /**
+     * Join names to a list, e.g. "Jana, Jan und Lena"
+     * @private
+     * @param {string[]} names - Names
+     * @param {string} language - Language code
+     * @returns {string} Joined names
+     */
+    joinNames(names, language) {
+        if (names.length <= 1) return names[0] || '';
+
+        return `${names.slice(0, -1).join(', ')} ${this.i18n.t('greeting.and', {}, language)} ${names[names.length - 1]}`;
+    }
+
+    /**
+     * Create email subject line
+     * @private
+     * @param {Object} template - Selected template
+     * @param {Object} values - Placeholder values
+     * @returns {string} Email subject
+     */
+    createSubject(template, values) {
+        return this.templates.render(template.subject, values);
+    }
+
+    /**
+     * Create email body content
+     * @private
+     * @param {Object} template - Selected template
+     * @param {Object} values - Placeholder values
+     * @returns {string} Email body
+     */
+    createEmailBody(template, values) {
+        return this.templates.render(template.body, values);
     }
 
     /**
@@ -127,6 +528,107 @@ class EmailManager {
         return `mailto:${recipient}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}${ccText}`;
     }
 
+    /**
+     * Check whether a mailto link is too long to be opened safely
+     * The length is measured after encoding, so umlauts count six characters each (e.g. %C3%A4).
+     * @param {string} mailtoLink - Mailto link (default: link of the current email)
+     * @returns {boolean} True if the link exceeds MAILTO_MAX_LENGTH
+     */
+    isMailtoTooLong(mailtoLink = this.currentMailtoLink) {
+        return mailtoLink.length > this.MAILTO_MAX_LENGTH;
+    }
+
+    /**
+     * Create the link to a new email on a webmail compose page
+     * @param {string} provider - Key of WEBMAIL_PROVIDERS
+     * @param {string} recipient - Recipient email
+     * @param {string} subject - Email subject
+     * @param {string} body - Email body
+     * @param {string} ccEmail - CC email (optional)
+     * @returns {string} Compose URL
+     * @throws {Error} If the provider is unknown
+     */
+    createWebmailLink(provider, recipient, subject, body, ccEmail = '') {
+        const config = this.WEBMAIL_PROVIDERS[provider];
+        if (!config) {
+            throw new Error(this.i18n.t('email.error.provider'));
+        }
+
+        const params = config.mailtoParam
+            ? [[config.mailtoParam, this.createMailtoLink(recipient, subject, body, ccEmail)]]
+            : [
+                ...Object.entries(config.fixed || {}),
+                [config.fields.to, recipient],
+                ...(ccEmail ? [[config.fields.cc, ccEmail]] : []),
+                [config.fields.subject, subject],
+                [config.fields.body, body]
+            ];
+
+        // encodeURIComponent instead of URLSearchParams: spaces must become %20, not "+"
+        const query = params.map(([name, value]) => `${name}=${encodeURIComponent(value || '')}`).join('&');
+        return `${config.url}?${query}`;
+    }
+
+    /**
+     * Get all ways to send an email
+     * @returns {Array<Object>} List of { value, label, description }
+     */
+    getSendMethods() {
+        const method = value => ({
+            value,
+            label: this.i18n.t(`sendMethod.${value}`),
+            description: this.i18n.t(`sendMethod.${value}Description`)
+        });
+
+        const webmailMethods = Object.entries(this.WEBMAIL_PROVIDERS).map(([value, provider]) => ({
+            value,
+            label: this.i18n.t('sendMethod.webmail', { provider: provider.label }),
+            description: this.i18n.t('sendMethod.webmailDescription', { provider: provider.label })
+        }));
+
+        return [
+            method('ask'),
+            method('mailto'),
+            ...(this.canShare() ? [method('share')] : []),
+            ...webmailMethods,
+            method('eml'),
+            method('clipboard')
+        ];
+    }
+
+    /**
+     * Get the preferred way to send emails
+     * @returns {string} Send method ('ask' if none or an unknown one is saved)
+     */
+    getSendMethod() {
+        const saved = this.storage?.loadSendMethod?.();
+        return this.isSendMethod(saved) ? saved : this.DEFAULT_SEND_METHOD;
+    }
+
+    /**
+     * Save the preferred way to send emails
+     * @param {string} method - Value from getSendMethods()
+     * @returns {boolean} Success status
+     * @throws {Error} If the method is unknown
+     */
+    setSendMethod(method) {
+        if (!this.isSendMethod(method)) {
+            throw new Error(this.i18n.t('email.error.sendMethod'));
+        }
+
+        return this.storage ? this.storage.saveSendMethod(method) : false;
+    }
+
+    /**
+     * Check whether a send method exists
+     * @private
+     * @param {string} method - Send method
+     * @returns {boolean} True if known
+     */
+    isSendMethod(method) {
+        return this.getSendMethods().some(option => option.value === method);
+    }
+
     /**
      * Create display content for preview
      * @private
@@ -137,32 +639,195 @@ class EmailManager {
      * @returns {string} Display content
      */
     createDisplayContent(recipient, subject, body, ccEmail = '') {
-        let content = `An: ${recipient}\n`;
+        const language = this.i18n.emailLanguage;
+        let content = `${this.i18n.t('email.to', {}, language)} ${recipient}\n`;
         if (ccEmail) {
-            content += `CC: ${ccEmail}\n`;
+            content += `${this.i18n.t('email.cc', {}, language)} ${ccEmail}\n`;
         }
-        content += `Betreff: ${subject}\n\n`;
+        content += `${this.i18n.t('email.subject', {}, language)} ${subject}\n\n`;
         content += body;
 
         return content;
     }
 
     /**
-     * Send email using platform-appropriate method
+     * Send email with the preferred method
+     * Without a preference mobile devices share the email (or open the email app), desktops ask the user.
+     * @param {Object} options - { getFiles } creating the files to attach when sharing (optional)
      * @returns {Promise<boolean>} Success status
      */
-    async sendEmail() {
+    async sendEmail(options = {}) {
         if (!this.currentMailtoLink) {
-            throw new Error('Bitte erstellen Sie zuerst eine E-Mail.');
+            throw new Error(this.i18n.t('email.error.noEmail'));
+        }
+
+        const method = this.getSendMethod();
+        if (method !== 'ask') {
+            return this.sendWith(method, options);
         }
 
         if (this.isMobile) {
-            return this.sendMobileEmail();
+            return this.canShare() ? this.shareEmail(options) : this.openMailto();
         } else {
-            return this.sendDesktopEmail();
+            return this.sendDesktopEmail(options);
         }
     }
 
+    /**
+     * Send the current email with the given method
+     * @param {string} method - Value from getSendMethods() except 'ask'
+     * @param {Object} options - { getFiles } creating the files to attach when sharing (optional)
+     * @returns {Promise<boolean>} Success status
+     */
+    async sendWith(method, options = {}) {
+        if (!this.currentMailtoLink) {
+            throw new Error(this.i18n.t('email.error.noEmail'));
+        }
+
+        if (method === 'mailto') {
+            return this.openMailto();
+        } else if (method === 'share') {
+            return this.shareEmail(options);
+        } else if (method === 'clipboard') {
+            return this.copyToClipboard();
+        } else if (method === 'eml') {
+            return this.downloadEml();
+        } else if (this.WEBMAIL_PROVIDERS[method]) {
+            return this.openWebmail(method);
+        }
+
+        throw new Error(this.i18n.t('email.error.sendMethod'));
+    }
+
+    /**
+     * Check whether the browser can share text via the Web Share API
+     * @returns {boolean} True if navigator.share() is available
+     */
+    canShare() {
+        return typeof navigator.share === 'function';
+    }
+
+    /**
+     * Share the current email via the share menu of the device
+     * Falls back to the email program if sharing is not possible. Cancelling the share menu
+     * is not an error and sends nothing. The attachments are only created when the email is shared.
+     * @param {Object} options - { getFiles } returning the files to attach, e.g. an ICS file (optional)
+     * @returns {Promise<boolean>} Success status (false if cancelled)
+     */
+    async shareEmail({ getFiles = () => [] } = {}) {
+        if (!this.canShare()) {
+            return this.openMailto();
+        }
+
+        const files = getFiles();
+
+        const shareData = {
+            title: this.currentMessage.subject,
+            text: this.currentEmailContent
+        };
+
+        if (files.length > 0) {
+            if (navigator.canShare?.({ files })) {
+                shareData.files = files;
+            } else {
+                this.notify(this.i18n.t('send.shareNoFiles'), 'info');
+            }
+        }
+
+        try {
+            await navigator.share(shareData);
+            this.markAsSent('share');
+            return true;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return false;
+            }
+
+            console.warn('Web Share failed:', error);
+            this.notify(this.i18n.t('send.shareFailed'), 'warning');
+            return this.openMailto();
+        }
+    }
+
+    /**
+     * Open the current email in the email program
+     * Emails that are too long for a mailto link are offered for copying or download instead.
+     * @private
+     * @returns {Promise<boolean>} Success status
+     */
+    async openMailto() {
+        if (this.isMailtoTooLong()) {
+            return this.sendLongEmail();
+        }
+
+        return this.isMobile ? this.sendMobileEmail() : this.tryOpenEmailClient();
+    }
+
+    /**
+     * Let the user choose another way to send an email that is too long for a mailto link
+     * Without notifications the email is copied to the clipboard.
+     * @private
+     * @returns {Promise<boolean>} Success status (false if cancelled)
+     */
+    async sendLongEmail() {
+        const message = this.i18n.t('send.longEmail', { length: this.currentMailtoLink.length, max: this.MAILTO_MAX_LENGTH });
+
+        if (!this.notifications) {
+            console.warn('Mailto link too long, copying instead:', this.currentMailtoLink.length);
+            return this.copyToClipboard();
+        }
+
+        const choice = await this.notifications.choose(`${message}\n\n${this.i18n.t('send.longEmailQuestion')}`, {
+            title: this.i18n.t('send.longEmailTitle'),
+            choices: [
+                ...this.getSendMethods().filter(option => option.value === 'clipboard' || option.value === 'eml'),
+                {
+                    value: 'mailto',
+                    label: this.i18n.t('send.longEmailMailto'),
+                    description: this.i18n.t('send.longEmailMailtoDescription')
+                }
+            ]
+        });
+
+        if (choice === 'mailto') {
+            return this.isMobile ? this.sendMobileEmail() : this.tryOpenEmailClient();
+        }
+
+        return choice ? this.sendWith(choice) : false;
+    }
+
+    /**
+     * Open the current email on a webmail compose page
+     * Falls back to the clipboard if the browser blocks the new tab.
+     * @private
+     * @param {string} provider - Key of WEBMAIL_PROVIDERS
+     * @returns {Promise<boolean>} Success status
+     */
+    async openWebmail(provider) {
+        const { label } = this.WEBMAIL_PROVIDERS[provider];
+        const { recipient, cc, subject, body } = this.currentMessage;
+        const url = this.createWebmailLink(provider, recipient, subject, body, cc);
+
+        let webmailWindow = null;
+        try {
+            webmailWindow = window.open(url, '_blank');
+        } catch (error) {
+            console.warn('Webmail open failed:', error);
+        }
+
+        if (!webmailWindow) {
+            this.notify(this.i18n.t('send.webmailBlocked', { provider: label }), 'warning');
+            return this.copyToClipboard();
+        }
+
+        // The compose page must not be able to navigate this page
+        webmailWindow.opener = null;
+        this.markAsSent(provider);
+        this.notify(`✅ ${this.i18n.t('send.webmailOpened', { provider: label })}`, 'info');
+
+        return true;
+    }
+
     /**
      * Send email on mobile devices
      * @private
@@ -171,6 +836,7 @@ class EmailManager {
     sendMobileEmail() {
         try {
             window.location.href = this.currentMailtoLink;
+            this.markAsSent('mailto');
             return true;
         } catch (error) {
             console.warn('Mobile email send failed:', error);
@@ -181,21 +847,20 @@ class EmailManager {
     /**
      * Send email on desktop with user choice
      * @private
-     * @returns {boolean} Success status
+     * @param {Object} options - { getFiles } creating the files to attach when sharing (optional)
+     * @returns {Promise<boolean>} Success status (false if cancelled)
      */
-    sendDesktopEmail() {
-        const userChoice = confirm(
-            'E-Mail-Versand Optionen:\n\n' +
-            '✅ OK = E-Mail-Programm versuchen zu öffnen\n' +
-            '📋 Abbrechen = E-Mail in Zwischenablage kopieren\n\n' +
-            'Empfehlung für Mac: "Abbrechen" wählen und manuell in Mail einfügen'
-        );
-
-        if (userChoice) {
-            return this.tryOpenEmailClient();
-        } else {
-            return this.copyToClipboard();
+    async sendDesktopEmail(options = {}) {
+        if (!this.notifications) {
+            return this.openMailto();
         }
+
+        const choice = await this.notifications.choose(this.i18n.t('send.question'), {
+            title: this.i18n.t('send.title'),
+            choices: this.getSendMethods().filter(option => option.value !== 'ask')
+        });
+
+        return choice ? this.sendWith(choice, options) : false;
     }
 
     /**
@@ -212,10 +877,9 @@ class EmailManager {
             document.body.appendChild(tempLink);
             tempLink.click();
             document.body.removeChild(tempLink);
+            this.markAsSent('mailto');
 
-            setTimeout(() => {
-                alert('✅ Versuch, E-Mail-Programm zu öffnen!\n\nFalls es nicht funktioniert hat, nutzen Sie den "📋 Kopieren" Button.');
-            }, 500);
+            this.notify(`✅ ${this.i18n.t('send.mailtoOpened')}`, 'info');
 
             return true;
         } catch (error) {
@@ -231,12 +895,13 @@ class EmailManager {
      */
     async copyToClipboard() {
         if (!this.currentEmailContent) {
-            throw new Error('Keine E-Mail-Inhalte zum Kopieren verfügbar.');
+            throw new Error(this.i18n.t('email.error.noContent'));
         }
 
         if (navigator.clipboard && navigator.clipboard.writeText) {
             try {
                 await navigator.clipboard.writeText(this.currentEmailContent);
+                this.markAsSent('clipboard');
                 this.showCopySuccess();
                 return true;
             } catch (error) {
@@ -264,6 +929,7 @@ class EmailManager {
             document.body.removeChild(textarea);
 
             if (success) {
+                this.markAsSent('clipboard');
                 this.showCopySuccess();
                 return true;
             } else {
@@ -271,7 +937,7 @@ class EmailManager {
             }
         } catch (error) {
             console.warn('Fallback copy failed:', error);
-            alert('Kopieren fehlgeschlagen. Bitte markieren Sie den Text manuell und kopieren Sie ihn.');
+            this.notify(this.i18n.t('send.copyFailed'), 'error');
             return false;
         }
     }
@@ -282,14 +948,9 @@ class EmailManager {
      */
     showCopySuccess() {
         const emailMatch = this.currentMailtoLink.match(/mailto:([^?]+)/);
-        const recipientEmail = emailMatch ? emailMatch[1] : 'E-Mail-Adresse';
+        const recipientEmail = emailMatch ? emailMatch[1] : this.i18n.t('send.recipientFallback');
 
-        alert('✅ E-Mail wurde in die Zwischenablage kopiert!\n\n' +
-              'Nächste Schritte:\n' +
-              '1. Öffnen Sie Ihr E-Mail-Programm (Mail, Outlook, Gmail, etc.)\n' +
-              '2. Erstellen Sie eine neue E-Mail\n' +
-              '3. Fügen Sie den kopierten Text ein (Cmd+V)\n' +
-              '4. Senden an: ' + recipientEmail);
+        this.notify(`${this.i18n.t('actions.copied')}\n\n${this.i18n.t('send.copySteps', { recipient: recipientEmail })}`, 'success', 10000);
 
         // Show visual success indicator
         this.showSuccessMessage();
@@ -301,20 +962,188 @@ class EmailManager {
      */
     showEmailInstructions() {
         const emailMatch = this.currentMailtoLink.match(/mailto:([^?]+)/);
-        const recipientEmail = emailMatch ? emailMatch[1] : 'E-Mail-Adresse';
-
-        const message = 'Das automatische Öffnen des E-Mail-Programms hat nicht funktioniert.\n\n' +
-            'Alternativen:\n' +
-            '1. Nutzen Sie den "📋 Kopieren" Button und fügen Sie den Text in Ihr E-Mail-Programm ein\n' +
-            '2. Oder öffnen Sie manuell Ihr E-Mail-Programm und erstellen Sie eine neue E-Mail\n\n' +
-            `Die E-Mail sollte gesendet werden an:\n${recipientEmail}`;
+        const recipientEmail = emailMatch ? emailMatch[1] : this.i18n.t('send.recipientFallback');
 
-        alert(message);
+        this.notify(this.i18n.t('send.mailtoFailed', { recipient: recipientEmail }), 'error');
 
         // Offer to copy automatically
         this.copyToClipboard();
     }
 
+    /**
+     * Create an RFC 5322 message of the current email
+     * The message has no sender and is marked as unsent (X-Unsent), so mail programs open it as draft.
+     * @param {Date} date - Value of the Date header (default now)
+     * @returns {string} Message with CRLF line endings
+     * @throws {Error} If no email was created
+     */
+    createEml(date = new Date()) {
+        if (!this.currentMessage) {
+            throw new Error(this.i18n.t('email.error.noEmail'));
+        }
+
+        const { recipient, cc, subject, body } = this.currentMessage;
+        const headers = [
+            'MIME-Version: 1.0',
+            `Date: ${this.formatEmlDate(date)}`,
+            this.encodeHeader('To', recipient),
+            ...(cc ? [this.encodeHeader('Cc', cc)] : []),
+            this.encodeHeader('Subject', subject),
+            'X-Unsent: 1',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: quoted-printable'
+        ];
+
+        return `${headers.join('\r\n')}\r\n\r\n${this.encodeQuotedPrintable(body)}\r\n`;
+    }
+
+    /**
+     * Get file name for the .eml export
+     * @returns {string} File name derived from the subject, e.g. abholzeiten-fuer-anna-kw-45-2026.eml
+     */
+    getEmlFileName() {
+        const slug = String(this.currentMessage?.subject || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60)
+            .replace(/-+$/, '');
+
+        return `${slug || 'email'}.eml`;
+    }
+
+    /**
+     * Offer the current email as .eml file download
+     * @returns {boolean} Success status
+     */
+    downloadEml() {
+        const content = this.createEml();
+
+        try {
+            const blob = new Blob([content], { type: 'message/rfc822' });
+            const url = URL.createObjectURL(blob);
+
+            const tempLink = document.createElement('a');
+            tempLink.href = url;
+            tempLink.download = this.getEmlFileName();
+            tempLink.style.display = 'none';
+            document.body.appendChild(tempLink);
+            tempLink.click();
+            document.body.removeChild(tempLink);
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.warn('Email download failed:', error);
+            this.notify(this.i18n.t('send.emlFailed'), 'error');
+            return false;
+        }
+
+        this.markAsSent('eml');
+        this.notify(`✅ ${this.i18n.t('send.emlDownloaded')}`, 'success');
+
+        return true;
+    }
+
+    /**
+     * Format a date for the Date header (RFC 5322)
+     * @private
+     * @param {Date} date - Date to format
+     * @returns {string} Date, e.g. Mon, 2 Nov 2026 15:00:00 +0100
+     */
+    formatEmlDate(date) {
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const pad = value => String(value).padStart(2, '0');
+
+        const offset = -date.getTimezoneOffset();
+        const zone = `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+
+        return `${days[date.getDay()]}, ${date.getDate()} ${months[date.getMonth()]} ${date.getFullYear()} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`;
+    }
+
+    /**
+     * Create a header line, non-ASCII text as RFC 2047 encoded words (UTF-8, Base64)
+     * Line breaks in the value are removed, so no further headers can be injected.
+     * @private
+     * @param {string} name - Header name
+     * @param {string} value - Header value
+     * @returns {string} Header line (folded with CRLF if it has several encoded words)
+     */
+    encodeHeader(name, value) {
+        const text = String(value || '').replace(/[\r\n]+/g, ' ');
+        if (/^[\x20-\x7e]*$/.test(text)) {
+            return `${name}: ${text}`;
+        }
+
+        // Encoded words must not split a character
+        const encoder = new TextEncoder();
+        const words = [];
+        let bytes = [];
+
+        for (const char of text) {
+            const charBytes = encoder.encode(char);
+            if (bytes.length + charBytes.length > this.EML_WORD_BYTES) {
+                words.push(bytes);
+                bytes = [];
+            }
+            bytes.push(...charBytes);
+        }
+        words.push(bytes);
+
+        return `${name}: ${words.map(word => `=?UTF-8?B?${SecurityManager.toBase64(word)}?=`).join('\r\n ')}`;
+    }
+
+    /**
+     * Encode a text as quoted-printable (RFC 2045) with CRLF line breaks
+     * @private
+     * @param {string} text - UTF-8 text
+     * @returns {string} Encoded text with lines of at most 76 characters
+     */
+    encodeQuotedPrintable(text) {
+        const encoder = new TextEncoder();
+
+        return String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => {
+            const bytes = encoder.encode(line);
+            const tokens = Array.from(bytes, (byte, index) => {
+                // Spaces and tabs at the end of a line would be removed by mail servers
+                const isLast = index === bytes.length - 1;
+                const isPrintable = byte >= 33 && byte <= 126 && byte !== 61;
+                const isInnerSpace = (byte === 32 || byte === 9) && !isLast;
+
+                return isPrintable || isInnerSpace
+                    ? String.fromCharCode(byte)
+                    : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+            });
+
+            // Soft line breaks ("=" at the end) never split an encoded byte
+            const parts = [];
+            let current = '';
+            tokens.forEach(token => {
+                if (current.length + token.length > this.EML_LINE_LENGTH - 1) {
+                    parts.push(`${current}=`);
+                    current = '';
+                }
+                current += token;
+            });
+            parts.push(current);
+
+            return parts.join('\r\n');
+        }).join('\r\n');
+    }
+
+    /**
+     * Show a message to the user
+     * @private
+     * @param {string} message - Message
+     * @param {string} type - 'success', 'info', 'warning' or 'error'
+     * @param {number} duration - Display time in milliseconds (default depends on the type)
+     */
+    notify(message, type = 'info', duration) {
+        this.notifications?.show(message, { type, duration });
+    }
+
     /**
      * Show visual success message
      * @private
@@ -329,6 +1158,178 @@ class EmailManager {
         }
     }
 
+    /**
+     * Add a generated email to the history
+     * Generating an email again before it was sent refreshes its existing entry.
+     * @param {Object} email - Generated email ({ recipient, cc, subject, body, weekInfo })
+     * @param {Object} formState - Form state the email was created from (optional, for re-opening)
+     * @returns {Object} History entry
+     */
+    addToHistory(email, formState = null) {
+        const history = this.loadHistory();
+        const index = history.findIndex(entry => !entry.sentAt && this.isSameEmail(entry, email));
+        const existing = index >= 0 ? history.splice(index, 1)[0] : null;
+
+        const entry = {
+            id: existing ? existing.id : this.createHistoryId(),
+            timestamp: Date.now(),
+            recipient: email.recipient || '',
+            cc: email.cc || '',
+            subject: email.subject,
+            body: email.body,
+            week: email.weekInfo?.formatted || '',
+            method: null,
+            sentAt: null,
+            formState: formState ? JSON.parse(JSON.stringify(formState)) : null
+        };
+
+        this.saveHistory([entry, ...history]);
+        return { ...entry };
+    }
+
+    /**
+     * Get history entries, newest first
+     * @param {string} query - Search words that must all occur in recipient, subject, text or week (optional)
+     * @returns {Array<Object>} Matching history entries
+     */
+    getHistory(query = '') {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.loadHistory()
+            .filter(entry => {
+                const text = [entry.recipient, entry.cc, entry.subject, entry.body, entry.week].join('\n').toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Get a single history entry
+     * @param {string} entryId - History entry id
+     * @returns {Object|null} History entry
+     */
+    getHistoryEntry(entryId) {
+        const entry = this.loadHistory().find(item => item.id === entryId);
+        return entry ? { ...entry } : null;
+    }
+
+    /**
+     * Make a history entry the current email, e.g. to send it again
+     * @param {string} entryId - History entry id
+     * @returns {boolean} True if the entry exists
+     */
+    selectHistoryEntry(entryId) {
+        const entry = this.getHistoryEntry(entryId);
+        if (!entry) return false;
+
+        this.currentEmailContent = this.createDisplayContent(entry.recipient, entry.subject, entry.body, entry.cc);
+        this.currentMailtoLink = this.createMailtoLink(entry.recipient, entry.subject, entry.body, entry.cc);
+        this.currentMessage = { recipient: entry.recipient, cc: entry.cc, subject: entry.subject, body: entry.body };
+        this.currentBatch = [];
+        return true;
+    }
+
+    /**
+     * Delete a history entry
+     * @param {string} entryId - History entry id
+     * @returns {boolean} True if an entry was deleted
+     */
+    deleteHistoryEntry(entryId) {
+        const history = this.loadHistory();
+        const remaining = history.filter(entry => entry.id !== entryId);
+        if (remaining.length === history.length) return false;
+
+        this.saveHistory(remaining);
+        return true;
+    }
+
+    /**
+     * Delete the whole history
+     */
+    clearHistory() {
+        this.saveHistory([]);
+    }
+
+    /**
+     * Record how the current email was sent
+     * Sending an already sent email again is logged as a new entry.
+     * @private
+     * @param {string} method - 'mailto', 'share', 'clipboard', 'eml' or a webmail provider
+     */
+    markAsSent(method) {
+        const history = this.loadHistory();
+        const index = history.findIndex(entry => {
+            return this.createMailtoLink(entry.recipient, entry.subject, entry.body, entry.cc) === this.currentMailtoLink;
+        });
+        if (index === -1) return;
+
+        const sentAt = Date.now();
+        const entry = history[index];
+
+        if (entry.sentAt) {
+            history.unshift({ ...entry, id: this.createHistoryId(), timestamp: sentAt, method, sentAt });
+        } else {
+            history[index] = { ...entry, method, sentAt };
+        }
+
+        this.saveHistory(history);
+    }
+
+    /**
+     * Check whether a history entry contains the given email
+     * @private
+     * @param {Object} entry - History entry
+     * @param {Object} email - Generated email
+     * @returns {boolean} True if recipient, CC, subject and text are equal
+     */
+    isSameEmail(entry, email) {
+        return entry.recipient === (email.recipient || '') &&
+            entry.cc === (email.cc || '') &&
+            entry.subject === email.subject &&
+            entry.body === email.body;
+    }
+
+    /**
+     * Create a unique history entry id
+     * @private
+     * @returns {string} Entry id
+     */
+    createHistoryId() {
+        return `email-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Load the history of the active profile
+     * @private
+     * @returns {Array<Object>} History entries, newest first
+     */
+    loadHistory() {
+        return this.storage ? this.storage.loadHistory() : [...this.history];
+    }
+
+    /**
+     * Save the history, keeping only the newest entries
+     * @private
+     * @param {Array<Object>} entries - History entries, newest first
+     */
+    saveHistory(entries) {
+        const history = entries.slice(0, this.HISTORY_LIMIT);
+
+        if (this.storage) {
+            this.storage.saveHistory(history);
+        } else {
+            this.history = history;
+        }
+    }
+
+    /**
+     * Get available email templates
+     * @returns {Object[]} Template list
+     */
+    getTemplates() {
+        return this.templates.getTemplates();
+    }
+
     /**
      * Get current email content
      * @returns {string} Current email content
@@ -351,6 +1352,8 @@ class EmailManager {
     clearCurrentEmail() {
         this.currentEmailContent = '';
         this.currentMailtoLink = '';
+        this.currentMessage = null;
+        this.currentBatch = [];
     }
 }
 
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview School holiday and public holiday data for Schleswig-Holstein
+ * @version 1.2.0
+ */
+
+/**
+ * Holiday manager for Schleswig-Holstein
+ * Provides public holidays (calculated) and school holidays (bundled dataset)
+ */
+class HolidayManager {
+    constructor() {
+        // Bump when the bundled school holiday dataset changes
+        this.DATA_VERSION = '2025.2';
+        this.region = 'Schleswig-Holstein';
+
+        // School holidays per school year start (source: Ferientermine des
+        // Ministeriums für Allgemeine und Berufliche Bildung Schleswig-Holstein).
+        // Dates are inclusive, end dates are the last day without school.
+        this.schoolHolidays = {
+            2024: [
+                { name: 'Herbstferien', start: '2024-10-21', end: '2024-11-02' },
+                { name: 'Weihnachtsferien', start: '2024-12-19', end: '2025-01-07' },
+                { name: 'Osterferien', start: '2025-04-11', end: '2025-04-25' },
+                { name: 'Pfingstferien', start: '2025-05-30', end: '2025-05-30' },
+                { name: 'Sommerferien', start: '2025-07-28', end: '2025-09-06' }
+            ],
+            2025: [
+                { name: 'Herbstferien', start: '2025-10-20', end: '2025-10-30' },
+                { name: 'Weihnachtsferien', start: '2025-12-19', end: '2026-01-06' },
+                { name: 'Osterferien', start: '2026-03-26', end: '2026-04-11' },
+                { name: 'Pfingstferien', start: '2026-05-15', end: '2026-05-15' },
+                { name: 'Sommerferien', start: '2026-07-04', end: '2026-08-15' }
+            ],
+            2026: [
+                { name: 'Herbstferien', start: '2026-10-12', end: '2026-10-24' },
+                { name: 'Weihnachtsferien', start: '2026-12-21', end: '2027-01-06' },
+                { name: 'Osterferien', start: '2027-03-30', end: '2027-04-10' },
+                { name: 'Pfingstferien', start: '2027-05-07', end: '2027-05-07' },
+                { name: 'Sommerferien', start: '2027-07-03', end: '2027-08-14' }
+            ]
+        };
+
+        // Fixed public holidays in Schleswig-Holstein (month is 1-based)
+        this.fixedPublicHolidays = [
+            { month: 1, day: 1, name: 'Neujahr' },
+            { month: 5, day: 1, name: 'Tag der Arbeit' },
+            { month: 10, day: 3, name: 'Tag der Deutschen Einheit' },
+            { month: 10, day: 31, name: 'Reformationstag', since: 2018 },
+            { month: 12, day: 25, name: '1. Weihnachtsfeiertag' },
+            { month: 12, day: 26, name: '2. Weihnachtsfeiertag' }
+        ];
+
+        // Movable public holidays as offset in days from Easter Sunday
+        this.easterPublicHolidays = [
+            { offset: -2, name: 'Karfreitag' },
+            { offset: 1, name: 'Ostermontag' },
+            { offset: 39, name: 'Christi Himmelfahrt' },
+            { offset: 50, name: 'Pfingstmontag' }
+        ];
+
+        this.publicHolidayCache = new Map();
+    }
+
+    /**
+     * Get closure information for a date
+     * Public holidays take precedence over school holidays
+     * @param {Date} date - Date to check
+     * @returns {Object|null} Closure info ({ type, name }) or null if open
+     */
+    getClosure(date) {
+        const publicHoliday = this.getPublicHoliday(date);
+        if (publicHoliday) {
+            return { type: 'publicHoliday', name: publicHoliday };
+        }
+
+        const schoolHoliday = this.getSchoolHoliday(date);
+        if (schoolHoliday) {
+            return { type: 'schoolHoliday', name: schoolHoliday };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get public holiday name for a date
+     * @param {Date} date - Date to check
+     * @returns {string|null} Holiday name or null
+     */
+    getPublicHoliday(date) {
+        const holidays = this.getPublicHolidays(date.getFullYear());
+        return holidays.get(CalendarManager.toDateKey(date)) || null;
+    }
+
+    /**
+     * Get school holiday name for a date
+     * @param {Date} date - Date to check
+     * @returns {string|null} Holiday name or null
+     */
+    getSchoolHoliday(date) {
+        const dateKey = CalendarManager.toDateKey(date);
+
+        // A date can belong to the school year starting this or last calendar year
+        const years = [date.getFullYear() - 1, date.getFullYear()];
+
+        for (const year of years) {
+            const holidays = this.schoolHolidays[year] || [];
+            const match = holidays.find(holiday => dateKey >= holiday.start && dateKey <= holiday.end);
+            if (match) {
+                return match.name;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get all public holidays of a year
+     * @param {number} year - Calendar year
+     * @returns {Map<string, string>} Map of date key (YYYY-MM-DD) to holiday name
+     */
+    getPublicHolidays(year) {
+        if (this.publicHolidayCache.has(year)) {
+            return this.publicHolidayCache.get(year);
+        }
+
+        const holidays = new Map();
+
+        this.fixedPublicHolidays
+            .filter(holiday => !holiday.since || year >= holiday.since)
+            .forEach(holiday => {
+                holidays.set(CalendarManager.toDateKey(new Date(year, holiday.month - 1, holiday.day)), holiday.name);
+            });
+
+        const easter = this.getEasterSunday(year);
+        this.easterPublicHolidays.forEach(holiday => {
+            const date = new Date(easter);
+            date.setDate(easter.getDate() + holiday.offset);
+            holidays.set(CalendarManager.toDateKey(date), holiday.name);
+        });
+
+        this.publicHolidayCache.set(year, holidays);
+        return holidays;
+    }
+
+    /**
+     * Calculate Easter Sunday (anonymous Gregorian algorithm)
+     * @param {number} year - Calendar year
+     * @returns {Date} Easter Sunday
+     */
+    getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Check whether school holiday data is bundled for a date's year
+     * @param {Date} date - Date to check
+     * @returns {boolean} True if the dataset covers the date
+     */
+    hasSchoolHolidayData(date) {
+        const dateKey = CalendarManager.toDateKey(date);
+        const ranges = Object.values(this.schoolHolidays).flat();
+        if (ranges.length === 0) return false;
+
+        const first = ranges.reduce((min, holiday) => holiday.start < min ? holiday.start : min, ranges[0].start);
+        const last = ranges.reduce((max, holiday) => holiday.end > max ? holiday.end : max, ranges[0].end);
+
+        return dateKey >= first && dateKey <= last;
+    }
+
+    /**
+     * Get dataset information
+     * @returns {Object} Dataset version, region and covered school years
+     */
+    getDataInfo() {
+        return {
+            version: this.DATA_VERSION,
+            region: this.region,
+            schoolYears: Object.keys(this.schoolHolidays).map(Number)
+        };
+    }
+}
+
+// Export for use in main application
+window.HolidayManager = HolidayManager;
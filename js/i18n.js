@@ -0,0 +1,1084 @@
+/**
+ * @fileoverview Translations of the user interface and the generated emails
+ * @version 1.2.0
+ */
+
+/**
+ * Internationalization manager with message catalogs per language
+ * The language of the user interface and the language of the emails are chosen separately,
+ * e.g. English for the parents while the emails to the facility stay German.
+ * Static texts in index.html are marked with data-i18n attributes, see translateDocument().
+ */
+class I18nManager {
+    constructor(storageManager = null) {
+        this.storage = storageManager;
+
+        this.DEFAULT_LANGUAGE = 'de';
+        this.LANGUAGES = {
+            de: { name: 'Deutsch', locale: 'de-DE' },
+            en: { name: 'English', locale: 'en-GB' }
+        };
+
+        // Messages may contain {name} parameters; {{name}} template placeholders are kept as they are
+        this.messages = {
+            de: {
+                'app.documentTitle': 'BEB Norderstedt - Abholzeiten E-Mail Tool v1.2.0',
+                'app.title': '📧 BEB Norderstedt - Abholzeiten E-Mail',
+                'app.unexpectedError': 'Ein unerwarteter Fehler ist aufgetreten.',
+                'app.userError': 'Fehler: {message}\n\nBitte versuchen Sie es erneut oder laden Sie die Seite neu.',
+                'app.initError.title': 'Initialisierungsfehler',
+                'app.initError.text': 'Die Anwendung konnte nicht gestartet werden.',
+                'app.initError.error': 'Fehler:',
+                'app.initError.reload': 'Seite neu laden',
+                'app.clearData.question': 'Möchten Sie wirklich alle gespeicherten Daten löschen?',
+                'app.clearData.title': 'Daten löschen',
+                'app.clearData.confirm': 'Löschen',
+                'app.clearData.failed': 'Fehler beim Löschen der Daten.',
+                'info.label': 'Info:',
+                'info.before': 'Dieses Tool erstellt automatisch eine E-Mail an die richtige',
+                'info.link': 'BEB Betreuungseinrichtung',
+                'info.after': 'mit den Abholzeiten für Ihre Kinder.',
+                'autosave.indicator': '💾 Automatisch gespeichert',
+
+                'unlock.title': '🔐 Daten entsperren',
+                'unlock.text': 'Ihre Eingaben und der E-Mail-Verlauf sind mit einer Passphrase geschützt.',
+                'unlock.passphrase': 'Passphrase',
+                'unlock.unlock': 'Entsperren',
+                'unlock.skip': 'Ohne gespeicherte Daten fortfahren',
+                'unlock.reset': 'Passphrase vergessen',
+                'unlock.resetQuestion': 'Ohne Passphrase lassen sich die geschützten Daten nicht wiederherstellen. Möchten Sie alle Eingaben, den E-Mail-Verlauf und die Standard-Wochenpläne löschen und neu beginnen?',
+                'unlock.resetConfirm': 'Daten löschen',
+
+                'profile.label': '👤 Profil:',
+                'profile.new': 'Neu',
+                'profile.rename': 'Umbenennen',
+                'profile.delete': 'Löschen',
+                'profile.error.notFound': 'Das Profil wurde nicht gefunden.',
+                'profile.error.last': 'Das letzte Profil kann nicht gelöscht werden.',
+                'profile.error.invalidId': 'Ungültige Profil-ID: {id}',
+                'profile.error.nameMissing': 'Bitte geben Sie einen Namen für das Profil ein.',
+                'profile.error.nameTaken': 'Ein Profil mit diesem Namen existiert bereits.',
+                'profile.createQuestion': 'Name des neuen Profils (z.B. Mama, Papa, Oma):',
+                'profile.createTitle': 'Neues Profil',
+                'profile.createConfirm': 'Anlegen',
+                'profile.renameQuestion': 'Neuer Name des Profils:',
+                'profile.renameTitle': 'Profil umbenennen',
+                'profile.deleteQuestion': 'Möchten Sie das Profil "{name}" mit allen gespeicherten Eingaben löschen?',
+                'profile.deleteTitle': 'Profil löschen',
+
+                'language.ui': '🌐 Sprache:',
+                'language.email': 'Sprache der E-Mail:',
+                'language.unknown': 'Unbekannte Sprache: {language}',
+
+                'privacy.label': '🕶️ Privater Modus (für gemeinsam genutzte Computer)',
+                'privacy.title': 'Privater Modus',
+                'privacy.question': 'Im privaten Modus werden alle Daten nur in diesem Tab gehalten und beim Verlassen der Seite sowie nach {minutes} Minuten ohne Eingabe gelöscht. Möchten Sie den privaten Modus einschalten?',
+                'privacy.enable': 'Einschalten',
+                'privacy.info': 'Daten werden nur in diesem Tab gehalten und beim Verlassen der Seite oder nach {minutes} Minuten ohne Eingabe gelöscht.',
+                'privacy.cleared': 'Das Formular wurde nach {minutes} Minuten ohne Eingabe geleert.',
+
+                'template.type': 'Art der E-Mail:',
+                'greeting.label': 'Anrede:',
+                'greeting.style.neutral': '„Hallo,“ ohne Namen',
+                'greeting.style.formal': 'Förmlich mit Namen der Leitung',
+                'greeting.style.informal': 'Persönlich mit Vornamen der Leitung',
+                'greeting.hint': '💡 z.B. „Guten Tag Anja Rathjen,“ oder „Hallo Jana und Jan,“ – die Geschäftsstelle erhält „Sehr geehrte Damen und Herren,“',
+                'template.customName': '{name} (eigene Vorlage)',
+                'editor.summary': '✏️ Eigene Vorlagen bearbeiten',
+                'editor.template': 'Vorlage:',
+                'editor.newTemplate': 'Neue Vorlage',
+                'editor.name': 'Name der Vorlage:',
+                'editor.namePlaceholder': 'z.B. Abholzeiten (du-Form)',
+                'editor.subject': 'Betreff:',
+                'editor.body': 'Text:',
+                'editor.bodyPlaceholder': 'Liebes OGGS-Team, ...',
+                'editor.save': '💾 Vorlage speichern',
+                'editor.delete': '🗑️ Vorlage löschen',
+                'editor.error.name': 'Bitte geben Sie der Vorlage einen Namen.',
+                'editor.error.subject': 'Bitte geben Sie einen Betreff ein.',
+                'editor.error.body': 'Bitte geben Sie einen E-Mail-Text ein.',
+                'editor.error.placeholders': 'Unbekannte Platzhalter: {placeholders}',
+                'editor.error.sections': 'Nicht geschlossene Abschnitte: {sections}',
+                'editor.deleteQuestion': 'Möchten Sie die Vorlage "{name}" wirklich löschen?',
+                'editor.deleteTitle': 'Vorlage löschen',
+
+                'form.parentName': 'Ihr Name:',
+                'form.parentNamePlaceholder': 'Max Mustermann',
+                'form.parentEmail': 'Ihre E-Mail (optional - für Kopie an Sie):',
+                'form.parentEmailPlaceholder': 'max.mustermann@email.com',
+                'form.parentEmailHint': '💡 Wenn Sie Ihre E-Mail eingeben, erhalten Sie automatisch eine Kopie (CC)',
+                'form.facility': 'BEB Betreuungseinrichtung auswählen:',
+                'form.facilityPlaceholder': '-- Bitte wählen Sie die Betreuung Ihres Kindes aus --',
+                'form.notes': 'Zusätzliche Notizen (optional):',
+                'form.notesPlaceholder': 'z.B. Besondere Anweisungen oder Änderungen...',
+                'form.facilityLeader': 'Leitung: {name}',
+
+                'closures.summary': '🏫 Schließtage aus Kalenderdatei (.ics) importieren',
+                'closures.facility': 'Einrichtung für die Schließtage',
+                'closures.clear': 'Importierte Schließtage löschen',
+                'closures.hint': '💡 Die Datei wird nur in Ihrem Browser gelesen. Schließtage werden im Wochenplan markiert und nicht in die E-Mail übernommen.',
+                'closures.noFacility': 'Bitte wählen Sie zuerst eine Betreuungseinrichtung aus.',
+                'closures.noEvents': 'Die Datei enthält keine Termine.',
+                'closures.defaultName': 'Schließtag',
+                'closures.dayClosed': 'Geschlossen: {name} – dieser Tag wird nicht in die E-Mail übernommen',
+                'closures.facilityPlaceholder': '-- Einrichtung wählen --',
+                'closures.readFailed': 'Die Kalenderdatei konnte nicht gelesen werden.',
+                'closures.clearQuestion': 'Möchten Sie die importierten Schließtage dieser Einrichtung löschen?',
+                'closures.clearTitle': 'Schließtage löschen',
+                'closures.range': '{start} bis {end}: {name}',
+
+                'children.label': 'Kinder (Name und Klasse, optional):',
+                'children.add': '➕ Kind hinzufügen',
+                'children.perChild': 'Unterschiedliche Abholzeiten pro Kind',
+                'children.hint': '💡 Für Geschwister mit verschiedenen Zeiten (z.B. AG am Dienstag) erhält jedes Kind eigene Abholzeiten',
+                'children.child': 'Kind {number}',
+                'children.namePlaceholder': 'Name',
+                'children.nameLabel': 'Name Kind {number}',
+                'children.classPlaceholder': 'Klasse',
+                'children.classLabel': 'Klasse Kind {number}',
+                'children.facilityLabel': 'Betreuungseinrichtung Kind {number}',
+                'children.facilityDefault': 'Einrichtung wie oben',
+                'children.remove': 'Kind entfernen',
+
+                'absence.label': 'Zeitraum der Abwesenheit:',
+                'absence.from': 'Abwesend ab',
+                'absence.until': 'bis',
+                'absence.to': 'Abwesend bis (optional)',
+                'absence.hint': '💡 Für einen einzelnen Tag nur das erste Datum ausfüllen',
+                'pickupPerson.label': 'Abholende Person:',
+                'pickupPerson.placeholder': 'z.B. Oma Helga Mustermann',
+
+                'week.label': 'Woche auswählen:',
+                'week.current': 'Diese Woche',
+                'week.next': 'Nächste Woche',
+                'week.picker': 'Kalenderwoche auswählen',
+                'week.pickerTitle': 'Andere Kalenderwoche auswählen',
+                'week.count': 'Zeitraum:',
+                'week.one': '1 Woche',
+                'week.many': '{count} Wochen',
+                'week.hint': '💡 Bei mehreren Wochen erhält jede Woche eigene Abholzeiten – alles in einer E-Mail',
+
+                'schedule.title': '📅 Abholzeiten festlegen:',
+                'schedule.setAllTime': 'Alle Zeiten auf einmal setzen (optional):',
+                'schedule.set': 'Setzen',
+                'schedule.selectAllDays': 'Alle Wochentage auf einmal auswählen (optional):',
+                'schedule.selectAll': 'Alle auswählen',
+                'schedule.deselectAll': 'Alle abwählen',
+                'schedule.copyLastWeekLabel': 'Abholzeiten der Vorwoche übernehmen (optional):',
+                'schedule.copyLastWeek': '🔁 Wie letzte Woche',
+                'schedule.timeLabel': 'Abholzeit {day}',
+                'schedule.pickupPerson': 'Abholperson (optional)',
+                'schedule.pickupPersonLabel': 'Abholperson {day}',
+                'schedule.note': 'Notiz (optional)',
+                'schedule.noteLabel': 'Notiz {day}',
+                'schedule.noTime': 'Bitte wählen Sie zuerst eine Zeit aus.',
+                'schedule.copyLastWeekNotFound': 'Für {week} wurden keine Abholzeiten gefunden.',
+                'schedule.copyLastWeekDone': '{count} Abholtag(e) aus {week} übernommen.',
+                'schedule.copyLastWeekClosed': 'An diesen Tagen ist in der gewählten Woche geschlossen, sie werden nicht übernommen:',
+
+                'pattern.summary': '📌 Standard-Wochenplan mit Ausnahmen',
+                'pattern.save': 'Aktuelle Auswahl als Standard speichern',
+                'pattern.apply': 'Standard anwenden',
+                'pattern.clear': 'Standard löschen',
+                'pattern.autoApply': 'Standard automatisch auf jede gewählte Woche anwenden',
+                'pattern.exception': 'Ausnahme für einen Tag:',
+                'pattern.exceptionTime': 'Abweichende Uhrzeit (leer = keine Abholung)',
+                'pattern.exceptionNote': 'Grund der Ausnahme',
+                'pattern.exceptionNotePlaceholder': 'z.B. Arzttermin',
+                'pattern.exceptionChild': 'Kind der Ausnahme',
+                'pattern.add': 'Hinzufügen',
+                'pattern.none': 'Noch kein Standard gespeichert. Wählen Sie Tage und Zeiten aus und speichern Sie sie als Standard.',
+                'pattern.noPickup': 'keine Abholung',
+                'pattern.hint': '💡 Ohne Uhrzeit entfällt die Abholung an diesem Tag. Der Grund erscheint bei abweichender Uhrzeit in der E-Mail.',
+                'pattern.removeException': 'Ausnahme entfernen',
+                'pattern.noDays': 'Bitte wählen Sie zuerst mindestens einen Tag mit Uhrzeit aus.',
+                'pattern.noExceptionDate': 'Bitte wählen Sie ein Datum für die Ausnahme aus.',
+                'pattern.clearQuestion': 'Möchten Sie den Standard-Wochenplan mit allen Ausnahmen löschen?',
+                'pattern.clearTitle': 'Standard-Wochenplan löschen',
+
+                'day.monday': 'Montag',
+                'day.tuesday': 'Dienstag',
+                'day.wednesday': 'Mittwoch',
+                'day.thursday': 'Donnerstag',
+                'day.friday': 'Freitag',
+                'day.saturday': 'Samstag',
+                'day.sunday': 'Sonntag',
+
+                'actions.generate': '📝 E-Mail erstellen',
+                'actions.send': '📧 E-Mail senden',
+                'actions.copy': '📋 Kopieren',
+                'actions.eml': '📄 Als .eml herunterladen',
+                'actions.emlTitle': 'Als Entwurf für Apple Mail, Thunderbird oder Outlook',
+                'actions.copied': '✅ E-Mail wurde in die Zwischenablage kopiert!',
+                'actions.delete': 'Löschen',
+                'output.placeholder': 'Klicken Sie auf "E-Mail erstellen" um eine Nachricht zu generieren...',
+
+                'send.label': 'Senden über:',
+                'send.shareIcs': 'Kalenderdatei (.ics) beim Teilen anhängen',
+                'send.question': 'Wie möchten Sie die E-Mail senden?',
+                'send.title': 'E-Mail senden',
+                'send.shareNoFiles': 'Dieses Gerät kann keine Dateien teilen. Die E-Mail wird ohne Anhang geteilt.',
+                'send.shareFailed': 'Teilen ist nicht möglich. Die E-Mail wird stattdessen im E-Mail-Programm geöffnet.',
+                'send.longEmail': 'Die E-Mail ist zu lang für einen E-Mail-Link ({length} Zeichen, empfohlen sind höchstens {max}). Manche E-Mail-Programme, z. B. Outlook unter Windows, würden den Text abschneiden.',
+                'send.longEmailQuestion': 'Wie möchten Sie die E-Mail stattdessen senden?',
+                'send.longEmailTitle': 'E-Mail zu lang',
+                'send.longEmailMailto': '📧 Trotzdem im E-Mail-Programm öffnen',
+                'send.longEmailMailtoDescription': 'Der Text kommt eventuell nicht vollständig an.',
+                'send.webmailBlocked': '{provider} konnte nicht geöffnet werden (Pop-up blockiert?). Die E-Mail wird stattdessen kopiert.',
+                'send.webmailOpened': '{provider} wird in einem neuen Tab geöffnet.\nBitte prüfen und senden Sie die E-Mail dort.',
+                'send.mailtoOpened': 'Das E-Mail-Programm wird geöffnet.\nFalls nichts passiert, nutzen Sie den Button "📋 Kopieren".',
+                'send.mailtoFailed': 'Das automatische Öffnen des E-Mail-Programms hat nicht funktioniert.\n\nAlternativen:\n1. Nutzen Sie den "📋 Kopieren" Button und fügen Sie den Text in Ihr E-Mail-Programm ein\n2. Oder öffnen Sie manuell Ihr E-Mail-Programm und erstellen Sie eine neue E-Mail\n\nDie E-Mail sollte gesendet werden an:\n{recipient}',
+                'send.recipientFallback': 'E-Mail-Adresse',
+                'send.copySteps': 'Nächste Schritte:\n1. Öffnen Sie Ihr E-Mail-Programm (Mail, Outlook, Gmail, etc.)\n2. Erstellen Sie eine neue E-Mail\n3. Fügen Sie den kopierten Text ein (Cmd+V)\n4. Senden an: {recipient}',
+                'send.copyFailed': 'Kopieren fehlgeschlagen. Bitte markieren Sie den Text manuell und kopieren Sie ihn.',
+                'send.emlFailed': 'Die E-Mail konnte nicht heruntergeladen werden. Bitte nutzen Sie den Button "📋 Kopieren".',
+                'send.emlDownloaded': 'Die E-Mail wurde als .eml-Datei heruntergeladen.\nÖffnen Sie die Datei mit Apple Mail, Thunderbird oder Outlook, prüfen Sie den Entwurf und senden Sie ihn ab.',
+                'send.methodNotSaved': 'Die Versandart konnte nicht gespeichert werden.',
+                'send.longEmailHint': 'Die E-Mail ist sehr lang. Manche E-Mail-Programme schneiden E-Mail-Links über {max} Zeichen ab, daher wird beim Senden Kopieren oder der Download als .eml-Datei angeboten.',
+                'sendMethod.ask': '❓ Jedes Mal fragen',
+                'sendMethod.askDescription': 'Beim Senden wird die Versandart abgefragt.',
+                'sendMethod.mailto': '📧 Im E-Mail-Programm öffnen',
+                'sendMethod.mailtoDescription': 'Öffnet eine neue E-Mail in Ihrem Standard-E-Mail-Programm.',
+                'sendMethod.share': '📤 Teilen',
+                'sendMethod.shareDescription': 'Über das Teilen-Menü des Geräts senden, z. B. mit der Mail-App, Signal oder einem Messenger.',
+                'sendMethod.webmail': '🌐 In {provider} öffnen',
+                'sendMethod.webmailDescription': 'Öffnet eine neue E-Mail bei {provider} in einem neuen Tab (Anmeldung erforderlich).',
+                'sendMethod.eml': '📄 Als .eml-Datei herunterladen',
+                'sendMethod.emlDescription': 'Empfohlen für Apple Mail und Thunderbird: öffnet sich als fertiger Entwurf.',
+                'sendMethod.clipboard': '📋 In die Zwischenablage kopieren',
+                'sendMethod.clipboardDescription': 'Empfohlen für Mac: danach in Mail einfügen.',
+
+                'ics.reminder': 'Erinnerung im Kalender:',
+                'ics.none': 'Keine',
+                'ics.minutes': '{count} Minuten vorher',
+                'ics.hour': '1 Stunde vorher',
+                'ics.export': '📅 In Kalender eintragen (.ics)',
+                'ics.noPickups': 'Keine Abholtermine für den Kalender vorhanden.',
+                'ics.downloadFailed': 'Die Kalenderdatei konnte nicht erstellt werden. Bitte versuchen Sie es erneut.',
+                'ics.calendarName': 'BEB Abholzeiten',
+
+                'history.summary': '🕘 Verlauf der erstellten E-Mails',
+                'history.search': 'Suchen nach Einrichtung, Betreff, KW...',
+                'history.searchLabel': 'E-Mail-Verlauf durchsuchen',
+                'history.clear': 'Verlauf löschen',
+                'history.hint': '💡 Der Verlauf wird nur in Ihrem Browser gespeichert (pro Profil, maximal 100 E-Mails).',
+                'history.notFound': 'Keine E-Mails gefunden.',
+                'history.empty': 'Noch keine E-Mails erstellt.',
+                'history.method.mailto': 'an E-Mail-Programm übergeben',
+                'history.method.share': 'geteilt',
+                'history.method.clipboard': 'kopiert',
+                'history.method.eml': 'als .eml heruntergeladen',
+                'history.method.webmail': 'in {provider} geöffnet',
+                'history.noFormState': 'Für diese E-Mail sind keine Formulardaten gespeichert.',
+                'history.clearQuestion': 'Möchten Sie den E-Mail-Verlauf dieses Profils wirklich löschen?',
+                'history.method.sent': 'gesendet',
+                'history.sentAt': '{method} am {time}',
+                'history.createdOnly': 'nur erstellt',
+                'history.recipient': 'An: {recipient}',
+                'history.load': 'In Formular laden',
+                'history.resend': 'Erneut senden',
+
+                'backup.summary': '💾 Datensicherung',
+                'backup.export': 'Sicherung herunterladen',
+                'backup.import': 'Sicherung importieren:',
+                'backup.merge': 'Zusammenführen',
+                'backup.replace': 'Alles ersetzen',
+                'backup.apply': 'Importieren',
+                'backup.cancel': 'Abbrechen',
+                'backup.restoreMigration': '↩️ Daten vor der letzten Aktualisierung wiederherstellen',
+                'backup.restoreMigrationInfo': 'Gesichert am {time}, bevor gespeicherte Eingaben umgewandelt oder verworfen wurden.',
+                'backup.restoreMigrationTitle': 'Daten wiederherstellen',
+                'backup.restoreMigrationQuestion': 'Möchten Sie die Eingaben dieses Profils durch die Daten vom {time} ersetzen?',
+                'backup.restoreMigrationConfirm': 'Wiederherstellen',
+                'backup.restoreMigrationDone': '✅ Die Daten wurden wiederhergestellt.',
+                'backup.restoreMigrationFailed': 'Die Daten konnten nicht wiederhergestellt werden.',
+                'backup.hint': '💡 Die Sicherung enthält alle Profile, Eingaben, den E-Mail-Verlauf, eigene Vorlagen, Schließtage und Einstellungen. Bewahren Sie die Datei sicher auf.',
+                'backup.error.locked': 'Die gespeicherten Daten sind mit einer Passphrase geschützt und noch nicht entsperrt.',
+                'backup.error.invalidFile': 'Die Datei ist keine gültige Sicherungsdatei.',
+                'backup.error.otherFormat': 'Die Datei ist keine Sicherung des BEB Email Generators.',
+                'backup.error.newerVersion': 'Die Sicherung stammt aus einer neueren Version und kann nicht importiert werden.',
+                'backup.error.checksum': 'Die Prüfsumme stimmt nicht – die Datei ist beschädigt oder wurde verändert.',
+                'backup.error.incomplete': 'Die Sicherung ist unvollständig: {errors}',
+                'backup.error.mode': 'Unbekannte Importart.',
+                'backup.error.import': 'Die Sicherung konnte nicht importiert werden: {error}',
+                'backup.invalid.data': 'Daten fehlen',
+                'backup.invalid.profiles': 'Profile fehlen',
+                'backup.invalid.profileIds': 'Profil-IDs sind ungültig',
+                'backup.invalid.profileData': 'Profildaten fehlen',
+                'backup.invalid.templates': 'Vorlagen fehlen',
+                'backup.invalid.closures': 'Schließtage fehlen',
+                'backup.invalid.formData': 'Eingaben von "{name}" sind ungültig',
+                'backup.preview.newProfile': 'Neues Profil "{name}"',
+                'backup.preview.changedProfile': 'Profil "{name}": {details}',
+                'backup.preview.deletedProfile': 'Profil "{name}" wird gelöscht',
+                'backup.preview.name': 'Name "{name}"',
+                'backup.preview.formData': 'Eingaben werden ersetzt',
+                'backup.preview.history': '{count} E-Mail(s) im Verlauf',
+                'backup.preview.pattern': 'Standard-Wochenplan wird ersetzt',
+                'backup.preview.newTemplate': 'Neue Vorlage "{name}"',
+                'backup.preview.changedTemplate': 'Vorlage "{name}" wird ersetzt',
+                'backup.preview.deletedTemplate': 'Vorlage "{name}" wird gelöscht',
+                'backup.preview.closures': 'Importierte Schließtage werden aktualisiert',
+                'backup.preview.theme': 'Design: {theme}',
+                'backup.downloadFailed': 'Die Sicherung konnte nicht heruntergeladen werden.',
+                'backup.createFailed': 'Die Sicherung konnte nicht erstellt werden. {error}',
+                'backup.readFailed': 'Die Sicherungsdatei konnte nicht gelesen werden.',
+                'backup.info': 'Sicherung vom {time} (Version {version}) · Profile: {profiles}',
+                'backup.noChanges': 'Keine Änderungen – die Daten sind bereits vorhanden.',
+                'backup.replaceQuestion': 'Möchten Sie wirklich alle Daten in diesem Browser durch die Sicherung ersetzen?',
+                'backup.mergeQuestion': 'Möchten Sie die Sicherung mit den vorhandenen Daten zusammenführen?',
+                'backup.importTitle': 'Sicherung importieren',
+                'backup.imported': 'Die Sicherung wurde importiert ({count} Profil(e)). Die Seite wird neu geladen.',
+                'backup.importedTitle': 'Sicherung importiert',
+
+                'passphrase.summary': '🔐 Passphrase-Schutz',
+                'passphrase.current': 'Aktuelle Passphrase',
+                'passphrase.new': 'Neue Passphrase (mindestens 8 Zeichen)',
+                'passphrase.repeat': 'Neue Passphrase wiederholen',
+                'passphrase.enable': 'Schutz aktivieren',
+                'passphrase.change': 'Passphrase ändern',
+                'passphrase.disable': 'Schutz aufheben',
+                'passphrase.hint': '💡 Eingaben, E-Mail-Verlauf und Standard-Wochenpläne werden mit einem Schlüssel aus Ihrer Passphrase verschlüsselt (AES-GCM). Die Passphrase wird nicht gespeichert – ohne sie lassen sich die Daten nicht wiederherstellen.',
+                'passphrase.error.unsupported': 'Die Verschlüsselung wird in diesem Browser nicht unterstützt.',
+                'passphrase.error.enabled': 'Der Passphrase-Schutz ist bereits aktiv.',
+                'passphrase.error.wrong': 'Die Passphrase ist nicht korrekt.',
+                'passphrase.error.disabled': 'Der Passphrase-Schutz ist nicht aktiv.',
+                'passphrase.error.tooShort': 'Die Passphrase muss mindestens {count} Zeichen lang sein.',
+                'passphrase.status.locked': 'Die geschützten Daten sind gesperrt. Laden Sie die Seite neu, um sie mit Ihrer Passphrase zu entsperren.',
+                'passphrase.status.enabled': 'Eingaben und E-Mail-Verlauf sind mit Ihrer Passphrase verschlüsselt.',
+                'passphrase.status.disabled': 'Eingaben und E-Mail-Verlauf werden unverschlüsselt in diesem Browser gespeichert.',
+                'passphrase.mismatch': 'Die Passphrasen stimmen nicht überein.',
+                'passphrase.enabled': 'Der Passphrase-Schutz ist aktiv. Beim nächsten Öffnen wird die Passphrase abgefragt.',
+                'passphrase.changed': 'Die Passphrase wurde geändert.',
+                'passphrase.disableQuestion': 'Möchten Sie den Passphrase-Schutz aufheben? Die Daten werden danach unverschlüsselt gespeichert.',
+                'passphrase.disableTitle': 'Passphrase-Schutz aufheben',
+                'passphrase.disabled': 'Der Passphrase-Schutz wurde aufgehoben.',
+
+                'validation.emailValid': '✓ Gültige E-Mail-Adresse',
+                'validation.emailInvalid': '⚠ Ungültige E-Mail-Adresse',
+                'validation.required': 'Bitte geben Sie {field} ein.',
+                'validation.time': 'Ungültige Abholzeit für {day}. Bitte wählen Sie eine Zeit zwischen {start}:00 und {end}:00 Uhr.',
+                'validation.parentName': 'Bitte geben Sie Ihren Namen ein.',
+                'validation.childNames': 'Bitte geben Sie die Namen der Kinder ein.',
+                'validation.facility': 'Bitte wählen Sie eine Betreuungseinrichtung aus.',
+                'validation.parentEmail': 'Bitte geben Sie eine gültige E-Mail-Adresse ein oder lassen Sie das Feld leer.',
+                'validation.absenceFrom': 'Bitte geben Sie an, ab wann die Abwesenheit gilt.',
+                'validation.absenceOrder': 'Das Ende der Abwesenheit liegt vor dem Beginn.',
+                'validation.pickupPerson': 'Bitte geben Sie an, wer die Kinder abholt.',
+                'validation.noDays': 'Bitte wählen Sie mindestens einen Tag für die Abholung aus.',
+                'validation.noOpenDays': 'Alle ausgewählten Tage fallen auf Ferien, Feiertage oder Schließtage. Bitte wählen Sie einen anderen Tag oder eine andere Woche aus.',
+
+                'theme.light': 'Hell',
+                'theme.dark': 'Dunkel',
+                'theme.auto': 'System',
+                'theme.label.light': 'Theme: Hell',
+                'theme.label.dark': 'Theme: Dunkel',
+                'theme.label.auto': 'Theme: System',
+                'theme.title.light': 'Aktuelles Theme: Hell. Klicken zum Wechseln.',
+                'theme.title.dark': 'Aktuelles Theme: Dunkel. Klicken zum Wechseln.',
+                'theme.title.auto': 'Aktuelles Theme: System. Klicken zum Wechseln.',
+
+                'dialog.alertTitle': 'Hinweis',
+                'dialog.confirmTitle': 'Bitte bestätigen',
+                'dialog.promptTitle': 'Eingabe',
+                'dialog.chooseTitle': 'Bitte wählen',
+                'dialog.ok': 'OK',
+                'dialog.cancel': 'Abbrechen',
+                'dialog.closeMessage': 'Meldung schließen',
+
+                'security.invalidInput': 'Ungültige Daten erkannt. Bitte überprüfen Sie Ihre Eingabe.',
+
+                'batch.summary': '📨 {count} E-Mails – eine pro Betreuungseinrichtung. Bitte senden Sie jede E-Mail einzeln.',
+
+                'calendar.week': 'KW {week}/{year}',
+                'calendar.weekRange': 'KW {firstWeek}–{lastWeek}/{year}',
+                'calendar.weekRangeYears': 'KW {firstWeek}/{firstYear}–{lastWeek}/{lastYear}',
+                'calendar.atTime': 'um {time} Uhr',
+                'calendar.time': '{time} Uhr',
+                'calendar.pickup': 'Abholung',
+                'calendar.pickupBy': 'Abholung durch {person}',
+                'calendar.allChildren': 'Alle Kinder',
+                'calendar.allChildrenInline': 'alle Kinder',
+                'calendar.invalidWeek': 'Ungültige Kalenderwoche: KW {week}/{year}',
+
+                'email.to': 'An:',
+                'email.cc': 'CC:',
+                'email.subject': 'Betreff:',
+                'email.period': 'vom {from} bis {to}',
+                'email.day': 'am {date}',
+                'email.error.noWeeks': 'Bitte wählen Sie mindestens eine Woche aus.',
+                'email.error.noEmail': 'Bitte erstellen Sie zuerst eine E-Mail.',
+                'email.error.noContent': 'Keine E-Mail-Inhalte zum Kopieren verfügbar.',
+                'email.error.childFacility': 'Bitte wählen Sie eine Betreuungseinrichtung für {name} aus.',
+                'email.error.provider': 'Unbekannter E-Mail-Anbieter.',
+                'email.error.sendMethod': 'Unbekannte Versandart.',
+                'email.error.generate': 'Ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.',
+                'email.error.copy': 'Kopieren fehlgeschlagen. Bitte versuchen Sie es erneut.',
+
+                'greeting.neutral': 'Hallo,',
+                'greeting.formal': 'Guten Tag {names},',
+                'greeting.formalSalutation': '{names},',
+                'greeting.salutation.frau': 'liebe Frau {name}',
+                'greeting.salutation.herr': 'lieber Herr {name}',
+                'greeting.informal': 'Hallo {names},',
+                'greeting.team.formal': 'Sehr geehrte Damen und Herren,',
+                'greeting.team.informal': 'Hallo zusammen,',
+                'greeting.and': 'und',
+
+                'placeholder.kinder': 'Namen der Kinder',
+                'placeholder.klasse': 'Klasse (optional)',
+                'placeholder.kw': 'Kalenderwoche, z.B. KW 44/2026',
+                'placeholder.abholliste': 'Liste der Abholtage und -zeiten',
+                'placeholder.notizen': 'Zusätzliche Notizen (optional)',
+                'placeholder.elternname': 'Ihr Name',
+                'placeholder.einrichtung': 'Name der Betreuungseinrichtung',
+                'placeholder.leitung': 'Name der Einrichtungsleitung',
+                'placeholder.zeitraum': 'Abwesenheitszeitraum, z.B. "am 2. November 2026"',
+                'placeholder.von': 'Erster Tag der Abwesenheit',
+                'placeholder.bis': 'Letzter Tag der Abwesenheit',
+                'placeholder.abholperson': 'Name der abholenden Person',
+                'placeholder.anrede': 'Anrede, z.B. "Guten Tag Anja Rathjen," (siehe Auswahl "Anrede")',
+
+                'template.closing': '{{#notizen}}Zusätzliche Notizen:\n{{notizen}}\n\n{{/notizen}}' +
+                    'Vielen Dank!\n\n' +
+                    'Mit freundlichen Grüßen\n' +
+                    '{{elternname}}',
+                'template.childInfo': '{{kinder}}{{#klasse}} (Klasse: {{klasse}}){{/klasse}}',
+                'template.wochenplan.name': 'Wöchentliche Abholzeiten',
+                'template.wochenplan.subject': 'Abholzeiten für {{kinder}} - {{kw}}',
+                'template.wochenplan.body': '{{anrede}}\n\n' +
+                    'hiermit teile ich Ihnen die Abholzeiten für {childInfo} für {{kw}} mit:\n\n' +
+                    '{{abholliste}}\n\n' +
+                    '{closing}',
+                'template.krankmeldung.name': 'Krankmeldung',
+                'template.krankmeldung.subject': 'Krankmeldung {{kinder}} - {{zeitraum}}',
+                'template.krankmeldung.body': '{{anrede}}\n\n' +
+                    'hiermit melde ich {childInfo} {{zeitraum}} krankheitsbedingt von der Betreuung ab.\n\n' +
+                    '{closing}',
+                'template.urlaub.name': 'Urlaubsabwesenheit',
+                'template.urlaub.subject': 'Abwesenheit {{kinder}} - {{zeitraum}}',
+                'template.urlaub.body': '{{anrede}}\n\n' +
+                    'hiermit melde ich {childInfo} {{zeitraum}} wegen unseres Urlaubs von der Betreuung ab.\n\n' +
+                    '{closing}',
+                'template.aenderung.name': 'Einmalige Änderung',
+                'template.aenderung.subject': 'Geänderte Abholzeit für {{kinder}} - {{kw}}',
+                'template.aenderung.body': '{{anrede}}\n\n' +
+                    'abweichend von den bisherigen Absprachen gelten für {childInfo} einmalig folgende Abholzeiten:\n\n' +
+                    '{{abholliste}}\n\n' +
+                    'Alle anderen Abholzeiten bleiben unverändert.\n\n' +
+                    '{closing}',
+                'template.abholperson.name': 'Abholung durch andere Person',
+                'template.abholperson.subject': 'Abholung von {{kinder}} durch {{abholperson}} - {{kw}}',
+                'template.abholperson.body': '{{anrede}}\n\n' +
+                    'hiermit teile ich Ihnen mit, dass {{abholperson}} {childInfo} an folgenden Tagen abholt:\n\n' +
+                    '{{abholliste}}\n\n' +
+                    'Ich bin damit einverstanden, dass {{abholperson}} die Abholung übernimmt.\n\n' +
+                    '{closing}'
+            },
+            en: {
+                'app.documentTitle': 'BEB Norderstedt - Pickup Times Email Tool v1.2.0',
+                'app.title': '📧 BEB Norderstedt - Pickup Times Email',
+                'app.unexpectedError': 'An unexpected error occurred.',
+                'app.userError': 'Error: {message}\n\nPlease try again or reload the page.',
+                'app.initError.title': 'Initialization error',
+                'app.initError.text': 'The application could not be started.',
+                'app.initError.error': 'Error:',
+                'app.initError.reload': 'Reload page',
+                'app.clearData.question': 'Do you really want to delete all saved data?',
+                'app.clearData.title': 'Delete data',
+                'app.clearData.confirm': 'Delete',
+                'app.clearData.failed': 'The data could not be deleted.',
+                'info.label': 'Info:',
+                'info.before': 'This tool automatically creates an email to the right',
+                'info.link': 'BEB care facility',
+                'info.after': 'with the pickup times of your children.',
+                'autosave.indicator': '💾 Saved automatically',
+
+                'unlock.title': '🔐 Unlock data',
+                'unlock.text': 'Your entries and the email history are protected by a passphrase.',
+                'unlock.passphrase': 'Passphrase',
+                'unlock.unlock': 'Unlock',
+                'unlock.skip': 'Continue without saved data',
+                'unlock.reset': 'Forgot passphrase',
+                'unlock.resetQuestion': 'Without the passphrase the protected data cannot be restored. Do you want to delete all entries, the email history and the default weekly schedules and start over?',
+                'unlock.resetConfirm': 'Delete data',
+
+                'profile.label': '👤 Profile:',
+                'profile.new': 'New',
+                'profile.rename': 'Rename',
+                'profile.delete': 'Delete',
+                'profile.error.notFound': 'The profile was not found.',
+                'profile.error.last': 'The last profile cannot be deleted.',
+                'profile.error.invalidId': 'Invalid profile id: {id}',
+                'profile.error.nameMissing': 'Please enter a name for the profile.',
+                'profile.error.nameTaken': 'A profile with this name already exists.',
+                'profile.createQuestion': 'Name of the new profile (e.g. Mum, Dad, Grandma):',
+                'profile.createTitle': 'New profile',
+                'profile.createConfirm': 'Create',
+                'profile.renameQuestion': 'New name of the profile:',
+                'profile.renameTitle': 'Rename profile',
+                'profile.deleteQuestion': 'Do you want to delete the profile "{name}" with all saved entries?',
+                'profile.deleteTitle': 'Delete profile',
+
+                'language.ui': '🌐 Language:',
+                'language.email': 'Email language:',
+                'language.unknown': 'Unknown language: {language}',
+
+                'privacy.label': '🕶️ Private mode (for shared computers)',
+                'privacy.title': 'Private mode',
+                'privacy.question': 'In private mode all data is only kept in this tab and deleted when you leave the page or after {minutes} minutes without input. Do you want to turn on private mode?',
+                'privacy.enable': 'Turn on',
+                'privacy.info': 'Data is only kept in this tab and deleted when you leave the page or after {minutes} minutes without input.',
+                'privacy.cleared': 'The form was cleared after {minutes} minutes without input.',
+
+                'template.type': 'Type of email:',
+                'greeting.label': 'Greeting:',
+                'greeting.style.neutral': '"Hello," without names',
+                'greeting.style.formal': 'Formal with the name of the manager',
+                'greeting.style.informal': 'Informal with the first name of the manager',
+                'greeting.hint': '💡 e.g. "Dear Anja Rathjen," or "Hello Jana and Jan," – the head office gets "Dear Sir or Madam,"',
+                'template.customName': '{name} (custom template)',
+                'editor.summary': '✏️ Edit custom templates',
+                'editor.template': 'Template:',
+                'editor.newTemplate': 'New template',
+                'editor.name': 'Template name:',
+                'editor.namePlaceholder': 'e.g. Pickup times (informal)',
+                'editor.subject': 'Subject:',
+                'editor.body': 'Text:',
+                'editor.bodyPlaceholder': 'Dear OGGS team, ...',
+                'editor.save': '💾 Save template',
+                'editor.delete': '🗑️ Delete template',
+                'editor.error.name': 'Please give the template a name.',
+                'editor.error.subject': 'Please enter a subject.',
+                'editor.error.body': 'Please enter an email text.',
+                'editor.error.placeholders': 'Unknown placeholders: {placeholders}',
+                'editor.error.sections': 'Unclosed sections: {sections}',
+                'editor.deleteQuestion': 'Do you really want to delete the template "{name}"?',
+                'editor.deleteTitle': 'Delete template',
+
+                'form.parentName': 'Your name:',
+                'form.parentNamePlaceholder': 'Jane Doe',
+                'form.parentEmail': 'Your email (optional - for a copy to you):',
+                'form.parentEmailPlaceholder': 'jane.doe@email.com',
+                'form.parentEmailHint': '💡 If you enter your email, you automatically receive a copy (CC)',
+                'form.facility': 'Select BEB care facility:',
+                'form.facilityPlaceholder': '-- Please select the care facility of your child --',
+                'form.notes': 'Additional notes (optional):',
+                'form.notesPlaceholder': 'e.g. special instructions or changes...',
+                'form.facilityLeader': 'Manager: {name}',
+
+                'closures.summary': '🏫 Import closure days from a calendar file (.ics)',
+                'closures.facility': 'Facility of the closure days',
+                'closures.clear': 'Delete imported closure days',
+                'closures.hint': '💡 The file is only read in your browser. Closure days are marked in the weekly schedule and are not included in the email.',
+                'closures.noFacility': 'Please select a care facility first.',
+                'closures.noEvents': 'The file contains no events.',
+                'closures.defaultName': 'Closure day',
+                'closures.dayClosed': 'Closed: {name} – this day is not included in the email',
+                'closures.facilityPlaceholder': '-- Select facility --',
+                'closures.readFailed': 'The calendar file could not be read.',
+                'closures.clearQuestion': 'Do you want to delete the imported closure days of this facility?',
+                'closures.clearTitle': 'Delete closure days',
+                'closures.range': '{start} to {end}: {name}',
+
+                'children.label': 'Children (name and class, optional):',
+                'children.add': '➕ Add child',
+                'children.perChild': 'Different pickup times per child',
+                'children.hint': '💡 For siblings with different times (e.g. a club on Tuesday) each child gets its own pickup times',
+                'children.child': 'Child {number}',
+                'children.namePlaceholder': 'Name',
+                'children.nameLabel': 'Name of child {number}',
+                'children.classPlaceholder': 'Class',
+                'children.classLabel': 'Class of child {number}',
+                'children.facilityLabel': 'Care facility of child {number}',
+                'children.facilityDefault': 'Facility as above',
+                'children.remove': 'Remove child',
+
+                'absence.label': 'Period of absence:',
+                'absence.from': 'Absent from',
+                'absence.until': 'to',
+                'absence.to': 'Absent until (optional)',
+                'absence.hint': '💡 For a single day only fill in the first date',
+                'pickupPerson.label': 'Person picking up:',
+                'pickupPerson.placeholder': 'e.g. Grandma Helga Doe',
+
+                'week.label': 'Select week:',
+                'week.current': 'This week',
+                'week.next': 'Next week',
+                'week.picker': 'Select calendar week',
+                'week.pickerTitle': 'Select another calendar week',
+                'week.count': 'Period:',
+                'week.one': '1 week',
+                'week.many': '{count} weeks',
+                'week.hint': '💡 With several weeks each week gets its own pickup times – all in one email',
+
+                'schedule.title': '📅 Set pickup times:',
+                'schedule.setAllTime': 'Set all times at once (optional):',
+                'schedule.set': 'Set',
+                'schedule.selectAllDays': 'Select all weekdays at once (optional):',
+                'schedule.selectAll': 'Select all',
+                'schedule.deselectAll': 'Deselect all',
+                'schedule.copyLastWeekLabel': 'Use the pickup times of the previous week (optional):',
+                'schedule.copyLastWeek': '🔁 Same as last week',
+                'schedule.timeLabel': 'Pickup time {day}',
+                'schedule.pickupPerson': 'Pickup person (optional)',
+                'schedule.pickupPersonLabel': 'Pickup person {day}',
+                'schedule.note': 'Note (optional)',
+                'schedule.noteLabel': 'Note {day}',
+                'schedule.noTime': 'Please select a time first.',
+                'schedule.copyLastWeekNotFound': 'No pickup times were found for {week}.',
+                'schedule.copyLastWeekDone': '{count} pickup day(s) taken from {week}.',
+                'schedule.copyLastWeekClosed': 'The facility is closed on these days in the selected week, they are not taken over:',
+
+                'pattern.summary': '📌 Default weekly schedule with exceptions',
+                'pattern.save': 'Save current selection as default',
+                'pattern.apply': 'Apply default',
+                'pattern.clear': 'Delete default',
+                'pattern.autoApply': 'Automatically apply the default to every selected week',
+                'pattern.exception': 'Exception for one day:',
+                'pattern.exceptionTime': 'Different time (empty = no pickup)',
+                'pattern.exceptionNote': 'Reason for the exception',
+                'pattern.exceptionNotePlaceholder': 'e.g. doctor\'s appointment',
+                'pattern.exceptionChild': 'Child of the exception',
+                'pattern.add': 'Add',
+                'pattern.none': 'No default saved yet. Select days and times and save them as default.',
+                'pattern.noPickup': 'no pickup',
+                'pattern.hint': '💡 Without a time there is no pickup on that day. For a different time the reason is included in the email.',
+                'pattern.removeException': 'Remove exception',
+                'pattern.noDays': 'Please select at least one day with a time first.',
+                'pattern.noExceptionDate': 'Please select a date for the exception.',
+                'pattern.clearQuestion': 'Do you want to delete the default weekly schedule with all exceptions?',
+                'pattern.clearTitle': 'Delete default weekly schedule',
+
+                'day.monday': 'Monday',
+                'day.tuesday': 'Tuesday',
+                'day.wednesday': 'Wednesday',
+                'day.thursday': 'Thursday',
+                'day.friday': 'Friday',
+                'day.saturday': 'Saturday',
+                'day.sunday': 'Sunday',
+
+                'actions.generate': '📝 Create email',
+                'actions.send': '📧 Send email',
+                'actions.copy': '📋 Copy',
+                'actions.eml': '📄 Download as .eml',
+                'actions.emlTitle': 'As draft for Apple Mail, Thunderbird or Outlook',
+                'actions.copied': '✅ Email was copied to the clipboard!',
+                'actions.delete': 'Delete',
+                'output.placeholder': 'Click "Create email" to generate a message...',
+
+                'send.label': 'Send via:',
+                'send.shareIcs': 'Attach calendar file (.ics) when sharing',
+                'send.question': 'How would you like to send the email?',
+                'send.title': 'Send email',
+                'send.shareNoFiles': 'This device cannot share files. The email is shared without attachment.',
+                'send.shareFailed': 'Sharing is not possible. The email is opened in the email program instead.',
+                'send.longEmail': 'The email is too long for an email link ({length} characters, at most {max} are recommended). Some email programs, e.g. Outlook on Windows, would cut off the text.',
+                'send.longEmailQuestion': 'How would you like to send the email instead?',
+                'send.longEmailTitle': 'Email too long',
+                'send.longEmailMailto': '📧 Open in the email program anyway',
+                'send.longEmailMailtoDescription': 'The text may not arrive completely.',
+                'send.webmailBlocked': '{provider} could not be opened (pop-up blocked?). The email is copied instead.',
+                'send.webmailOpened': '{provider} opens in a new tab.\nPlease check and send the email there.',
+                'send.mailtoOpened': 'The email program is opening.\nIf nothing happens, use the "📋 Copy" button.',
+                'send.mailtoFailed': 'The email program could not be opened automatically.\n\nAlternatives:\n1. Use the "📋 Copy" button and paste the text into your email program\n2. Or open your email program yourself and create a new email\n\nThe email should be sent to:\n{recipient}',
+                'send.recipientFallback': 'email address',
+                'send.copySteps': 'Next steps:\n1. Open your email program (Mail, Outlook, Gmail, etc.)\n2. Create a new email\n3. Paste the copied text (Cmd+V)\n4. Send to: {recipient}',
+                'send.copyFailed': 'Copying failed. Please select the text and copy it yourself.',
+                'send.emlFailed': 'The email could not be downloaded. Please use the "📋 Copy" button.',
+                'send.emlDownloaded': 'The email was downloaded as .eml file.\nOpen the file with Apple Mail, Thunderbird or Outlook, check the draft and send it.',
+                'send.methodNotSaved': 'The sending method could not be saved.',
+                'send.longEmailHint': 'The email is very long. Some email programs cut off email links over {max} characters, so copying or downloading an .eml file is offered when sending.',
+                'sendMethod.ask': '❓ Ask every time',
+                'sendMethod.askDescription': 'You are asked how to send the email.',
+                'sendMethod.mailto': '📧 Open in email program',
+                'sendMethod.mailtoDescription': 'Opens a new email in your default email program.',
+                'sendMethod.share': '📤 Share',
+                'sendMethod.shareDescription': 'Send via the share menu of your device, e.g. with the mail app, Signal or a messenger.',
+                'sendMethod.webmail': '🌐 Open in {provider}',
+                'sendMethod.webmailDescription': 'Opens a new email at {provider} in a new tab (login required).',
+                'sendMethod.eml': '📄 Download as .eml file',
+                'sendMethod.emlDescription': 'Recommended for Apple Mail and Thunderbird: opens as a ready draft.',
+                'sendMethod.clipboard': '📋 Copy to clipboard',
+                'sendMethod.clipboardDescription': 'Recommended for Mac: then paste into Mail.',
+
+                'ics.reminder': 'Calendar reminder:',
+                'ics.none': 'None',
+                'ics.minutes': '{count} minutes before',
+                'ics.hour': '1 hour before',
+                'ics.export': '📅 Add to calendar (.ics)',
+                'ics.noPickups': 'There are no pickups for the calendar.',
+                'ics.downloadFailed': 'The calendar file could not be created. Please try again.',
+                'ics.calendarName': 'BEB pickup times',
+
+                'history.summary': '🕘 History of created emails',
+                'history.search': 'Search by facility, subject, week...',
+                'history.searchLabel': 'Search email history',
+                'history.clear': 'Clear history',
+                'history.hint': '💡 The history is only stored in your browser (per profile, at most 100 emails).',
+                'history.notFound': 'No emails found.',
+                'history.empty': 'No emails created yet.',
+                'history.method.mailto': 'passed to the email program',
+                'history.method.share': 'shared',
+                'history.method.clipboard': 'copied',
+                'history.method.eml': 'downloaded as .eml',
+                'history.method.webmail': 'opened in {provider}',
+                'history.noFormState': 'No form data is saved for this email.',
+                'history.clearQuestion': 'Do you really want to delete the email history of this profile?',
+                'history.method.sent': 'sent',
+                'history.sentAt': '{method} on {time}',
+                'history.createdOnly': 'only created',
+                'history.recipient': 'To: {recipient}',
+                'history.load': 'Load into form',
+                'history.resend': 'Send again',
+
+                'backup.summary': '💾 Backup',
+                'backup.export': 'Download backup',
+                'backup.import': 'Import backup:',
+                'backup.merge': 'Merge',
+                'backup.replace': 'Replace everything',
+                'backup.apply': 'Import',
+                'backup.cancel': 'Cancel',
+                'backup.restoreMigration': '↩️ Restore the data from before the last update',
+                'backup.restoreMigrationInfo': 'Saved on {time}, before saved entries were converted or discarded.',
+                'backup.restoreMigrationTitle': 'Restore data',
+                'backup.restoreMigrationQuestion': 'Do you want to replace the entries of this profile with the data from {time}?',
+                'backup.restoreMigrationConfirm': 'Restore',
+                'backup.restoreMigrationDone': '✅ The data was restored.',
+                'backup.restoreMigrationFailed': 'The data could not be restored.',
+                'backup.hint': '💡 The backup contains all profiles, entries, the email history, custom templates, closure days and settings. Keep the file in a safe place.',
+                'backup.error.locked': 'The saved data is protected by a passphrase and not unlocked yet.',
+                'backup.error.invalidFile': 'The file is not a valid backup file.',
+                'backup.error.otherFormat': 'The file is not a backup of the BEB Email Generator.',
+                'backup.error.newerVersion': 'The backup comes from a newer version and cannot be imported.',
+                'backup.error.checksum': 'The checksum does not match – the file is damaged or was changed.',
+                'backup.error.incomplete': 'The backup is incomplete: {errors}',
+                'backup.error.mode': 'Unknown import mode.',
+                'backup.error.import': 'The backup could not be imported: {error}',
+                'backup.invalid.data': 'data is missing',
+                'backup.invalid.profiles': 'profiles are missing',
+                'backup.invalid.profileIds': 'profile ids are invalid',
+                'backup.invalid.profileData': 'profile data is missing',
+                'backup.invalid.templates': 'templates are missing',
+                'backup.invalid.closures': 'closure days are missing',
+                'backup.invalid.formData': 'entries of "{name}" are invalid',
+                'backup.preview.newProfile': 'New profile "{name}"',
+                'backup.preview.changedProfile': 'Profile "{name}": {details}',
+                'backup.preview.deletedProfile': 'Profile "{name}" is deleted',
+                'backup.preview.name': 'name "{name}"',
+                'backup.preview.formData': 'entries are replaced',
+                'backup.preview.history': '{count} email(s) in the history',
+                'backup.preview.pattern': 'default weekly schedule is replaced',
+                'backup.preview.newTemplate': 'New template "{name}"',
+                'backup.preview.changedTemplate': 'Template "{name}" is replaced',
+                'backup.preview.deletedTemplate': 'Template "{name}" is deleted',
+                'backup.preview.closures': 'Imported closure days are updated',
+                'backup.preview.theme': 'Design: {theme}',
+                'backup.downloadFailed': 'The backup could not be downloaded.',
+                'backup.createFailed': 'The backup could not be created. {error}',
+                'backup.readFailed': 'The backup file could not be read.',
+                'backup.info': 'Backup of {time} (version {version}) · Profiles: {profiles}',
+                'backup.noChanges': 'No changes – the data already exists.',
+                'backup.replaceQuestion': 'Do you really want to replace all data in this browser with the backup?',
+                'backup.mergeQuestion': 'Do you want to merge the backup with the existing data?',
+                'backup.importTitle': 'Import backup',
+                'backup.imported': 'The backup was imported ({count} profile(s)). The page is reloaded.',
+                'backup.importedTitle': 'Backup imported',
+
+                'passphrase.summary': '🔐 Passphrase protection',
+                'passphrase.current': 'Current passphrase',
+                'passphrase.new': 'New passphrase (at least 8 characters)',
+                'passphrase.repeat': 'Repeat new passphrase',
+                'passphrase.enable': 'Enable protection',
+                'passphrase.change': 'Change passphrase',
+                'passphrase.disable': 'Remove protection',
+                'passphrase.hint': '💡 Entries, email history and default weekly schedules are encrypted with a key derived from your passphrase (AES-GCM). The passphrase is not stored – without it the data cannot be recovered.',
+                'passphrase.error.unsupported': 'Encryption is not supported in this browser.',
+                'passphrase.error.enabled': 'Passphrase protection is already enabled.',
+                'passphrase.error.wrong': 'The passphrase is not correct.',
+                'passphrase.error.disabled': 'Passphrase protection is not enabled.',
+                'passphrase.error.tooShort': 'The passphrase must be at least {count} characters long.',
+                'passphrase.status.locked': 'The protected data is locked. Reload the page to unlock it with your passphrase.',
+                'passphrase.status.enabled': 'Entries and email history are encrypted with your passphrase.',
+                'passphrase.status.disabled': 'Entries and email history are stored unencrypted in this browser.',
+                'passphrase.mismatch': 'The passphrases do not match.',
+                'passphrase.enabled': 'The passphrase protection is active. The passphrase is asked for the next time you open the page.',
+                'passphrase.changed': 'The passphrase was changed.',
+                'passphrase.disableQuestion': 'Do you want to remove the passphrase protection? The data is stored unencrypted afterwards.',
+                'passphrase.disableTitle': 'Remove passphrase protection',
+                'passphrase.disabled': 'The passphrase protection was removed.',
+
+                'validation.emailValid': '✓ Valid email address',
+                'validation.emailInvalid': '⚠ Invalid email address',
+                'validation.required': 'Please enter {field}.',
+                'validation.time': 'Invalid pickup time for {day}. Please choose a time between {start}:00 and {end}:00.',
+                'validation.parentName': 'Please enter your name.',
+                'validation.childNames': 'Please enter the names of the children.',
+                'validation.facility': 'Please select a care facility.',
+                'validation.parentEmail': 'Please enter a valid email address or leave the field empty.',
+                'validation.absenceFrom': 'Please enter when the absence starts.',
+                'validation.absenceOrder': 'The end of the absence is before its start.',
+                'validation.pickupPerson': 'Please enter who picks up the children.',
+                'validation.noDays': 'Please select at least one day for the pickup.',
+                'validation.noOpenDays': 'All selected days are school holidays, public holidays or closure days. Please select another day or week.',
+
+                'theme.light': 'Light',
+                'theme.dark': 'Dark',
+                'theme.auto': 'System',
+                'theme.label.light': 'Theme: Light',
+                'theme.label.dark': 'Theme: Dark',
+                'theme.label.auto': 'Theme: System',
+                'theme.title.light': 'Current theme: Light. Click to switch.',
+                'theme.title.dark': 'Current theme: Dark. Click to switch.',
+                'theme.title.auto': 'Current theme: System. Click to switch.',
+
+                'dialog.alertTitle': 'Note',
+                'dialog.confirmTitle': 'Please confirm',
+                'dialog.promptTitle': 'Input',
+                'dialog.chooseTitle': 'Please choose',
+                'dialog.ok': 'OK',
+                'dialog.cancel': 'Cancel',
+                'dialog.closeMessage': 'Close message',
+
+                'security.invalidInput': 'Invalid data detected. Please check your input.',
+
+                'batch.summary': '📨 {count} emails – one per care facility. Please send each email separately.',
+
+                'calendar.week': 'Week {week}/{year}',
+                'calendar.weekRange': 'Weeks {firstWeek}–{lastWeek}/{year}',
+                'calendar.weekRangeYears': 'Weeks {firstWeek}/{firstYear}–{lastWeek}/{lastYear}',
+                'calendar.atTime': 'at {time}',
+                'calendar.time': '{time}',
+                'calendar.pickup': 'Pickup',
+                'calendar.pickupBy': 'pickup by {person}',
+                'calendar.allChildren': 'All children',
+                'calendar.allChildrenInline': 'all children',
+                'calendar.invalidWeek': 'Invalid calendar week: week {week}/{year}',
+
+                'email.to': 'To:',
+                'email.cc': 'CC:',
+                'email.subject': 'Subject:',
+                'email.period': 'from {from} to {to}',
+                'email.day': 'on {date}',
+                'email.error.noWeeks': 'Please select at least one week.',
+                'email.error.noEmail': 'Please create an email first.',
+                'email.error.noContent': 'There is no email content to copy.',
+                'email.error.childFacility': 'Please select a care facility for {name}.',
+                'email.error.provider': 'Unknown email provider.',
+                'email.error.sendMethod': 'Unknown send method.',
+                'email.error.generate': 'An error occurred. Please try again.',
+                'email.error.copy': 'Copying failed. Please try again.',
+
+                'greeting.neutral': 'Hello,',
+                'greeting.formal': 'Dear {names},',
+                'greeting.formalSalutation': 'Dear {names},',
+                'greeting.salutation.frau': 'Ms {name}',
+                'greeting.salutation.herr': 'Mr {name}',
+                'greeting.informal': 'Hello {names},',
+                'greeting.team.formal': 'Dear Sir or Madam,',
+                'greeting.team.informal': 'Hello everyone,',
+                'greeting.and': 'and',
+
+                'placeholder.kinder': 'Names of the children',
+                'placeholder.klasse': 'Class (optional)',
+                'placeholder.kw': 'Calendar week, e.g. Week 44/2026',
+                'placeholder.abholliste': 'List of pickup days and times',
+                'placeholder.notizen': 'Additional notes (optional)',
+                'placeholder.elternname': 'Your name',
+                'placeholder.einrichtung': 'Name of the care facility',
+                'placeholder.leitung': 'Name of the facility manager',
+                'placeholder.zeitraum': 'Period of absence, e.g. "on 2 November 2026"',
+                'placeholder.von': 'First day of absence',
+                'placeholder.bis': 'Last day of absence',
+                'placeholder.abholperson': 'Name of the person picking up',
+                'placeholder.anrede': 'Greeting, e.g. "Dear Anja Rathjen," (see the "Greeting" choice)',
+
+                'template.closing': '{{#notizen}}Additional notes:\n{{notizen}}\n\n{{/notizen}}' +
+                    'Thank you very much!\n\n' +
+                    'Kind regards\n' +
+                    '{{elternname}}',
+                'template.childInfo': '{{kinder}}{{#klasse}} (class: {{klasse}}){{/klasse}}',
+                'template.wochenplan.name': 'Weekly pickup times',
+                'template.wochenplan.subject': 'Pickup times for {{kinder}} - {{kw}}',
+                'template.wochenplan.body': '{{anrede}}\n\n' +
+                    'please find below the pickup times for {childInfo} for {{kw}}:\n\n' +
+                    '{{abholliste}}\n\n' +
+                    '{closing}',
+                'template.krankmeldung.name': 'Sick note',
+                'template.krankmeldung.subject': 'Sick note {{kinder}} - {{zeitraum}}',
+                'template.krankmeldung.body': '{{anrede}}\n\n' +
+                    '{childInfo} will not attend care {{zeitraum}} due to illness.\n\n' +
+                    '{closing}',
+                'template.urlaub.name': 'Holiday absence',
+                'template.urlaub.subject': 'Absence {{kinder}} - {{zeitraum}}',
+                'template.urlaub.body': '{{anrede}}\n\n' +
+                    '{childInfo} will not attend care {{zeitraum}} as we are on holiday.\n\n' +
+                    '{closing}',
+                'template.aenderung.name': 'One-time change',
+                'template.aenderung.subject': 'Changed pickup time for {{kinder}} - {{kw}}',
+                'template.aenderung.body': '{{anrede}}\n\n' +
+                    'as a one-time exception to our usual arrangement, the following pickup times apply to {childInfo}:\n\n' +
+                    '{{abholliste}}\n\n' +
+                    'All other pickup times remain unchanged.\n\n' +
+                    '{closing}',
+                'template.abholperson.name': 'Pickup by another person',
+                'template.abholperson.subject': 'Pickup of {{kinder}} by {{abholperson}} - {{kw}}',
+                'template.abholperson.body': '{{anrede}}\n\n' +
+                    'I would like to let you know that {{abholperson}} will pick up {childInfo} on the following days:\n\n' +
+                    '{{abholliste}}\n\n' +
+                    'I agree that {{abholperson}} takes over the pickup.\n\n' +
+                    '{closing}'
+            }
+        };
+
+        this.loadSettings();
+    }
+
+    /**
+     * Use a storage manager for the chosen languages and load them
+     * The app creates the translations before the storage, so storage errors can be translated too.
+     * @param {StorageManager} storageManager - Storage manager
+     */
+    setStorage(storageManager) {
+        this.storage = storageManager;
+        this.loadSettings();
+    }
+
+    /**
+     * Translate a message
+     * Missing messages fall back to German, unknown keys are returned unchanged.
+     * @param {string} key - Message key, e.g. 'week.current'
+     * @param {Object} params - Values for {name} parameters (optional)
+     * @param {string} language - Language code (default: UI language)
+     * @returns {string} Translated message
+     */
+    t(key, params = {}, language = this.uiLanguage) {
+        const catalog = this.messages[language] || this.messages[this.DEFAULT_LANGUAGE];
+        const message = catalog[key] ?? this.messages[this.DEFAULT_LANGUAGE][key] ?? key;
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match;
+        });
+    }
+
+    /**
+     * Get the supported languages
+     * @returns {Array<Object>} List of { code, name, locale }
+     */
+    getLanguages() {
+        return Object.entries(this.LANGUAGES).map(([code, language]) => ({ code, ...language }));
+    }
+
+    /**
+     * Check whether a language is supported
+     * @param {string} language - Language code
+     * @returns {boolean} True if supported
+     */
+    isLanguage(language) {
+        return Object.prototype.hasOwnProperty.call(this.LANGUAGES, language);
+    }
+
+    /**
+     * Get the locale for date formatting
+     * @param {string} language - Language code (default: UI language)
+     * @returns {string} Locale, e.g. 'de-DE'
+     */
+    getLocale(language = this.uiLanguage) {
+        return (this.LANGUAGES[language] || this.LANGUAGES[this.DEFAULT_LANGUAGE]).locale;
+    }
+
+    /**
+     * Change the language of the user interface
+     * @param {string} language - Language code
+     * @returns {boolean} Success status of saving the choice
+     * @throws {Error} If the language is not supported
+     */
+    setUiLanguage(language) {
+        this.checkLanguage(language);
+        this.uiLanguage = language;
+        return this.saveSettings();
+    }
+
+    /**
+     * Change the language of generated emails
+     * @param {string} language - Language code
+     * @returns {boolean} Success status of saving the choice
+     * @throws {Error} If the language is not supported
+     */
+    setEmailLanguage(language) {
+        this.checkLanguage(language);
+        this.emailLanguage = language;
+        return this.saveSettings();
+    }
+
+    /**
+     * Translate all marked elements of a document or element
+     * data-i18n sets the text, data-i18n-placeholder, data-i18n-title and data-i18n-aria-label
+     * the attributes. Parameters can be given as JSON in data-i18n-params.
+     * @param {Document|HTMLElement} root - Document or element to translate
+     */
+    translateDocument(root = document) {
+        const attributes = {
+            'data-i18n-placeholder': 'placeholder',
+            'data-i18n-title': 'title',
+            'data-i18n-aria-label': 'aria-label'
+        };
+
+        root.querySelectorAll('[data-i18n-params], [data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]')
+            .forEach(element => {
+                const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+
+                if (element.dataset.i18n) {
+                    element.textContent = this.t(element.dataset.i18n, params);
+                }
+
+                Object.entries(attributes).forEach(([dataAttribute, attribute]) => {
+                    const key = element.getAttribute(dataAttribute);
+                    if (key) {
+                        element.setAttribute(attribute, this.t(key, params));
+                    }
+                });
+            });
+
+        if (root === document) {
+            document.documentElement.lang = this.uiLanguage;
+            document.title = this.t('app.documentTitle');
+        }
+    }
+
+    /**
+     * Throw for unsupported languages
+     * @private
+     * @param {string} language - Language code
+     * @throws {Error} If the language is not supported
+     */
+    checkLanguage(language) {
+        if (!this.isLanguage(language)) {
+            throw new Error(this.t('language.unknown', { language }));
+        }
+    }
+
+    /**
+     * Load the chosen languages (German without storage or saved choice)
+     * @private
+     */
+    loadSettings() {
+        const saved = this.storage ? this.storage.loadLanguageSettings() : null;
+        this.uiLanguage = this.isLanguage(saved?.ui) ? saved.ui : this.DEFAULT_LANGUAGE;
+        this.emailLanguage = this.isLanguage(saved?.email) ? saved.email : this.DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Save the chosen languages
+     * @private
+     * @returns {boolean} Success status
+     */
+    saveSettings() {
+        return this.storage
+            ? this.storage.saveLanguageSettings({ ui: this.uiLanguage, email: this.emailLanguage })
+            : false;
+    }
+}
+
+// Export for use in main application
+window.I18nManager = I18nManager;
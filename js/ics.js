@@ -0,0 +1,375 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) export of pickup schedules
+ * @version 1.2.0
+ */
+
+/**
+ * ICS manager for exporting pickup times into family calendars
+ * Creates VEVENTs with stable UIDs so re-exports update existing events instead of duplicating them
+ */
+class IcsManager {
+    constructor(calendarManager) {
+        this.calendar = calendarManager;
+
+        this.PRODUCT_ID = '-//BEB Norderstedt//BEB Email Generator//DE';
+        this.TIMEZONE = 'Europe/Berlin';
+        this.UID_DOMAIN = 'beb-email-generator';
+        this.EVENT_DURATION_MINUTES = 15;
+        this.MAX_LINE_OCTETS = 75;
+
+        // Rules for Central European (Summer) Time since 1996
+        this.timezoneLines = [
+            'BEGIN:VTIMEZONE',
+            'TZID:Europe/Berlin',
+            'BEGIN:DAYLIGHT',
+            'TZOFFSETFROM:+0100',
+            'TZOFFSETTO:+0200',
+            'TZNAME:CEST',
+            'DTSTART:19700329T020000',
+            'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+            'END:DAYLIGHT',
+            'BEGIN:STANDARD',
+            'TZOFFSETFROM:+0200',
+            'TZOFFSETTO:+0100',
+            'TZNAME:CET',
+            'DTSTART:19701025T030000',
+            'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    /**
+     * Create an ICS calendar for the selected pickup schedule
+     * @param {Object} formData - Form data object
+     * @param {Array<Object>} weekSchedules - List of { weekType, pickupData } per week
+     * @param {Object} options - Export options ({ reminderMinutes })
+     * @returns {Object} { success, content, fileName, eventCount } or { success: false, error }
+     */
+    createPickupCalendar(formData, weekSchedules, options = {}) {
+        try {
+            const events = this.createPickupEvents(formData, weekSchedules);
+            if (events.length === 0) {
+                throw new Error(this.calendar.i18n.t('ics.noPickups'));
+            }
+
+            return {
+                success: true,
+                content: this.createCalendar(events, options),
+                fileName: this.getFileName(weekSchedules),
+                eventCount: events.length
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Create events from the structured pickup entries of all weeks
+     * Shared schedules get one event per facility, individual schedules one event per child.
+     * Closure days imported for a facility get no event. Texts are written in the email language.
+     * @param {Object} formData - Form data object
+     * @param {Array<Object>} weekSchedules - List of { weekType, pickupData } per week
+     * @returns {Array<Object>} List of { uid, date, time, summary, location, description }
+     */
+    createPickupEvents(formData, weekSchedules) {
+        const children = formData.children || [];
+        const facilityGroups = this.groupByFacility(children, formData.bebLocation);
+        const language = this.calendar.i18n.emailLanguage;
+        const events = [];
+
+        weekSchedules.forEach(({ weekType, pickupData }) => {
+            this.calendar.getPickupEntries(weekType, pickupData, '', language).forEach(entry => {
+                // Individual schedules of children that are not part of this calendar
+                if (entry.child && children.length > 0 && !children.some(child => child.name === entry.child)) return;
+
+                const groups = entry.child
+                    ? [{
+                        recipient: children.find(child => child.name === entry.child)?.facility || formData.bebLocation || '',
+                        names: [entry.child]
+                    }]
+                    : facilityGroups;
+
+                groups.forEach(({ recipient, names }) => {
+                    if (this.calendar.getClosureInfo(entry.date, recipient)) return;
+
+                    const childNames = names.length > 0 ? names.join(', ') : (formData.childNames || '');
+                    const pickup = this.calendar.i18n.t('calendar.pickup', {}, language);
+
+                    events.push({
+                        uid: this.createUid(entry.date, entry.child, recipient),
+                        date: entry.date,
+                        time: entry.time,
+                        summary: childNames ? `${pickup} ${childNames}` : pickup,
+                        location: this.getFacilityName(formData, recipient),
+                        description: `${entry.dayName}, ${this.calendar.formatDate(entry.date, language)} ${this.calendar.formatTime(entry.time, language)}` +
+                            this.calendar.formatEntryDetails(entry, language)
+                    });
+                });
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Create ICS file content
+     * @param {Array<Object>} events - Events from createPickupEvents()
+     * @param {Object} options - Export options ({ reminderMinutes })
+     * @returns {string} ICS content with CRLF line endings
+     */
+    createCalendar(events, options = {}) {
+        const now = new Date();
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(this.calendar.i18n.t('ics.calendarName', {}, this.calendar.i18n.emailLanguage))}`,
+            `X-WR-TIMEZONE:${this.TIMEZONE}`,
+            ...this.timezoneLines
+        ];
+
+        events.forEach(event => {
+            lines.push(...this.createEventLines(event, options, now));
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Create the lines of a single VEVENT
+     * @private
+     * @param {Object} event - Event data
+     * @param {Object} options - Export options ({ reminderMinutes })
+     * @param {Date} now - Export timestamp
+     * @returns {string[]} Unfolded content lines
+     */
+    createEventLines(event, options, now) {
+        const [hours, minutes] = event.time.split(':').map(Number);
+        const start = new Date(event.date.getFullYear(), event.date.getMonth(), event.date.getDate(), hours, minutes);
+        const end = new Date(start.getTime() + this.EVENT_DURATION_MINUTES * 60 * 1000);
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${this.formatUtcDateTime(now)}`,
+            // Always increasing, so calendars replace events of earlier exports
+            `SEQUENCE:${Math.floor(now.getTime() / 1000)}`,
+            `DTSTART;TZID=${this.TIMEZONE}:${this.formatLocalDateTime(start)}`,
+            `DTEND;TZID=${this.TIMEZONE}:${this.formatLocalDateTime(end)}`,
+            `SUMMARY:${this.escapeText(event.summary)}`
+        ];
+
+        if (event.location) {
+            lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        }
+
+        if (event.description) {
+            lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        }
+
+        const reminderMinutes = Number(options.reminderMinutes);
+        if (reminderMinutes > 0) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeText(event.summary)}`,
+                `TRIGGER:-PT${reminderMinutes}M`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Group children by facility
+     * @private
+     * @param {Array<Object>} children - List of { name, facility }
+     * @param {string} defaultFacility - Facility selected in the form
+     * @returns {Array<Object>} List of { recipient, names }
+     */
+    groupByFacility(children, defaultFacility) {
+        if (children.length === 0) {
+            return [{ recipient: defaultFacility || '', names: [] }];
+        }
+
+        const groups = new Map();
+        children.forEach(child => {
+            const recipient = child.facility || defaultFacility || '';
+            if (!groups.has(recipient)) {
+                groups.set(recipient, { recipient, names: [] });
+            }
+            groups.get(recipient).names.push(child.name);
+        });
+
+        return [...groups.values()];
+    }
+
+    /**
+     * Get display name of a facility
+     * @private
+     * @param {Object} formData - Form data object
+     * @param {string} recipient - Facility email
+     * @returns {string} Facility name (empty if unknown)
+     */
+    getFacilityName(formData, recipient) {
+        const facility = formData.facilities?.[recipient];
+        if (facility?.name) return facility.name;
+
+        return recipient === formData.bebLocation ? (formData.facilityName || '') : '';
+    }
+
+    /**
+     * Create a stable event UID
+     * The time is not part of the UID, so changed pickup times update the existing event
+     * @param {Date} date - Pickup date
+     * @param {string|null} child - Child name (null for shared schedules)
+     * @param {string} recipient - Facility email
+     * @returns {string} UID
+     */
+    createUid(date, child, recipient) {
+        const slug = value => String(value || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        const parts = ['abholung', this.calendar.toDateKey(date), slug(child) || 'alle', slug(recipient) || 'beb'];
+        return `${parts.join('-')}@${this.UID_DOMAIN}`;
+    }
+
+    /**
+     * Get file name for the export
+     * @param {Array<Object>} weekSchedules - List of { weekType } per week
+     * @returns {string} File name, e.g. abholzeiten-2026-W44.ics
+     */
+    getFileName(weekSchedules) {
+        const first = this.calendar.resolveWeekId(weekSchedules[0].weekType);
+        const last = this.calendar.resolveWeekId(weekSchedules[weekSchedules.length - 1].weekType);
+
+        return first === last
+            ? `abholzeiten-${first}.ics`
+            : `abholzeiten-${first}-bis-${last}.ics`;
+    }
+
+    /**
+     * Create a file from ICS content, e.g. to attach it when sharing
+     * @param {string} content - ICS content
+     * @param {string} fileName - File name
+     * @returns {File} Calendar file
+     */
+    createCalendarFile(content, fileName) {
+        return new File([content], fileName, { type: 'text/calendar' });
+    }
+
+    /**
+     * Offer ICS content as file download
+     * @param {string} content - ICS content
+     * @param {string} fileName - File name
+     * @returns {boolean} Success status
+     */
+    downloadCalendar(content, fileName) {
+        try {
+            const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+
+            const tempLink = document.createElement('a');
+            tempLink.href = url;
+            tempLink.download = fileName;
+            tempLink.style.display = 'none';
+            document.body.appendChild(tempLink);
+            tempLink.click();
+            document.body.removeChild(tempLink);
+
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return true;
+        } catch (error) {
+            console.warn('Calendar download failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Format local date and time (floating, used with TZID)
+     * @private
+     * @param {Date} date - Date to format
+     * @returns {string} Date-time, e.g. 20261102T160000
+     */
+    formatLocalDateTime(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+    }
+
+    /**
+     * Format UTC date and time
+     * @private
+     * @param {Date} date - Date to format
+     * @returns {string} UTC date-time, e.g. 20261102T150000Z
+     */
+    formatUtcDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape a TEXT property value
+     * @private
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeText(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line to at most 75 octets per line
+     * Continuation lines start with a space, multi-byte characters are never split
+     * @private
+     * @param {string} line - Content line
+     * @returns {string} Folded line (joined with CRLF)
+     */
+    foldLine(line) {
+        const octets = char => {
+            const codePoint = char.codePointAt(0);
+            if (codePoint < 0x80) return 1;
+            if (codePoint < 0x800) return 2;
+            if (codePoint < 0x10000) return 3;
+            return 4;
+        };
+
+        const parts = [];
+        let current = '';
+        let currentOctets = 0;
+
+        for (const char of line) {
+            const size = octets(char);
+            if (currentOctets + size > this.MAX_LINE_OCTETS) {
+                parts.push(current);
+                current = ' ';
+                currentOctets = 1;
+            }
+            current += char;
+            currentOctets += size;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+}
+
+// Export for use in main application
+window.IcsManager = IcsManager;
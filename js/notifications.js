@@ -0,0 +1,313 @@
+/**
+ * @fileoverview In-page notifications and dialogs
+ * @version 1.2.0
+ */
+
+/**
+ * Notification manager replacing the blocking alert(), confirm() and prompt() dialogs
+ * Toasts are announced by screen readers through a live region. Dialogs are modal:
+ * focus stays inside while open (Tab wraps around), Escape cancels and focus returns
+ * to the previously focused element afterwards. Dialogs are shown one after another.
+ */
+class NotificationManager {
+    constructor(i18nManager = null) {
+        this.i18n = i18nManager || new I18nManager();
+
+        this.DURATIONS = {
+            success: 5000,
+            info: 5000,
+            warning: 8000,
+            error: 10000
+        };
+
+        this.container = null;
+        this.dialogQueue = Promise.resolve();
+        this.dialogCount = 0;
+    }
+
+    /**
+     * Show a toast message
+     * @param {string} message - Message (line breaks are kept)
+     * @param {Object} options - { type: 'success'|'info'|'warning'|'error', duration } (duration 0 keeps it open)
+     * @returns {HTMLElement} Toast element
+     */
+    show(message, { type = 'info', duration = this.DURATIONS[type] ?? this.DURATIONS.info } = {}) {
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        // Errors interrupt the screen reader, other messages wait until it is idle
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const text = document.createElement('div');
+        text.className = 'toast-message';
+        text.textContent = message;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'toast-close';
+        closeBtn.setAttribute('aria-label', this.i18n.t('dialog.closeMessage'));
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => this.dismiss(toast));
+
+        toast.append(text, closeBtn);
+        this.getContainer().appendChild(toast);
+
+        if (duration > 0) {
+            setTimeout(() => this.dismiss(toast), duration);
+        }
+
+        return toast;
+    }
+
+    /**
+     * Remove a toast message
+     * @param {HTMLElement} toast - Toast from show()
+     */
+    dismiss(toast) {
+        toast?.remove();
+    }
+
+    /**
+     * Show a message that has to be acknowledged
+     * @param {string} message - Message
+     * @param {Object} options - { title, confirmLabel }
+     * @returns {Promise<void>} Resolves when the dialog is closed
+     */
+    async alert(message, { title = this.i18n.t('dialog.alertTitle'), confirmLabel = this.i18n.t('dialog.ok') } = {}) {
+        await this.openDialog({
+            title,
+            message,
+            role: 'alertdialog',
+            buttons: [{ value: true, label: confirmLabel, primary: true }]
+        });
+    }
+
+    /**
+     * Ask a yes/no question
+     * @param {string} message - Question
+     * @param {Object} options - { title, confirmLabel, cancelLabel, danger }
+     * @returns {Promise<boolean>} True if confirmed
+     */
+    async confirm(message, {
+        title = this.i18n.t('dialog.confirmTitle'),
+        confirmLabel = this.i18n.t('dialog.ok'),
+        cancelLabel = this.i18n.t('dialog.cancel'),
+        danger = false
+    } = {}) {
+        const result = await this.openDialog({
+            title,
+            message,
+            role: 'alertdialog',
+            buttons: [
+                { value: false, label: cancelLabel },
+                { value: true, label: confirmLabel, primary: true, danger }
+            ]
+        });
+
+        return result === true;
+    }
+
+    /**
+     * Ask for a text
+     * @param {string} message - Label of the input field
+     * @param {Object} options - { title, value, confirmLabel, cancelLabel }
+     * @returns {Promise<string|null>} Entered text or null if cancelled
+     */
+    async prompt(message, {
+        title = this.i18n.t('dialog.promptTitle'),
+        value = '',
+        confirmLabel = this.i18n.t('dialog.ok'),
+        cancelLabel = this.i18n.t('dialog.cancel')
+    } = {}) {
+        return this.openDialog({
+            title,
+            message,
+            input: { value },
+            buttons: [
+                { value: null, label: cancelLabel },
+                { value: 'input', label: confirmLabel, primary: true }
+            ]
+        });
+    }
+
+    /**
+     * Let the user choose one of several options
+     * @param {string} message - Question
+     * @param {Object} options - { title, choices: [{ value, label, description }], cancelLabel }
+     * @returns {Promise<any>} Value of the chosen option or null if cancelled
+     */
+    async choose(message, { title = this.i18n.t('dialog.chooseTitle'), choices = [], cancelLabel = this.i18n.t('dialog.cancel') } = {}) {
+        return this.openDialog({
+            title,
+            message,
+            choices,
+            buttons: [{ value: null, label: cancelLabel }]
+        });
+    }
+
+    /**
+     * Queue a modal dialog
+     * @private
+     * @param {Object} config - { title, message, role, input, choices, buttons }
+     * @returns {Promise<any>} Value of the pressed button (null on Escape)
+     */
+    openDialog(config) {
+        const result = this.dialogQueue.then(() => this.renderDialog(config));
+        this.dialogQueue = result.catch(() => null);
+        return result;
+    }
+
+    /**
+     * Show a modal dialog and wait for the answer
+     * @private
+     * @param {Object} config - { title, message, role, input, choices, buttons }
+     * @returns {Promise<any>} Value of the pressed button (null on Escape)
+     */
+    renderDialog({ title, message, role = 'dialog', input = null, choices = [], buttons = [] }) {
+        return new Promise(resolve => {
+            const previousFocus = document.activeElement;
+            const id = `dialog-${++this.dialogCount}`;
+
+            const overlay = document.createElement('div');
+            overlay.className = 'dialog-overlay';
+
+            const dialog = document.createElement('div');
+            dialog.className = 'dialog';
+            dialog.setAttribute('role', role);
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-labelledby', `${id}-title`);
+            dialog.setAttribute('aria-describedby', `${id}-message`);
+
+            const heading = document.createElement('h2');
+            heading.id = `${id}-title`;
+            heading.className = 'dialog-title';
+            heading.textContent = title;
+
+            const text = document.createElement(input ? 'label' : 'p');
+            text.id = `${id}-message`;
+            text.className = 'dialog-message';
+            text.textContent = message;
+            dialog.append(heading, text);
+
+            let field = null;
+            if (input) {
+                field = document.createElement('input');
+                field.type = 'text';
+                field.id = `${id}-input`;
+                field.value = input.value || '';
+                text.htmlFor = field.id;
+                dialog.appendChild(field);
+            }
+
+            const close = (value) => {
+                overlay.remove();
+                previousFocus?.focus?.();
+                resolve(value === 'input' ? field.value : value);
+            };
+
+            if (choices.length > 0) {
+                const list = document.createElement('div');
+                list.className = 'dialog-choices';
+
+                choices.forEach(choice => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'dialog-choice';
+
+                    const label = document.createElement('strong');
+                    label.textContent = choice.label;
+                    button.appendChild(label);
+
+                    if (choice.description) {
+                        const description = document.createElement('small');
+                        description.textContent = choice.description;
+                        button.appendChild(description);
+                    }
+
+                    button.addEventListener('click', () => close(choice.value));
+                    list.appendChild(button);
+                });
+
+                dialog.appendChild(list);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'dialog-actions';
+            buttons.forEach(config => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'dialog-button';
+                button.classList.toggle('primary', !!config.primary);
+                button.classList.toggle('danger', !!config.danger);
+                button.textContent = config.label;
+                button.addEventListener('click', () => close(config.value));
+                actions.appendChild(button);
+            });
+            dialog.appendChild(actions);
+
+            overlay.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    close(null);
+                } else if (event.key === 'Enter' && event.target === field) {
+                    event.preventDefault();
+                    close('input');
+                } else if (event.key === 'Tab') {
+                    this.trapFocus(event, dialog);
+                }
+            });
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+
+            // Start in the input field, otherwise on the first option or button
+            const initialFocus = field || dialog.querySelector('.dialog-choice') || dialog.querySelector('.dialog-button.primary') ||
+                dialog.querySelector('button');
+            initialFocus?.focus();
+            field?.select();
+        });
+    }
+
+    /**
+     * Keep keyboard focus inside a dialog
+     * @private
+     * @param {KeyboardEvent} event - Tab key event
+     * @param {HTMLElement} dialog - Dialog element
+     */
+    trapFocus(event, dialog) {
+        const focusable = Array.from(dialog.querySelectorAll('button, input, select, textarea, [href]'))
+            .filter(element => !element.disabled);
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        } else if (!dialog.contains(document.activeElement)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Get the toast container (created on first use)
+     * @private
+     * @returns {HTMLElement} Container element
+     */
+    getContainer() {
+        if (!this.container || !this.container.isConnected) {
+            this.container = document.createElement('div');
+            this.container.className = 'toast-container';
+            document.body.appendChild(this.container);
+        }
+
+        return this.container;
+    }
+}
+
+// Export for use in main application
+window.NotificationManager = NotificationManager;
@@ -8,8 +8,20 @@
  * Handles CSP, data encryption, input validation, and privacy controls
  */
 class SecurityManager {
-    constructor() {
-        this.encryptionKey = this.generateEncryptionKey();
+    constructor(notificationManager = null, i18nManager = null) {
+        this.notifications = notificationManager;
+        this.i18n = i18nManager || new I18nManager();
+
+        // Key derivation and encryption settings for passphrase protected storage
+        this.KDF_ITERATIONS = 600000;
+        this.SALT_BYTES = 16;
+        this.IV_BYTES = 12;
+
+        // Privacy mode: all keys with this prefix are app data, except the privacy mode setting itself
+        this.STORAGE_PREFIX = 'bebEmailGenerator';
+        this.PRIVACY_MODE_KEY = 'bebEmailGenerator_privacyMode';
+        this.INACTIVITY_TIMEOUT_MINUTES = 10;
+
         this.sensitiveDataPatterns = {
             email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
             phone: /(?:\+49|0)[1-9]\d{1,4}\s?\d{1,7}/g,
@@ -77,12 +89,20 @@ class SecurityManager {
             this.validateFormSubmission(event);
         });
 
-        // Monitor for privacy violations
-        window.addEventListener('beforeunload', () => {
+        // Privacy mode: nothing may survive leaving the page (pagehide also fires on mobile
+        // and for pages kept in the back/forward cache, unlike beforeunload)
+        window.addEventListener('pagehide', () => {
             if (this.privacyMode) {
                 this.clearSensitiveData();
             }
         });
+
+        // A page restored from the back/forward cache starts again without the wiped data
+        window.addEventListener('pageshow', (event) => {
+            if (event.persisted && this.privacyMode) {
+                location.reload();
+            }
+        });
     }
 
     /**
@@ -260,7 +280,7 @@ class SecurityManager {
                 if (this.containsSuspiciousContent(value)) {
                     console.warn('🚨 Suspicious form data detected:', name, value);
                     event.preventDefault();
-                    alert('Ungültige Daten erkannt. Bitte überprüfen Sie Ihre Eingabe.');
+                    this.notifications?.show(this.i18n.t('security.invalidInput'), { type: 'error' });
                     return;
                 }
             }
@@ -290,72 +310,93 @@ class SecurityManager {
     }
 
     /**
-     * Encrypt sensitive data for storage
-     * @param {string} data - Data to encrypt
-     * @returns {string} Encrypted data
+     * Create a random salt for key derivation
+     * @returns {string} Base64 encoded salt
      */
-    encryptData(data) {
-        if (!data || typeof data !== 'string') return data;
+    createSalt() {
+        return SecurityManager.toBase64(crypto.getRandomValues(new Uint8Array(this.SALT_BYTES)));
+    }
 
-        try {
-            // Simple encryption for client-side use (not cryptographically secure)
-            // For production, use proper encryption libraries
-            const key = this.encryptionKey;
-            let encrypted = '';
-
-            for (let i = 0; i < data.length; i++) {
-                const keyChar = key[i % key.length];
-                const encryptedChar = String.fromCharCode(data.charCodeAt(i) ^ keyChar.charCodeAt(0));
-                encrypted += encryptedChar;
-            }
+    /**
+     * Derive an AES-GCM key from a passphrase (PBKDF2 with SHA-256)
+     * The key cannot be exported and only exists in memory
+     * @param {string} passphrase - User passphrase
+     * @param {string} salt - Base64 encoded salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} AES-GCM key (256 bit)
+     */
+    async deriveKey(passphrase, salt, iterations = this.KDF_ITERATIONS) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
 
-            return btoa(encrypted); // Base64 encode
-        } catch (error) {
-            console.warn('Encryption failed:', error);
-            return data;
-        }
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: SecurityManager.fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
     }
 
     /**
-     * Decrypt sensitive data
-     * @param {string} encryptedData - Encrypted data
-     * @returns {string} Decrypted data
+     * Encrypt data for storage
+     * @param {string} data - Data to encrypt
+     * @param {CryptoKey} key - Key from deriveKey()
+     * @returns {Promise<Object>} { iv, data } as Base64
      */
-    decryptData(encryptedData) {
-        if (!encryptedData || typeof encryptedData !== 'string') return encryptedData;
-
-        try {
-            const encrypted = atob(encryptedData); // Base64 decode
-            const key = this.encryptionKey;
-            let decrypted = '';
-
-            for (let i = 0; i < encrypted.length; i++) {
-                const keyChar = key[i % key.length];
-                const decryptedChar = String.fromCharCode(encrypted.charCodeAt(i) ^ keyChar.charCodeAt(0));
-                decrypted += decryptedChar;
-            }
+    async encryptData(data, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(data)
+        );
 
-            return decrypted;
-        } catch (error) {
-            console.warn('Decryption failed:', error);
-            return encryptedData;
-        }
+        return {
+            iv: SecurityManager.toBase64(iv),
+            data: SecurityManager.toBase64(new Uint8Array(encrypted))
+        };
     }
 
     /**
-     * Generate encryption key for session
-     * @private
-     * @returns {string} Encryption key
+     * Decrypt data encrypted with encryptData()
+     * @param {Object} encrypted - { iv, data } as Base64
+     * @param {CryptoKey} key - Key from deriveKey()
+     * @returns {Promise<string>} Decrypted data
+     * @throws {Error} If the key is wrong or the data was changed
      */
-    generateEncryptionKey() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        let key = '';
+    async decryptData(encrypted, key) {
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: SecurityManager.fromBase64(encrypted.iv) },
+            key,
+            SecurityManager.fromBase64(encrypted.data)
+        );
 
-        for (let i = 0; i < 32; i++) {
-            key += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
+        return new TextDecoder().decode(decrypted);
+    }
 
-        return key;
+    /**
+     * Encode bytes as Base64
+     * Static so that EmailManager can use it for encoded mail headers without a security instance
+     * @param {Uint8Array|number[]} bytes - Bytes to encode
+     * @returns {string} Base64 text
+     */
+    static toBase64(bytes) {
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    }
+
+    /**
+     * Decode Base64 to bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
     }
 
     /**
@@ -399,7 +440,7 @@ class SecurityManager {
      */
     getPrivacyMode() {
         try {
-            const setting = localStorage.getItem('bebEmailGenerator_privacyMode');
+            const setting = localStorage.getItem(this.PRIVACY_MODE_KEY);
             return setting === 'true';
         } catch {
             return false;
@@ -408,59 +449,74 @@ class SecurityManager {
 
     /**
      * Set privacy mode
+     * Saved app data moves to sessionStorage while privacy mode is active and back when it ends
      * @param {boolean} enabled - Whether to enable privacy mode
      */
     setPrivacyMode(enabled) {
+        if (enabled !== this.privacyMode) {
+            this.moveAppData(enabled ? localStorage : sessionStorage, enabled ? sessionStorage : localStorage);
+        }
+
         this.privacyMode = enabled;
         try {
-            localStorage.setItem('bebEmailGenerator_privacyMode', enabled.toString());
+            localStorage.setItem(this.PRIVACY_MODE_KEY, enabled.toString());
         } catch (error) {
             console.warn('Could not save privacy mode setting:', error);
         }
     }
 
     /**
-     * Clear sensitive data from memory and storage
+     * Move app data from one storage to another
+     * @private
+     * @param {Storage} from - Storage to move the data from
+     * @param {Storage} to - Storage to move the data to
      */
-    clearSensitiveData() {
+    moveAppData(from, to) {
         try {
-            // Clear localStorage items that might contain sensitive data
-            const keysToCheck = Object.keys(localStorage);
-            keysToCheck.forEach(key => {
-                if (key.startsWith('bebEmailGenerator')) {
-                    const value = localStorage.getItem(key);
-                    if (this.containsSensitiveData(value)) {
-                        localStorage.removeItem(key);
-                    }
-                }
-            });
-
-            // Clear form fields
-            const sensitiveFields = document.querySelectorAll('input[type="email"], input[type="text"], textarea');
-            sensitiveFields.forEach(field => {
-                if (this.containsSensitiveData(field.value)) {
-                    field.value = '';
-                }
+            Object.keys(from).filter(key => this.isAppDataKey(key)).forEach(key => {
+                to.setItem(key, from.getItem(key));
+                from.removeItem(key);
             });
-
-            console.info('🔒 Sensitive data cleared');
         } catch (error) {
-            console.warn('Error clearing sensitive data:', error);
+            console.warn('Moving app data failed:', error);
         }
     }
 
     /**
-     * Check if data contains sensitive information
+     * Check if a storage key belongs to the app data
      * @private
-     * @param {string} data - Data to check
-     * @returns {boolean} Whether data contains sensitive information
+     * @param {string} key - Storage key
+     * @returns {boolean} True for all app keys except the privacy mode setting
      */
-    containsSensitiveData(data) {
-        if (!data || typeof data !== 'string') return false;
+    isAppDataKey(key) {
+        return key.startsWith(this.STORAGE_PREFIX) && key !== this.PRIVACY_MODE_KEY;
+    }
 
-        return Object.values(this.sensitiveDataPatterns).some(pattern =>
-            pattern.test(data)
-        );
+    /**
+     * Clear all app data from storage and all form fields
+     * Only the privacy mode setting is kept, so the next visit starts in privacy mode again
+     */
+    clearSensitiveData() {
+        try {
+            [localStorage, sessionStorage].forEach(store => {
+                Object.keys(store)
+                    .filter(key => this.isAppDataKey(key))
+                    .forEach(key => store.removeItem(key));
+            });
+
+            document.querySelectorAll('input, textarea').forEach(field => {
+                if (['button', 'submit', 'checkbox', 'radio'].includes(field.type)) return;
+                field.value = '';
+            });
+
+            document.querySelectorAll('.email-output').forEach(output => {
+                output.textContent = '';
+            });
+
+            console.info('🔒 Sensitive data cleared');
+        } catch (error) {
+            console.warn('Error clearing sensitive data:', error);
+        }
     }
 
     /**
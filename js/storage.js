@@ -5,18 +5,85 @@
 
 /**
  * Storage manager for BEB Email Generator
- * Handles localStorage operations with error handling and data validation
+ * Handles localStorage operations (sessionStorage in privacy mode) with error handling and data validation
  */
 class StorageManager {
-    constructor() {
+    constructor(securityManager = null, i18nManager = null) {
+        this.security = securityManager;
+        this.i18n = i18nManager || new I18nManager();
+
         this.STORAGE_KEY = 'bebEmailGenerator';
-        this.VERSION = '1.1.0';
+        this.TEMPLATES_KEY = 'bebEmailGenerator_templates';
+        this.CLOSURES_KEY = 'bebEmailGenerator_closures';
+        this.PROFILES_KEY = 'bebEmailGenerator_profiles';
+        this.SEND_METHOD_KEY = 'bebEmailGenerator_sendMethod';
+        this.LANGUAGE_KEY = 'bebEmailGenerator_language';
+        this.DEFAULT_PROFILE_ID = 'default';
+        this.PROFILE_ID_PREFIX = 'profile-';
+        this.HISTORY_SUFFIX = '_history';
+        this.PATTERN_SUFFIX = '_pattern';
+        this.BACKUP_SUFFIX = '_backup';
+        this.ENCRYPTION_SETTINGS_KEY = 'bebEmailGenerator_encryption';
+        this.ENCRYPTION_CHECK = 'beb-email-generator';
+        this.MIN_PASSPHRASE_LENGTH = 8;
+        this.VERSION = '1.2.0';
+
+        // Passphrase protection: decrypted values of protected keys only live in memory,
+        // changes are encrypted in the background (in order) before they are written
+        this.cryptoKey = null;
+        this.decrypted = new Map();
+        this.pendingWrite = Promise.resolve();
+
+        // Day grid keys of versions before 1.2.0 (Monday-Friday)
+        this.LEGACY_DAY_IDS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+        // Ordered migrations from each historical version to the next one.
+        // Auto-save was introduced with 1.1.0, so data without version is treated as 1.1.0.
+        this.migrations = [
+            {
+                from: '1.1.0',
+                to: '1.2.0',
+                migrate: formData => this.migratePickupGrids(this.migrateLegacyChildren(formData))
+            }
+        ];
+
+        // Types of the saved form data fields (unknown fields are kept as they are)
+        this.schema = {
+            required: ['version'],
+            fields: {
+                version: 'string',
+                timestamp: 'number',
+                selectedWeek: 'string',
+                scheduleStart: 'string',
+                weekCount: 'number',
+                parentName: 'string',
+                parentEmail: 'string',
+                bebLocation: 'string',
+                notes: 'string',
+                templateId: 'string',
+                pickupPerson: 'string',
+                absenceFrom: 'string',
+                absenceTo: 'string',
+                icsReminder: 'string',
+                childNames: 'string',
+                childClass: 'string',
+                defaultTimes: 'object',
+                facilityName: 'string',
+                facilityLeader: 'string',
+                facilityLeaderSalutation: 'string',
+                facilityLeaderType: 'string',
+                greetingStyle: 'string',
+                perChildSchedule: 'boolean',
+                children: 'array',
+                schedule: 'array'
+            }
+        };
     }
 
     /**
-     * Save form data to localStorage
+     * Save form data of the active profile to localStorage
      * @param {Object} formData - Form data object to save
-     * @param {string} selectedWeek - Currently selected week
+     * @param {string} selectedWeek - Currently selected week ('current', 'next' or ISO week id)
      * @returns {boolean} Success status
      */
     saveFormData(formData, selectedWeek) {
@@ -28,7 +95,7 @@ class StorageManager {
                 timestamp: Date.now()
             };
 
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(dataToSave));
+            this.writeItem(this.getProfileKey(), JSON.stringify(dataToSave));
             return true;
         } catch (error) {
             console.warn('Auto-save failed:', error);
@@ -37,35 +104,344 @@ class StorageManager {
     }
 
     /**
-     * Load form data from localStorage
-     * @returns {Object|null} Saved form data or null if not found
+     * Load form data of the active profile from localStorage
+     * Data of older versions is backed up, migrated step by step and written back.
+     * Data that does not match the schema after migration is not used.
+     * @returns {Object|null} Saved form data or null if not found or invalid
      */
     loadFormData() {
+        let saved = null;
+
         try {
-            const saved = localStorage.getItem(this.STORAGE_KEY);
+            saved = this.readItem(this.getProfileKey());
             if (!saved) return null;
 
-            const formData = JSON.parse(saved);
+            let formData = JSON.parse(saved);
+            const isMigration = formData.version !== this.VERSION;
 
-            // Version check for future migrations
-            if (formData.version !== this.VERSION) {
-                console.info('Storage version mismatch, using defaults');
+            if (isMigration) {
+                console.info(`Migrating saved data from version ${formData.version || 'unknown'} to ${this.VERSION}`);
+                this.backupFormData(saved);
+                formData = this.migrateFormData(formData);
+            }
+
+            // A broken schedule entry only loses itself, not the whole saved form
+            if (Array.isArray(formData.schedule)) {
+                const schedule = this.sanitizeSchedule(formData.schedule);
+                if (schedule.length !== formData.schedule.length) {
+                    console.warn(`Dropped ${formData.schedule.length - schedule.length} invalid schedule entries`);
+                    this.backupFormData(saved);
+                }
+                formData.schedule = schedule;
+            }
+
+            const validation = this.validateSchema(formData);
+            if (!validation.isValid) {
+                throw new Error(`Invalid saved data: ${validation.errors.join('; ')}`);
+            }
+
+            if (isMigration) {
+                this.writeItem(this.getProfileKey(), JSON.stringify(formData));
             }
 
             return formData;
         } catch (error) {
             console.warn('Auto-load failed:', error);
+            if (saved) {
+                this.backupFormData(saved);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Migrate saved form data of older versions to the current version
+     * @param {Object} formData - Saved form data
+     * @returns {Object} Form data in the current format
+     * @throws {Error} If the version is unknown or newer than the current one
+     */
+    migrateFormData(formData) {
+        let version = formData.version || this.migrations[0].from;
+        let migrated = { ...formData };
+
+        if (this.compareVersions(version, this.VERSION) > 0) {
+            throw new Error(`Saved data version ${version} is newer than ${this.VERSION}`);
+        }
+
+        this.migrations.forEach(step => {
+            if (step.from !== version) return;
+
+            migrated = step.migrate(migrated);
+            version = step.to;
+        });
+
+        if (version !== this.VERSION) {
+            throw new Error(`No migration from version ${version} to ${this.VERSION}`);
+        }
+
+        return { ...migrated, version };
+    }
+
+    /**
+     * Convert comma separated child names and classes of early 1.1.0 data into a child list
+     * @private
+     * @param {Object} formData - Saved form data
+     * @returns {Object} Form data with children
+     */
+    migrateLegacyChildren(formData) {
+        if (Array.isArray(formData.children)) {
+            return formData;
+        }
+
+        const split = value => String(value || '').split(',').map(part => part.trim()).filter(Boolean);
+        const names = split(formData.childNames);
+        const classes = split(formData.childClass);
+
+        const children = names.map((name, index) => {
+            let schoolClass = '';
+            if (classes.length === names.length) {
+                schoolClass = classes[index];
+            } else if (classes.length === 1) {
+                schoolClass = classes[0];
+            } else if (index === 0) {
+                schoolClass = classes.join(', ');
+            }
+            return { name, schoolClass, facility: '' };
+        });
+
+        return { ...formData, children };
+    }
+
+    /**
+     * Convert day grids of versions before 1.2.0 into schedule entries
+     * The first grid was stored as flat monday/mondayTime keys, further grids
+     * by id suffix (_w1 = second week, _c1 = second child) and older ranges as extraWeeks
+     * @private
+     * @param {Object} formData - Saved form data
+     * @returns {Object} Form data with schedule and scheduleStart
+     */
+    migratePickupGrids(formData) {
+        const { grids = {}, extraWeeks = [], ...migrated } = formData;
+        const firstGrid = {};
+
+        this.LEGACY_DAY_IDS.forEach(dayId => {
+            firstGrid[dayId] = migrated[dayId];
+            firstGrid[dayId + 'Time'] = migrated[dayId + 'Time'];
+            delete migrated[dayId];
+            delete migrated[dayId + 'Time'];
+        });
+
+        const allGrids = { '': firstGrid, ...grids };
+        (Array.isArray(extraWeeks) ? extraWeeks : []).forEach((pickupData, index) => {
+            allGrids[`_w${index + 1}`] = allGrids[`_w${index + 1}`] || pickupData;
+        });
+
+        const children = Array.isArray(migrated.children) ? migrated.children : [];
+        const isPerChild = !!migrated.perChildSchedule && children.length > 1;
+        const monday = this.getLegacyWeekStart(migrated.selectedWeek, migrated.timestamp);
+        const schedule = [];
+
+        Object.entries(allGrids).forEach(([suffix, pickupData]) => {
+            const match = /^(?:_w(\d+))?(?:_c(\d+))?$/.exec(suffix);
+            if (!match || !pickupData) return;
+
+            const weekIndex = Number(match[1] || 0);
+            const childIndex = Number(match[2] || 0);
+            if (!isPerChild && childIndex > 0) return;
+
+            const child = isPerChild ? (children[childIndex]?.name || this.i18n.t('children.child', { number: childIndex + 1 }, this.i18n.emailLanguage)) : null;
+
+            this.LEGACY_DAY_IDS.forEach((dayId, dayIndex) => {
+                if (!pickupData[dayId] || !pickupData[dayId + 'Time']) return;
+
+                const date = new Date(monday);
+                date.setDate(monday.getDate() + weekIndex * 7 + dayIndex);
+
+                schedule.push({
+                    date: CalendarManager.toDateKey(date),
+                    child,
+                    time: pickupData[dayId + 'Time'],
+                    pickupPerson: '',
+                    note: ''
+                });
+            });
+        });
+
+        migrated.schedule = schedule.sort((a, b) => a.date.localeCompare(b.date));
+        migrated.scheduleStart = CalendarManager.toDateKey(monday);
+        return migrated;
+    }
+
+    /**
+     * Get Monday of the week that was selected when older data was saved
+     * @private
+     * @param {string} selectedWeek - 'current', 'next' or ISO week id
+     * @param {number} timestamp - Save time ('current' and 'next' are relative to it)
+     * @returns {Date} Monday at local midnight
+     */
+    getLegacyWeekStart(selectedWeek, timestamp) {
+        const isoWeek = /^(\d{4})-W(\d{2})$/.exec(selectedWeek || '');
+        const reference = isoWeek
+            ? new Date(Number(isoWeek[1]), 0, 4 + (Number(isoWeek[2]) - 1) * 7)
+            : new Date(Number(timestamp) || Date.now());
+
+        const monday = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate());
+        monday.setDate(monday.getDate() - ((monday.getDay() || 7) - 1));
+
+        if (selectedWeek === 'next') {
+            monday.setDate(monday.getDate() + 7);
+        }
+
+        return monday;
+    }
+
+    /**
+     * Validate form data against the storage schema
+     * @param {Object} formData - Form data to check
+     * @returns {Object} { isValid, errors }
+     */
+    validateSchema(formData) {
+        const errors = [];
+        const typeOf = value => Array.isArray(value) ? 'array' : typeof value;
+
+        if (!formData || typeOf(formData) !== 'object') {
+            return { isValid: false, errors: ['not an object'] };
+        }
+
+        this.schema.required.forEach(field => {
+            if (formData[field] === undefined) {
+                errors.push(`${field} is missing`);
+            }
+        });
+
+        Object.entries(this.schema.fields).forEach(([field, type]) => {
+            if (formData[field] !== undefined && formData[field] !== null && typeOf(formData[field]) !== type) {
+                errors.push(`${field} must be of type ${type}`);
+            }
+        });
+
+        if (Array.isArray(formData.children)) {
+            formData.children.forEach((child, index) => {
+                if (!child || typeof child.name !== 'string') {
+                    errors.push(`children[${index}] has no name`);
+                }
+            });
+        }
+
+        if (Array.isArray(formData.schedule)) {
+            formData.schedule.forEach((entry, index) => {
+                const isValid = entry &&
+                    /^\d{4}-\d{2}-\d{2}$/.test(entry.date) &&
+                    /^\d{1,2}:\d{2}$/.test(entry.time) &&
+                    (entry.child === null || typeof entry.child === 'string') &&
+                    typeof entry.pickupPerson === 'string' &&
+                    typeof entry.note === 'string';
+
+                if (!isValid) {
+                    errors.push(`schedule[${index}] is not a valid entry`);
+                }
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Remove invalid schedule entries and fill in missing optional fields
+     * @private
+     * @param {Array<Object>} schedule - Saved schedule entries
+     * @returns {Array<Object>} List of { date, child, time, pickupPerson, note }
+     */
+    sanitizeSchedule(schedule) {
+        return schedule
+            .filter(entry => entry && /^\d{4}-\d{2}-\d{2}$/.test(entry.date) && /^\d{1,2}:\d{2}$/.test(entry.time))
+            .map(entry => ({
+                date: entry.date,
+                child: typeof entry.child === 'string' && entry.child ? entry.child : null,
+                time: entry.time,
+                pickupPerson: typeof entry.pickupPerson === 'string' ? entry.pickupPerson : '',
+                note: typeof entry.note === 'string' ? entry.note : ''
+            }));
+    }
+
+    /**
+     * Keep a copy of the active profile's saved data before it is migrated or discarded
+     * @private
+     * @param {string} saved - Saved JSON as read from localStorage
+     */
+    backupFormData(saved) {
+        try {
+            this.writeItem(this.getProfileDataKey(this.BACKUP_SUFFIX), JSON.stringify({
+                timestamp: Date.now(),
+                data: saved
+            }));
+        } catch (error) {
+            console.warn('Backup of saved data failed:', error);
+        }
+    }
+
+    /**
+     * Load the active profile's copy of the data saved before the last migration
+     * @returns {Object|null} { timestamp, data } with data as saved JSON, or null if none
+     */
+    loadBackup() {
+        try {
+            const saved = this.readItem(this.getProfileDataKey(this.BACKUP_SUFFIX));
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.warn('Loading backup failed:', error);
             return null;
         }
     }
 
     /**
-     * Clear all stored data
+     * Put the data saved before the last migration back into the active profile
+     * It is migrated again when it is loaded, e.g. after an update that fixed the migration.
+     * @returns {boolean} True if a backup was restored
+     */
+    restoreBackup() {
+        const backup = this.loadBackup();
+        if (!backup || typeof backup.data !== 'string') return false;
+
+        try {
+            this.writeItem(this.getProfileKey(), backup.data);
+            return true;
+        } catch (error) {
+            console.warn('Restoring backup failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Compare two version strings
+     * @private
+     * @param {string} a - Version, e.g. '1.2.0'
+     * @param {string} b - Version to compare with
+     * @returns {number} Negative if a is older, positive if newer, 0 if equal
+     */
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Clear stored form data of the active profile
      * @returns {boolean} Success status
      */
     clearFormData() {
         try {
-            localStorage.removeItem(this.STORAGE_KEY);
+            this.removeItem(this.getProfileKey());
+            this.removeItem(this.getProfileDataKey(this.BACKUP_SUFFIX));
             return true;
         } catch (error) {
             console.warn('Clear storage failed:', error);
@@ -73,6 +449,827 @@ class StorageManager {
         }
     }
 
+    /**
+     * Get all family profiles
+     * @returns {Array<Object>} List of { id, name }
+     */
+    getProfiles() {
+        return this.loadProfileState().profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * Get the active profile
+     * @returns {Object} Active profile ({ id, name })
+     */
+    getActiveProfile() {
+        const state = this.loadProfileState();
+        return { ...(state.profiles.find(profile => profile.id === state.activeId) || state.profiles[0]) };
+    }
+
+    /**
+     * Create a new profile and make it the active one
+     * @param {string} name - Profile name
+     * @returns {Object} { success, profile } or { success: false, error }
+     */
+    createProfile(name) {
+        try {
+            const state = this.loadProfileState();
+            const profile = {
+                id: `${this.PROFILE_ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                name: this.validateProfileName(name, state.profiles)
+            };
+
+            state.profiles.push(profile);
+            state.activeId = profile.id;
+            this.saveProfileState(state);
+
+            return { success: true, profile: { ...profile } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Switch to another profile
+     * @param {string} profileId - Profile id
+     * @returns {boolean} True if the profile exists
+     */
+    switchProfile(profileId) {
+        const state = this.loadProfileState();
+        if (!state.profiles.some(profile => profile.id === profileId)) return false;
+
+        state.activeId = profileId;
+        return this.saveProfileState(state);
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile id
+     * @param {string} name - New profile name
+     * @returns {Object} { success, profile } or { success: false, error }
+     */
+    renameProfile(profileId, name) {
+        try {
+            const state = this.loadProfileState();
+            const profile = state.profiles.find(item => item.id === profileId);
+            if (!profile) {
+                throw new Error(this.i18n.t('profile.error.notFound'));
+            }
+
+            profile.name = this.validateProfileName(name, state.profiles.filter(item => item.id !== profileId));
+            this.saveProfileState(state);
+
+            return { success: true, profile: { ...profile } };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a profile with its saved form data, email history and pickup pattern
+     * Deleting the active profile switches to the first remaining one
+     * @param {string} profileId - Profile id
+     * @returns {Object} { success } or { success: false, error }
+     */
+    deleteProfile(profileId) {
+        try {
+            const state = this.loadProfileState();
+            if (state.profiles.length <= 1) {
+                throw new Error(this.i18n.t('profile.error.last'));
+            }
+
+            const remaining = state.profiles.filter(profile => profile.id !== profileId);
+            if (remaining.length === state.profiles.length) {
+                throw new Error(this.i18n.t('profile.error.notFound'));
+            }
+
+            this.removeProfileData(profileId);
+
+            state.profiles = remaining;
+            if (state.activeId === profileId) {
+                state.activeId = remaining[0].id;
+            }
+            this.saveProfileState(state);
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check a profile id, e.g. from a backup file
+     * Ids are part of storage keys, so other ids could overwrite unrelated data (e.g. "sendMethod")
+     * @param {string} profileId - Profile id
+     * @returns {boolean} True for the default profile and ids as created by createProfile()
+     */
+    isProfileId(profileId) {
+        return profileId === this.DEFAULT_PROFILE_ID ||
+            (typeof profileId === 'string' && new RegExp(`^${this.PROFILE_ID_PREFIX}[\\w-]+$`).test(profileId));
+    }
+
+    /**
+     * Replace the profile list (e.g. when importing a backup)
+     * Profiles with an invalid id are left out
+     * @param {Array<Object>} profiles - List of { id, name }
+     * @param {string} activeId - Id of the active profile (falls back to the first profile)
+     * @returns {boolean} Success status
+     */
+    replaceProfiles(profiles, activeId) {
+        const validProfiles = (profiles || [])
+            .filter(profile => profile && this.isProfileId(profile.id) && profile.name)
+            .map(profile => ({ id: String(profile.id), name: String(profile.name) }));
+        if (validProfiles.length === 0) return false;
+
+        return this.saveProfileState({
+            activeId: validProfiles.some(profile => profile.id === activeId) ? activeId : validProfiles[0].id,
+            profiles: validProfiles
+        });
+    }
+
+    /**
+     * Get all saved data of a profile without migrating it
+     * @param {string} profileId - Profile id
+     * @returns {Object} { formData, history, pattern } (formData and pattern may be null)
+     */
+    exportProfileData(profileId) {
+        let formData = null;
+        try {
+            formData = JSON.parse(this.readItem(this.getProfileKey(profileId)) || 'null');
+        } catch (error) {
+            console.warn('Reading form data for export failed:', error);
+        }
+
+        return {
+            formData,
+            history: this.loadHistory(profileId),
+            pattern: this.loadPattern(profileId)
+        };
+    }
+
+    /**
+     * Write all data of a profile, form data of older versions is migrated first
+     * @param {string} profileId - Profile id
+     * @param {Object} data - { formData, history, pattern }
+     * @throws {Error} If the profile id is invalid or the form data cannot be migrated or does not match the schema
+     */
+    importProfileData(profileId, { formData = null, history = [], pattern = null } = {}) {
+        if (!this.isProfileId(profileId)) {
+            throw new Error(this.i18n.t('profile.error.invalidId', { id: profileId }));
+        }
+
+        const migrated = formData ? this.prepareImportedFormData(formData) : null;
+
+        if (migrated) {
+            this.writeItem(this.getProfileKey(profileId), JSON.stringify(migrated));
+        } else {
+            this.removeItem(this.getProfileKey(profileId));
+        }
+
+        this.saveHistory(Array.isArray(history) ? history : [], profileId);
+        this.savePattern(pattern, profileId);
+    }
+
+    /**
+     * Migrate and validate form data from another browser
+     * @param {Object} formData - Saved form data of any known version
+     * @returns {Object} Form data in the current format
+     * @throws {Error} If the data cannot be migrated or does not match the schema
+     */
+    prepareImportedFormData(formData) {
+        const migrated = this.migrateFormData(formData);
+        const validation = this.validateSchema(migrated);
+        if (!validation.isValid) {
+            throw new Error(`Invalid form data: ${validation.errors.join('; ')}`);
+        }
+        return migrated;
+    }
+
+    /**
+     * Remove form data, its migration backup, email history and pickup pattern of a profile
+     * @param {string} profileId - Profile id
+     */
+    removeProfileData(profileId) {
+        this.removeItem(this.getProfileKey(profileId));
+        this.removeItem(this.getProfileDataKey(this.BACKUP_SUFFIX, profileId));
+        this.removeItem(this.getProfileDataKey(this.HISTORY_SUFFIX, profileId));
+        this.removeItem(this.getProfileDataKey(this.PATTERN_SUFFIX, profileId));
+    }
+
+    /**
+     * Get the storage key of a profile's form data
+     * The default profile uses the key of versions without profiles
+     * @private
+     * @param {string} profileId - Profile id (defaults to the active profile)
+     * @returns {string} localStorage key
+     */
+    getProfileKey(profileId = this.loadProfileState().activeId) {
+        return profileId === this.DEFAULT_PROFILE_ID
+            ? this.STORAGE_KEY
+            : `${this.STORAGE_KEY}_${profileId}`;
+    }
+
+    /**
+     * Get the storage key of further profile data (e.g. the email history)
+     * @private
+     * @param {string} suffix - Key suffix of the data
+     * @param {string} profileId - Profile id (defaults to the active profile)
+     * @returns {string} localStorage key
+     */
+    getProfileDataKey(suffix, profileId = this.loadProfileState().activeId) {
+        return `${this.getProfileKey(profileId)}${suffix}`;
+    }
+
+    /**
+     * Check a profile name
+     * @private
+     * @param {string} name - Profile name
+     * @param {Array<Object>} otherProfiles - Profiles the name must differ from
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty or already used
+     */
+    validateProfileName(name, otherProfiles) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error(this.i18n.t('profile.error.nameMissing'));
+        }
+
+        if (otherProfiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(this.i18n.t('profile.error.nameTaken'));
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Load profile list and active profile
+     * Without saved profiles there is one default profile
+     * @private
+     * @returns {Object} { activeId, profiles }
+     */
+    loadProfileState() {
+        const defaultState = {
+            activeId: this.DEFAULT_PROFILE_ID,
+            profiles: [{ id: this.DEFAULT_PROFILE_ID, name: 'Standard' }]
+        };
+
+        try {
+            const saved = this.getStore().getItem(this.PROFILES_KEY);
+            const state = saved ? JSON.parse(saved) : null;
+
+            if (!state || !Array.isArray(state.profiles) || state.profiles.length === 0) {
+                return defaultState;
+            }
+
+            const profiles = state.profiles.filter(profile => profile && profile.id && profile.name);
+            if (profiles.length === 0) {
+                return defaultState;
+            }
+
+            return {
+                activeId: profiles.some(profile => profile.id === state.activeId) ? state.activeId : profiles[0].id,
+                profiles
+            };
+        } catch (error) {
+            console.warn('Loading profiles failed:', error);
+            return defaultState;
+        }
+    }
+
+    /**
+     * Save profile list and active profile
+     * @private
+     * @param {Object} state - { activeId, profiles }
+     * @returns {boolean} Success status
+     */
+    saveProfileState(state) {
+        try {
+            this.getStore().setItem(this.PROFILES_KEY, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.warn('Saving profiles failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save the email history of a profile
+     * @param {Array<Object>} entries - History entries (newest first)
+     * @param {string} profileId - Profile id (defaults to the active profile)
+     * @returns {boolean} Success status
+     */
+    saveHistory(entries, profileId) {
+        try {
+            this.writeItem(this.getProfileDataKey(this.HISTORY_SUFFIX, profileId), JSON.stringify(entries));
+            return true;
+        } catch (error) {
+            console.warn('Saving email history failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the email history of a profile
+     * @param {string} profileId - Profile id (defaults to the active profile)
+     * @returns {Array<Object>} History entries (empty if none saved)
+     */
+    loadHistory(profileId) {
+        try {
+            const saved = this.readItem(this.getProfileDataKey(this.HISTORY_SUFFIX, profileId));
+            const entries = saved ? JSON.parse(saved) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Loading email history failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the recurring pickup pattern of a profile
+     * @param {Object|null} pattern - Pattern (null removes it)
+     * @param {string} profileId - Profile id (defaults to the active profile)
+     * @returns {boolean} Success status
+     */
+    savePattern(pattern, profileId) {
+        try {
+            const key = this.getProfileDataKey(this.PATTERN_SUFFIX, profileId);
+            if (pattern) {
+                this.writeItem(key, JSON.stringify(pattern));
+            } else {
+                this.removeItem(key);
+            }
+            return true;
+        } catch (error) {
+            console.warn('Saving pickup pattern failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the recurring pickup pattern of a profile
+     * @param {string} profileId - Profile id (defaults to the active profile)
+     * @returns {Object|null} Pattern (null if none saved)
+     */
+    loadPattern(profileId) {
+        try {
+            const saved = this.readItem(this.getProfileDataKey(this.PATTERN_SUFFIX, profileId));
+            const pattern = saved ? JSON.parse(saved) : null;
+            return pattern && Array.isArray(pattern.days) ? pattern : null;
+        } catch (error) {
+            console.warn('Loading pickup pattern failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save user-defined email templates
+     * @param {Object[]} templates - Custom templates
+     * @returns {boolean} Success status
+     */
+    saveCustomTemplates(templates) {
+        try {
+            this.getStore().setItem(this.TEMPLATES_KEY, JSON.stringify(templates));
+            return true;
+        } catch (error) {
+            console.warn('Saving templates failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load user-defined email templates
+     * @returns {Object[]} Custom templates (empty if none saved)
+     */
+    loadCustomTemplates() {
+        try {
+            const saved = this.getStore().getItem(this.TEMPLATES_KEY);
+            const templates = saved ? JSON.parse(saved) : [];
+            return Array.isArray(templates) ? templates : [];
+        } catch (error) {
+            console.warn('Loading templates failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save imported closure days
+     * @param {Object} closures - Map of facility email to list of { name, start, end }
+     * @returns {boolean} Success status
+     */
+    saveClosures(closures) {
+        try {
+            this.getStore().setItem(this.CLOSURES_KEY, JSON.stringify(closures));
+            return true;
+        } catch (error) {
+            console.warn('Saving closure days failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load imported closure days
+     * @returns {Object} Map of facility email to closure list (empty if none saved)
+     */
+    loadClosures() {
+        try {
+            const saved = this.getStore().getItem(this.CLOSURES_KEY);
+            const closures = saved ? JSON.parse(saved) : {};
+            return closures && typeof closures === 'object' && !Array.isArray(closures) ? closures : {};
+        } catch (error) {
+            console.warn('Loading closure days failed:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the preferred way to send emails
+     * @param {string} method - Send method, e.g. 'mailto' or 'gmail'
+     * @returns {boolean} Success status
+     */
+    saveSendMethod(method) {
+        try {
+            this.getStore().setItem(this.SEND_METHOD_KEY, method);
+            return true;
+        } catch (error) {
+            console.warn('Saving send method failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the preferred way to send emails
+     * @returns {string|null} Send method (null if none saved)
+     */
+    loadSendMethod() {
+        try {
+            return this.getStore().getItem(this.SEND_METHOD_KEY);
+        } catch (error) {
+            console.warn('Loading send method failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the languages of the user interface and the emails
+     * @param {Object} settings - { ui, email } language codes
+     * @returns {boolean} Success status
+     */
+    saveLanguageSettings(settings) {
+        try {
+            this.getStore().setItem(this.LANGUAGE_KEY, JSON.stringify({ ui: settings.ui, email: settings.email }));
+            return true;
+        } catch (error) {
+            console.warn('Saving language settings failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the languages of the user interface and the emails
+     * @returns {Object|null} { ui, email } language codes (null if none saved)
+     */
+    loadLanguageSettings() {
+        try {
+            const saved = this.getStore().getItem(this.LANGUAGE_KEY);
+            const settings = saved ? JSON.parse(saved) : null;
+            return settings && typeof settings === 'object' ? settings : null;
+        } catch (error) {
+            console.warn('Loading language settings failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check if the saved data is protected by a passphrase
+     * @returns {boolean} True if passphrase protection is active
+     */
+    isEncryptionEnabled() {
+        return !!this.loadEncryptionSettings();
+    }
+
+    /**
+     * Check if the saved data is protected and not unlocked yet
+     * @returns {boolean} True if a passphrase is needed to read the data
+     */
+    isLocked() {
+        return this.isEncryptionEnabled() && !this.cryptoKey;
+    }
+
+    /**
+     * Protect form data, email history and pickup patterns with a passphrase
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async enablePassphrase(passphrase) {
+        try {
+            if (!this.security) {
+                throw new Error(this.i18n.t('passphrase.error.unsupported'));
+            }
+
+            if (this.isEncryptionEnabled()) {
+                throw new Error(this.i18n.t('passphrase.error.enabled'));
+            }
+
+            this.validatePassphrase(passphrase);
+
+            const values = new Map();
+            this.getProtectedKeys().forEach(key => {
+                const value = this.getStore().getItem(key);
+                if (value !== null) values.set(key, value);
+            });
+
+            await this.applyPassphrase(passphrase, values);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Unlock the protected data for this page load
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async unlock(passphrase) {
+        try {
+            const settings = this.loadEncryptionSettings();
+            if (!settings) return { success: true };
+
+            const cryptoKey = await this.security.deriveKey(String(passphrase || ''), settings.salt, settings.iterations);
+            try {
+                await this.security.decryptData(settings.check, cryptoKey);
+            } catch {
+                throw new Error(this.i18n.t('passphrase.error.wrong'));
+            }
+
+            // Already unlocked: the data in memory may be newer than the saved data
+            if (this.cryptoKey) return { success: true };
+
+            const values = new Map();
+            for (const key of this.getProtectedKeys()) {
+                const saved = this.getStore().getItem(key);
+                if (saved === null) continue;
+
+                try {
+                    values.set(key, await this.security.decryptData(JSON.parse(saved), cryptoKey));
+                } catch (error) {
+                    console.warn(`Decrypting ${key} failed:`, error);
+                }
+            }
+
+            this.cryptoKey = cryptoKey;
+            this.decrypted = values;
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Change the passphrase, all protected data is encrypted again
+     * @param {string} currentPassphrase - Current passphrase
+     * @param {string} newPassphrase - New passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        try {
+            if (!this.isEncryptionEnabled()) {
+                throw new Error(this.i18n.t('passphrase.error.disabled'));
+            }
+
+            this.validatePassphrase(newPassphrase);
+
+            const unlocked = await this.unlock(currentPassphrase);
+            if (!unlocked.success) {
+                throw new Error(unlocked.error);
+            }
+
+            await this.applyPassphrase(newPassphrase, new Map(this.decrypted));
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove passphrase protection and save the data unencrypted again
+     * @param {string} passphrase - Current passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async disablePassphrase(passphrase) {
+        try {
+            const unlocked = await this.unlock(passphrase);
+            if (!unlocked.success) {
+                throw new Error(unlocked.error);
+            }
+
+            await this.flushWrites();
+
+            this.decrypted.forEach((value, key) => this.getStore().setItem(key, value));
+            this.getStore().removeItem(this.ENCRYPTION_SETTINGS_KEY);
+            this.cryptoKey = null;
+            this.decrypted = new Map();
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Reset a forgotten passphrase
+     * Protected data cannot be recovered without the passphrase, so it is deleted
+     * @returns {boolean} Success status
+     */
+    resetPassphrase() {
+        try {
+            this.getProtectedKeys().forEach(key => this.getStore().removeItem(key));
+            this.getStore().removeItem(this.ENCRYPTION_SETTINGS_KEY);
+            this.cryptoKey = null;
+            this.decrypted = new Map();
+            return true;
+        } catch (error) {
+            console.warn('Resetting passphrase failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Forget the key and the decrypted data in memory
+     * Protected data has to be unlocked again before it can be read
+     */
+    lock() {
+        this.cryptoKey = null;
+        this.decrypted = new Map();
+    }
+
+    /**
+     * Wait until all changes are encrypted and saved
+     * @returns {Promise<void>} Resolves when pending writes are done
+     */
+    flushWrites() {
+        return this.pendingWrite;
+    }
+
+    /**
+     * Encrypt protected values with a new passphrase and save them
+     * Everything is encrypted before the first write, so a failure leaves the saved data unchanged
+     * @private
+     * @param {string} passphrase - New passphrase
+     * @param {Map<string, string>} values - Decrypted values by storage key
+     */
+    async applyPassphrase(passphrase, values) {
+        await this.flushWrites();
+
+        const salt = this.security.createSalt();
+        const iterations = this.security.KDF_ITERATIONS;
+        const cryptoKey = await this.security.deriveKey(passphrase, salt, iterations);
+
+        const settings = {
+            version: 1,
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            cipher: 'AES-GCM',
+            iterations,
+            salt,
+            check: await this.security.encryptData(this.ENCRYPTION_CHECK, cryptoKey)
+        };
+
+        const encrypted = [];
+        for (const [key, value] of values) {
+            encrypted.push([key, await this.security.encryptData(value, cryptoKey)]);
+        }
+
+        this.getStore().setItem(this.ENCRYPTION_SETTINGS_KEY, JSON.stringify(settings));
+        encrypted.forEach(([key, value]) => this.getStore().setItem(key, JSON.stringify(value)));
+
+        this.cryptoKey = cryptoKey;
+        this.decrypted = values;
+    }
+
+    /**
+     * Check a new passphrase
+     * @private
+     * @param {string} passphrase - Passphrase
+     * @throws {Error} If the passphrase is too short
+     */
+    validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(this.i18n.t('passphrase.error.tooShort', { count: this.MIN_PASSPHRASE_LENGTH }));
+        }
+    }
+
+    /**
+     * Load key derivation settings of the passphrase protection
+     * @private
+     * @returns {Object|null} Settings or null if protection is not active
+     */
+    loadEncryptionSettings() {
+        try {
+            const saved = this.getStore().getItem(this.ENCRYPTION_SETTINGS_KEY);
+            const settings = saved ? JSON.parse(saved) : null;
+            return settings && settings.salt && settings.check ? settings : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Get the storage keys protected by the passphrase
+     * Form data, its migration backup, email history and pickup pattern of all profiles
+     * @private
+     * @returns {string[]} localStorage keys
+     */
+    getProtectedKeys() {
+        const keys = [];
+        this.getProfiles().forEach(profile => {
+            keys.push(
+                this.getProfileKey(profile.id),
+                this.getProfileDataKey(this.BACKUP_SUFFIX, profile.id),
+                this.getProfileDataKey(this.HISTORY_SUFFIX, profile.id),
+                this.getProfileDataKey(this.PATTERN_SUFFIX, profile.id)
+            );
+        });
+        return keys;
+    }
+
+    /**
+     * Read a protected value
+     * With passphrase protection the decrypted copy in memory is used (nothing while locked)
+     * @private
+     * @param {string} key - localStorage key
+     * @returns {string|null} Saved value
+     */
+    readItem(key) {
+        if (!this.isEncryptionEnabled()) {
+            return this.getStore().getItem(key);
+        }
+
+        return this.decrypted.has(key) ? this.decrypted.get(key) : null;
+    }
+
+    /**
+     * Write a protected value
+     * @private
+     * @param {string} key - localStorage key
+     * @param {string} value - Value to save
+     * @throws {Error} If the data is locked (nothing is overwritten)
+     */
+    writeItem(key, value) {
+        if (!this.isEncryptionEnabled()) {
+            this.getStore().setItem(key, value);
+            return;
+        }
+
+        if (!this.cryptoKey) {
+            throw new Error('Storage is locked');
+        }
+
+        this.decrypted.set(key, value);
+        this.queueEncryptedWrite(key);
+    }
+
+    /**
+     * Remove a protected value
+     * @private
+     * @param {string} key - localStorage key
+     */
+    removeItem(key) {
+        this.decrypted.delete(key);
+        this.getStore().removeItem(key);
+    }
+
+    /**
+     * Encrypt and save the current value of a key after all earlier writes
+     * Values changed or removed in the meantime are saved in their latest state
+     * @private
+     * @param {string} key - localStorage key
+     */
+    queueEncryptedWrite(key) {
+        const cryptoKey = this.cryptoKey;
+
+        this.pendingWrite = this.pendingWrite
+            .then(async () => {
+                if (this.cryptoKey !== cryptoKey || !this.decrypted.has(key)) return;
+
+                const encrypted = await this.security.encryptData(this.decrypted.get(key), cryptoKey);
+                if (this.cryptoKey === cryptoKey && this.decrypted.has(key)) {
+                    this.getStore().setItem(key, JSON.stringify(encrypted));
+                }
+            })
+            .catch(error => console.warn('Saving encrypted data failed:', error));
+    }
+
+    /**
+     * Get the storage for app data
+     * In privacy mode data is only kept in the session of this tab
+     * @private
+     * @returns {Storage} sessionStorage in privacy mode, otherwise localStorage
+     */
+    getStore() {
+        return this.security?.privacyMode ? sessionStorage : localStorage;
+    }
+
     /**
      * Check if localStorage is available
      * @returns {boolean} Storage availability
@@ -80,8 +1277,8 @@ class StorageManager {
     isStorageAvailable() {
         try {
             const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
+            this.getStore().setItem(test, test);
+            this.getStore().removeItem(test);
             return true;
         } catch {
             return false;
@@ -101,6 +1298,8 @@ class StorageManager {
             const data = this.loadFormData();
             return {
                 available: true,
+                encrypted: this.isEncryptionEnabled(),
+                locked: this.isLocked(),
                 hasData: !!data,
                 timestamp: data?.timestamp,
                 version: data?.version
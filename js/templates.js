@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Email templates with placeholder substitution
+ * @version 1.2.0
+ */
+
+/**
+ * Template manager for the different email types
+ * Provides built-in and user-defined templates and renders {{placeholder}} and {{#section}} syntax
+ */
+class TemplateManager {
+    constructor(storageManager = null, i18nManager = null) {
+        this.storage = storageManager;
+        this.i18n = i18nManager || new I18nManager();
+        this.DEFAULT_TEMPLATE_ID = 'wochenplan';
+        this.CUSTOM_ID_PREFIX = 'custom-';
+
+        // Texts of the built-in templates come from the message catalogs
+        this.builtInTemplates = [
+            { id: 'wochenplan', requires: { pickup: true } },
+            { id: 'krankmeldung', requires: { absence: true } },
+            { id: 'urlaub', requires: { absence: true } },
+            { id: 'aenderung', requires: { pickup: true } },
+            { id: 'abholperson', requires: { pickup: true, pickupPerson: true } }
+        ];
+
+        // {{name}}, {{#name}}, {{^name}} and {{/name}}, whitespace inside the braces is allowed
+        this.PLACEHOLDER_PATTERN = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+
+        this.placeholders = ['kinder', 'klasse', 'kw', 'abholliste', 'notizen', 'elternname', 'einrichtung',
+            'leitung', 'anrede', 'zeitraum', 'von', 'bis', 'abholperson'];
+
+        // Placeholders that make a template need the matching form section
+        this.requirementPlaceholders = {
+            pickup: ['abholliste'],
+            absence: ['zeitraum', 'von', 'bis'],
+            pickupPerson: ['abholperson']
+        };
+
+        this.customTemplates = this.storage ? this.storage.loadCustomTemplates() : [];
+    }
+
+    /**
+     * Get all available templates
+     * @param {string} language - Language of the built-in templates (default: language of the emails)
+     * @returns {Object[]} Template list
+     */
+    getTemplates(language = this.i18n.emailLanguage) {
+        return [...this.getBuiltInTemplates(language), ...this.customTemplates]
+            .map(template => ({ ...template, requires: { ...template.requires } }));
+    }
+
+    /**
+     * Get the built-in templates in a language
+     * @private
+     * @param {string} language - Language code
+     * @returns {Object[]} Built-in templates with name, subject and body
+     */
+    getBuiltInTemplates(language) {
+        const params = {
+            childInfo: this.i18n.t('template.childInfo', {}, language),
+            closing: this.i18n.t('template.closing', {}, language)
+        };
+
+        return this.builtInTemplates.map(template => ({
+            ...template,
+            name: this.i18n.t(`template.${template.id}.name`, {}, language),
+            subject: this.i18n.t(`template.${template.id}.subject`, {}, language),
+            body: this.i18n.t(`template.${template.id}.body`, params, language)
+        }));
+    }
+
+    /**
+     * Get user-defined templates
+     * @returns {Object[]} Custom template list
+     */
+    getCustomTemplates() {
+        return this.customTemplates.map(template => ({ ...template, requires: { ...template.requires } }));
+    }
+
+    /**
+     * Save a user-defined template (creates it if it has no id yet)
+     * @param {Object} template - Template with name, subject and body
+     * @returns {Object} Validation result, with the saved template on success
+     */
+    saveCustomTemplate(template) {
+        const validation = this.validateTemplate(template);
+        if (!validation.isValid) {
+            return validation;
+        }
+
+        const savedTemplate = {
+            id: template.id && template.id.startsWith(this.CUSTOM_ID_PREFIX)
+                ? template.id
+                : `${this.CUSTOM_ID_PREFIX}${Date.now()}`,
+            name: template.name.trim(),
+            subject: template.subject,
+            body: template.body,
+            custom: true,
+            requires: this.detectRequirements(template)
+        };
+
+        const index = this.customTemplates.findIndex(existing => existing.id === savedTemplate.id);
+        if (index >= 0) {
+            this.customTemplates[index] = savedTemplate;
+        } else {
+            this.customTemplates.push(savedTemplate);
+        }
+
+        this.persistCustomTemplates();
+        return { ...validation, template: savedTemplate };
+    }
+
+    /**
+     * Delete a user-defined template
+     * @param {string} templateId - Template id
+     * @returns {boolean} True if a template was deleted
+     */
+    deleteCustomTemplate(templateId) {
+        const before = this.customTemplates.length;
+        this.customTemplates = this.customTemplates.filter(template => template.id !== templateId);
+
+        if (this.customTemplates.length === before) return false;
+
+        this.persistCustomTemplates();
+        return true;
+    }
+
+    /**
+     * Replace all user-defined templates (e.g. after switching data sets)
+     * @param {Object[]} templates - Custom templates
+     */
+    setCustomTemplates(templates) {
+        this.customTemplates = (templates || [])
+            .filter(template => this.validateTemplate(template).isValid)
+            .map(template => ({ ...template, custom: true, requires: this.detectRequirements(template) }));
+    }
+
+    /**
+     * Validate a template
+     * @param {Object} template - Template with name, subject and body
+     * @returns {Object} { isValid, errors, unknownPlaceholders }
+     */
+    validateTemplate(template) {
+        const errors = [];
+
+        if (!template || !template.name || !template.name.trim()) {
+            errors.push(this.i18n.t('editor.error.name'));
+        }
+
+        if (!template || !template.subject || !template.subject.trim()) {
+            errors.push(this.i18n.t('editor.error.subject'));
+        }
+
+        if (!template || !template.body || !template.body.trim()) {
+            errors.push(this.i18n.t('editor.error.body'));
+        }
+
+        const text = `${template?.subject || ''}\n${template?.body || ''}`;
+        const unknownPlaceholders = this.findUnknownPlaceholders(text);
+        if (unknownPlaceholders.length > 0) {
+            errors.push(this.i18n.t('editor.error.placeholders', {
+                placeholders: unknownPlaceholders.map(name => `{{${name}}}`).join(', ')
+            }));
+        }
+
+        const unbalancedSections = this.findUnbalancedSections(text);
+        if (unbalancedSections.length > 0) {
+            errors.push(this.i18n.t('editor.error.sections', {
+                sections: unbalancedSections.map(name => `{{#${name}}}`).join(', ')
+            }));
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            unknownPlaceholders
+        };
+    }
+
+    /**
+     * Find placeholders that are not supported
+     * @param {string} text - Template text
+     * @returns {string[]} Unknown placeholder names
+     */
+    findUnknownPlaceholders(text) {
+        const unknown = new Set();
+
+        for (const [, , name] of (text || '').matchAll(this.PLACEHOLDER_PATTERN)) {
+            if (!this.placeholders.includes(name)) {
+                unknown.add(name);
+            }
+        }
+
+        return [...unknown];
+    }
+
+    /**
+     * Find sections that are opened but not closed (or the other way round)
+     * @private
+     * @param {string} text - Template text
+     * @returns {string[]} Section names
+     */
+    findUnbalancedSections(text) {
+        const open = [];
+        const unbalanced = new Set();
+        const pattern = /\{\{([#^/])(\w+)\}\}/g;
+        const normalized = this.normalizePlaceholders(text);
+        let match;
+
+        while ((match = pattern.exec(normalized)) !== null) {
+            const [, type, name] = match;
+            if (type === '/') {
+                if (open[open.length - 1] === name) {
+                    open.pop();
+                } else {
+                    unbalanced.add(name);
+                }
+            } else {
+                open.push(name);
+            }
+        }
+
+        open.forEach(name => unbalanced.add(name));
+        return [...unbalanced];
+    }
+
+    /**
+     * Write all placeholders without whitespace inside the braces ({{ # name }} becomes {{#name}})
+     * @private
+     * @param {string} text - Template text
+     * @returns {string} Text with normalized placeholders
+     */
+    normalizePlaceholders(text) {
+        return (text || '').replace(this.PLACEHOLDER_PATTERN, (match, type, name) => `{{${type}${name}}}`);
+    }
+
+    /**
+     * Derive which form sections a template needs from its placeholders
+     * @private
+     * @param {Object} template - Template with subject and body
+     * @returns {Object} Requirements ({ pickup, absence, pickupPerson })
+     */
+    detectRequirements(template) {
+        const text = this.normalizePlaceholders(`${template.subject || ''}\n${template.body || ''}`);
+        const requires = {};
+
+        Object.entries(this.requirementPlaceholders).forEach(([requirement, names]) => {
+            requires[requirement] = names.some(name => text.includes(`{{${name}}}`));
+        });
+
+        return requires;
+    }
+
+    /**
+     * Persist user-defined templates
+     * @private
+     */
+    persistCustomTemplates() {
+        if (this.storage) {
+            this.storage.saveCustomTemplates(this.customTemplates);
+        }
+    }
+
+    /**
+     * Get template by id (falls back to the weekly pickup template)
+     * @param {string} templateId - Template id
+     * @param {string} language - Language of the built-in templates (default: language of the emails)
+     * @returns {Object} Template
+     */
+    getTemplate(templateId, language = this.i18n.emailLanguage) {
+        const templates = this.getTemplates(language);
+        return templates.find(template => template.id === templateId) ||
+            templates.find(template => template.id === this.DEFAULT_TEMPLATE_ID);
+    }
+
+    /**
+     * Get supported placeholders with descriptions
+     * @param {string} language - Language of the descriptions (default: language of the user interface)
+     * @returns {Object} Map of placeholder name to description
+     */
+    getPlaceholders(language = this.i18n.uiLanguage) {
+        return Object.fromEntries(this.placeholders.map(name => [name, this.i18n.t(`placeholder.${name}`, {}, language)]));
+    }
+
+    /**
+     * Render subject and body of a template
+     * @param {Object} template - Template to render
+     * @param {Object} values - Placeholder values
+     * @returns {Object} Rendered { subject, body }
+     */
+    renderTemplate(template, values) {
+        return {
+            subject: this.render(template.subject, values),
+            body: this.render(template.body, values)
+        };
+    }
+
+    /**
+     * Render a template string
+     * {{name}} is replaced by its value, {{#name}}…{{/name}} is only kept if the
+     * value is not empty and {{^name}}…{{/name}} only if it is empty
+     * @param {string} text - Template text
+     * @param {Object} values - Placeholder values
+     * @returns {string} Rendered text
+     */
+    render(text, values) {
+        const sectionPattern = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+
+        // Resolve sections until no more are left (handles nesting of different names)
+        let result = this.normalizePlaceholders(text);
+        let previous;
+        do {
+            previous = result;
+            result = result.replace(sectionPattern, (match, type, key, content) => {
+                const hasValue = this.hasValue(values[key]);
+                return (type === '#') === hasValue ? content : '';
+            });
+        } while (result !== previous);
+
+        // Unknown placeholders are kept as they are
+        return result.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+            return Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? '') : match;
+        });
+    }
+
+    /**
+     * Check whether a placeholder value counts as filled
+     * @private
+     * @param {any} value - Placeholder value
+     * @returns {boolean} True if not empty
+     */
+    hasValue(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== undefined && value !== null && String(value).trim() !== '';
+    }
+}
+
+// Export for use in main application
+window.TemplateManager = TemplateManager;
@@ -8,7 +8,9 @@
  * Provides system preference detection, manual switching, and persistent storage
  */
 class ThemeManager {
-    constructor() {
+    constructor(i18nManager = null) {
+        this.i18n = i18nManager || new I18nManager();
+
         this.themes = {
             light: 'light',
             dark: 'dark',
@@ -164,15 +166,16 @@ class ThemeManager {
             auto: '🔄'
         };
 
-        const labels = {
-            light: 'Hell',
-            dark: 'Dunkel',
-            auto: 'System'
-        };
+        // Marked for translateDocument(), so a language change updates the button as well
+        const label = document.createElement('span');
+        label.dataset.i18n = `theme.${this.currentTheme}`;
+        label.textContent = this.i18n.t(label.dataset.i18n);
 
-        themeToggle.innerHTML = `${icons[this.currentTheme]} ${labels[this.currentTheme]}`;
-        themeToggle.setAttribute('aria-label', `Theme: ${labels[this.currentTheme]}`);
-        themeToggle.title = `Aktuelles Theme: ${labels[this.currentTheme]}. Klicken zum Wechseln.`;
+        themeToggle.replaceChildren(`${icons[this.currentTheme]} `, label);
+        themeToggle.dataset.i18nAriaLabel = `theme.label.${this.currentTheme}`;
+        themeToggle.dataset.i18nTitle = `theme.title.${this.currentTheme}`;
+        themeToggle.setAttribute('aria-label', this.i18n.t(themeToggle.dataset.i18nAriaLabel));
+        themeToggle.title = this.i18n.t(themeToggle.dataset.i18nTitle);
     }
 
     /**
@@ -8,21 +8,33 @@
  * Manages form state, visual feedback, and user interactions
  */
 class UIManager {
-    constructor(storageManager, validationManager, emailManager, calendarManager) {
+    constructor(storageManager, validationManager, emailManager, calendarManager, templateManager, icsManager = null, backupManager = null, securityManager = null, notificationManager = null, i18nManager = null) {
         this.storage = storageManager;
         this.validation = validationManager;
         this.email = emailManager;
         this.calendar = calendarManager;
+        this.templates = templateManager;
+        this.ics = icsManager;
+        this.backup = backupManager;
+        this.pendingBackup = null;
+        this.batchEmails = [];
+        this.security = securityManager;
+        this.inactivityTimer = null;
+        this.notifications = notificationManager;
+        this.i18n = i18nManager || new I18nManager();
 
         this.selectedWeek = 'current';
+        this.lastTemplateField = null;
+        this.weekCount = 1;
+        this.maxWeekCount = 6;
         this.isInitialized = false;
 
         // Form field configurations
         this.formFields = {
-            text: ['parentName', 'parentEmail', 'childNames', 'childClass', 'notes'],
+            text: ['parentName', 'parentEmail', 'notes', 'pickupPerson', 'absenceFrom', 'absenceTo'],
             time: ['mondayTime', 'tuesdayTime', 'wednesdayTime', 'thursdayTime', 'fridayTime'],
             checkbox: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
-            select: ['bebLocation']
+            select: ['bebLocation', 'templateId', 'greetingStyle', 'icsReminder']
         };
 
         // Loading states
@@ -37,6 +49,9 @@ class UIManager {
         if (this.isInitialized) return;
 
         try {
+            this.i18n.translateDocument();
+            this.renderOutputPlaceholder();
+            await this.unlockStorage();
             this.setupEventListeners();
             this.setupAutoSave();
             this.setupKeyboardShortcuts();
@@ -49,167 +64,2620 @@ class UIManager {
         }
     }
 
+    /**
+     * Ask for the passphrase before protected data is loaded
+     * Resolves once the data is unlocked, reset or the user continues without it
+     * @private
+     * @returns {Promise<void>}
+     */
+    unlockStorage() {
+        const overlay = document.getElementById('unlockOverlay');
+        if (!overlay || !this.storage.isLocked()) return Promise.resolve();
+
+        const input = document.getElementById('unlockPassphrase');
+        const unlockBtn = document.getElementById('unlockBtn');
+        const error = document.getElementById('unlockError');
+
+        return new Promise(resolve => {
+            const finish = () => {
+                input.value = '';
+                overlay.hidden = true;
+                resolve();
+            };
+
+            const tryUnlock = async () => {
+                unlockBtn.disabled = true;
+                error.textContent = '';
+
+                const result = await this.storage.unlock(input.value);
+                unlockBtn.disabled = false;
+
+                if (result.success) {
+                    finish();
+                } else {
+                    error.textContent = result.error;
+                    input.select();
+                }
+            };
+
+            unlockBtn.addEventListener('click', tryUnlock);
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    tryUnlock();
+                }
+            });
+
+            document.getElementById('skipUnlockBtn')?.addEventListener('click', finish);
+            document.getElementById('resetPassphraseBtn')?.addEventListener('click', async () => {
+                const confirmed = await this.notifications.confirm(this.i18n.t('unlock.resetQuestion'), {
+                    title: this.i18n.t('unlock.reset'),
+                    confirmLabel: this.i18n.t('unlock.resetConfirm'),
+                    danger: true
+                });
+                if (!confirmed) {
+                    return;
+                }
+
+                this.storage.resetPassphrase();
+                finish();
+            });
+
+            overlay.hidden = false;
+            input.focus();
+        });
+    }
+
+    /**
+     * Show a message to the user
+     * @private
+     * @param {string} message - Message
+     * @param {string} type - 'success', 'info', 'warning' or 'error'
+     */
+    notify(message, type = 'error') {
+        this.notifications?.show(message, { type });
+    }
+
     /**
      * Setup all event listeners
      * @private
      */
     setupEventListeners() {
+        this.setupProfileSwitcher();
+        this.setupLanguage();
+        this.setupPrivacyMode();
+        this.setupTemplateChooser();
+        this.setupTemplateEditor();
         this.setupWeekSelection();
+        this.setupWeekCount();
+        this.setupChildList();
         this.setupTimeAllSetter();
         this.setupCheckboxAllSetter();
+        this.setupCopyLastWeek();
+        this.setupPattern();
         this.setupBebLocationChange();
+        this.setupClosureImport();
         this.setupFormValidation();
         this.setupButtonListeners();
+        this.setupSendMethod();
+        this.setupHistory();
+        this.setupBackup();
+        this.setupPassphrase();
     }
 
     /**
-     * Setup week selection buttons
+     * Setup family profile switcher
      * @private
      */
-    setupWeekSelection() {
-        const weekBtns = document.querySelectorAll('.week-btn');
-        weekBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.selectedWeek = btn.getAttribute('data-week');
-                weekBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.saveFormData();
-            });
+    setupProfileSwitcher() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect) return;
+
+        this.renderProfileOptions();
+
+        profileSelect.addEventListener('change', () => this.switchProfile(profileSelect.value));
+        document.getElementById('newProfileBtn')?.addEventListener('click', () => this.handleCreateProfile());
+        document.getElementById('renameProfileBtn')?.addEventListener('click', () => this.handleRenameProfile());
+        document.getElementById('deleteProfileBtn')?.addEventListener('click', () => this.handleDeleteProfile());
+    }
+
+    /**
+     * Setup the choice of the languages of the user interface and the emails
+     * @private
+     */
+    setupLanguage() {
+        const uiLanguage = document.getElementById('uiLanguage');
+        const emailLanguage = document.getElementById('emailLanguage');
+        if (!uiLanguage || !emailLanguage) return;
+
+        [uiLanguage, emailLanguage].forEach(select => {
+            select.replaceChildren(...this.i18n.getLanguages().map(language => {
+                const option = document.createElement('option');
+                option.value = language.code;
+                option.textContent = language.name;
+                return option;
+            }));
+        });
+        uiLanguage.value = this.i18n.uiLanguage;
+        emailLanguage.value = this.i18n.emailLanguage;
+
+        uiLanguage.addEventListener('change', () => {
+            this.i18n.setUiLanguage(uiLanguage.value);
+            this.applyUiLanguage();
+        });
+
+        // Templates and the preview follow the email language, an already created email stays as it is
+        emailLanguage.addEventListener('change', () => {
+            this.i18n.setEmailLanguage(emailLanguage.value);
+            this.renderTemplateOptions(document.getElementById('templateId')?.value);
+            this.updateTemplatePreview();
         });
     }
 
     /**
-     * Setup "set all times" functionality
+     * Show the user interface in the chosen language
+     * Static texts and generated elements are marked with data-i18n attributes,
+     * texts with changing content are rendered again
      * @private
      */
-    setupTimeAllSetter() {
-        const setAllBtn = document.getElementById('setAllBtn');
-        const setAllTimeInput = document.getElementById('setAllTime');
+    applyUiLanguage() {
+        this.i18n.translateDocument();
+        this.renderPrivacyModeInfo();
+        this.renderTemplateOptions(document.getElementById('templateId')?.value);
+        this.renderCustomTemplateOptions(document.getElementById('customTemplateSelect')?.value || '');
+        this.renderSendMethodOptions();
+        this.setWeekCount(this.weekCount);
+        this.updateClosureIndicators();
+        this.renderExceptionChildOptions();
+        this.renderPattern();
+        this.renderClosureInfo();
+        this.renderHistory();
+        this.renderMigrationBackup();
+        this.renderBackupPreview();
+        this.renderPassphraseStatus();
+        this.renderOutputPlaceholder();
+    }
 
-        if (!setAllBtn || !setAllTimeInput) return;
+    /**
+     * Show the hint of the email output as long as no email was created
+     * @private
+     */
+    renderOutputPlaceholder() {
+        const emailOutput = document.getElementById('emailOutput');
+        if (emailOutput && !this.email.currentEmailContent) {
+            emailOutput.textContent = this.i18n.t('output.placeholder');
+        }
+    }
 
-        setAllBtn.addEventListener('click', () => {
-            const selectedTime = setAllTimeInput.value;
+    /**
+     * Setup privacy mode toggle and inactivity timeout
+     * @private
+     */
+    setupPrivacyMode() {
+        const toggle = document.getElementById('privacyMode');
+        if (!this.security || !toggle) return;
 
-            if (!selectedTime) {
-                alert('Bitte wählen Sie zuerst eine Zeit aus.');
+        toggle.checked = this.security.privacyMode;
+        toggle.addEventListener('change', () => this.handlePrivacyModeChange(toggle));
+
+        ['pointerdown', 'keydown', 'input', 'scroll'].forEach(eventType => {
+            document.addEventListener(eventType, () => this.resetInactivityTimer(), { capture: true, passive: true });
+        });
+
+        this.renderPrivacyModeInfo();
+        this.resetInactivityTimer();
+    }
+
+    /**
+     * Switch privacy mode on or off
+     * @private
+     * @param {HTMLInputElement} toggle - Privacy mode checkbox
+     */
+    async handlePrivacyModeChange(toggle) {
+        if (toggle.checked) {
+            const confirmed = await this.notifications.confirm(this.i18n.t('privacy.question', { minutes: this.security.INACTIVITY_TIMEOUT_MINUTES }), {
+                title: this.i18n.t('privacy.title'),
+                confirmLabel: this.i18n.t('privacy.enable')
+            });
+            if (!confirmed) {
+                toggle.checked = false;
                 return;
             }
+        }
+
+        // Changes waiting for auto-save are moved together with the other data
+        this.persistFormData();
+        this.security.setPrivacyMode(toggle.checked);
+
+        this.renderPrivacyModeInfo();
+        this.resetInactivityTimer();
+    }
+
+    /**
+     * Show what privacy mode does while it is active
+     * @private
+     * @param {string} message - Message to show instead (e.g. after clearing the form)
+     */
+    renderPrivacyModeInfo(message = '') {
+        const info = document.getElementById('privacyModeInfo');
+        if (!info) return;
+
+        if (message) {
+            info.textContent = message;
+        } else if (this.security?.privacyMode) {
+            info.textContent = this.i18n.t('privacy.info', { minutes: this.security.INACTIVITY_TIMEOUT_MINUTES });
+        } else {
+            info.textContent = '';
+        }
+    }
+
+    /**
+     * Restart the inactivity timeout (only in privacy mode)
+     * @private
+     */
+    resetInactivityTimer() {
+        clearTimeout(this.inactivityTimer);
+        this.inactivityTimer = null;
+
+        if (!this.security?.privacyMode) return;
+
+        this.inactivityTimer = setTimeout(
+            () => this.handleInactivity(),
+            this.security.INACTIVITY_TIMEOUT_MINUTES * 60 * 1000
+        );
+    }
+
+    /**
+     * Clear all data and the form after the inactivity timeout
+     * @private
+     */
+    async handleInactivity() {
+        this.inactivityTimer = null;
+
+        this.security.clearSensitiveData();
+        this.storage.lock();
+        this.cancelBackupImport();
+
+        await this.loadProfile();
+        this.applySelectedWeek('current');
+        this.renderPassphraseStatus();
+        this.renderPrivacyModeInfo(`🕶️ ${this.i18n.t('privacy.cleared', { minutes: this.security.INACTIVITY_TIMEOUT_MINUTES })}`);
+    }
+
+    /**
+     * Fill the profile switcher
+     * @private
+     */
+    renderProfileOptions() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect) return;
+
+        const profiles = this.storage.getProfiles();
+
+        profileSelect.replaceChildren(...profiles.map(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            return option;
+        }));
+        profileSelect.value = this.storage.getActiveProfile().id;
+
+        const deleteBtn = document.getElementById('deleteProfileBtn');
+        if (deleteBtn) {
+            deleteBtn.disabled = profiles.length < 2;
+        }
+    }
+
+    /**
+     * Save the current profile and show another one
+     * @private
+     * @param {string} profileId - Profile id
+     */
+    async switchProfile(profileId) {
+        this.persistFormData();
+
+        if (!this.storage.switchProfile(profileId)) {
+            this.renderProfileOptions();
+            return;
+        }
+
+        await this.loadProfile();
+    }
+
+    /**
+     * Create a profile with an empty form
+     * @private
+     */
+    async handleCreateProfile() {
+        const name = await this.notifications.prompt(this.i18n.t('profile.createQuestion'), {
+            title: this.i18n.t('profile.createTitle'),
+            confirmLabel: this.i18n.t('profile.createConfirm')
+        });
+        if (name === null) return;
+
+        this.persistFormData();
+
+        const result = this.storage.createProfile(name);
+        if (!result.success) {
+            this.notify(result.error);
+            return;
+        }
+
+        await this.loadProfile();
+    }
+
+    /**
+     * Rename the active profile
+     * @private
+     */
+    async handleRenameProfile() {
+        const profile = this.storage.getActiveProfile();
+        const name = await this.notifications.prompt(this.i18n.t('profile.renameQuestion'), {
+            title: this.i18n.t('profile.renameTitle'),
+            value: profile.name,
+            confirmLabel: this.i18n.t('profile.rename')
+        });
+        if (name === null) return;
+
+        const result = this.storage.renameProfile(profile.id, name);
+        if (!result.success) {
+            this.notify(result.error);
+            return;
+        }
+
+        this.renderProfileOptions();
+    }
+
+    /**
+     * Delete the active profile and switch to the next one
+     * @private
+     */
+    async handleDeleteProfile() {
+        const profile = this.storage.getActiveProfile();
+        const confirmed = await this.notifications.confirm(this.i18n.t('profile.deleteQuestion', { name: profile.name }), {
+            title: this.i18n.t('profile.deleteTitle'),
+            confirmLabel: this.i18n.t('profile.delete'),
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        const result = this.storage.deleteProfile(profile.id);
+        if (!result.success) {
+            this.notify(result.error);
+            return;
+        }
+
+        await this.loadProfile();
+    }
+
+    /**
+     * Show the saved form data of the active profile
+     * @private
+     */
+    async loadProfile() {
+        this.resetForm();
+        await this.loadSavedData();
+        this.renderProfileOptions();
+        this.renderHistory();
+        this.renderPattern();
+    }
+
+    /**
+     * Reset all form fields, the child list and the pickup grids to their defaults
+     * @private
+     */
+    resetForm() {
+        this.formFields.text.forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) field.value = '';
+        });
+
+        this.formFields.select.forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (!field) return;
+
+            const defaultOption = Array.from(field.options).find(option => option.defaultSelected) || field.options[0];
+            field.value = defaultOption ? defaultOption.value : '';
+        });
+
+        const leaderInfo = document.getElementById('leaderInfo');
+        if (leaderInfo) leaderInfo.textContent = '';
+
+        this.renderChildRows([]);
+
+        const perChildSchedule = document.getElementById('perChildSchedule');
+        if (perChildSchedule) perChildSchedule.checked = false;
+
+        const defaultGrid = {};
+        this.calendar.getDayIds().forEach(dayId => {
+            defaultGrid[dayId] = false;
+            defaultGrid[dayId + 'Time'] = document.getElementById(`${dayId}Time`)?.defaultValue || '';
+            defaultGrid[dayId + 'PickupPerson'] = '';
+            defaultGrid[dayId + 'Note'] = '';
+        });
+        this.setWeekCount(1, { '': defaultGrid });
+
+        this.renderTemplateOptions(this.templates.DEFAULT_TEMPLATE_ID);
+        this.applyTemplateFields();
+
+        // Emails of the previous profile must not be sent by accident
+        const emailOutput = document.getElementById('emailOutput');
+        if (emailOutput) {
+            emailOutput.textContent = this.i18n.t('output.placeholder');
+            emailOutput.hidden = false;
+        }
+        document.getElementById('batchOutput')?.replaceChildren();
+        ['sendBtn', 'copyBtn', 'emlBtn', 'icsBtn'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) button.disabled = true;
+        });
+        this.email.clearCurrentEmail();
+    }
+
+    /**
+     * Setup email template chooser
+     * @private
+     */
+    setupTemplateChooser() {
+        const templateSelect = document.getElementById('templateId');
+        if (!templateSelect) return;
+
+        this.renderTemplateOptions(this.templates.DEFAULT_TEMPLATE_ID);
+
+        templateSelect.addEventListener('change', () => this.applyTemplateFields());
+        this.applyTemplateFields();
+    }
+
+    /**
+     * Fill the template chooser with built-in and custom templates
+     * @private
+     * @param {string} selectedId - Template id to select (falls back to the default template)
+     */
+    renderTemplateOptions(selectedId) {
+        const templateSelect = document.getElementById('templateId');
+        if (!templateSelect) return;
+
+        templateSelect.replaceChildren();
+        this.templates.getTemplates(this.i18n.uiLanguage).forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.custom ? this.i18n.t('template.customName', { name: template.name }) : template.name;
+            templateSelect.appendChild(option);
+        });
+
+        templateSelect.value = this.templates.getTemplate(selectedId).id;
+    }
+
+    /**
+     * Setup editor for user-defined templates
+     * @private
+     */
+    setupTemplateEditor() {
+        const editor = document.getElementById('templateEditor');
+        if (!editor) return;
+
+        // Placeholder chips insert {{name}} into the last focused field,
+        // their descriptions are marked for translateDocument()
+        const chips = document.getElementById('placeholderChips');
+        if (chips) {
+            chips.replaceChildren();
+            Object.entries(this.templates.getPlaceholders()).forEach(([name, description]) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'placeholder-chip';
+                chip.textContent = `{{${name}}}`;
+                chip.title = description;
+                chip.dataset.i18nTitle = `placeholder.${name}`;
+                chip.addEventListener('click', () => this.insertPlaceholder(name));
+                chips.appendChild(chip);
+            });
+        }
+
+        ['customTemplateSubject', 'customTemplateBody'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.addEventListener('focus', () => {
+                    this.lastTemplateField = field;
+                });
+            }
+        });
+
+        ['customTemplateName', 'customTemplateSubject', 'customTemplateBody'].forEach(fieldId => {
+            document.getElementById(fieldId)?.addEventListener('input', () => this.updateTemplatePreview());
+        });
+
+        document.getElementById('customTemplateSelect')?.addEventListener('change', (e) => {
+            this.loadTemplateIntoEditor(e.target.value);
+        });
+
+        document.getElementById('saveTemplateBtn')?.addEventListener('click', () => this.handleSaveTemplate());
+        document.getElementById('deleteTemplateBtn')?.addEventListener('click', () => this.handleDeleteTemplate());
+
+        // Preview uses the current form data, so refresh it whenever the editor is opened
+        editor.addEventListener('toggle', () => {
+            if (editor.open) {
+                this.updateTemplatePreview();
+            }
+        });
+
+        this.renderCustomTemplateOptions('');
+        this.loadTemplateIntoEditor('');
+    }
+
+    /**
+     * Fill the editor's template selection with the custom templates
+     * @private
+     * @param {string} selectedId - Custom template id to select ('' for a new template)
+     */
+    renderCustomTemplateOptions(selectedId) {
+        const select = document.getElementById('customTemplateSelect');
+        if (!select) return;
+
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = this.i18n.t('editor.newTemplate');
+        select.replaceChildren(newOption);
+
+        this.templates.getCustomTemplates().forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            select.appendChild(option);
+        });
+
+        select.value = selectedId;
+    }
+
+    /**
+     * Load a template into the editor fields
+     * A new template starts as a copy of the template selected in the chooser
+     * @private
+     * @param {string} templateId - Custom template id ('' for a new template)
+     */
+    loadTemplateIntoEditor(templateId) {
+        const customTemplate = this.templates.getCustomTemplates().find(template => template.id === templateId);
+        const template = customTemplate || this.templates.getTemplate(document.getElementById('templateId')?.value);
+
+        const fields = {
+            customTemplateName: customTemplate ? customTemplate.name : '',
+            customTemplateSubject: template.subject,
+            customTemplateBody: template.body
+        };
+
+        Object.entries(fields).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.value = value;
+            }
+        });
+
+        const deleteBtn = document.getElementById('deleteTemplateBtn');
+        if (deleteBtn) {
+            deleteBtn.disabled = !customTemplate;
+        }
+
+        this.updateTemplatePreview();
+    }
+
+    /**
+     * Read the template currently being edited
+     * @private
+     * @returns {Object} Template with id, name, subject and body
+     */
+    getEditorTemplate() {
+        return {
+            id: document.getElementById('customTemplateSelect')?.value || '',
+            name: document.getElementById('customTemplateName')?.value || '',
+            subject: document.getElementById('customTemplateSubject')?.value || '',
+            body: document.getElementById('customTemplateBody')?.value || ''
+        };
+    }
+
+    /**
+     * Insert a placeholder at the cursor position of the last focused editor field
+     * @private
+     * @param {string} name - Placeholder name
+     */
+    insertPlaceholder(name) {
+        const field = this.lastTemplateField || document.getElementById('customTemplateBody');
+        if (!field) return;
+
+        const text = `{{${name}}}`;
+        const start = field.selectionStart ?? field.value.length;
+        const end = field.selectionEnd ?? field.value.length;
+
+        field.value = field.value.slice(0, start) + text + field.value.slice(end);
+        field.focus();
+        field.setSelectionRange(start + text.length, start + text.length);
+
+        this.updateTemplatePreview();
+    }
+
+    /**
+     * Validate the edited template and render the live preview
+     * @private
+     */
+    updateTemplatePreview() {
+        const preview = document.getElementById('customTemplatePreview');
+        const validationOutput = document.getElementById('customTemplateValidation');
+        const template = this.getEditorTemplate();
+
+        if (validationOutput) {
+            // Missing name is only reported on save, placeholder problems right away
+            const { errors } = this.templates.validateTemplate({ ...template, name: template.name || '-' });
+            validationOutput.textContent = errors.join('\n');
+        }
+
+        if (!preview) return;
+
+        const result = this.email.previewTemplate(template, this.collectFormData(), this.collectWeekSchedules());
+        preview.textContent = result.success
+            ? `${this.i18n.t('email.subject', {}, this.i18n.emailLanguage)} ${result.subject}\n\n${result.body}`
+            : result.error;
+    }
+
+    /**
+     * Handle saving the edited template
+     * @private
+     */
+    handleSaveTemplate() {
+        const result = this.templates.saveCustomTemplate(this.getEditorTemplate());
+
+        if (!result.isValid) {
+            this.notify(result.errors.join('\n'));
+            return;
+        }
+
+        // Select the saved template right away
+        this.renderTemplateOptions(result.template.id);
+        this.renderCustomTemplateOptions(result.template.id);
+        this.loadTemplateIntoEditor(result.template.id);
+        this.applyTemplateFields();
+        this.saveFormData();
+        this.showAutoSaveIndicator();
+    }
+
+    /**
+     * Handle deleting the edited template
+     * @private
+     */
+    async handleDeleteTemplate() {
+        const template = this.getEditorTemplate();
+        if (!template.id) return;
+
+        const confirmed = await this.notifications.confirm(this.i18n.t('editor.deleteQuestion', { name: template.name }), {
+            title: this.i18n.t('editor.deleteTitle'),
+            confirmLabel: this.i18n.t('actions.delete'),
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        const templateSelect = document.getElementById('templateId');
+        const selectedId = templateSelect?.value === template.id ? this.templates.DEFAULT_TEMPLATE_ID : templateSelect?.value;
+
+        this.templates.deleteCustomTemplate(template.id);
+
+        this.renderTemplateOptions(selectedId);
+        this.renderCustomTemplateOptions('');
+        this.loadTemplateIntoEditor('');
+        this.applyTemplateFields();
+        this.saveFormData();
+    }
+
+    /**
+     * Show only the form sections the selected template needs
+     * @private
+     */
+    applyTemplateFields() {
+        const templateSelect = document.getElementById('templateId');
+        const template = this.templates.getTemplate(templateSelect?.value);
+        const requires = template.requires || {};
+
+        const sections = {
+            weekSelection: requires.pickup,
+            pickupSchedule: requires.pickup,
+            extraWeeks: requires.pickup,
+            icsOptions: requires.pickup && !!this.ics,
+            absenceFields: requires.absence,
+            pickupPersonField: requires.pickupPerson
+        };
+
+        Object.entries(sections).forEach(([sectionId, visible]) => {
+            const section = document.getElementById(sectionId);
+            if (section) {
+                section.hidden = !visible;
+            }
+        });
+    }
+
+    /**
+     * Setup week selection buttons and ISO week picker
+     * @private
+     */
+    setupWeekSelection() {
+        const weekBtns = document.querySelectorAll('.week-btn');
+        weekBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.applySelectedWeek(btn.getAttribute('data-week'));
+                this.autoApplyPattern();
+                this.saveFormData();
+            });
+        });
+
+        const weekPicker = document.getElementById('weekPicker');
+        if (weekPicker) {
+            weekPicker.min = this.calendar.resolveWeekId('current');
+            weekPicker.addEventListener('change', () => {
+                if (!this.calendar.parseWeekId(weekPicker.value)) return;
+
+                this.applySelectedWeek(weekPicker.value);
+                this.autoApplyPattern();
+                this.saveFormData();
+            });
+        }
+
+        this.applySelectedWeek(this.selectedWeek);
+    }
+
+    /**
+     * Apply week selection to buttons, picker and day rows
+     * @private
+     * @param {string} weekType - 'current', 'next' or ISO week id
+     */
+    applySelectedWeek(weekType) {
+        // Normalize ISO ids of this or next week to the relative buttons
+        const weekId = this.calendar.resolveWeekId(weekType);
+        if (weekId === this.calendar.resolveWeekId('current')) {
+            weekType = 'current';
+        } else if (weekId === this.calendar.resolveWeekId('next')) {
+            weekType = 'next';
+        }
+
+        this.selectedWeek = weekType;
+
+        const weekBtns = document.querySelectorAll('.week-btn');
+        weekBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-week') === weekType);
+        });
+
+        const weekPicker = document.getElementById('weekPicker');
+        if (weekPicker) {
+            weekPicker.value = weekId;
+            weekPicker.classList.toggle('active', !!this.calendar.parseWeekId(weekType));
+        }
+
+        this.updateWeekLabels();
+        this.updateClosureIndicators();
+        this.clearCopyLastWeekInfo();
+    }
+
+    /**
+     * Flag day rows that fall on a public or school holiday or an imported closure day
+     * @private
+     */
+    updateClosureIndicators() {
+        const childCount = this.getGridChildCount();
+        const closureEmojis = { publicHoliday: '🎉', schoolHoliday: '🏖️', facilityClosure: '🏫' };
+
+        this.getSelectedWeeks().forEach((weekType, weekIndex) => {
+            for (let childIndex = 0; childIndex < childCount; childIndex++) {
+                const closures = this.calendar.getWeekClosures(weekType, this.getGridFacility(childIndex));
+                const checkboxIds = this.getGridFieldIds(this.getGridSuffix(weekIndex, childIndex)).checkbox;
+
+                checkboxIds.forEach((checkboxId, index) => {
+                    const checkbox = document.getElementById(checkboxId);
+                    const dayRow = checkbox?.closest('.day-row');
+                    if (!dayRow) return;
+
+                    const closure = closures[index];
+                    let note = dayRow.querySelector('.closure-note');
+
+                    if (closure) {
+                        if (!note) {
+                            note = document.createElement('span');
+                            note.className = 'closure-note';
+                            dayRow.insertBefore(note, dayRow.querySelector('.time-input'));
+                        }
+                        note.textContent = `${closureEmojis[closure.type] || '🏖️'} ${closure.name}`;
+                        dayRow.classList.add('day-closed');
+                        dayRow.title = this.i18n.t('closures.dayClosed', { name: closure.name });
+                    } else {
+                        note?.remove();
+                        dayRow.classList.remove('day-closed');
+                        dayRow.removeAttribute('title');
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup number of consecutive weeks (range mode)
+     * @private
+     */
+    setupWeekCount() {
+        const weekCount = document.getElementById('weekCount');
+        const extraWeeks = document.getElementById('extraWeeks');
+
+        if (weekCount) {
+            weekCount.addEventListener('change', () => {
+                const previousCount = this.weekCount;
+                this.setWeekCount(Number(weekCount.value));
+
+                // Only added weeks get the pattern, entered times are kept
+                this.autoApplyPattern(previousCount);
+                this.saveFormData();
+            });
+        }
+
+        // Dynamically rendered week grids use event delegation
+        if (extraWeeks) {
+            extraWeeks.addEventListener('input', (event) => {
+                if (event.target.classList.contains('time-input')) {
+                    this.validation.validateTime(event.target);
+                }
+                this.saveFormData();
+            });
+            extraWeeks.addEventListener('change', () => this.saveFormData());
+        }
+    }
+
+    /**
+     * Set number of consecutive weeks and render their grids
+     * @param {number} count - Number of weeks (1 = single week)
+     * @param {Object} savedGrids - Pickup data per grid id suffix (optional)
+     */
+    setWeekCount(count, savedGrids = null) {
+        const weekCount = Math.min(Math.max(Number.isInteger(count) ? count : 1, 1), this.maxWeekCount);
+
+        // Keep already entered values when weeks are added or removed
+        const gridData = savedGrids || this.collectGridData();
+
+        this.weekCount = weekCount;
+
+        const weekCountSelect = document.getElementById('weekCount');
+        if (weekCountSelect) {
+            weekCountSelect.value = String(weekCount);
+        }
+
+        if (gridData['']) {
+            this.applyPickupData('', gridData['']);
+        }
+
+        this.renderExtraGrids(gridData);
+        this.updateWeekLabels();
+        this.updateClosureIndicators();
+        this.renderExceptionChildOptions();
+    }
+
+    /**
+     * Render day/time grids for weeks 2..n and, with individual schedules, for children 2..n
+     * The first child of the first week uses the static grid
+     * @private
+     * @param {Object} gridData - Pickup data to restore per grid id suffix
+     */
+    renderExtraGrids(gridData = {}) {
+        const container = document.getElementById('extraWeeks');
+        if (!container) return;
+
+        container.replaceChildren();
+
+        const dayNames = this.calendar.getDayNames();
+        const childCount = this.getGridChildCount();
+
+        for (let weekIndex = 0; weekIndex < this.weekCount; weekIndex++) {
+            for (let childIndex = 0; childIndex < childCount; childIndex++) {
+                if (weekIndex === 0 && childIndex === 0) continue;
+
+                const suffix = this.getGridSuffix(weekIndex, childIndex);
+
+                // New child grids start with the week's first schedule
+                const savedData = gridData[suffix] || gridData[this.getGridSuffix(weekIndex)] || {};
+
+                const section = document.createElement('div');
+                section.className = 'pickup-schedule extra-week';
+
+                const heading = document.createElement('div');
+                heading.className = 'week-grid-label';
+                heading.id = `weekLabel${suffix}`;
+                section.appendChild(heading);
+
+                this.calendar.getDayIds().forEach((dayId, dayIndex) => {
+                    section.appendChild(this.createDayRow(dayId, suffix, dayNames[dayIndex], savedData));
+                });
+
+                container.appendChild(section);
+            }
+        }
+    }
+
+    /**
+     * Setup structured child list (name and class per child)
+     * @private
+     */
+    setupChildList() {
+        const childList = document.getElementById('childList');
+        if (!childList) return;
+
+        this.renderChildRows([{ name: '', schoolClass: '' }]);
+
+        document.getElementById('addChildBtn')?.addEventListener('click', () => {
+            this.renderChildRows([...this.collectChildren(true), { name: '', schoolClass: '' }]);
+            this.setWeekCount(this.weekCount);
+            childList.querySelector('.child-row:last-child .child-name')?.focus();
+            this.saveFormData();
+        });
+
+        childList.addEventListener('input', () => {
+            this.updateWeekLabels();
+            this.renderExceptionChildOptions();
+            this.saveFormData();
+        });
+        childList.addEventListener('change', (event) => {
+            if (event.target.classList.contains('child-facility')) {
+                this.updateClosureIndicators();
+            }
+            this.saveFormData();
+        });
+
+        childList.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.child-remove-btn');
+            if (removeBtn) {
+                this.removeChild(Number(removeBtn.dataset.index));
+            }
+        });
+
+        document.getElementById('perChildSchedule')?.addEventListener('change', () => {
+            this.setWeekCount(this.weekCount);
+            this.saveFormData();
+        });
+    }
+
+    /**
+     * Render child rows
+     * @private
+     * @param {Array<Object>} children - List of { name, schoolClass }
+     */
+    renderChildRows(children) {
+        const childList = document.getElementById('childList');
+        if (!childList) return;
+
+        const rows = children.length > 0 ? children : [{ name: '', schoolClass: '' }];
+        childList.replaceChildren(...rows.map((child, index) => this.createChildRow(child, index, rows.length)));
+
+        const perChildOption = document.getElementById('perChildScheduleOption');
+        if (perChildOption) {
+            perChildOption.hidden = rows.length < 2;
+        }
+    }
+
+    /**
+     * Create a child row with name, class and remove button
+     * @private
+     * @param {Object} child - Child ({ name, schoolClass })
+     * @param {number} index - Position in the list
+     * @param {number} count - Number of children
+     * @returns {HTMLElement} Child row element
+     */
+    createChildRow(child, index, count) {
+        const row = document.createElement('div');
+        row.className = 'child-row';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'child-name';
+        nameInput.id = `childName_${index}`;
+        nameInput.placeholder = 'Anna';
+        if (index > 0) nameInput.dataset.i18nPlaceholder = 'children.namePlaceholder';
+        nameInput.value = child.name || '';
+        nameInput.dataset.i18nAriaLabel = 'children.nameLabel';
+
+        const classInput = document.createElement('input');
+        classInput.type = 'text';
+        classInput.className = 'child-class';
+        classInput.id = `childClass_${index}`;
+        classInput.dataset.i18nPlaceholder = 'children.classPlaceholder';
+        classInput.value = child.schoolClass || '';
+        classInput.dataset.i18nAriaLabel = 'children.classLabel';
+
+        // Facility per child, empty uses the facility selected above
+        const facilitySelect = document.createElement('select');
+        facilitySelect.className = 'child-facility';
+        facilitySelect.id = `childFacility_${index}`;
+        facilitySelect.dataset.i18nAriaLabel = 'children.facilityLabel';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.dataset.i18n = 'children.facilityDefault';
+        facilitySelect.appendChild(defaultOption);
+
+        Array.from(document.getElementById('bebLocation')?.options || [])
+            .filter(option => option.value)
+            .forEach(option => {
+                const facilityOption = document.createElement('option');
+                facilityOption.value = option.value;
+                facilityOption.textContent = option.textContent;
+                facilitySelect.appendChild(facilityOption);
+            });
+        facilitySelect.value = child.facility || '';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'child-remove-btn';
+        removeBtn.dataset.index = String(index);
+        removeBtn.textContent = '✕';
+        removeBtn.dataset.i18nTitle = 'children.remove';
+        removeBtn.hidden = count < 2;
+
+        [nameInput, classInput, facilitySelect].forEach(element => {
+            element.dataset.i18nParams = JSON.stringify({ number: index + 1 });
+        });
+
+        // Marked for translateDocument(), so a language change updates the row as well
+        row.append(nameInput, classInput, facilitySelect, removeBtn);
+        this.i18n.translateDocument(row);
+        return row;
+    }
+
+    /**
+     * Remove a child and its individual schedules
+     * @private
+     * @param {number} index - Position in the list
+     */
+    removeChild(index) {
+        const children = this.collectChildren(true);
+        if (children.length < 2 || !children[index]) return;
+
+        // Move schedules of the following children up by one
+        const gridData = this.collectGridData();
+        const childCount = this.getGridChildCount();
+        const shiftedData = {};
+
+        for (let weekIndex = 0; weekIndex < this.weekCount; weekIndex++) {
+            for (let childIndex = 0; childIndex < childCount; childIndex++) {
+                if (childIndex === index) continue;
+
+                const targetIndex = childIndex > index ? childIndex - 1 : childIndex;
+                const data = gridData[this.getGridSuffix(weekIndex, childIndex)];
+                if (data) {
+                    shiftedData[this.getGridSuffix(weekIndex, targetIndex)] = data;
+                }
+            }
+        }
+
+        children.splice(index, 1);
+        this.renderChildRows(children);
+        this.setWeekCount(this.weekCount, shiftedData);
+        this.saveFormData();
+    }
+
+    /**
+     * Collect child list
+     * @param {boolean} includeEmpty - Keep rows without a name
+     * @returns {Array<Object>} List of { name, schoolClass, facility }
+     */
+    collectChildren(includeEmpty = false) {
+        const rows = document.querySelectorAll('#childList .child-row');
+
+        return Array.from(rows)
+            .map(row => ({
+                name: row.querySelector('.child-name')?.value.trim() || '',
+                schoolClass: row.querySelector('.child-class')?.value.trim() || '',
+                facility: row.querySelector('.child-facility')?.value || ''
+            }))
+            .filter(child => includeEmpty || child.name);
+    }
+
+    /**
+     * Check whether each child has its own pickup schedule
+     * @returns {boolean} True if individual schedules are active
+     */
+    isPerChildSchedule() {
+        const checkbox = document.getElementById('perChildSchedule');
+        return !!checkbox?.checked && this.collectChildren(true).length > 1;
+    }
+
+    /**
+     * Get number of grids per week
+     * @private
+     * @returns {number} One grid per child with individual schedules, otherwise one
+     */
+    getGridChildCount() {
+        return this.isPerChildSchedule() ? this.collectChildren(true).length : 1;
+    }
+
+    /**
+     * Create a day row with checkbox, time input and the optional pickup person and note
+     * @private
+     * @param {string} dayId - Day id (e.g. 'monday')
+     * @param {string} suffix - Grid id suffix
+     * @param {string} dayName - Label text
+     * @param {Object} savedData - Pickup data to restore
+     * @returns {HTMLElement} Day row element
+     */
+    createDayRow(dayId, suffix, dayName, savedData = {}) {
+        const row = document.createElement('div');
+        row.className = 'day-row';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'day-checkbox';
+        checkbox.id = dayId + suffix;
+        checkbox.checked = !!savedData[dayId];
+
+        const label = document.createElement('label');
+        label.className = 'day-name';
+        label.htmlFor = checkbox.id;
+        label.textContent = dayName;
+
+        const timeInput = document.createElement('input');
+        timeInput.type = 'time';
+        timeInput.className = 'time-input';
+        timeInput.id = `${dayId}Time${suffix}`;
+        timeInput.value = savedData[dayId + 'Time'] || document.getElementById('setAllTime')?.value || '16:00';
+        timeInput.setAttribute('aria-label', this.i18n.t('schedule.timeLabel', { day: dayName }));
+
+        const details = document.createElement('div');
+        details.className = 'day-details';
+
+        [['PickupPerson', 'pickupPerson'], ['Note', 'note']].forEach(([field, key]) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'entry-input';
+            input.id = `${dayId}${field}${suffix}`;
+            input.value = savedData[dayId + field] || '';
+            input.placeholder = this.i18n.t(`schedule.${key}`);
+            input.setAttribute('aria-label', this.i18n.t(`schedule.${key}Label`, { day: dayName }));
+            details.appendChild(input);
+        });
+
+        row.append(checkbox, label, timeInput, details);
+        return row;
+    }
+
+    /**
+     * Update week range info and per-grid labels (week and child)
+     * @private
+     */
+    updateWeekLabels() {
+        const weeks = this.getSelectedWeeks();
+        const format = date => date.toLocaleDateString(this.calendar.getLocale(), { day: '2-digit', month: '2-digit' });
+        const children = this.collectChildren(true);
+        const childCount = this.getGridChildCount();
+
+        const weekRangeInfo = document.getElementById('weekRangeInfo');
+        if (weekRangeInfo) {
+            const firstDates = this.calendar.getWeekDates(weeks[0]);
+            const lastDates = this.calendar.getWeekDates(weeks[weeks.length - 1]);
+            const rangeInfo = this.calendar.getWeekRangeInfo(firstDates[0], lastDates[0]);
+            weekRangeInfo.textContent = `${rangeInfo.formatted}: ${format(firstDates[0])} – ${format(lastDates[4])}`;
+        }
+
+        weeks.forEach((weekType, index) => {
+            const weekDates = this.calendar.getWeekDates(weekType);
+            const weekInfo = this.calendar.getWeekInfo(weekDates[0]);
+
+            for (let childIndex = 0; childIndex < childCount; childIndex++) {
+                const label = document.getElementById(`weekLabel${this.getGridSuffix(index, childIndex)}`);
+                if (!label) continue;
+
+                const parts = [];
+                if (weeks.length > 1) {
+                    parts.push(`📅 ${weekInfo.formatted} (${format(weekDates[0])} – ${format(weekDates[4])})`);
+                }
+                if (childCount > 1) {
+                    parts.push(`🧒 ${children[childIndex]?.name || this.i18n.t('children.child', { number: childIndex + 1 })}`);
+                }
+                label.textContent = parts.join(' – ');
+            }
+        });
+    }
+
+    /**
+     * Get all selected weeks (start week plus following weeks in range mode)
+     * @returns {string[]} Week types
+     */
+    getSelectedWeeks() {
+        return this.calendar.getConsecutiveWeeks(this.selectedWeek, this.weekCount);
+    }
+
+    /**
+     * Get id suffix of a grid
+     * @private
+     * @param {number} weekIndex - Index of the week within the range
+     * @param {number} childIndex - Index of the child (individual schedules only)
+     * @returns {string} Id suffix ('' for the first week and child)
+     */
+    getGridSuffix(weekIndex, childIndex = 0) {
+        const weekSuffix = weekIndex === 0 ? '' : `_w${weekIndex}`;
+        const childSuffix = childIndex === 0 ? '' : `_c${childIndex}`;
+        return weekSuffix + childSuffix;
+    }
+
+    /**
+     * Get id suffixes of all rendered grids
+     * @private
+     * @returns {string[]} Id suffixes
+     */
+    getGridSuffixes() {
+        const childCount = this.getGridChildCount();
+        const suffixes = [];
+
+        for (let weekIndex = 0; weekIndex < this.weekCount; weekIndex++) {
+            for (let childIndex = 0; childIndex < childCount; childIndex++) {
+                suffixes.push(this.getGridSuffix(weekIndex, childIndex));
+            }
+        }
+
+        return suffixes;
+    }
+
+    /**
+     * Get the child name of a grid's schedule entries
+     * Children without name get the name used in the email (see CalendarManager.getFallbackChildName)
+     * @private
+     * @param {number} childIndex - Position in the child list
+     * @param {Array<Object>} children - Child list (including children without name)
+     * @returns {string|null} Child name, null if all children share one schedule
+     */
+    getGridChildName(childIndex, children = this.collectChildren(true)) {
+        if (this.getGridChildCount() <= 1) return null;
+        return children[childIndex]?.name || this.calendar.getFallbackChildName(childIndex);
+    }
+
+    /**
+     * Get the entries for one grid: the child's own entries, otherwise the entries for all children
+     * @private
+     * @param {Array<Object>} entries - Schedule entries
+     * @param {string|null} child - Child name of the grid
+     * @returns {Array<Object>} Entries assigned to the grid's child
+     */
+    getGridEntries(entries, child) {
+        const ownEntries = entries.filter(entry => entry.child === child);
+        return (ownEntries.length > 0 ? ownEntries : entries.filter(entry => !entry.child))
+            .map(entry => ({ ...entry, child }));
+    }
+
+    /**
+     * Collect pickup data of all grids that are currently rendered
+     * @private
+     * @returns {Object} Pickup data per grid id suffix
+     */
+    collectGridData() {
+        const gridData = {};
+
+        document.querySelectorAll('.day-checkbox').forEach(checkbox => {
+            const [dayId] = this.calendar.getDayIds().filter(id => checkbox.id.startsWith(id));
+            if (!dayId) return;
+
+            const suffix = checkbox.id.slice(dayId.length);
+            if (!(suffix in gridData)) {
+                gridData[suffix] = this.collectPickupData(suffix);
+            }
+        });
+
+        return gridData;
+    }
+
+    /**
+     * Create grid values from a saved schedule
+     * Entries are placed by their position within the saved weeks, so a schedule
+     * saved for a week that is already over is shown for the selected week
+     * @private
+     * @param {Array<Object>} schedule - Saved schedule entries
+     * @param {string} scheduleStart - Monday of the first saved week (date key)
+     * @param {number} weekCount - Number of saved weeks
+     * @param {Object} defaultTimes - Times per day id for days without pickup (optional)
+     * @returns {Object} Pickup data per grid id suffix
+     */
+    createGridData(schedule, scheduleStart, weekCount, defaultTimes = {}) {
+        const startDate = this.calendar.parseDateKey(scheduleStart);
+        const firstWeek = startDate ? this.calendar.getWeekId(startDate) : this.selectedWeek;
+        const children = this.collectChildren(true);
+        const childCount = this.getGridChildCount();
+        const gridData = {};
+
+        this.calendar.getConsecutiveWeeks(firstWeek, weekCount).forEach((weekType, weekIndex) => {
+            for (let childIndex = 0; childIndex < childCount; childIndex++) {
+                const child = this.getGridChildName(childIndex, children);
+                const pickupData = this.calendar.createGridFromEntries(schedule, weekType, child);
+
+                this.calendar.getDayIds().forEach(dayId => {
+                    if (!pickupData[dayId] && defaultTimes?.[dayId]) {
+                        pickupData[dayId + 'Time'] = defaultTimes[dayId];
+                    }
+                });
+
+                gridData[this.getGridSuffix(weekIndex, childIndex)] = pickupData;
+            }
+        });
+
+        return gridData;
+    }
+
+    /**
+     * Apply pickup data to a grid
+     * @private
+     * @param {string} suffix - Grid id suffix
+     * @param {Object} pickupData - Pickup days and times
+     */
+    applyPickupData(suffix, pickupData) {
+        this.calendar.getDayIds().forEach(dayId => {
+            const checkbox = document.getElementById(dayId + suffix);
+            if (checkbox && typeof pickupData[dayId] === 'boolean') {
+                checkbox.checked = pickupData[dayId];
+            }
+
+            const timeField = document.getElementById(`${dayId}Time${suffix}`);
+            if (timeField && pickupData[dayId + 'Time']) {
+                timeField.value = pickupData[dayId + 'Time'];
+            }
+
+            ['PickupPerson', 'Note'].forEach(field => {
+                const detailField = document.getElementById(dayId + field + suffix);
+                if (detailField && typeof pickupData[dayId + field] === 'string') {
+                    detailField.value = pickupData[dayId + field];
+                }
+            });
+        });
+    }
+
+    /**
+     * Get checkbox and time field ids of a week grid
+     * @private
+     * @param {string} suffix - Grid id suffix
+     * @returns {Object} Field ids ({ checkbox, time })
+     */
+    getGridFieldIds(suffix) {
+        return {
+            checkbox: this.formFields.checkbox.map(id => id + suffix),
+            time: this.formFields.checkbox.map(id => `${id}Time${suffix}`)
+        };
+    }
+
+    /**
+     * Setup "set all times" functionality
+     * @private
+     */
+    setupTimeAllSetter() {
+        const setAllBtn = document.getElementById('setAllBtn');
+        const setAllTimeInput = document.getElementById('setAllTime');
+
+        if (!setAllBtn || !setAllTimeInput) return;
+
+        setAllBtn.addEventListener('click', () => {
+            const selectedTime = setAllTimeInput.value;
+
+            if (!selectedTime) {
+                this.notify(this.i18n.t('schedule.noTime'), 'warning');
+                return;
+            }
+
+            this.getGridSuffixes().forEach(suffix => {
+                this.getGridFieldIds(suffix).time.forEach(timeId => {
+                    const timeInput = document.getElementById(timeId);
+                    if (timeInput) {
+                        timeInput.value = selectedTime;
+                        this.validation.validateTime(timeInput);
+                    }
+                });
+            });
+
+            this.saveFormData();
+        });
+    }
+
+    /**
+     * Setup "select all checkboxes" functionality
+     * @private
+     */
+    setupCheckboxAllSetter() {
+        const selectAllBtn = document.getElementById('selectAllBtn');
+        const deselectAllBtn = document.getElementById('deselectAllBtn');
+
+        if (!selectAllBtn || !deselectAllBtn) return;
+
+        const setAllCheckboxes = (checked) => {
+            this.getGridSuffixes().forEach(suffix => {
+                this.getGridFieldIds(suffix).checkbox.forEach(checkboxId => {
+                    const checkbox = document.getElementById(checkboxId);
+                    if (checkbox) {
+                        checkbox.checked = checked;
+                    }
+                });
+            });
+
+            this.saveFormData();
+        };
+
+        selectAllBtn.addEventListener('click', () => setAllCheckboxes(true));
+        deselectAllBtn.addEventListener('click', () => setAllCheckboxes(false));
+    }
+
+    /**
+     * Setup "Wie letzte Woche" (copy the previous week's pickup times)
+     * @private
+     */
+    setupCopyLastWeek() {
+        const copyLastWeekBtn = document.getElementById('copyLastWeekBtn');
+        if (copyLastWeekBtn) {
+            copyLastWeekBtn.addEventListener('click', () => this.handleCopyLastWeek());
+        }
+    }
+
+    /**
+     * Copy day selections and times of the previous week into the selected week
+     * Days that are closed in the selected week are highlighted
+     * @private
+     */
+    handleCopyLastWeek() {
+        const info = document.getElementById('copyLastWeekInfo');
+        const previousWeek = this.calendar.getRelativeWeekId(this.selectedWeek, -1);
+        const previousWeekInfo = this.calendar.getWeekInfo(this.calendar.getWeekDates(previousWeek)[0]);
+        const schedule = this.findWeekSchedule(previousWeek);
+
+        this.clearCopyLastWeekInfo();
+
+        if (!schedule) {
+            if (info) info.textContent = this.i18n.t('schedule.copyLastWeekNotFound', { week: previousWeekInfo.formatted });
+            return;
+        }
+
+        const entries = this.calendar.shiftSchedule(schedule, previousWeek, this.selectedWeek);
+        const children = this.collectChildren(true);
+        const childCount = this.getGridChildCount();
+        const conflicts = [];
+        let copiedDays = 0;
+
+        for (let childIndex = 0; childIndex < childCount; childIndex++) {
+            const child = this.getGridChildName(childIndex, children);
+            const gridEntries = this.getGridEntries(entries, child);
+            if (gridEntries.length === 0) continue;
+
+            const suffix = this.getGridSuffix(0, childIndex);
+            const facility = this.getGridFacility(childIndex);
+            this.applyPickupData(suffix, this.calendar.createGridFromEntries(gridEntries, this.selectedWeek, child));
+
+            gridEntries.forEach(entry => {
+                const date = this.calendar.parseDateKey(entry.date);
+                const dayRow = document.getElementById(this.calendar.weekdayIds[date.getDay()] + suffix)?.closest('.day-row');
+                if (!dayRow) return;
+
+                copiedDays++;
+
+                const closure = this.calendar.getClosureInfo(date, facility);
+                if (closure) {
+                    dayRow.classList.add('copy-conflict');
+                    const dayName = this.calendar.getWeekdayName(this.calendar.weekdayIds[date.getDay()]);
+                    conflicts.push(`• ${dayName}, ${this.calendar.formatDate(date)}${child ? ` (${child})` : ''}: ${closure.name}`);
+                }
+            });
+        }
+
+        this.updateClosureIndicators();
+        this.saveFormData();
+
+        if (info) {
+            info.textContent = `✅ ${this.i18n.t('schedule.copyLastWeekDone', { count: copiedDays, week: previousWeekInfo.formatted })}` +
+                (conflicts.length > 0
+                    ? `\n⚠️ ${this.i18n.t('schedule.copyLastWeekClosed')}\n${conflicts.join('\n')}`
+                    : '');
+        }
+    }
+
+    /**
+     * Find pickup entries of a week in the email history or the saved form data
+     * Sent emails are preferred over emails that were only created
+     * @private
+     * @param {string} weekType - Week to look for
+     * @returns {Array<Object>|null} Schedule containing entries of that week
+     */
+    findWeekSchedule(weekType) {
+        const history = this.email.getHistory().filter(entry => Array.isArray(entry.formState?.schedule));
+        const schedules = [
+            ...history.filter(entry => entry.sentAt).map(entry => entry.formState.schedule),
+            ...history.filter(entry => !entry.sentAt).map(entry => entry.formState.schedule),
+            this.storage.loadFormData()?.schedule
+        ];
+
+        // Shifting a schedule onto its own week keeps only the entries of that week
+        return schedules.find(schedule => this.calendar.shiftSchedule(schedule, weekType, weekType).length > 0) || null;
+    }
+
+    /**
+     * Remove result message and highlighted days of the last copy
+     * @private
+     */
+    clearCopyLastWeekInfo() {
+        const info = document.getElementById('copyLastWeekInfo');
+        if (info) info.textContent = '';
+
+        document.querySelectorAll('.day-row.copy-conflict').forEach(dayRow => dayRow.classList.remove('copy-conflict'));
+    }
+
+    /**
+     * Setup recurring pickup pattern with exceptions
+     * @private
+     */
+    setupPattern() {
+        const savePatternBtn = document.getElementById('savePatternBtn');
+        if (savePatternBtn) {
+            savePatternBtn.addEventListener('click', () => this.handleSavePattern());
+        }
+
+        const applyPatternBtn = document.getElementById('applyPatternBtn');
+        if (applyPatternBtn) {
+            applyPatternBtn.addEventListener('click', () => this.handleApplyPattern());
+        }
+
+        const clearPatternBtn = document.getElementById('clearPatternBtn');
+        if (clearPatternBtn) {
+            clearPatternBtn.addEventListener('click', () => this.handleClearPattern());
+        }
+
+        const patternAutoApply = document.getElementById('patternAutoApply');
+        if (patternAutoApply) {
+            patternAutoApply.addEventListener('change', () => this.handlePatternAutoApply(patternAutoApply.checked));
+        }
+
+        const addExceptionBtn = document.getElementById('addExceptionBtn');
+        if (addExceptionBtn) {
+            addExceptionBtn.addEventListener('click', () => this.handleAddException());
+        }
+
+        const patternExceptions = document.getElementById('patternExceptions');
+        if (patternExceptions) {
+            patternExceptions.addEventListener('click', (event) => this.handleRemoveException(event));
+        }
+
+        this.renderPattern();
+    }
+
+    /**
+     * Show the saved pattern and its exceptions
+     * @private
+     */
+    renderPattern() {
+        const pattern = this.storage.loadPattern();
+
+        const patternInfo = document.getElementById('patternInfo');
+        if (patternInfo) {
+            patternInfo.textContent = pattern
+                ? this.calendar.formatPattern(pattern)
+                : this.i18n.t('pattern.none');
+        }
+
+        ['applyPatternBtn', 'clearPatternBtn', 'addExceptionBtn', 'patternAutoApply'].forEach(elementId => {
+            const element = document.getElementById(elementId);
+            if (element) element.disabled = !pattern;
+        });
+
+        const patternAutoApply = document.getElementById('patternAutoApply');
+        if (patternAutoApply) {
+            patternAutoApply.checked = !!pattern?.autoApply;
+        }
+
+        const patternExceptions = document.getElementById('patternExceptions');
+        if (!patternExceptions) return;
+
+        const items = (pattern?.exceptions || []).map(exception => {
+            const date = this.calendar.parseDateKey(exception.date);
+            const item = document.createElement('li');
+
+            const text = document.createElement('span');
+            text.textContent = `${this.calendar.getWeekdayName(this.calendar.weekdayIds[date.getDay()])}, ${this.calendar.formatDate(date)}: ` +
+                (exception.time ? this.i18n.t('calendar.time', { time: exception.time }) : this.i18n.t('pattern.noPickup')) +
+                (exception.child ? ` (${exception.child})` : '') +
+                (exception.note ? ` – ${exception.note}` : '');
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'child-remove-btn';
+            removeBtn.dataset.date = exception.date;
+            removeBtn.dataset.child = exception.child || '';
+            removeBtn.title = this.i18n.t('pattern.removeException');
+            removeBtn.textContent = '✕';
+
+            item.append(text, removeBtn);
+            return item;
+        });
+
+        patternExceptions.replaceChildren(...items);
+    }
+
+    /**
+     * Save the days and times of the first week as recurring pattern
+     * Exceptions and the auto-apply setting of an existing pattern are kept
+     * @private
+     */
+    handleSavePattern() {
+        const children = this.collectChildren(true);
+        const days = [];
+
+        for (let childIndex = 0; childIndex < this.getGridChildCount(); childIndex++) {
+            const child = this.getGridChildName(childIndex, children);
+            const pickupData = this.collectPickupData(this.getGridSuffix(0, childIndex));
+
+            this.calendar.getDayIds().forEach(dayId => {
+                if (pickupData[dayId]) {
+                    days.push({ dayId, time: pickupData[dayId + 'Time'], child });
+                }
+            });
+        }
+
+        const previous = this.storage.loadPattern();
+        const pattern = this.calendar.createPattern({
+            days,
+            exceptions: previous?.exceptions || [],
+            autoApply: previous ? previous.autoApply : true
+        });
+
+        if (!pattern) {
+            this.notify(this.i18n.t('pattern.noDays'), 'warning');
+            return;
+        }
+
+        this.storage.savePattern(pattern);
+        this.renderPattern();
+    }
+
+    /**
+     * Apply the pattern to all selected weeks
+     * @private
+     */
+    handleApplyPattern() {
+        if (this.applyPatternToWeeks()) {
+            this.saveFormData();
+        }
+    }
+
+    /**
+     * Apply the pattern to the selected weeks if auto-apply is switched on
+     * @private
+     * @param {number} fromWeekIndex - First week to fill (earlier weeks keep their times)
+     */
+    autoApplyPattern(fromWeekIndex = 0) {
+        if (this.storage.loadPattern()?.autoApply) {
+            this.applyPatternToWeeks(fromWeekIndex);
+        }
+    }
+
+    /**
+     * Fill the grids of the selected weeks from the pattern and its exceptions
+     * @private
+     * @param {number} fromWeekIndex - First week to fill
+     * @returns {boolean} True if a pattern exists
+     */
+    applyPatternToWeeks(fromWeekIndex = 0) {
+        const pattern = this.storage.loadPattern();
+        if (!pattern) return false;
+
+        const children = this.collectChildren(true);
+        const childCount = this.getGridChildCount();
+
+        this.getSelectedWeeks().forEach((weekType, weekIndex) => {
+            if (weekIndex < fromWeekIndex) return;
+
+            const entries = this.calendar.expandPattern(pattern, weekType);
+
+            for (let childIndex = 0; childIndex < childCount; childIndex++) {
+                const child = this.getGridChildName(childIndex, children);
+
+                // Children the pattern does not know keep their times
+                if (!pattern.days.some(day => !day.child || day.child === child)) continue;
+
+                const gridEntries = this.getGridEntries(entries, child);
+                this.applyPickupData(this.getGridSuffix(weekIndex, childIndex), this.calendar.createGridFromEntries(gridEntries, weekType, child));
+            }
+        });
+
+        this.updateClosureIndicators();
+        return true;
+    }
+
+    /**
+     * Switch automatic application of the pattern on or off
+     * @private
+     * @param {boolean} autoApply - New setting
+     */
+    handlePatternAutoApply(autoApply) {
+        const pattern = this.storage.loadPattern();
+        if (!pattern) return;
+
+        this.storage.savePattern({ ...pattern, autoApply });
+        this.autoApplyPattern();
+        this.saveFormData();
+    }
+
+    /**
+     * Add an exception (different time or no pickup) for a date
+     * @private
+     */
+    handleAddException() {
+        const pattern = this.storage.loadPattern();
+        if (!pattern) return;
+
+        const exceptionDate = document.getElementById('exceptionDate');
+        const exceptionChild = document.getElementById('exceptionChild');
+        const exceptionTime = document.getElementById('exceptionTime');
+        const exceptionNote = document.getElementById('exceptionNote');
+
+        if (!this.calendar.parseDateKey(exceptionDate?.value)) {
+            this.notify(this.i18n.t('pattern.noExceptionDate'), 'warning');
+            exceptionDate?.focus();
+            return;
+        }
+
+        this.storage.savePattern(this.calendar.createPattern({
+            ...pattern,
+            exceptions: [...pattern.exceptions, {
+                date: exceptionDate.value,
+                child: exceptionChild?.hidden ? null : exceptionChild?.value || null,
+                time: exceptionTime?.value || '',
+                note: exceptionNote?.value || ''
+            }]
+        }));
+
+        exceptionDate.value = '';
+        if (exceptionTime) exceptionTime.value = '';
+        if (exceptionNote) exceptionNote.value = '';
+
+        this.renderPattern();
+        this.autoApplyPattern();
+        this.saveFormData();
+    }
+
+    /**
+     * Offer the children for exceptions when each child has its own schedule
+     * @private
+     */
+    renderExceptionChildOptions() {
+        const exceptionChild = document.getElementById('exceptionChild');
+        if (!exceptionChild) return;
+
+        const children = this.collectChildren(true);
+        const childCount = this.getGridChildCount();
+        const selected = exceptionChild.value;
+
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = this.i18n.t('calendar.allChildren');
+
+        const childOptions = Array.from({ length: childCount > 1 ? childCount : 0 }, (_, childIndex) => {
+            const option = document.createElement('option');
+            option.value = this.getGridChildName(childIndex, children);
+            option.textContent = children[childIndex]?.name || this.i18n.t('children.child', { number: childIndex + 1 });
+            return option;
+        });
+
+        exceptionChild.replaceChildren(allOption, ...childOptions);
+        exceptionChild.value = childOptions.some(option => option.value === selected) ? selected : '';
+        exceptionChild.hidden = childOptions.length === 0;
+    }
+
+    /**
+     * Remove an exception from the pattern
+     * @private
+     * @param {Event} event - Click event
+     */
+    handleRemoveException(event) {
+        const button = event.target.closest('button[data-date]');
+        const pattern = this.storage.loadPattern();
+        if (!button || !pattern) return;
+
+        const exceptions = pattern.exceptions.filter(exception => {
+            return exception.date !== button.dataset.date || (exception.child || '') !== button.dataset.child;
+        });
+
+        this.storage.savePattern({ ...pattern, exceptions });
+        this.renderPattern();
+        this.autoApplyPattern();
+        this.saveFormData();
+    }
+
+    /**
+     * Delete the pattern with all exceptions
+     * @private
+     */
+    async handleClearPattern() {
+        const confirmed = await this.notifications.confirm(this.i18n.t('pattern.clearQuestion'), {
+            title: this.i18n.t('pattern.clearTitle'),
+            confirmLabel: this.i18n.t('actions.delete'),
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        this.storage.savePattern(null);
+        this.renderPattern();
+    }
+
+    /**
+     * Setup BEB location change handler
+     * @private
+     */
+    setupBebLocationChange() {
+        const bebLocation = document.getElementById('bebLocation');
+        const leaderInfo = document.getElementById('leaderInfo');
+
+        if (!bebLocation || !leaderInfo) return;
+
+        bebLocation.addEventListener('change', () => {
+            const selectedOption = bebLocation.options[bebLocation.selectedIndex];
+
+            if (selectedOption && selectedOption.getAttribute('data-leader')) {
+                // Marked for translateDocument(), so a language change updates the info as well
+                leaderInfo.dataset.i18n = 'form.facilityLeader';
+                leaderInfo.dataset.i18nParams = JSON.stringify({ name: selectedOption.getAttribute('data-leader') });
+                this.i18n.translateDocument(leaderInfo.parentElement);
+            } else {
+                delete leaderInfo.dataset.i18n;
+                leaderInfo.textContent = '';
+            }
+
+            const closureFacility = document.getElementById('closureFacility');
+            if (closureFacility && bebLocation.value) {
+                closureFacility.value = bebLocation.value;
+                this.renderClosureInfo();
+            }
+
+            this.updateClosureIndicators();
+            this.saveFormData();
+        });
+    }
+
+    /**
+     * Setup import of closure days from ICS files
+     * The file is read locally, nothing is uploaded
+     * @private
+     */
+    setupClosureImport() {
+        const closureFacility = document.getElementById('closureFacility');
+        const closureFile = document.getElementById('closureFile');
+        if (!closureFacility || !closureFile) return;
+
+        Array.from(document.getElementById('bebLocation')?.options || [])
+            .forEach(option => {
+                const facilityOption = document.createElement('option');
+                facilityOption.value = option.value;
+                if (option.value) {
+                    facilityOption.textContent = option.textContent;
+                } else {
+                    facilityOption.dataset.i18n = 'closures.facilityPlaceholder';
+                    facilityOption.textContent = this.i18n.t(facilityOption.dataset.i18n);
+                }
+                closureFacility.appendChild(facilityOption);
+            });
+
+        closureFacility.addEventListener('change', () => this.renderClosureInfo());
+
+        closureFile.addEventListener('change', async () => {
+            const file = closureFile.files?.[0];
+            if (!file) return;
+
+            await this.handleClosureImport(file);
+            closureFile.value = '';
+        });
+
+        document.getElementById('clearClosuresBtn')?.addEventListener('click', () => this.handleClearClosures());
+
+        this.renderClosureInfo();
+    }
+
+    /**
+     * Import closure days of the chosen facility from an ICS file
+     * @private
+     * @param {File} file - Selected .ics file
+     */
+    async handleClosureImport(file) {
+        const facility = document.getElementById('closureFacility')?.value || '';
+
+        try {
+            const result = this.calendar.importClosures(facility, await file.text());
+
+            if (!result.success) {
+                this.notify(result.error);
+                return;
+            }
+
+            this.renderClosureInfo();
+            this.updateClosureIndicators();
+        } catch (error) {
+            console.error('Closure import failed:', error);
+            this.notify(this.i18n.t('closures.readFailed'));
+        }
+    }
+
+    /**
+     * Remove imported closure days of the chosen facility
+     * @private
+     */
+    async handleClearClosures() {
+        const facility = document.getElementById('closureFacility')?.value || '';
+        if (!facility || this.calendar.getImportedClosures(facility).length === 0) return;
+
+        const confirmed = await this.notifications.confirm(this.i18n.t('closures.clearQuestion'), {
+            title: this.i18n.t('closures.clearTitle'),
+            confirmLabel: this.i18n.t('actions.delete'),
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        this.calendar.clearImportedClosures(facility);
+        this.renderClosureInfo();
+        this.updateClosureIndicators();
+    }
+
+    /**
+     * Show imported closure days of the chosen facility
+     * @private
+     */
+    renderClosureInfo() {
+        const info = document.getElementById('closureImportInfo');
+        const clearBtn = document.getElementById('clearClosuresBtn');
+        if (!info) return;
+
+        const facility = document.getElementById('closureFacility')?.value || '';
+        const closures = this.calendar.getImportedClosures(facility);
+
+        if (clearBtn) {
+            clearBtn.hidden = closures.length === 0;
+        }
+
+        info.textContent = closures.map(closure => {
+            const start = this.calendar.formatDate(this.calendar.parseDateKey(closure.start));
+            const end = this.calendar.formatDate(this.calendar.parseDateKey(closure.end));
+            return closure.start === closure.end
+                ? `🏫 ${start}: ${closure.name}`
+                : `🏫 ${this.i18n.t('closures.range', { start, end, name: closure.name })}`;
+        }).join('\n');
+    }
+
+    /**
+     * Get the facility whose closure days apply to a pickup grid
+     * Individual schedules use the facility of their child, a shared schedule
+     * the facility all children go to (or the one selected in the form)
+     * @private
+     * @param {number} childIndex - Position of the grid within its week
+     * @returns {string} Facility email (empty if none selected)
+     */
+    getGridFacility(childIndex) {
+        const bebLocation = document.getElementById('bebLocation')?.value || '';
+        const children = this.collectChildren(true);
+
+        if (this.getGridChildCount() > 1) {
+            return children[childIndex]?.facility || bebLocation;
+        }
+
+        const facilities = [...new Set(children.map(child => child.facility || bebLocation))];
+        return facilities.length === 1 ? facilities[0] : bebLocation;
+    }
+
+    /**
+     * Setup form validation listeners
+     * @private
+     */
+    setupFormValidation() {
+        // Email validation
+        const parentEmail = document.getElementById('parentEmail');
+        if (parentEmail) {
+            parentEmail.addEventListener('input', () => {
+                this.validation.validateEmail(parentEmail);
+            });
+        }
+
+        // Time validation
+        this.formFields.time.forEach(timeId => {
+            const timeField = document.getElementById(timeId);
+            if (timeField) {
+                timeField.addEventListener('input', () => {
+                    this.validation.validateTime(timeField);
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup main button listeners
+     * @private
+     */
+    setupButtonListeners() {
+        // Generate email button
+        const generateBtn = document.getElementById('generateBtn');
+        if (generateBtn) {
+            generateBtn.addEventListener('click', () => this.handleGenerateEmail());
+        }
+
+        // Send email button
+        const sendBtn = document.getElementById('sendBtn');
+        if (sendBtn) {
+            sendBtn.addEventListener('click', () => this.handleSendEmail());
+        }
+
+        // Copy email button
+        const copyBtn = document.getElementById('copyBtn');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => this.handleCopyEmail());
+        }
+
+        // Email download button
+        const emlBtn = document.getElementById('emlBtn');
+        if (emlBtn) {
+            emlBtn.addEventListener('click', () => this.handleDownloadEml());
+        }
+
+        // Calendar export button
+        const icsBtn = document.getElementById('icsBtn');
+        if (icsBtn) {
+            icsBtn.addEventListener('click', () => this.handleExportCalendar());
+        }
+
+        // Send/copy buttons of batch emails
+        const batchOutput = document.getElementById('batchOutput');
+        if (batchOutput) {
+            batchOutput.addEventListener('click', (event) => this.handleBatchAction(event));
+        }
+    }
+
+    /**
+     * Setup the choice of the default send method
+     * @private
+     */
+    setupSendMethod() {
+        const sendMethod = document.getElementById('sendMethod');
+        if (!sendMethod) return;
+
+        this.renderSendMethodOptions();
+
+        // Attaching the calendar only works with the share menu of the device
+        const shareIcsOption = document.getElementById('shareIcsOption');
+        if (shareIcsOption) {
+            shareIcsOption.hidden = !this.ics || !this.email.canShare();
+        }
+
+        sendMethod.addEventListener('change', () => {
+            if (!this.email.setSendMethod(sendMethod.value)) {
+                this.notify(this.i18n.t('send.methodNotSaved'), 'warning');
+            }
+        });
+    }
+
+    /**
+     * Fill the send method chooser
+     * @private
+     */
+    renderSendMethodOptions() {
+        const sendMethod = document.getElementById('sendMethod');
+        if (!sendMethod) return;
+
+        const options = this.email.getSendMethods().map(method => {
+            const option = document.createElement('option');
+            option.value = method.value;
+            option.textContent = method.label;
+            option.title = method.description;
+            return option;
+        });
+        sendMethod.replaceChildren(...options);
+        sendMethod.value = this.email.getSendMethod();
+    }
+
+    /**
+     * Setup email history view
+     * @private
+     */
+    setupHistory() {
+        const historySearch = document.getElementById('historySearch');
+        if (historySearch) {
+            historySearch.addEventListener('input', () => this.renderHistory());
+        }
+
+        const historyList = document.getElementById('historyList');
+        if (historyList) {
+            historyList.addEventListener('click', (event) => this.handleHistoryAction(event));
+        }
+
+        const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        if (clearHistoryBtn) {
+            clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
+        }
+
+        this.renderHistory();
+    }
+
+    /**
+     * Show the email history of the active profile, filtered by the search field
+     * @private
+     */
+    renderHistory() {
+        const historyList = document.getElementById('historyList');
+        if (!historyList) return;
+
+        const query = document.getElementById('historySearch')?.value || '';
+        const entries = this.email.getHistory(query);
+
+        const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        if (clearHistoryBtn) {
+            clearHistoryBtn.disabled = this.email.getHistory().length === 0;
+        }
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = this.i18n.t(query.trim() ? 'history.notFound' : 'history.empty');
+            historyList.replaceChildren(empty);
+            return;
+        }
+
+        const methodLabels = {
+            mailto: `📧 ${this.i18n.t('history.method.mailto')}`,
+            share: `📤 ${this.i18n.t('history.method.share')}`,
+            clipboard: `📋 ${this.i18n.t('history.method.clipboard')}`,
+            eml: `📄 ${this.i18n.t('history.method.eml')}`
+        };
+        Object.entries(this.email.WEBMAIL_PROVIDERS).forEach(([provider, { label }]) => {
+            methodLabels[provider] = `🌐 ${this.i18n.t('history.method.webmail', { provider: label })}`;
+        });
+
+        const items = entries.map(entry => {
+            const item = document.createElement('details');
+            item.className = 'history-entry';
+            item.classList.toggle('sent', !!entry.sentAt);
+
+            const summary = document.createElement('summary');
+            summary.textContent = `${this.formatHistoryTime(entry.timestamp)} · ${entry.subject}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            const status = entry.sentAt
+                ? this.i18n.t('history.sentAt', {
+                    method: methodLabels[entry.method] || this.i18n.t('history.method.sent'),
+                    time: this.formatHistoryTime(entry.sentAt)
+                })
+                : this.i18n.t('history.createdOnly');
+            meta.textContent = `${this.i18n.t('history.recipient', { recipient: entry.recipient })}${entry.week ? ` · ${entry.week}` : ''} · ${status}`;
+
+            const content = document.createElement('div');
+            content.className = 'email-output';
+            content.textContent = entry.body;
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+
+            const buttons = [
+                { action: 'load', label: `↩️ ${this.i18n.t('history.load')}`, disabled: !entry.formState },
+                { action: 'resend', label: `📧 ${this.i18n.t('history.resend')}` },
+                { action: 'delete', label: `🗑️ ${this.i18n.t('actions.delete')}` }
+            ].map(({ action, label, disabled }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'set-all-btn';
+                button.dataset.action = action;
+                button.dataset.id = entry.id;
+                button.disabled = !!disabled;
+                button.textContent = label;
+                return button;
+            });
+
+            actions.append(...buttons);
+            item.append(summary, meta, content, actions);
+            return item;
+        });
+
+        historyList.replaceChildren(...items);
+    }
+
+    /**
+     * Format a history timestamp
+     * @private
+     * @param {number} timestamp - Milliseconds since epoch
+     * @returns {string} Date and time, e.g. 19.10.2026, 08:15
+     */
+    formatHistoryTime(timestamp) {
+        return new Date(timestamp).toLocaleString(this.calendar.getLocale(), {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Handle load/re-send/delete actions of a history entry
+     * @private
+     * @param {Event} event - Click event
+     */
+    async handleHistoryAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const entryId = button.dataset.id;
+
+        if (button.dataset.action === 'load') {
+            await this.loadHistoryEntry(entryId);
+        } else if (button.dataset.action === 'resend') {
+            if (!this.email.selectHistoryEntry(entryId)) return;
+
+            this.updateEmailOutput(this.email.getCurrentEmailContent());
+            this.enableActionButtons();
+            // The form may belong to another email, so its calendar is not attached
+            await this.handleSendEmail({ attachCalendar: false });
+        } else if (button.dataset.action === 'delete') {
+            this.email.deleteHistoryEntry(entryId);
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Load the form state of a history entry back into the form
+     * @private
+     * @param {string} entryId - History entry id
+     */
+    async loadHistoryEntry(entryId) {
+        const entry = this.email.getHistoryEntry(entryId);
+        if (!entry) return;
+
+        if (!entry.formState) {
+            this.notify(this.i18n.t('history.noFormState'), 'info');
+            return;
+        }
+
+        this.resetForm();
+        await this.applyFormData(entry.formState);
+        this.persistFormData();
+
+        // Show the email as it was created, it can be sent again directly
+        if (this.email.selectHistoryEntry(entryId)) {
+            this.updateEmailOutput(this.email.getCurrentEmailContent());
+            this.enableActionButtons();
+        }
+    }
+
+    /**
+     * Delete the email history of the active profile
+     * @private
+     */
+    async handleClearHistory() {
+        const confirmed = await this.notifications.confirm(this.i18n.t('history.clearQuestion'), {
+            title: this.i18n.t('history.clear'),
+            confirmLabel: this.i18n.t('actions.delete'),
+            danger: true
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        this.email.clearHistory();
+        this.renderHistory();
+    }
+
+    /**
+     * Setup export and import of backup files
+     * @private
+     */
+    setupBackup() {
+        const backupFile = document.getElementById('backupFile');
+        if (!this.backup || !backupFile) return;
+
+        document.getElementById('exportBackupBtn')?.addEventListener('click', () => this.handleExportBackup());
+
+        backupFile.addEventListener('change', async () => {
+            const file = backupFile.files?.[0];
+            if (!file) return;
+
+            await this.handleBackupFile(file);
+            backupFile.value = '';
+        });
+
+        document.querySelectorAll('input[name="backupMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderBackupPreview());
+        });
+
+        document.getElementById('applyBackupBtn')?.addEventListener('click', () => this.handleApplyBackup());
+        document.getElementById('cancelBackupBtn')?.addEventListener('click', () => this.cancelBackupImport());
+        document.getElementById('restoreMigrationBackupBtn')?.addEventListener('click', () => this.handleRestoreMigrationBackup());
+    }
+
+    /**
+     * Show whether data from before the last migration can be restored
+     * @private
+     */
+    renderMigrationBackup() {
+        const container = document.getElementById('migrationBackup');
+        if (!container) return;
+
+        const backup = this.storage.loadBackup();
+        container.hidden = !backup;
+
+        const info = document.getElementById('migrationBackupInfo');
+        if (info && backup) {
+            info.textContent = this.i18n.t('backup.restoreMigrationInfo', { time: this.formatHistoryTime(backup.timestamp) });
+        }
+    }
+
+    /**
+     * Restore the data saved before the last migration into the active profile
+     * @private
+     */
+    async handleRestoreMigrationBackup() {
+        const backup = this.storage.loadBackup();
+        if (!backup) return;
+
+        const confirmed = await this.notifications.confirm(
+            this.i18n.t('backup.restoreMigrationQuestion', { time: this.formatHistoryTime(backup.timestamp) }), {
+                title: this.i18n.t('backup.restoreMigrationTitle'),
+                confirmLabel: this.i18n.t('backup.restoreMigrationConfirm'),
+                danger: true
+            });
+        if (!confirmed) return;
+
+        if (!this.storage.restoreBackup()) {
+            this.notify(this.i18n.t('backup.restoreMigrationFailed'));
+            return;
+        }
+
+        await this.loadProfile();
+        this.notify(this.i18n.t('backup.restoreMigrationDone'), 'success');
+    }
+
+    /**
+     * Download a backup of all app data
+     * @private
+     */
+    async handleExportBackup() {
+        try {
+            // Include changes that are still waiting for auto-save
+            this.persistFormData();
+
+            const backup = await this.backup.createBackup();
+            if (!this.backup.downloadBackup(backup)) {
+                this.notify(this.i18n.t('backup.downloadFailed'));
+            }
+        } catch (error) {
+            console.error('Backup export failed:', error);
+            this.notify(this.i18n.t('backup.createFailed', { error: error.message }));
+        }
+    }
+
+    /**
+     * Check a selected backup file and show what an import would change
+     * @private
+     * @param {File} file - Selected .json file
+     */
+    async handleBackupFile(file) {
+        try {
+            const result = await this.backup.readBackup(await file.text());
+
+            if (!result.success) {
+                this.cancelBackupImport();
+                this.notify(result.error);
+                return;
+            }
+
+            this.persistFormData();
+            this.pendingBackup = result.backup;
+            this.renderBackupPreview();
+        } catch (error) {
+            console.error('Backup file could not be read:', error);
+            this.notify(this.i18n.t('backup.readFailed'));
+        }
+    }
+
+    /**
+     * Show the changes of the pending backup import for the chosen mode
+     * @private
+     */
+    renderBackupPreview() {
+        const preview = document.getElementById('backupPreview');
+        if (!preview || !this.pendingBackup) return;
+
+        const backup = this.pendingBackup;
+        const changes = this.backup.previewImport(backup, this.getBackupMode());
+        const profileNames = backup.data.profiles.map(profile => profile.name).join(', ');
+
+        document.getElementById('backupInfo').textContent =
+            this.i18n.t('backup.info', {
+                time: this.formatHistoryTime(Date.parse(backup.createdAt)),
+                version: backup.appVersion,
+                profiles: profileNames
+            });
+        document.getElementById('backupChanges').textContent = changes.length > 0
+            ? changes.join('\n')
+            : this.i18n.t('backup.noChanges');
+        document.getElementById('applyBackupBtn').disabled = changes.length === 0;
+
+        preview.hidden = false;
+    }
+
+    /**
+     * Get the chosen import mode
+     * @private
+     * @returns {string} 'merge' or 'replace'
+     */
+    getBackupMode() {
+        return document.querySelector('input[name="backupMode"]:checked')?.value || 'merge';
+    }
+
+    /**
+     * Import the pending backup and reload the app with the imported data
+     * @private
+     */
+    async handleApplyBackup() {
+        if (!this.pendingBackup) return;
+
+        const mode = this.getBackupMode();
+        const confirmed = await this.notifications.confirm(this.i18n.t(`backup.${mode}Question`), {
+            title: this.i18n.t('backup.importTitle'),
+            confirmLabel: this.i18n.t(`backup.${mode}`),
+            danger: mode === 'replace'
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        const result = this.backup.importBackup(this.pendingBackup, mode);
+        if (!result.success) {
+            this.notify(result.error);
+            return;
+        }
+
+        this.pendingBackup = null;
+        await this.storage.flushWrites();
+        await this.notifications.alert(`✅ ${this.i18n.t('backup.imported', { count: result.profileCount })}`, {
+            title: this.i18n.t('backup.importedTitle')
+        });
+        location.reload();
+    }
+
+    /**
+     * Discard the pending backup import
+     * @private
+     */
+    cancelBackupImport() {
+        this.pendingBackup = null;
+
+        const preview = document.getElementById('backupPreview');
+        if (preview) {
+            preview.hidden = true;
+        }
+    }
+
+    /**
+     * Setup passphrase protection settings
+     * @private
+     */
+    setupPassphrase() {
+        if (!document.getElementById('passphrasePanel')) return;
 
-            this.formFields.time.forEach(timeId => {
-                const timeInput = document.getElementById(timeId);
-                if (timeInput) {
-                    timeInput.value = selectedTime;
-                    this.validation.validateTime(timeInput);
-                }
-            });
+        document.getElementById('enablePassphraseBtn')?.addEventListener('click', () => this.handleEnablePassphrase());
+        document.getElementById('changePassphraseBtn')?.addEventListener('click', () => this.handleChangePassphrase());
+        document.getElementById('disablePassphraseBtn')?.addEventListener('click', () => this.handleDisablePassphrase());
 
-            this.saveFormData();
-        });
+        this.renderPassphraseStatus();
     }
 
     /**
-     * Setup "select all checkboxes" functionality
+     * Show whether the saved data is protected and which actions are possible
      * @private
      */
-    setupCheckboxAllSetter() {
-        const selectAllBtn = document.getElementById('selectAllBtn');
-        const deselectAllBtn = document.getElementById('deselectAllBtn');
+    renderPassphraseStatus() {
+        const status = document.getElementById('passphraseStatus');
+        if (!status) return;
 
-        if (!selectAllBtn || !deselectAllBtn) return;
+        const enabled = this.storage.isEncryptionEnabled();
 
-        selectAllBtn.addEventListener('click', () => {
-            this.formFields.checkbox.forEach(checkboxId => {
-                const checkbox = document.getElementById(checkboxId);
-                if (checkbox) {
-                    checkbox.checked = true;
-                }
-            });
+        if (this.storage.isLocked()) {
+            status.textContent = `🔒 ${this.i18n.t('passphrase.status.locked')}`;
+        } else if (enabled) {
+            status.textContent = `🔐 ${this.i18n.t('passphrase.status.enabled')}`;
+        } else {
+            status.textContent = `🔓 ${this.i18n.t('passphrase.status.disabled')}`;
+        }
 
-            this.saveFormData();
-        });
+        document.getElementById('currentPassphraseRow').hidden = !enabled;
+        document.getElementById('enablePassphraseBtn').hidden = enabled;
+        document.getElementById('changePassphraseBtn').hidden = !enabled;
+        document.getElementById('disablePassphraseBtn').hidden = !enabled;
+    }
 
-        deselectAllBtn.addEventListener('click', () => {
-            this.formFields.checkbox.forEach(checkboxId => {
-                const checkbox = document.getElementById(checkboxId);
-                if (checkbox) {
-                    checkbox.checked = false;
-                }
-            });
+    /**
+     * Get the new passphrase if both entries match
+     * @private
+     * @returns {string|null} New passphrase or null if the entries differ
+     */
+    getNewPassphrase() {
+        const passphrase = document.getElementById('newPassphrase')?.value || '';
+        const confirmation = document.getElementById('newPassphraseConfirm')?.value || '';
 
-            this.saveFormData();
-        });
+        if (passphrase !== confirmation) {
+            this.notify(this.i18n.t('passphrase.mismatch'), 'warning');
+            return null;
+        }
+
+        return passphrase;
     }
 
     /**
-     * Setup BEB location change handler
+     * Protect the saved data with a new passphrase
      * @private
      */
-    setupBebLocationChange() {
-        const bebLocation = document.getElementById('bebLocation');
-        const leaderInfo = document.getElementById('leaderInfo');
-
-        if (!bebLocation || !leaderInfo) return;
+    async handleEnablePassphrase() {
+        const passphrase = this.getNewPassphrase();
+        if (passphrase === null) return;
 
-        bebLocation.addEventListener('change', () => {
-            const selectedOption = bebLocation.options[bebLocation.selectedIndex];
+        // Save pending changes first, they are encrypted together with the other data
+        this.persistFormData();
 
-            if (selectedOption && selectedOption.getAttribute('data-leader')) {
-                leaderInfo.textContent = 'Leitung: ' + selectedOption.getAttribute('data-leader');
-            } else {
-                leaderInfo.textContent = '';
-            }
+        const result = await this.storage.enablePassphrase(passphrase);
+        await this.finishPassphraseChange(result, `✅ ${this.i18n.t('passphrase.enabled')}`);
+    }
 
-            this.saveFormData();
-        });
+    /**
+     * Encrypt the saved data with a new passphrase
+     * @private
+     */
+    async handleChangePassphrase() {
+        const passphrase = this.getNewPassphrase();
+        if (passphrase === null) return;
+
+        const wasLocked = this.storage.isLocked();
+        const current = document.getElementById('currentPassphrase')?.value || '';
+        const result = await this.storage.changePassphrase(current, passphrase);
+        await this.finishPassphraseChange(result, `✅ ${this.i18n.t('passphrase.changed')}`, wasLocked);
     }
 
     /**
-     * Setup form validation listeners
+     * Remove the passphrase protection
      * @private
      */
-    setupFormValidation() {
-        // Email validation
-        const parentEmail = document.getElementById('parentEmail');
-        if (parentEmail) {
-            parentEmail.addEventListener('input', () => {
-                this.validation.validateEmail(parentEmail);
-            });
+    async handleDisablePassphrase() {
+        const confirmed = await this.notifications.confirm(this.i18n.t('passphrase.disableQuestion'), {
+            title: this.i18n.t('passphrase.disableTitle'),
+            confirmLabel: this.i18n.t('passphrase.disable'),
+            danger: true
+        });
+        if (!confirmed) {
+            return;
         }
 
-        // Time validation
-        this.formFields.time.forEach(timeId => {
-            const timeField = document.getElementById(timeId);
-            if (timeField) {
-                timeField.addEventListener('input', () => {
-                    this.validation.validateTime(timeField);
-                });
-            }
-        });
+        const wasLocked = this.storage.isLocked();
+        const current = document.getElementById('currentPassphrase')?.value || '';
+        const result = await this.storage.disablePassphrase(current);
+        await this.finishPassphraseChange(result, `✅ ${this.i18n.t('passphrase.disabled')}`, wasLocked);
     }
 
     /**
-     * Setup main button listeners
+     * Clear the passphrase fields and report the result of a passphrase action
+     * Data that was locked until now is shown right away
      * @private
+     * @param {Object} result - { success } or { success: false, error }
+     * @param {string} message - Success message
+     * @param {boolean} wasLocked - Whether the data was locked before the action
      */
-    setupButtonListeners() {
-        // Generate email button
-        const generateBtn = document.getElementById('generateBtn');
-        if (generateBtn) {
-            generateBtn.addEventListener('click', () => this.handleGenerateEmail());
-        }
+    async finishPassphraseChange(result, message, wasLocked = false) {
+        ['currentPassphrase', 'newPassphrase', 'newPassphraseConfirm'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) field.value = '';
+        });
 
-        // Send email button
-        const sendBtn = document.getElementById('sendBtn');
-        if (sendBtn) {
-            sendBtn.addEventListener('click', () => this.handleSendEmail());
+        if (!result.success) {
+            this.notify(result.error);
+            return;
         }
 
-        // Copy email button
-        const copyBtn = document.getElementById('copyBtn');
-        if (copyBtn) {
-            copyBtn.addEventListener('click', () => this.handleCopyEmail());
+        this.renderPassphraseStatus();
+        if (wasLocked) {
+            await this.loadProfile();
         }
+
+        this.notify(message, 'success');
     }
 
     /**
@@ -242,6 +2710,13 @@ class UIManager {
                 field.addEventListener('change', () => this.saveFormData());
             }
         });
+
+        // Pickup person and note per day
+        this.formFields.checkbox.forEach(dayId => {
+            ['PickupPerson', 'Note'].forEach(field => {
+                document.getElementById(dayId + field)?.addEventListener('input', () => this.saveFormData());
+            });
+        });
     }
 
     /**
@@ -276,12 +2751,12 @@ class UIManager {
 
             // Collect form data
             const formData = this.collectFormData();
-            const pickupData = this.collectPickupData();
+            const weekSchedules = this.collectWeekSchedules();
 
             // Validate form data
-            const validation = this.validateFormData(formData, pickupData);
+            const validation = this.validateFormData(formData, weekSchedules);
             if (!validation.isValid) {
-                alert(validation.message);
+                this.notify(validation.message, 'warning');
                 if (validation.focusField) {
                     validation.focusField.focus();
                 }
@@ -291,36 +2766,108 @@ class UIManager {
             // Generate email with slight delay for better UX
             await new Promise(resolve => setTimeout(resolve, 300));
 
-            const result = this.email.generateEmail(formData, this.selectedWeek, pickupData);
+            // Children at different facilities get one email per facility
+            const groups = this.email.groupChildrenByRecipient(formData);
+            if (groups.length > 1) {
+                const batch = this.email.generateBatchEmails(formData, weekSchedules);
+                if (!batch.success) {
+                    this.notify(batch.error);
+                    return;
+                }
+
+                const formState = this.collectFormState();
+                batch.emails.forEach(email => this.email.addToHistory(email, formState));
+                if (batch.emails.some(email => email.mailtoTooLong)) {
+                    this.notifyLongEmail();
+                }
+
+                this.renderBatchOutput(batch.emails);
+                this.enableCalendarExport();
+                this.renderHistory();
+                return;
+            }
+
+            // The facility of the children may differ from the one selected in the form
+            const emailFormData = groups.length === 1 ? this.email.createGroupFormData(formData, groups[0]) : formData;
+            const result = weekSchedules.length > 1
+                ? this.email.generateRangeEmail(emailFormData, weekSchedules)
+                : this.email.generateEmail(emailFormData, this.selectedWeek, weekSchedules[0].pickupData);
 
             if (!result.success) {
-                alert(result.error);
+                this.notify(result.error);
                 return;
             }
 
+            this.email.addToHistory(result, this.collectFormState());
+            if (result.mailtoTooLong) {
+                this.notifyLongEmail();
+            }
+
             // Update UI
             this.updateEmailOutput(result.displayContent);
             this.enableActionButtons();
+            this.enableCalendarExport();
+            this.renderHistory();
 
         } catch (error) {
             console.error('Email generation failed:', error);
-            alert('Ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.');
+            this.notify(this.i18n.t('email.error.generate'));
         } finally {
             this.setLoadingState(generateBtn, false);
         }
     }
 
+    /**
+     * Warn that an email is too long to be opened in the email program
+     * Only shown if sending may use a mailto link.
+     * @private
+     */
+    notifyLongEmail() {
+        if (!['ask', 'mailto'].includes(this.email.getSendMethod())) return;
+
+        this.notify(this.i18n.t('send.longEmailHint', { max: this.email.MAILTO_MAX_LENGTH }), 'warning');
+    }
+
     /**
      * Handle email sending
      * @private
+     * @param {Object} options - { attachCalendar: false } to never attach the ICS file when sharing,
+     *   { group } to attach only the pickups of one batch email
      */
-    async handleSendEmail() {
+    async handleSendEmail({ attachCalendar = true, group = null } = {}) {
         try {
-            await this.email.sendEmail();
+            const getFiles = attachCalendar ? () => this.createShareAttachments(group) : () => [];
+            await this.email.sendEmail({ getFiles });
+            this.renderHistory();
         } catch (error) {
             console.error('Email sending failed:', error);
-            alert(error.message);
+            this.notify(error.message);
+        }
+    }
+
+    /**
+     * Create the files to attach when the email is shared
+     * @private
+     * @param {Object} group - { recipient, children } of a batch email (optional, all children otherwise)
+     * @returns {File[]} ICS file of the pickup times if enabled and possible (empty otherwise)
+     */
+    createShareAttachments(group = null) {
+        const shareIcs = document.getElementById('shareIcs');
+        if (!this.ics || !shareIcs?.checked || !this.email.canShare()) return [];
+
+        const allFormData = this.collectFormData();
+        const formData = group ? this.email.createGroupFormData(allFormData, group) : allFormData;
+        const result = this.ics.createPickupCalendar(formData, this.collectWeekSchedules(), {
+            reminderMinutes: formData.icsReminder
+        });
+
+        if (!result.success) {
+            // E.g. absence emails without pickups: the email is shared without calendar
+            console.warn('Calendar attachment skipped:', result.error);
+            return [];
         }
+
+        return [this.ics.createCalendarFile(result.content, result.fileName)];
     }
 
     /**
@@ -331,11 +2878,62 @@ class UIManager {
         try {
             const success = await this.email.copyToClipboard();
             if (!success) {
-                alert('Kopieren fehlgeschlagen. Bitte versuchen Sie es erneut.');
+                this.notify(this.i18n.t('email.error.copy'));
             }
+            this.renderHistory();
         } catch (error) {
             console.error('Email copying failed:', error);
-            alert(error.message);
+            this.notify(error.message);
+        }
+    }
+
+    /**
+     * Handle download of the email as .eml file
+     * @private
+     */
+    handleDownloadEml() {
+        try {
+            this.email.downloadEml();
+            this.renderHistory();
+        } catch (error) {
+            console.error('Email download failed:', error);
+            this.notify(error.message);
+        }
+    }
+
+    /**
+     * Handle export of the pickup times as ICS file
+     * @private
+     */
+    handleExportCalendar() {
+        if (!this.ics) return;
+
+        try {
+            const formData = this.collectFormData();
+            const weekSchedules = this.collectWeekSchedules();
+
+            const validation = this.validateFormData(formData, weekSchedules);
+            if (!validation.isValid) {
+                this.notify(validation.message, 'warning');
+                validation.focusField?.focus();
+                return;
+            }
+
+            const result = this.ics.createPickupCalendar(formData, weekSchedules, {
+                reminderMinutes: formData.icsReminder
+            });
+
+            if (!result.success) {
+                this.notify(result.error);
+                return;
+            }
+
+            if (!this.ics.downloadCalendar(result.content, result.fileName)) {
+                this.notify(this.i18n.t('ics.downloadFailed'));
+            }
+        } catch (error) {
+            console.error('Calendar export failed:', error);
+            this.notify(error.message);
         }
     }
 
@@ -354,49 +2952,131 @@ class UIManager {
             }
         });
 
+        // Structured child list, names and classes are also provided as text for templates
+        data.children = this.collectChildren();
+        data.childNames = data.children.map(child => child.name).join(', ');
+        data.childClass = [...new Set(data.children.map(child => child.schoolClass).filter(Boolean))].join(', ');
+
+        // Facility details for template placeholders
+        const facilities = this.getFacilities();
+        if (facilities[data.bebLocation]) {
+            data.facilityName = facilities[data.bebLocation].name;
+            data.facilityLeader = facilities[data.bebLocation].leader;
+            data.facilityLeaderSalutation = facilities[data.bebLocation].salutation;
+            data.facilityLeaderType = facilities[data.bebLocation].type;
+        }
+        data.facilities = facilities;
+
         return data;
     }
 
     /**
-     * Collect pickup data (days and times)
+     * Get name and leader of all facilities
+     * @private
+     * @returns {Object} Map of facility email to { name, leader, salutation, type }
+     */
+    getFacilities() {
+        const facilities = {};
+
+        Array.from(document.getElementById('bebLocation')?.options || [])
+            .filter(option => option.value)
+            .forEach(option => {
+                facilities[option.value] = {
+                    name: option.textContent.trim(),
+                    leader: option.getAttribute('data-leader') || '',
+                    salutation: option.getAttribute('data-leader-salutation') || '',
+                    // 'office' if the facility has no personal leader (Geschäftsstelle)
+                    type: option.getAttribute('data-leader-type') || ''
+                };
+            });
+
+        return facilities;
+    }
+
+    /**
+     * Collect pickup data (days and times) of a week grid
      * @private
+     * @param {string} suffix - Grid id suffix ('' for the first week)
      * @returns {Object} Pickup data object
      */
-    collectPickupData() {
+    collectPickupData(suffix = '') {
         const data = {};
 
-        // Collect checkbox states
-        this.formFields.checkbox.forEach(fieldId => {
-            const field = document.getElementById(fieldId);
-            if (field) {
-                data[fieldId] = field.checked;
+        this.calendar.getDayIds().forEach(dayId => {
+            // Collect checkbox state
+            const checkbox = document.getElementById(dayId + suffix);
+            if (checkbox) {
+                data[dayId] = checkbox.checked;
             }
-        });
 
-        // Collect time values
-        this.formFields.time.forEach(fieldId => {
-            const field = document.getElementById(fieldId);
-            if (field) {
-                data[fieldId] = field.value;
+            // Collect time value
+            const timeField = document.getElementById(`${dayId}Time${suffix}`);
+            if (timeField) {
+                data[dayId + 'Time'] = timeField.value;
             }
+
+            // Collect pickup person and note
+            ['PickupPerson', 'Note'].forEach(field => {
+                const detailField = document.getElementById(dayId + field + suffix);
+                if (detailField) {
+                    data[dayId + field] = detailField.value;
+                }
+            });
         });
 
         return data;
     }
 
+    /**
+     * Collect pickup schedules of all selected weeks
+     * Each grid becomes schedule entries of its week, with individual schedules per child
+     * @private
+     * @returns {Array<Object>} List of { weekType, pickupData, suffix, grids } per week, pickupData
+     *     holds the schedule entries of all grids and grids the { suffix, name, facility, entries } per grid
+     */
+    collectWeekSchedules() {
+        const children = this.collectChildren(true);
+        const childCount = this.getGridChildCount();
+        const pattern = this.storage.loadPattern();
+
+        return this.getSelectedWeeks().map((weekType, index) => {
+            const grids = Array.from({ length: childCount }, (_, childIndex) => {
+                const suffix = this.getGridSuffix(index, childIndex);
+                const name = children[childIndex]?.name || this.calendar.getFallbackChildName(childIndex);
+
+                return {
+                    suffix,
+                    name,
+                    facility: this.getGridFacility(childIndex),
+                    entries: this.calendar.applyPatternNotes(
+                        this.calendar.createEntriesFromGrid(weekType, this.collectPickupData(suffix), childCount > 1 ? name : null),
+                        pattern
+                    )
+                };
+            });
+
+            return {
+                weekType,
+                suffix: grids[0].suffix,
+                grids,
+                pickupData: grids.flatMap(grid => grid.entries)
+            };
+        });
+    }
+
     /**
      * Validate collected form data
      * @private
      * @param {Object} formData - Form data
-     * @param {Object} pickupData - Pickup data
+     * @param {Array<Object>} weekSchedules - Pickup data per selected week
      * @returns {Object} Validation result
      */
-    validateFormData(formData, pickupData) {
+    validateFormData(formData, weekSchedules) {
         // Validate required fields
         if (!formData.parentName) {
             return {
                 isValid: false,
-                message: 'Bitte geben Sie Ihren Namen ein.',
+                message: this.i18n.t('validation.parentName'),
                 focusField: document.getElementById('parentName')
             };
         }
@@ -404,15 +3084,16 @@ class UIManager {
         if (!formData.childNames) {
             return {
                 isValid: false,
-                message: 'Bitte geben Sie die Namen der Kinder ein.',
-                focusField: document.getElementById('childNames')
+                message: this.i18n.t('validation.childNames'),
+                focusField: document.querySelector('#childList .child-name')
             };
         }
 
-        if (!formData.bebLocation) {
+        // Children with an own facility do not need the facility selected above
+        if (!formData.bebLocation && formData.children.some(child => !child.facility)) {
             return {
                 isValid: false,
-                message: 'Bitte wählen Sie eine Betreuungseinrichtung aus.',
+                message: this.i18n.t('validation.facility'),
                 focusField: document.getElementById('bebLocation')
             };
         }
@@ -422,22 +3103,54 @@ class UIManager {
         if (formData.parentEmail && !this.validation.validateEmail(emailField)) {
             return {
                 isValid: false,
-                message: 'Bitte geben Sie eine gültige E-Mail-Adresse ein oder lassen Sie das Feld leer.',
+                message: this.i18n.t('validation.parentEmail'),
                 focusField: emailField
             };
         }
 
+        const template = this.templates.getTemplate(formData.templateId);
+        const requires = template.requires || {};
+
+        if (requires.absence && !formData.absenceFrom) {
+            return {
+                isValid: false,
+                message: this.i18n.t('validation.absenceFrom'),
+                focusField: document.getElementById('absenceFrom')
+            };
+        }
+
+        if (requires.absence && formData.absenceTo && formData.absenceTo < formData.absenceFrom) {
+            return {
+                isValid: false,
+                message: this.i18n.t('validation.absenceOrder'),
+                focusField: document.getElementById('absenceTo')
+            };
+        }
+
+        if (requires.pickupPerson && !formData.pickupPerson) {
+            return {
+                isValid: false,
+                message: this.i18n.t('validation.pickupPerson'),
+                focusField: document.getElementById('pickupPerson')
+            };
+        }
+
+        // Templates without pickup times need no day selection
+        if (!requires.pickup) {
+            return { isValid: true };
+        }
+
         // Validate pickup times
         const dayNames = this.calendar.getDayNames();
         const dayIds = this.calendar.getDayIds();
 
-        for (let i = 0; i < dayIds.length; i++) {
-            const dayId = dayIds[i];
-            const timeId = dayId + 'Time';
+        const grids = weekSchedules.flatMap(({ weekType, grids }) => grids.map(grid => ({ ...grid, weekType })));
 
-            if (pickupData[dayId] && pickupData[timeId]) {
-                const timeField = document.getElementById(timeId);
-                const validation = this.validation.validateTimeWithMessage(timeField, dayNames[i]);
+        for (const { entries, suffix } of grids) {
+            for (const entry of entries) {
+                const dayIndex = this.calendar.parseDateKey(entry.date).getDay() - 1;
+                const timeField = document.getElementById(`${dayIds[dayIndex]}Time${suffix}`);
+                const validation = this.validation.validateTimeWithMessage(timeField, dayNames[dayIndex]);
 
                 if (!validation.isValid) {
                     return {
@@ -450,11 +3163,22 @@ class UIManager {
         }
 
         // Check if at least one day is selected
-        const hasSelectedDays = dayIds.some(dayId => pickupData[dayId]);
+        const hasSelectedDays = grids.some(({ entries }) => entries.length > 0);
         if (!hasSelectedDays) {
             return {
                 isValid: false,
-                message: 'Bitte wählen Sie mindestens einen Tag für die Abholung aus.'
+                message: this.i18n.t('validation.noDays')
+            };
+        }
+
+        // Check if at least one selected day is not a holiday
+        const hasOpenDays = grids.some(({ weekType, facility, entries }) => {
+            return this.calendar.getPickupEntries(weekType, entries, facility).length > 0;
+        });
+        if (!hasOpenDays) {
+            return {
+                isValid: false,
+                message: this.i18n.t('validation.noOpenDays')
             };
         }
 
@@ -470,19 +3194,129 @@ class UIManager {
         const emailOutput = document.getElementById('emailOutput');
         if (emailOutput) {
             emailOutput.textContent = content;
+            emailOutput.hidden = false;
         }
+
+        document.getElementById('batchOutput')?.replaceChildren();
+    }
+
+    /**
+     * Show batch preview with send/copy/download actions per email
+     * @private
+     * @param {Array<Object>} emails - Generated emails (one per facility)
+     */
+    renderBatchOutput(emails) {
+        const batchOutput = document.getElementById('batchOutput');
+        if (!batchOutput) return;
+
+        this.batchEmails = emails;
+
+        const emailOutput = document.getElementById('emailOutput');
+        if (emailOutput) {
+            emailOutput.hidden = true;
+        }
+
+        // The main buttons only handle single emails
+        ['sendBtn', 'copyBtn', 'emlBtn'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) button.disabled = true;
+        });
+
+        const summary = document.createElement('div');
+        summary.className = 'batch-summary';
+        summary.dataset.i18n = 'batch.summary';
+        summary.dataset.i18nParams = JSON.stringify({ count: emails.length });
+
+        const cards = emails.map((email, index) => {
+            const card = document.createElement('div');
+            card.className = 'batch-email';
+
+            const header = document.createElement('div');
+            header.className = 'batch-email-header';
+            header.textContent = `${index + 1}. ${email.facilityName || email.recipient} – ${email.childNames}`;
+
+            const content = document.createElement('div');
+            content.className = 'email-output';
+            content.textContent = email.displayContent;
+
+            const actions = document.createElement('div');
+            actions.className = 'button-group';
+
+            const sendBtn = document.createElement('button');
+            sendBtn.type = 'button';
+            sendBtn.className = 'send-btn';
+            sendBtn.dataset.action = 'send';
+            sendBtn.dataset.index = String(index);
+            sendBtn.dataset.i18n = 'actions.send';
+
+            const copyBtn = document.createElement('button');
+            copyBtn.type = 'button';
+            copyBtn.className = 'copy-btn';
+            copyBtn.dataset.action = 'copy';
+            copyBtn.dataset.index = String(index);
+            copyBtn.dataset.i18n = 'actions.copy';
+
+            const emlBtn = document.createElement('button');
+            emlBtn.type = 'button';
+            emlBtn.className = 'copy-btn';
+            emlBtn.dataset.action = 'eml';
+            emlBtn.dataset.index = String(index);
+            emlBtn.textContent = '📄 .eml';
+
+            actions.append(sendBtn, copyBtn, emlBtn);
+            card.append(header, content, actions);
+            return card;
+        });
+
+        // Marked for translateDocument(), so a language change updates the texts as well
+        batchOutput.replaceChildren(summary, ...cards);
+        this.i18n.translateDocument(batchOutput);
     }
 
     /**
-     * Enable action buttons (send/copy)
+     * Handle send/copy/download actions of a batch email
+     * @private
+     * @param {Event} event - Click event
+     */
+    async handleBatchAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const index = Number(button.dataset.index);
+        if (!this.email.selectEmail(index)) return;
+
+        if (button.dataset.action === 'send') {
+            // The calendar only contains the pickups of the children in this email
+            await this.handleSendEmail({ group: this.batchEmails[index] });
+            button.closest('.batch-email')?.classList.add('sent');
+        } else if (button.dataset.action === 'eml') {
+            this.handleDownloadEml();
+        } else {
+            await this.handleCopyEmail();
+        }
+    }
+
+    /**
+     * Enable action buttons (send/copy/download)
      * @private
      */
     enableActionButtons() {
         const sendBtn = document.getElementById('sendBtn');
         const copyBtn = document.getElementById('copyBtn');
+        const emlBtn = document.getElementById('emlBtn');
 
         if (sendBtn) sendBtn.disabled = false;
         if (copyBtn) copyBtn.disabled = false;
+        if (emlBtn) emlBtn.disabled = false;
+    }
+
+    /**
+     * Enable calendar export once an email was created
+     * @private
+     */
+    enableCalendarExport() {
+        const icsBtn = document.getElementById('icsBtn');
+        if (icsBtn) icsBtn.disabled = false;
     }
 
     /**
@@ -504,31 +3338,69 @@ class UIManager {
     }
 
     /**
-     * Save current form data
+     * Save current form data (auto-save)
+     * App.optimizePerformance() debounces this method, use persistFormData() to save immediately
      * @private
      */
     saveFormData() {
-        if (!this.isInitialized) return;
+        this.persistFormData();
+    }
 
-        const formData = {
-            ...this.collectFormData(),
-            ...this.collectPickupData()
-        };
+    /**
+     * Write current form data to the active profile immediately
+     * @private
+     */
+    persistFormData() {
+        if (!this.isInitialized) return;
 
-        const success = this.storage.saveFormData(formData, this.selectedWeek);
+        const success = this.storage.saveFormData(this.collectFormState(), this.selectedWeek);
         if (success) {
             this.showAutoSaveIndicator();
         }
     }
 
+    /**
+     * Collect the complete form state as it is saved (fields, children and schedule)
+     * @private
+     * @returns {Object} Form state
+     */
+    collectFormState() {
+        const { facilities, ...fieldData } = this.collectFormData();
+        const defaultTimes = {};
+        this.calendar.getDayIds().forEach(dayId => {
+            defaultTimes[dayId] = document.getElementById(`${dayId}Time`)?.value || '';
+        });
+
+        return {
+            ...fieldData,
+            children: this.collectChildren(true),
+            perChildSchedule: !!document.getElementById('perChildSchedule')?.checked,
+            weekCount: this.weekCount,
+            defaultTimes,
+            selectedWeek: this.selectedWeek,
+            scheduleStart: this.calendar.toDateKey(this.calendar.getWeekDates(this.selectedWeek)[0]),
+            schedule: this.collectWeekSchedules().flatMap(week => week.pickupData)
+        };
+    }
+
     /**
      * Load saved form data
      * @private
      */
     async loadSavedData() {
         const savedData = this.storage.loadFormData();
+        this.renderMigrationBackup();
         if (!savedData) return;
 
+        await this.applyFormData(savedData);
+    }
+
+    /**
+     * Fill the form from saved form data
+     * @private
+     * @param {Object} savedData - Saved form state
+     */
+    async applyFormData(savedData) {
         try {
             // Load text and select fields
             [...this.formFields.text, ...this.formFields.select].forEach(fieldId => {
@@ -538,34 +3410,32 @@ class UIManager {
                 }
             });
 
-            // Load time fields
-            this.formFields.time.forEach(fieldId => {
-                const field = document.getElementById(fieldId);
-                if (field && savedData[fieldId]) {
-                    field.value = savedData[fieldId];
-                }
-            });
+            // Load week selection (weeks that are already over fall back to this week)
+            if (savedData.selectedWeek) {
+                const isKnownWeek = ['current', 'next'].includes(savedData.selectedWeek) ||
+                    !!this.calendar.parseWeekId(savedData.selectedWeek);
 
-            // Load checkbox fields
-            this.formFields.checkbox.forEach(fieldId => {
-                const field = document.getElementById(fieldId);
-                if (field && typeof savedData[fieldId] === 'boolean') {
-                    field.checked = savedData[fieldId];
+                if (isKnownWeek && !this.calendar.isPastWeek(savedData.selectedWeek)) {
+                    this.applySelectedWeek(savedData.selectedWeek);
                 }
-            });
+            }
 
-            // Load week selection
-            if (savedData.selectedWeek) {
-                this.selectedWeek = savedData.selectedWeek;
-                const weekBtns = document.querySelectorAll('.week-btn');
-                weekBtns.forEach(btn => {
-                    btn.classList.remove('active');
-                    if (btn.getAttribute('data-week') === this.selectedWeek) {
-                        btn.classList.add('active');
-                    }
-                });
+            // Load child list
+            this.renderChildRows(savedData.children || []);
+
+            const perChildSchedule = document.getElementById('perChildSchedule');
+            if (perChildSchedule) {
+                perChildSchedule.checked = !!savedData.perChildSchedule;
             }
 
+            // Load range mode and individual schedules (number of weeks and their grids)
+            const weekCount = savedData.weekCount || 1;
+            this.setWeekCount(weekCount, this.createGridData(savedData.schedule, savedData.scheduleStart, weekCount, savedData.defaultTimes));
+
+            // Saved custom templates may have been deleted in the meantime
+            this.renderTemplateOptions(savedData.templateId);
+            this.applyTemplateFields();
+
             // Trigger events for loaded data
             const bebLocation = document.getElementById('bebLocation');
             if (bebLocation?.value) {
@@ -599,7 +3469,7 @@ class UIManager {
 
     /**
      * Get current selected week
-     * @returns {string} Selected week type
+     * @returns {string} Selected week type ('current', 'next' or ISO week id)
      */
     getSelectedWeek() {
         return this.selectedWeek;
@@ -607,10 +3477,10 @@ class UIManager {
 
     /**
      * Set selected week
-     * @param {string} weekType - Week type to select
+     * @param {string} weekType - 'current', 'next' or ISO week id
      */
     setSelectedWeek(weekType) {
-        this.selectedWeek = weekType;
+        this.applySelectedWeek(weekType);
         this.saveFormData();
     }
 
@@ -8,7 +8,9 @@
  * Handles email validation, time validation, and visual feedback
  */
 class ValidationManager {
-    constructor() {
+    constructor(i18nManager = null) {
+        this.i18n = i18nManager || new I18nManager();
+
         this.patterns = {
             email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
             time: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
@@ -41,8 +43,8 @@ class ValidationManager {
 
         const isValid = this.patterns.email.test(email);
         this.updateValidationState(emailField, validationDiv, isValid, {
-            valid: '✓ Gültige E-Mail-Adresse',
-            invalid: '⚠ Ungültige E-Mail-Adresse'
+            valid: this.i18n.t('validation.emailValid'),
+            invalid: this.i18n.t('validation.emailInvalid')
         });
 
         return isValid;
@@ -91,7 +93,7 @@ class ValidationManager {
             this.setInvalidState(field);
             return {
                 isValid: false,
-                message: `Bitte geben Sie ${fieldName} ein.`
+                message: this.i18n.t('validation.required', { field: fieldName })
             };
         }
 
@@ -111,7 +113,11 @@ class ValidationManager {
         if (!isValid && timeField.value) {
             return {
                 isValid: false,
-                message: `Ungültige Abholzeit für ${dayName}. Bitte wählen Sie eine Zeit zwischen ${this.schoolHours.start}:00 und ${this.schoolHours.end}:00 Uhr.`
+                message: this.i18n.t('validation.time', {
+                    day: dayName,
+                    start: this.schoolHours.start,
+                    end: this.schoolHours.end
+                })
             };
         }
 
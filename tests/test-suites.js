@@ -10,7 +10,7 @@ describe('StorageManager', function() {
     this.it('should be instantiable', function() {
         expect(storage).toBeTruthy();
         expect(storage.STORAGE_KEY).toBe('bebEmailGenerator');
-        expect(storage.VERSION).toBe('1.1.0');
+        expect(storage.VERSION).toBe('1.2.0');
     }, { quick: true });
 
     this.it('should check storage availability', function() {
@@ -61,6 +61,375 @@ describe('StorageManager', function() {
         const loadedData = storage.loadFormData();
         expect(loadedData).toBeFalsy();
     });
+
+    this.it('should save and load custom templates', function() {
+        const templates = [{ id: 'custom-1', name: 'Du-Form', subject: 'Hallo {{kinder}}', body: 'Liebes Team' }];
+
+        expect(storage.saveCustomTemplates(templates)).toBeTruthy();
+        expect(storage.loadCustomTemplates()).toEqual(templates);
+
+        localStorage.removeItem(storage.TEMPLATES_KEY);
+        expect(storage.loadCustomTemplates()).toEqual([]);
+    });
+
+    this.it('should migrate day grids of version 1.1.0 to schedule entries', function() {
+        localStorage.setItem(storage.STORAGE_KEY, JSON.stringify({
+            parentName: 'Test Parent',
+            monday: true,
+            mondayTime: '16:00',
+            tuesday: false,
+            tuesdayTime: '15:00',
+            grids: { _w1: { friday: true, fridayTime: '14:00' } },
+            weekCount: 2,
+            selectedWeek: '2026-W45',
+            version: '1.1.0'
+        }));
+
+        const loadedData = storage.loadFormData();
+        expect(loadedData.version).toBe('1.2.0');
+        expect(loadedData.scheduleStart).toBe('2026-11-02');
+        expect(loadedData.monday).toBe(undefined);
+        expect(loadedData.schedule).toEqual([
+            { date: '2026-11-02', child: null, time: '16:00', pickupPerson: '', note: '' },
+            { date: '2026-11-13', child: null, time: '14:00', pickupPerson: '', note: '' }
+        ]);
+
+        storage.clearFormData();
+    });
+
+    this.it('should keep form data per profile', function() {
+        storage.saveFormData({ parentName: 'Mama' }, 'current');
+
+        const created = storage.createProfile('Oma');
+        expect(created.success).toBeTruthy();
+        expect(storage.getActiveProfile().name).toBe('Oma');
+        expect(storage.loadFormData()).toBe(null);
+
+        storage.saveFormData({ parentName: 'Oma Ilse' }, 'current');
+        expect(storage.switchProfile(storage.DEFAULT_PROFILE_ID)).toBeTruthy();
+        expect(storage.loadFormData().parentName).toBe('Mama');
+
+        expect(storage.createProfile(' oma ').error).toBe('Ein Profil mit diesem Namen existiert bereits.');
+        expect(storage.renameProfile(created.profile.id, 'Großeltern').success).toBeTruthy();
+        expect(storage.getProfiles().map(profile => profile.name)).toEqual(['Standard', 'Großeltern']);
+
+        storage.switchProfile(created.profile.id);
+        expect(storage.deleteProfile(created.profile.id).success).toBeTruthy();
+        expect(storage.getActiveProfile().id).toBe(storage.DEFAULT_PROFILE_ID);
+        expect(localStorage.getItem(`${storage.STORAGE_KEY}_${created.profile.id}`)).toBe(null);
+        expect(storage.deleteProfile(storage.DEFAULT_PROFILE_ID).success).toBeFalsy();
+
+        localStorage.removeItem(storage.PROFILES_KEY);
+        storage.clearFormData();
+    });
+
+    this.it('should keep the migration backup per profile', function() {
+        localStorage.setItem(storage.STORAGE_KEY, JSON.stringify({ parentName: 'Mama', version: '1.1.0' }));
+        expect(storage.loadFormData().parentName).toBe('Mama');
+        expect(storage.loadBackup()).toBeTruthy();
+
+        const created = storage.createProfile('Oma');
+        expect(storage.loadBackup()).toBe(null);
+        storage.clearFormData();
+
+        storage.switchProfile(storage.DEFAULT_PROFILE_ID);
+        expect(JSON.parse(storage.loadBackup().data).parentName).toBe('Mama');
+
+        storage.deleteProfile(created.profile.id);
+        localStorage.removeItem(storage.PROFILES_KEY);
+        storage.clearFormData();
+        expect(storage.loadBackup()).toBe(null);
+    });
+
+    this.it('should create unique profile ids within the same millisecond', function() {
+        const first = storage.createProfile('Papa');
+        const second = storage.createProfile('Oma');
+
+        expect(first.profile.id === second.profile.id).toBeFalsy();
+        expect(storage.getProfiles().length).toBe(3);
+
+        localStorage.removeItem(storage.PROFILES_KEY);
+    }, { quick: true });
+
+    this.it('should save and load imported closure days', function() {
+        const closures = { 'test@example.com': [{ name: 'Studientag', start: '2026-11-02', end: '2026-11-02' }] };
+
+        expect(storage.saveClosures(closures)).toBeTruthy();
+        expect(storage.loadClosures()).toEqual(closures);
+
+        localStorage.removeItem(storage.CLOSURES_KEY);
+        expect(storage.loadClosures()).toEqual({});
+    });
+
+    this.it('should keep the email history per profile', function() {
+        const entry = { id: 'email-1', subject: 'Abholzeiten für Anna - KW 45/2026' };
+        expect(storage.saveHistory([entry])).toBeTruthy();
+        expect(storage.loadHistory()).toEqual([entry]);
+
+        const created = storage.createProfile('Oma');
+        expect(storage.loadHistory()).toEqual([]);
+        storage.saveHistory([{ id: 'email-2' }]);
+
+        storage.deleteProfile(created.profile.id);
+        expect(localStorage.getItem(`${storage.STORAGE_KEY}_${created.profile.id}${storage.HISTORY_SUFFIX}`)).toBe(null);
+        expect(storage.loadHistory()).toEqual([entry]);
+
+        storage.saveHistory([]);
+        localStorage.removeItem(storage.PROFILES_KEY);
+    });
+
+    this.it('should save and remove the pickup pattern', function() {
+        const pattern = { days: [{ dayId: 'monday', time: '15:00', child: null }], exceptions: [], autoApply: true };
+
+        expect(storage.savePattern(pattern)).toBeTruthy();
+        expect(storage.loadPattern()).toEqual(pattern);
+
+        expect(storage.savePattern(null)).toBeTruthy();
+        expect(storage.loadPattern()).toBe(null);
+    });
+});
+
+// Storage migration Tests (one fixture per historical format)
+describe('StorageManager migrations', function() {
+    const storage = new StorageManager();
+    const load = (savedData) => {
+        localStorage.removeItem(`${storage.STORAGE_KEY}${storage.BACKUP_SUFFIX}`);
+        localStorage.setItem(storage.STORAGE_KEY, JSON.stringify(savedData));
+        return storage.loadFormData();
+    };
+    const entry = (date, time, child = null) => ({ date, child, time, pickupPerson: '', note: '' });
+
+    this.it('should migrate 1.1.0 data with comma separated children', function() {
+        const formData = load({
+            parentName: 'Test Parent',
+            childNames: 'Anna, Tom',
+            childClass: '1a',
+            bebLocation: 'test@example.com',
+            monday: true,
+            mondayTime: '16:00',
+            wednesday: true,
+            wednesdayTime: '15:30',
+            thursday: false,
+            thursdayTime: '16:00',
+            selectedWeek: 'next',
+            version: '1.1.0',
+            timestamp: new Date(2026, 9, 28, 12).getTime()
+        });
+
+        expect(formData.version).toBe('1.2.0');
+        expect(formData.children).toEqual([
+            { name: 'Anna', schoolClass: '1a', facility: '' },
+            { name: 'Tom', schoolClass: '1a', facility: '' }
+        ]);
+        expect(formData.scheduleStart).toBe('2026-11-02');
+        expect(formData.schedule).toEqual([entry('2026-11-02', '16:00'), entry('2026-11-04', '15:30')]);
+    });
+
+    this.it('should migrate 1.1.0 data with ISO week and extra weeks', function() {
+        const formData = load({
+            parentName: 'Test Parent',
+            childNames: 'Anna',
+            tuesday: true,
+            tuesdayTime: '14:00',
+            extraWeeks: [{ friday: true, fridayTime: '13:00' }],
+            weekCount: 2,
+            selectedWeek: '2026-W45',
+            version: '1.1.0',
+            timestamp: Date.now()
+        });
+
+        expect(formData.extraWeeks).toBe(undefined);
+        expect(formData.schedule).toEqual([entry('2026-11-03', '14:00'), entry('2026-11-13', '13:00')]);
+    });
+
+    this.it('should migrate 1.1.0 data with individual schedules per child', function() {
+        const formData = load({
+            parentName: 'Test Parent',
+            children: [{ name: 'Anna', schoolClass: '1a', facility: '' }, { name: 'Tom', schoolClass: '', facility: 'heidberg@beb-norderstedt.de' }],
+            perChildSchedule: true,
+            monday: true,
+            mondayTime: '15:00',
+            grids: { _c1: { monday: true, mondayTime: '16:30' }, _w1_c1: { friday: true, fridayTime: '14:00' } },
+            weekCount: 2,
+            selectedWeek: '2026-W45',
+            version: '1.1.0'
+        });
+
+        expect(formData.grids).toBe(undefined);
+        expect(formData.children[1].facility).toBe('heidberg@beb-norderstedt.de');
+        expect(formData.schedule).toEqual([
+            entry('2026-11-02', '15:00', 'Anna'),
+            entry('2026-11-02', '16:30', 'Tom'),
+            entry('2026-11-13', '14:00', 'Tom')
+        ]);
+    });
+
+    this.it('should treat data without version as 1.1.0 and back it up', function() {
+        const savedData = { parentName: 'Test Parent', friday: true, fridayTime: '12:00', selectedWeek: '2026-W45' };
+        const formData = load(savedData);
+
+        expect(formData.version).toBe('1.2.0');
+        expect(formData.schedule).toEqual([entry('2026-11-06', '12:00')]);
+        expect(JSON.parse(storage.loadBackup().data)).toEqual(savedData);
+
+        // Migrated data is written back, so the migration only runs once
+        expect(JSON.parse(localStorage.getItem(storage.STORAGE_KEY)).version).toBe('1.2.0');
+    });
+
+    this.it('should load current data unchanged without backup', function() {
+        const savedData = {
+            parentName: 'Test Parent',
+            children: [{ name: 'Anna', schoolClass: '1a', facility: '' }],
+            schedule: [entry('2026-11-02', '16:00')],
+            scheduleStart: '2026-11-02',
+            version: '1.2.0'
+        };
+
+        expect(load(savedData)).toEqual(savedData);
+        expect(storage.loadBackup()).toBe(null);
+    });
+
+    this.it('should reject newer versions and invalid data but keep a backup', function() {
+        expect(load({ parentName: 'Test Parent', version: '9.0.0' })).toBe(null);
+        expect(storage.loadBackup()).toBeTruthy();
+
+        expect(load({ parentName: 42, version: '1.2.0' })).toBe(null);
+        expect(JSON.parse(storage.loadBackup().data).parentName).toBe(42);
+
+        storage.clearFormData();
+        expect(storage.loadBackup()).toBe(null);
+    });
+
+    this.it('should only drop invalid schedule entries', function() {
+        const savedData = {
+            parentName: 'Test Parent',
+            schedule: [entry('2026-11-02', '16:00'), { date: 'morgen', time: '16:00' }, { date: '2026-11-03', time: '15:00', child: 'Anna' }],
+            version: '1.2.0'
+        };
+        const formData = load(savedData);
+
+        expect(formData.parentName).toBe('Test Parent');
+        expect(formData.schedule).toEqual([entry('2026-11-02', '16:00'), entry('2026-11-03', '15:00', 'Anna')]);
+        expect(JSON.parse(storage.loadBackup().data)).toEqual(savedData);
+    });
+
+    this.it('should restore the data saved before the last migration', function() {
+        const savedData = { parentName: 'Test Parent', friday: true, fridayTime: '12:00', selectedWeek: '2026-W45' };
+        load(savedData);
+        storage.saveFormData({ parentName: 'Changed' }, '2026-W45');
+
+        expect(storage.restoreBackup()).toBeTruthy();
+        expect(storage.loadFormData().parentName).toBe('Test Parent');
+        expect(storage.loadFormData().schedule).toEqual([entry('2026-11-06', '12:00')]);
+
+        storage.clearFormData();
+        expect(storage.restoreBackup()).toBeFalsy();
+    });
+
+    this.it('should validate the schema of form data', function() {
+        expect(storage.validateSchema({ version: '1.2.0', weekCount: 2, perChildSchedule: false }).isValid).toBeTruthy();
+        expect(storage.validateSchema({ version: '1.2.0', weekCount: '2' }).errors).toEqual(['weekCount must be of type number']);
+        expect(storage.validateSchema({ parentName: 'Test' }).errors).toEqual(['version is missing']);
+        expect(storage.validateSchema({ version: '1.2.0', children: [{ schoolClass: '1a' }] }).isValid).toBeFalsy();
+    }, { quick: true });
+});
+
+// Passphrase protected storage Tests
+describe('StorageManager passphrase protection', function() {
+    const security = new SecurityManager();
+    security.KDF_ITERATIONS = 1000;
+    const storage = new StorageManager(security);
+    const cleanUp = () => {
+        storage.resetPassphrase();
+        storage.clearFormData();
+    };
+
+    this.it('should keep saved data encrypted until unlocked', async function() {
+        storage.saveFormData({ parentName: 'Mama' }, 'current');
+        storage.saveHistory([{ id: 'email-1', subject: 'Abholzeiten für Anna' }]);
+
+        expect((await storage.enablePassphrase('kurz')).success).toBeFalsy();
+        expect((await storage.enablePassphrase('geheime Passphrase')).success).toBeTruthy();
+        expect(localStorage.getItem(storage.STORAGE_KEY).includes('Mama')).toBeFalsy();
+        expect(localStorage.getItem(`${storage.STORAGE_KEY}${storage.HISTORY_SUFFIX}`).includes('Anna')).toBeFalsy();
+        expect(storage.loadFormData().parentName).toBe('Mama');
+
+        // A new page load starts locked and does not overwrite the encrypted data
+        const reloaded = new StorageManager(security);
+        expect(reloaded.isLocked()).toBeTruthy();
+        expect(reloaded.loadFormData()).toBe(null);
+        expect(reloaded.saveFormData({ parentName: 'Papa' }, 'current')).toBeFalsy();
+
+        expect((await reloaded.unlock('falsche Passphrase')).error).toBe('Die Passphrase ist nicht korrekt.');
+        expect((await reloaded.unlock('geheime Passphrase')).success).toBeTruthy();
+        expect(reloaded.loadFormData().parentName).toBe('Mama');
+        expect(reloaded.loadHistory()[0].id).toBe('email-1');
+
+        reloaded.saveFormData({ parentName: 'Oma' }, 'current');
+        await reloaded.flushWrites();
+        expect(localStorage.getItem(storage.STORAGE_KEY).includes('Oma')).toBeFalsy();
+
+        const again = new StorageManager(security);
+        await again.unlock('geheime Passphrase');
+        expect(again.loadFormData().parentName).toBe('Oma');
+
+        cleanUp();
+    });
+
+    this.it('should change, remove and reset the passphrase', async function() {
+        storage.saveFormData({ parentName: 'Mama' }, 'current');
+        await storage.enablePassphrase('erste Passphrase');
+
+        expect((await storage.changePassphrase('falsch!!', 'zweite Passphrase')).success).toBeFalsy();
+        expect((await storage.changePassphrase('erste Passphrase', 'zweite Passphrase')).success).toBeTruthy();
+        expect((await new StorageManager(security).unlock('erste Passphrase')).success).toBeFalsy();
+        expect((await new StorageManager(security).unlock('zweite Passphrase')).success).toBeTruthy();
+
+        expect((await storage.disablePassphrase('zweite Passphrase')).success).toBeTruthy();
+        expect(storage.isEncryptionEnabled()).toBeFalsy();
+        expect(JSON.parse(localStorage.getItem(storage.STORAGE_KEY)).parentName).toBe('Mama');
+
+        await storage.enablePassphrase('dritte Passphrase');
+        const forgotten = new StorageManager(security);
+        expect(forgotten.resetPassphrase()).toBeTruthy();
+        expect(forgotten.isLocked()).toBeFalsy();
+        expect(forgotten.loadFormData()).toBe(null);
+
+        cleanUp();
+    });
+});
+
+// Privacy mode Tests
+describe('SecurityManager privacy mode', function() {
+    const security = new SecurityManager();
+    const storage = new StorageManager(security);
+
+    this.it('should keep data in the session only and wipe it completely', function() {
+        storage.saveFormData({ parentName: 'Mama' }, 'current');
+        storage.saveHistory([{ id: 'email-1' }]);
+
+        security.setPrivacyMode(true);
+        expect(localStorage.getItem(storage.STORAGE_KEY)).toBe(null);
+        expect(storage.loadFormData().parentName).toBe('Mama');
+
+        storage.saveFormData({ parentName: 'Papa' }, 'current');
+        expect(localStorage.getItem(storage.STORAGE_KEY)).toBe(null);
+        expect(JSON.parse(sessionStorage.getItem(storage.STORAGE_KEY)).parentName).toBe('Papa');
+
+        security.clearSensitiveData();
+        expect(storage.loadFormData()).toBe(null);
+        expect(storage.loadHistory()).toEqual([]);
+        expect(Object.keys(sessionStorage).some(key => key.startsWith(security.STORAGE_PREFIX))).toBeFalsy();
+        expect(localStorage.getItem(security.PRIVACY_MODE_KEY)).toBe('true');
+
+        storage.saveFormData({ parentName: 'Oma' }, 'current');
+        security.setPrivacyMode(false);
+        expect(JSON.parse(localStorage.getItem(storage.STORAGE_KEY)).parentName).toBe('Oma');
+        expect(sessionStorage.getItem(storage.STORAGE_KEY)).toBe(null);
+
+        storage.clearFormData();
+        localStorage.removeItem(security.PRIVACY_MODE_KEY);
+    });
 });
 
 // Validation Manager Tests
@@ -269,6 +638,383 @@ describe('CalendarManager', function() {
         dayNames.push('Test');
         expect(calendar.getDayNames().length).toBe(5);
     }, { quick: true });
+
+    this.it('should combine individual schedules per child', function() {
+        const pickupList = calendar.generatePickupList('2026-W45', [
+            { name: 'Anna', pickupData: { monday: true, mondayTime: '16:00', tuesday: true, tuesdayTime: '15:00' } },
+            { name: 'Tom', pickupData: { monday: true, mondayTime: '16:00', tuesday: true, tuesdayTime: '16:30', friday: true, fridayTime: '14:00' } }
+        ]);
+
+        expect(pickupList).toEqual([
+            '• Montag, 2. November 2026 um 16:00 Uhr',
+            '• Dienstag, 3. November 2026:',
+            '    Anna um 15:00 Uhr',
+            '    Tom um 16:30 Uhr',
+            '• Freitag, 6. November 2026 um 14:00 Uhr (Tom)'
+        ]);
+    }, { quick: true });
+
+    this.it('should convert day grids into dated schedule entries and back', function() {
+        const schedule = calendar.toSchedule('2026-W45', { monday: true, mondayTime: '16:00', tuesday: false, tuesdayTime: '15:00' });
+
+        expect(schedule).toEqual([
+            { date: '2026-11-02', child: null, time: '16:00', pickupPerson: '', note: '' }
+        ]);
+        expect(calendar.createGridFromEntries(schedule, '2026-W45').monday).toBeTruthy();
+        expect(calendar.createGridFromEntries(schedule, '2026-W45').tuesday).toBeFalsy();
+        expect(calendar.createGridFromEntries(schedule, '2026-W46').monday).toBeFalsy();
+    }, { quick: true });
+
+    this.it('should keep pickup person and note of the day grid', function() {
+        const schedule = calendar.toSchedule('2026-W45', {
+            monday: true, mondayTime: '16:00', mondayPickupPerson: ' Oma Ilse ', mondayNote: 'Zahnarzt'
+        });
+
+        expect(schedule).toEqual([
+            { date: '2026-11-02', child: null, time: '16:00', pickupPerson: 'Oma Ilse', note: 'Zahnarzt' }
+        ]);
+
+        const grid = calendar.createGridFromEntries(schedule, '2026-W45');
+        expect(grid.mondayPickupPerson).toBe('Oma Ilse');
+        expect(grid.mondayNote).toBe('Zahnarzt');
+        expect(grid.tuesdayPickupPerson).toBe('');
+    }, { quick: true });
+
+    this.it('should list schedule entries with pickup person, note and weekend days', function() {
+        const pickupList = calendar.generatePickupList('2026-W45', [
+            { date: '2026-11-07', child: null, time: '10:00', note: 'Schulfest' },
+            { date: '2026-11-02', child: null, time: '16:00', pickupPerson: 'Oma Ilse' },
+            { date: '2026-11-09', child: null, time: '16:00' }
+        ]);
+
+        expect(pickupList).toEqual([
+            '• Montag, 2. November 2026 um 16:00 Uhr – Abholung durch Oma Ilse',
+            '• Samstag, 7. November 2026 um 10:00 Uhr – Schulfest'
+        ]);
+    }, { quick: true });
+
+    this.it('should copy the schedule of one week to another week', function() {
+        const schedule = [
+            { date: '2026-10-19', child: 'Anna', time: '15:00', pickupPerson: 'Oma Ilse', note: '' },
+            { date: '2026-10-23', child: null, time: '13:00', pickupPerson: '', note: '' },
+            { date: '2026-10-26', child: null, time: '16:00', pickupPerson: '', note: '' }
+        ];
+
+        // KW 43 → KW 44 (across the end of daylight saving time on 25.10.2026)
+        expect(calendar.shiftSchedule(schedule, '2026-W43', '2026-W44')).toEqual([
+            { date: '2026-10-26', child: 'Anna', time: '15:00', pickupPerson: 'Oma Ilse', note: '' },
+            { date: '2026-10-30', child: null, time: '13:00', pickupPerson: '', note: '' }
+        ]);
+        expect(calendar.shiftSchedule(schedule, '2026-W42', '2026-W43')).toEqual([]);
+    }, { quick: true });
+
+    this.it('should expand a recurring pattern with exceptions', function() {
+        const pattern = calendar.createPattern({
+            days: [
+                { dayId: 'monday', time: '15:00' },
+                { dayId: 'wednesday', time: '15:00' },
+                { dayId: 'friday', time: '15:00' },
+                { dayId: 'tuesday', time: '16:30' },
+                { dayId: 'thursday', time: 'invalid' }
+            ],
+            exceptions: [
+                { date: '2026-11-12', time: '13:00', note: 'Arzttermin' },
+                { date: '2026-11-11', time: '' }
+            ]
+        });
+
+        expect(calendar.formatPattern(pattern)).toBe('Mo, Mi, Fr 15:00 Uhr · Di 16:30 Uhr');
+        expect(pattern.exceptions.map(exception => exception.date)).toEqual(['2026-11-11', '2026-11-12']);
+
+        // KW 46/2026: no pickup on Wednesday, an extra one on Thursday
+        expect(calendar.expandPattern(pattern, '2026-W46').map(entry => `${entry.date} ${entry.time} ${entry.note}`.trim())).toEqual([
+            '2026-11-09 15:00',
+            '2026-11-10 16:30',
+            '2026-11-12 13:00 Arzttermin',
+            '2026-11-13 15:00'
+        ]);
+        expect(calendar.expandPattern(pattern, '2026-W47').length).toBe(4);
+
+        const entries = calendar.toSchedule('2026-W46', { thursday: true, thursdayTime: '13:00' });
+        expect(calendar.applyPatternNotes(entries, pattern)[0].note).toBe('Arzttermin');
+        expect(calendar.createPattern({ days: [] })).toBe(null);
+    }, { quick: true });
+
+    this.it('should expand individual patterns per child', function() {
+        const pattern = calendar.createPattern({
+            days: [
+                { dayId: 'monday', time: '15:00', child: 'Anna' },
+                { dayId: 'monday', time: '16:30', child: 'Tom' }
+            ],
+            exceptions: [{ date: '2026-11-09', child: 'Tom', time: '' }]
+        });
+
+        expect(calendar.formatPattern(pattern)).toBe('Anna: Mo 15:00 Uhr\nTom: Mo 16:30 Uhr');
+        expect(calendar.expandPattern(pattern, '2026-W46')).toEqual([
+            { date: '2026-11-09', child: 'Anna', time: '15:00', pickupPerson: '', note: '' }
+        ]);
+    }, { quick: true });
+});
+
+// Calendar ISO week Tests
+describe('CalendarManager ISO weeks', function() {
+    const calendar = new CalendarManager();
+
+    this.it('should parse and format ISO week ids', function() {
+        expect(calendar.parseWeekId('2026-W44')).toEqual({ year: 2026, week: 44 });
+        expect(calendar.parseWeekId('current')).toBe(null);
+        expect(calendar.formatWeekId(2027, 1)).toBe('2027-W01');
+    }, { quick: true });
+
+    this.it('should get week dates for an ISO week', function() {
+        const weekDates = calendar.getWeekDatesForIsoWeek(2026, 44);
+        expect(weekDates.length).toBe(5);
+        expect(weekDates[0].toDateString()).toBe(new Date(2026, 9, 26).toDateString());
+        expect(weekDates[4].toDateString()).toBe(new Date(2026, 9, 30).toDateString());
+
+        // getWeekDates accepts ISO week ids as week type
+        expect(calendar.getWeekDates('2026-W44')[0].toDateString()).toBe(weekDates[0].toDateString());
+    }, { quick: true });
+
+    this.it('should handle KW 52/53 year boundaries', function() {
+        expect(calendar.getIsoWeeksInYear(2026)).toBe(53);
+        expect(calendar.getIsoWeeksInYear(2025)).toBe(52);
+
+        // KW 53/2026 starts on 28.12.2026, KW 1/2027 on 04.01.2027
+        expect(calendar.getWeekDatesForIsoWeek(2026, 53)[0].toDateString()).toBe(new Date(2026, 11, 28).toDateString());
+        expect(calendar.getWeekDatesForIsoWeek(2027, 1)[0].toDateString()).toBe(new Date(2027, 0, 4).toDateString());
+
+        // 29.12.2025 belongs to KW 1/2026
+        const weekInfo = calendar.getWeekInfo(new Date(2025, 11, 29));
+        expect(weekInfo.formatted).toBe('KW 1/2026');
+        expect(calendar.getWeekId(new Date(2025, 11, 29))).toBe('2026-W01');
+
+        expect(() => calendar.getWeekDatesForIsoWeek(2025, 53)).toThrow('Ungültige Kalenderwoche');
+    });
+
+    this.it('should resolve relative weeks to ISO week ids', function() {
+        const currentId = calendar.resolveWeekId('current');
+        expect(calendar.parseWeekId(currentId)).toBeTruthy();
+        expect(calendar.resolveWeekId(currentId)).toBe(currentId);
+        expect(calendar.isPastWeek('current')).toBeFalsy();
+        expect(calendar.isPastWeek('2020-W10')).toBeTruthy();
+    });
+
+    this.it('should list consecutive weeks across year boundaries', function() {
+        expect(calendar.getRelativeWeekId('2026-W52', 1)).toBe('2026-W53');
+        expect(calendar.getRelativeWeekId('2026-W53', 1)).toBe('2027-W01');
+        expect(calendar.getConsecutiveWeeks('2026-W44', 3)).toEqual(['2026-W44', '2026-W45', '2026-W46']);
+        expect(calendar.getConsecutiveWeeks('current', 1)).toEqual(['current']);
+    }, { quick: true });
+
+    this.it('should format week ranges', function() {
+        const single = calendar.getWeekRangeInfo(new Date(2026, 9, 26), new Date(2026, 9, 26));
+        expect(single.formatted).toBe('KW 44/2026');
+
+        const range = calendar.getWeekRangeInfo(new Date(2026, 9, 26), new Date(2026, 10, 16));
+        expect(range.formatted).toBe('KW 44–47/2026');
+
+        const acrossYears = calendar.getWeekRangeInfo(new Date(2026, 11, 21), new Date(2027, 0, 4));
+        expect(acrossYears.formatted).toBe('KW 52/2026–1/2027');
+    }, { quick: true });
+});
+
+// Holiday Manager Tests
+describe('HolidayManager', function() {
+    const holidays = new HolidayManager();
+
+    this.it('should be instantiable', function() {
+        expect(holidays).toBeTruthy();
+        expect(holidays.getDataInfo().region).toBe('Schleswig-Holstein');
+        expect(holidays.getDataInfo().schoolYears.length).toBeGreaterThan(0);
+    }, { quick: true });
+
+    this.it('should calculate Easter Sunday correctly', function() {
+        expect(CalendarManager.toDateKey(holidays.getEasterSunday(2025))).toBe('2025-04-20');
+        expect(CalendarManager.toDateKey(holidays.getEasterSunday(2026))).toBe('2026-04-05');
+        expect(CalendarManager.toDateKey(holidays.getEasterSunday(2027))).toBe('2027-03-28');
+    }, { quick: true });
+
+    this.it('should detect public holidays in Schleswig-Holstein', function() {
+        expect(holidays.getPublicHoliday(new Date(2026, 9, 3))).toBe('Tag der Deutschen Einheit');
+        expect(holidays.getPublicHoliday(new Date(2026, 9, 31))).toBe('Reformationstag');
+        expect(holidays.getPublicHoliday(new Date(2026, 4, 25))).toBe('Pfingstmontag');
+        expect(holidays.getPublicHoliday(new Date(2026, 4, 14))).toBe('Christi Himmelfahrt');
+        expect(holidays.getPublicHoliday(new Date(2026, 4, 26))).toBe(null);
+    });
+
+    this.it('should detect school holidays across year boundaries', function() {
+        expect(holidays.getSchoolHoliday(new Date(2026, 9, 12))).toBe('Herbstferien');
+        expect(holidays.getSchoolHoliday(new Date(2027, 0, 5))).toBe('Weihnachtsferien');
+        expect(holidays.getSchoolHoliday(new Date(2026, 9, 26))).toBe(null);
+        expect(holidays.getSchoolHoliday(new Date(2024, 10, 1))).toBe('Herbstferien');
+    });
+
+    this.it('should prefer public holidays over school holidays', function() {
+        // 2026-12-25 is both a public holiday and within Weihnachtsferien
+        const closure = holidays.getClosure(new Date(2026, 11, 25));
+        expect(closure.type).toBe('publicHoliday');
+        expect(closure.name).toBe('1. Weihnachtsfeiertag');
+        expect(holidays.getClosure(new Date(2026, 10, 4))).toBe(null);
+    });
+
+    this.it('should report dataset coverage', function() {
+        expect(holidays.hasSchoolHolidayData(new Date(2026, 5, 1))).toBeTruthy();
+        expect(holidays.hasSchoolHolidayData(new Date(2035, 5, 1))).toBeFalsy();
+    }, { quick: true });
+});
+
+// Calendar closure Tests
+describe('CalendarManager closures', function() {
+    this.it('should report no closures without holiday data', function() {
+        const calendar = new CalendarManager();
+        expect(calendar.getClosureInfo(new Date(2026, 9, 3))).toBe(null);
+    }, { quick: true });
+
+    this.it('should return closure info from holiday manager', function() {
+        const calendar = new CalendarManager(new HolidayManager());
+        const closure = calendar.getClosureInfo(new Date(2026, 9, 3));
+        expect(closure.name).toBe('Tag der Deutschen Einheit');
+        expect(calendar.getWeekClosures('current').length).toBe(5);
+    });
+
+    this.it('should skip closed days in pickup list', function() {
+        const closedEverywhere = { getClosure: () => ({ type: 'schoolHoliday', name: 'Testferien' }) };
+        const calendar = new CalendarManager(closedEverywhere);
+
+        const pickupList = calendar.generatePickupList('current', {
+            monday: true,
+            mondayTime: '16:00'
+        });
+
+        expect(pickupList.length).toBe(0);
+    });
+
+    this.it('should parse all-day, multi-day and timed ICS events', function() {
+        const calendar = new CalendarManager();
+        const closures = calendar.parseIcsClosures([
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'DTSTART;VALUE=DATE:20261102',
+            'DTEND;VALUE=DATE:20261103',
+            'SUMMARY:Studientag\\, Team',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'DTSTART;VALUE=DATE:20261109',
+            'DTEND;VALUE=DATE:20261112',
+            'SUMMARY:Teamfort',
+            ' bildung',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'DTSTART:20261120T080000',
+            'DTEND:20261120T120000',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n'));
+
+        expect(closures).toEqual([
+            { name: 'Studientag, Team', start: '2026-11-02', end: '2026-11-02' },
+            { name: 'Teamfortbildung', start: '2026-11-09', end: '2026-11-11' },
+            { name: 'Schließtag', start: '2026-11-20', end: '2026-11-20' }
+        ]);
+    }, { quick: true });
+
+    this.it('should skip imported closure days only for their facility', function() {
+        const calendar = new CalendarManager();
+        const result = calendar.importClosures('falkenberg@beb-norderstedt.de',
+            'BEGIN:VEVENT\nDTSTART;VALUE=DATE:20261102\nSUMMARY:Studientag\nEND:VEVENT');
+        const pickupData = { monday: true, mondayTime: '16:00', tuesday: true, tuesdayTime: '16:00' };
+
+        expect(result.success).toBeTruthy();
+        expect(calendar.getClosureInfo(new Date(2026, 10, 2), 'falkenberg@beb-norderstedt.de').type).toBe('facilityClosure');
+        expect(calendar.generatePickupList('2026-W45', pickupData, 'falkenberg@beb-norderstedt.de').length).toBe(1);
+        expect(calendar.generatePickupList('2026-W45', pickupData, 'heidberg@beb-norderstedt.de').length).toBe(2);
+        expect(calendar.importClosures('falkenberg@beb-norderstedt.de', 'keine Termine').success).toBeFalsy();
+    }, { quick: true });
+});
+
+// Template Manager Tests
+describe('TemplateManager', function() {
+    const templates = new TemplateManager();
+
+    this.it('should provide built-in templates', function() {
+        const ids = templates.getTemplates().map(template => template.id);
+        expect(ids).toEqual(['wochenplan', 'krankmeldung', 'urlaub', 'aenderung', 'abholperson']);
+        expect(templates.getTemplate('unknown').id).toBe('wochenplan');
+    }, { quick: true });
+
+    this.it('should substitute placeholders', function() {
+        const result = templates.render('Hallo {{kinder}} - {{kw}}', { kinder: 'Anna', kw: 'KW 44/2026' });
+        expect(result).toBe('Hallo Anna - KW 44/2026');
+
+        // Unknown placeholders are kept
+        expect(templates.render('{{unbekannt}}', {})).toBe('{{unbekannt}}');
+    }, { quick: true });
+
+    this.it('should render optional sections', function() {
+        const text = '{{kinder}}{{#klasse}} (Klasse: {{klasse}}){{/klasse}}{{^klasse}} ohne Klasse{{/klasse}}';
+        expect(templates.render(text, { kinder: 'Anna', klasse: '1a' })).toBe('Anna (Klasse: 1a)');
+        expect(templates.render(text, { kinder: 'Anna', klasse: '' })).toBe('Anna ohne Klasse');
+    }, { quick: true });
+
+    this.it('should not re-render placeholders inside values', function() {
+        const result = templates.render('{{notizen}}', { notizen: '{{kinder}}', kinder: 'Anna' });
+        expect(result).toBe('{{kinder}}');
+    });
+
+    this.it('should report unknown placeholders and open sections', function() {
+        const valid = templates.validateTemplate({ name: 'Du-Form', subject: '{{kinder}} - {{kw}}', body: '{{#notizen}}{{notizen}}{{/notizen}}' });
+        expect(valid.isValid).toBeTruthy();
+
+        const invalid = templates.validateTemplate({ name: 'Du-Form', subject: '{{kind}}', body: '{{#notizen}}{{notizen}}' });
+        expect(invalid.isValid).toBeFalsy();
+        expect(invalid.unknownPlaceholders).toEqual(['kind']);
+        expect(invalid.errors.length).toBe(2);
+    }, { quick: true });
+
+    this.it('should accept whitespace inside placeholder braces everywhere', function() {
+        const template = { name: 'Leerzeichen', subject: 'Abholung {{ kinder }}', body: '{{ abholliste }}\n{{# notizen }}Notiz: {{notizen}}{{/ notizen}}' };
+
+        expect(templates.validateTemplate(template).isValid).toBeTruthy();
+        expect(templates.validateTemplate({ ...template, body: '{{# notizen }}' }).isValid).toBeFalsy();
+        expect(templates.detectRequirements(template).pickup).toBeTruthy();
+
+        const rendered = templates.renderTemplate(template, { kinder: 'Anna', abholliste: '• Montag', notizen: '' });
+        expect(rendered.subject).toBe('Abholung Anna');
+        expect(rendered.body).toBe('• Montag\n');
+    }, { quick: true });
+
+    this.it('should save custom templates with derived requirements', function() {
+        const custom = new TemplateManager();
+        const result = custom.saveCustomTemplate({
+            name: 'Abholzeiten (du-Form)',
+            subject: 'Abholzeiten {{kinder}} - {{kw}}',
+            body: 'Liebes OGGS-Team,\n\n{{abholliste}}\n\nLiebe Grüße\n{{elternname}}'
+        });
+
+        expect(result.isValid).toBeTruthy();
+        expect(result.template.id.startsWith('custom-')).toBeTruthy();
+        expect(result.template.requires).toEqual({ pickup: true, absence: false, pickupPerson: false });
+        expect(custom.getTemplate(result.template.id).name).toBe('Abholzeiten (du-Form)');
+        expect(custom.getTemplates().length).toBe(6);
+
+        expect(custom.saveCustomTemplate({ name: '', subject: 'x', body: 'y' }).isValid).toBeFalsy();
+
+        expect(custom.deleteCustomTemplate(result.template.id)).toBeTruthy();
+        expect(custom.getTemplates().length).toBe(5);
+    });
+
+    this.it('should persist custom templates through the storage manager', function() {
+        const storage = new StorageManager();
+        const first = new TemplateManager(storage);
+        const { template } = first.saveCustomTemplate({ name: 'Test', subject: '{{kinder}}', body: 'Hallo' });
+
+        const second = new TemplateManager(storage);
+        expect(second.getTemplate(template.id).name).toBe('Test');
+
+        second.deleteCustomTemplate(template.id);
+        expect(new TemplateManager(storage).getCustomTemplates()).toEqual([]);
+    });
 });
 
 // Email Manager Tests
@@ -277,6 +1023,106 @@ describe('EmailManager', function() {
     const validation = new ValidationManager();
     const email = new EmailManager(calendar, validation);
 
+    this.it('should list individual schedules of siblings in the email', function() {
+        const formData = { parentName: 'Test Parent', childNames: 'Anna, Tom', bebLocation: 'test@beb-norderstedt.de' };
+        const result = email.generateEmail(formData, '2026-W45', [
+            { name: 'Anna', pickupData: { tuesday: true, tuesdayTime: '15:00' } },
+            { name: 'Tom', pickupData: { tuesday: true, tuesdayTime: '16:30' } }
+        ]);
+
+        expect(result.success).toBeTruthy();
+        expect(result.body).toContain('• Dienstag, 3. November 2026:\n    Anna um 15:00 Uhr\n    Tom um 16:30 Uhr');
+    });
+
+    this.it('should generate one email per facility for siblings', function() {
+        const formData = {
+            parentName: 'Test Parent',
+            bebLocation: 'falkenberg@beb-norderstedt.de',
+            children: [
+                { name: 'Anna', schoolClass: '1a', facility: '' },
+                { name: 'Tom', schoolClass: '7b', facility: 'sz-nord@beb-norderstedt.de' }
+            ],
+            facilities: {
+                'falkenberg@beb-norderstedt.de': { name: 'OGGS Falkenberg', leader: 'Doreen Matecki' },
+                'sz-nord@beb-norderstedt.de': { name: 'Schulzentrum Nord', leader: 'Yvonne Pauli' }
+            }
+        };
+
+        const result = email.generateBatchEmails(formData, [{
+            weekType: '2026-W45',
+            pickupData: [
+                { name: 'Anna', pickupData: { monday: true, mondayTime: '15:00' } },
+                { name: 'Tom', pickupData: { tuesday: true, tuesdayTime: '16:30' } }
+            ]
+        }]);
+
+        expect(result.success).toBeTruthy();
+        expect(result.emails.map(item => item.recipient)).toEqual(['falkenberg@beb-norderstedt.de', 'sz-nord@beb-norderstedt.de']);
+        expect(result.emails[0].subject).toBe('Abholzeiten für Anna - KW 45/2026');
+        expect(result.emails[1].body).toContain('Tom (Klasse: 7b)');
+        expect(result.emails[1].body).toContain('• Dienstag, 3. November 2026 um 16:30 Uhr');
+        expect(result.emails[1].facilityName).toBe('Schulzentrum Nord');
+
+        // Sending and copying work on the selected email
+        expect(email.selectEmail(1)).toBeTruthy();
+        expect(email.getCurrentMailtoLink()).toContain('mailto:sz-nord@beb-norderstedt.de');
+    });
+
+    this.it('should name the facility when a batch email fails', function() {
+        const result = email.generateBatchEmails({
+            parentName: 'Test Parent',
+            bebLocation: 'falkenberg@beb-norderstedt.de',
+            children: [
+                { name: 'Anna', facility: '' },
+                { name: 'Tom', facility: 'sz-nord@beb-norderstedt.de' }
+            ],
+            facilities: { 'sz-nord@beb-norderstedt.de': { name: 'Schulzentrum Nord', leader: '' } }
+        }, [{ weekType: '2026-W45', pickupData: [{ name: 'Anna', pickupData: { monday: true, mondayTime: '15:00' } }] }]);
+
+        expect(result.success).toBeFalsy();
+        expect(result.error).toContain('Schulzentrum Nord');
+    }, { quick: true });
+
+    this.it('should send to the facility of the children when it differs from the form', function() {
+        const formData = {
+            parentName: 'Test Parent',
+            bebLocation: '',
+            children: [{ name: 'Tom', facility: 'sz-nord@beb-norderstedt.de' }],
+            facilities: {
+                'falkenberg@beb-norderstedt.de': { name: 'OGGS Falkenberg', leader: 'Doreen Matecki' },
+                'sz-nord@beb-norderstedt.de': { name: 'Schulzentrum Nord', leader: 'Yvonne Pauli' }
+            }
+        };
+
+        const groups = email.groupChildrenByRecipient(formData);
+        expect(groups.length).toBe(1);
+
+        const groupFormData = email.createGroupFormData(formData, groups[0]);
+        expect(groupFormData.bebLocation).toBe('sz-nord@beb-norderstedt.de');
+        expect(groupFormData.facilityLeader).toBe('Yvonne Pauli');
+
+        const otherFacility = email.createGroupFormData({
+            ...formData, bebLocation: 'falkenberg@beb-norderstedt.de', facilityName: 'OGGS Falkenberg', facilityLeader: 'Doreen Matecki'
+        }, groups[0]);
+        expect(otherFacility.facilityName).toBe('Schulzentrum Nord');
+
+        const result = email.generateEmail(groupFormData, '2026-W45', { monday: true, mondayTime: '15:00' });
+        expect(result.mailtoLink).toContain('mailto:sz-nord@beb-norderstedt.de?');
+    }, { quick: true });
+
+    this.it('should preview a custom template without requiring pickups', function() {
+        const template = { subject: 'Abholzeiten {{kinder}}', body: 'Liebes OGGS-Team,\n{{abholliste}}\n{{elternname}}' };
+        const previousContent = email.getCurrentEmailContent();
+        const result = email.previewTemplate(template, { childNames: 'Anna', parentName: 'Eva' }, [
+            { weekType: 'current', pickupData: {} }
+        ]);
+
+        expect(result.success).toBeTruthy();
+        expect(result.subject).toBe('Abholzeiten Anna');
+        expect(result.body).toBe('Liebes OGGS-Team,\n\nEva');
+        expect(email.getCurrentEmailContent()).toBe(previousContent);
+    }, { quick: true });
+
     this.it('should be instantiable', function() {
         expect(email).toBeTruthy();
         expect(email.calendar).toBeTruthy();
@@ -402,6 +1248,976 @@ describe('EmailManager', function() {
         expect(email.getCurrentEmailContent()).toBe('');
         expect(email.getCurrentMailtoLink()).toBe('');
     });
+
+    this.it('should generate one email for several weeks', function() {
+        const formData = {
+            parentName: 'Test Parent',
+            childNames: 'Anna',
+            bebLocation: 'test@beb-norderstedt.de'
+        };
+
+        const result = email.generateRangeEmail(formData, [
+            { weekType: '2026-W44', pickupData: { monday: true, mondayTime: '15:00' } },
+            { weekType: '2026-W45', pickupData: {} },
+            { weekType: '2026-W46', pickupData: { tuesday: true, tuesdayTime: '16:30' } },
+            { weekType: '2026-W47', pickupData: { friday: true, fridayTime: '14:00' } }
+        ]);
+
+        expect(result.success).toBeTruthy();
+        expect(result.subject).toBe('Abholzeiten für Anna - KW 44–47/2026');
+        expect(result.body).toContain('für KW 44–47/2026 mit:');
+        expect(result.body).toContain('KW 44/2026:\n• Montag, 26. Oktober 2026 um 15:00 Uhr');
+        expect(result.body).toContain('KW 46/2026:\n• Dienstag, 10. November 2026 um 16:30 Uhr');
+        expect(result.body).toContain('14:00');
+
+        // Weeks without pickups are left out
+        expect(result.body.includes('KW 45/2026:')).toBeFalsy();
+    });
+
+    this.it('should generate a sick note without pickup days', function() {
+        const formData = {
+            templateId: 'krankmeldung',
+            parentName: 'Test Parent',
+            childNames: 'Anna',
+            childClass: '2b',
+            bebLocation: 'test@beb-norderstedt.de',
+            absenceFrom: '2026-11-02',
+            absenceTo: '2026-11-04'
+        };
+
+        const result = email.generateEmail(formData, 'current', {});
+
+        expect(result.success).toBeTruthy();
+        expect(result.subject).toBe('Krankmeldung Anna - vom 2. November 2026 bis 4. November 2026');
+        expect(result.body).toContain('Anna (Klasse: 2b) vom 2. November 2026 bis 4. November 2026 krankheitsbedingt');
+    });
+
+    this.it('should require template specific fields', function() {
+        const baseData = { parentName: 'Test Parent', childNames: 'Anna', bebLocation: 'test@beb-norderstedt.de' };
+
+        const sickNote = email.generateEmail({ ...baseData, templateId: 'krankmeldung' }, 'current', {});
+        expect(sickNote.success).toBeFalsy();
+        expect(sickNote.error).toContain('Abwesenheit');
+
+        const otherPerson = email.generateEmail({ ...baseData, templateId: 'abholperson' }, '2026-W45', {
+            monday: true,
+            mondayTime: '16:00'
+        });
+        expect(otherPerson.success).toBeFalsy();
+        expect(otherPerson.error).toContain('wer die Kinder abholt');
+    });
+
+    this.it('should fill pickup person and facility placeholders', function() {
+        const result = email.generateEmail({
+            templateId: 'abholperson',
+            parentName: 'Test Parent',
+            childNames: 'Anna',
+            bebLocation: 'test@beb-norderstedt.de',
+            pickupPerson: 'Oma Helga'
+        }, '2026-W45', { wednesday: true, wednesdayTime: '15:30' });
+
+        expect(result.success).toBeTruthy();
+        expect(result.subject).toBe('Abholung von Anna durch Oma Helga - KW 45/2026');
+        expect(result.body).toContain('dass Oma Helga Anna an folgenden Tagen abholt');
+        expect(result.body).toContain('Mittwoch, 4. November 2026 um 15:30 Uhr');
+    });
+
+    this.it('should reject multi-week emails without any pickup', function() {
+        const result = email.generateRangeEmail({ parentName: 'Test', childNames: 'Anna' }, [
+            { weekType: '2026-W44', pickupData: {} },
+            { weekType: '2026-W45', pickupData: {} }
+        ]);
+
+        expect(result.success).toBeFalsy();
+        expect(result.error).toContain('mindestens einen Tag');
+    });
+
+    this.it('should log generated emails in the history', function() {
+        const history = new EmailManager(calendar, validation);
+        const formData = { parentName: 'Test Parent', childNames: 'Anna', bebLocation: 'test@beb-norderstedt.de' };
+        const first = history.generateEmail(formData, '2026-W45', { monday: true, mondayTime: '15:00' });
+
+        const formState = { ...formData, selectedWeek: '2026-W45' };
+        const entry = history.addToHistory(first, formState);
+        expect(entry.recipient).toBe('test@beb-norderstedt.de');
+        expect(entry.week).toBe('KW 45/2026');
+        expect(entry.sentAt).toBe(null);
+
+        // Generating the same email again does not add a second entry
+        history.addToHistory(first, formState);
+        expect(history.getHistory().length).toBe(1);
+
+        const second = history.generateEmail(formData, '2026-W46', { monday: true, mondayTime: '15:00' });
+        history.addToHistory(second, formData);
+        expect(history.getHistory().map(item => item.week)).toEqual(['KW 46/2026', 'KW 45/2026']);
+        expect(history.getHistory('kw 45 anna').map(item => item.id)).toEqual([entry.id]);
+        expect(history.getHistory('Tom')).toEqual([]);
+        expect(history.getHistoryEntry(entry.id).formState.selectedWeek).toBe('2026-W45');
+
+        expect(history.deleteHistoryEntry(entry.id)).toBeTruthy();
+        expect(history.getHistory().length).toBe(1);
+    });
+
+    this.it('should record how history emails were sent', function() {
+        const history = new EmailManager(calendar, validation);
+        const result = history.generateEmail({ parentName: 'Test Parent', childNames: 'Anna', bebLocation: 'test@beb-norderstedt.de' },
+            '2026-W45', { monday: true, mondayTime: '15:00' });
+        const entry = history.addToHistory(result);
+
+        history.markAsSent('clipboard');
+        expect(history.getHistoryEntry(entry.id).method).toBe('clipboard');
+        expect(history.getHistoryEntry(entry.id).sentAt).toBeTruthy();
+
+        // Re-sending an entry logs a new entry with the same content
+        history.clearCurrentEmail();
+        expect(history.selectHistoryEntry(entry.id)).toBeTruthy();
+        expect(history.getCurrentMailtoLink()).toBe(result.mailtoLink);
+        history.markAsSent('mailto');
+
+        const entries = history.getHistory();
+        expect(entries.length).toBe(2);
+        expect(entries[0].method).toBe('mailto');
+        expect(entries[0].body).toBe(entries[1].body);
+
+        history.clearHistory();
+        expect(history.getHistory()).toEqual([]);
+    });
+
+    this.it('should encode webmail compose links', function() {
+        const subject = 'Abholzeiten KW 45 & mehr';
+        const body = 'Hallo,\nAnna um 15:00 Uhr (100% sicher)?';
+
+        const gmail = email.createWebmailLink('gmail', 'test@beb-norderstedt.de', subject, body, 'eltern+beb@example.com');
+        expect(gmail).toBe('https://mail.google.com/mail/?view=cm&fs=1&to=test%40beb-norderstedt.de' +
+            '&cc=eltern%2Bbeb%40example.com&su=Abholzeiten%20KW%2045%20%26%20mehr' +
+            '&body=Hallo%2C%0AAnna%20um%2015%3A00%20Uhr%20(100%25%20sicher)%3F');
+
+        const outlook = email.createWebmailLink('outlook', 'test@beb-norderstedt.de', subject, body);
+        expect(outlook).toContain('https://outlook.live.com/mail/0/deeplink/compose?to=test%40beb-norderstedt.de&subject=');
+        expect(outlook.includes('cc=')).toBeFalsy();
+
+        // GMX and WEB.DE receive the complete mailto link as one parameter
+        const gmx = email.createWebmailLink('gmx', 'test@beb-norderstedt.de', subject, body);
+        const mailto = email.createMailtoLink('test@beb-norderstedt.de', subject, body);
+        expect(gmx).toBe(`https://navigator.gmx.net/mailto?mailto=${encodeURIComponent(mailto)}`);
+        expect(new URL(gmx).searchParams.get('mailto')).toBe(mailto);
+
+        let error = null;
+        try {
+            email.createWebmailLink('yahoo', 'test@beb-norderstedt.de', subject, body);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toBe('Unbekannter E-Mail-Anbieter.');
+    }, { quick: true });
+
+    this.it('should open webmail with the preferred send method', async function() {
+        localStorage.removeItem('bebEmailGenerator_sendMethod');
+        const storage = new StorageManager();
+        const sender = new EmailManager(calendar, validation, null, storage);
+        const previousHistory = storage.loadHistory();
+        const originalOpen = window.open;
+        const openedUrls = [];
+
+        try {
+            expect(sender.getSendMethod()).toBe('ask');
+            expect(sender.setSendMethod('webde')).toBeTruthy();
+            expect(sender.getSendMethod()).toBe('webde');
+
+            storage.saveHistory([]);
+            const result = sender.generateEmail({ parentName: 'Test Parent', childNames: 'Anna', bebLocation: 'test@beb-norderstedt.de' },
+                '2026-W45', { monday: true, mondayTime: '15:00' });
+            const entry = sender.addToHistory(result);
+
+            window.open = (url) => {
+                openedUrls.push(url);
+                return {};
+            };
+            expect(await sender.sendEmail()).toBeTruthy();
+            expect(openedUrls[0]).toContain('https://navigator.web.de/mailto?mailto=mailto%3Atest%40beb-norderstedt.de');
+            expect(sender.getHistoryEntry(entry.id).method).toBe('webde');
+
+            // Unknown saved methods fall back to asking
+            storage.saveSendMethod('carrier-pigeon');
+            expect(sender.getSendMethod()).toBe('ask');
+        } finally {
+            window.open = originalOpen;
+            storage.saveHistory(previousHistory);
+            localStorage.removeItem('bebEmailGenerator_sendMethod');
+        }
+    });
+
+    this.it('should export the email as unsent .eml draft', function() {
+        const exporter = new EmailManager(calendar, validation);
+        let error = null;
+        try {
+            exporter.createEml();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toBe('Bitte erstellen Sie zuerst eine E-Mail.');
+
+        const result = exporter.generateEmail({
+            parentName: 'Jörg Müller',
+            childNames: 'Anna',
+            bebLocation: 'test@beb-norderstedt.de',
+            parentEmail: 'eltern@example.com',
+            notes: 'Größe = 1,20 m '
+        }, '2026-W45', { monday: true, mondayTime: '15:00' });
+        expect(result.success).toBeTruthy();
+
+        const eml = exporter.createEml(new Date(2026, 10, 2, 15, 0, 0));
+        const separator = eml.indexOf('\r\n\r\n');
+        const head = eml.slice(0, separator);
+        const body = eml.slice(separator + 4);
+        const headers = head.split('\r\n');
+
+        expect(headers).toContain('To: test@beb-norderstedt.de');
+        expect(headers).toContain('Cc: eltern@example.com');
+        expect(headers).toContain('X-Unsent: 1');
+        expect(headers).toContain('Content-Type: text/plain; charset=UTF-8');
+        expect(headers).toContain('Content-Transfer-Encoding: quoted-printable');
+        expect(head).toContain('Date: Mon, 2 Nov 2026 15:00:00 ');
+
+        // Subject "Abholzeiten für Anna - KW 45/2026" as RFC 2047 encoded words
+        const subjectWords = head.match(/=\?UTF-8\?B\?([A-Za-z0-9+\/=]+)\?=/g);
+        const decoded = subjectWords.map(word => word.slice(10, -2))
+            .map(base64 => Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+        const subjectBytes = decoded.reduce((all, bytes) => [...all, ...bytes], []);
+        expect(new TextDecoder().decode(new Uint8Array(subjectBytes))).toBe(result.subject);
+
+        // Quoted-printable body: umlauts as UTF-8 bytes, "=" escaped, trailing space kept, short lines
+        expect(body).toContain('J=C3=B6rg M=C3=BCller');
+        expect(body).toContain('Gr=C3=B6=C3=9Fe =3D 1,20 m=20');
+        expect(eml.split('\r\n').every(line => line.length <= 76)).toBeTruthy();
+        expect(eml.replace(/\r\n/g, '').includes('\n')).toBeFalsy();
+
+        expect(exporter.getEmlFileName()).toBe('abholzeiten-fuer-anna-kw-45-2026.eml');
+    }, { quick: true });
+
+    this.it('should fold long quoted-printable lines without splitting bytes', function() {
+        const exporter = new EmailManager(calendar, validation);
+        const encoded = exporter.encodeQuotedPrintable('ä'.repeat(40) + '\nEnde');
+        const lines = encoded.split('\r\n');
+
+        expect(lines.every(line => line.length <= 76)).toBeTruthy();
+        expect(lines[0].endsWith('=')).toBeTruthy();
+        expect(lines[lines.length - 1]).toBe('Ende');
+
+        // Removing the soft line breaks restores the complete encoded line
+        const joined = lines.slice(0, -1).map(line => line.endsWith('=') ? line.slice(0, -1) : line).join('');
+        expect(joined).toBe('=C3=A4'.repeat(40));
+    }, { quick: true });
+
+    this.it('should share emails on mobile and fall back to the email program', async function() {
+        const sharer = new EmailManager(calendar, validation);
+        const hadShare = Object.prototype.hasOwnProperty.call(navigator, 'share');
+        const originalShare = navigator.share;
+        const shared = [];
+        let shareError = null;
+        let mailtoCount = 0;
+
+        sharer.isMobile = true;
+        sharer.tryOpenEmailClient = sharer.sendMobileEmail = () => {
+            mailtoCount++;
+            return true;
+        };
+
+        try {
+            Object.defineProperty(navigator, 'share', { configurable: true, writable: true, value: undefined });
+            expect(sharer.canShare()).toBeFalsy();
+            expect(sharer.getSendMethods().some(method => method.value === 'share')).toBeFalsy();
+
+            const result = sharer.generateEmail({ parentName: 'Test Parent', childNames: 'Anna', bebLocation: 'test@beb-norderstedt.de' },
+                '2026-W45', { monday: true, mondayTime: '15:00' });
+            sharer.addToHistory(result);
+
+            // Without Web Share the email program is opened
+            expect(await sharer.sendEmail()).toBeTruthy();
+            expect(mailtoCount).toBe(1);
+
+            navigator.share = async (data) => {
+                if (shareError) throw shareError;
+                shared.push(data);
+            };
+            expect(sharer.getSendMethods().some(method => method.value === 'share')).toBeTruthy();
+
+            expect(await sharer.sendEmail()).toBeTruthy();
+            expect(shared[0].title).toBe(result.subject);
+            expect(shared[0].text).toBe(result.displayContent);
+            expect(sharer.getHistory()[0].method).toBe('share');
+
+            // Cancelling the share menu sends nothing
+            shareError = new DOMException('Share canceled', 'AbortError');
+            expect(await sharer.sendEmail()).toBeFalsy();
+            expect(mailtoCount).toBe(1);
+
+            shareError = new DOMException('Permission denied', 'NotAllowedError');
+            expect(await sharer.sendEmail()).toBeTruthy();
+            expect(mailtoCount).toBe(2);
+
+            // Attachments are only created when the chosen method shares the email
+            let attachmentCount = 0;
+            const getFiles = () => {
+                attachmentCount++;
+                return [];
+            };
+            shareError = null;
+            expect(await sharer.sendWith('mailto', { getFiles })).toBeTruthy();
+            expect(attachmentCount).toBe(0);
+            expect(await sharer.sendWith('share', { getFiles })).toBeTruthy();
+            expect(attachmentCount).toBe(1);
+        } finally {
+            if (hadShare) {
+                navigator.share = originalShare;
+            } else {
+                delete navigator.share;
+            }
+        }
+    });
+});
+
+describe('EmailManager mailto length', function() {
+    const calendar = new CalendarManager();
+    const validation = new ValidationManager();
+    const formData = { parentName: 'Test Parent', childNames: 'Anna', bebLocation: 'test@beb-norderstedt.de' };
+    const pickupData = { monday: true, mondayTime: '15:00' };
+
+    // Replaces the email program and clipboard so tests never open or copy anything
+    const createSender = (choice) => {
+        const sender = new EmailManager(calendar, validation, null, null, {
+            choose: async (message, options) => {
+                sender.dialogs.push({ message, options });
+                return choice;
+            },
+            show: () => null
+        });
+        sender.dialogs = [];
+        sender.used = [];
+        sender.tryOpenEmailClient = () => sender.used.push('mailto') > 0;
+        sender.copyToClipboard = async () => sender.used.push('clipboard') > 0;
+        sender.downloadEml = () => sender.used.push('eml') > 0;
+        return sender;
+    };
+
+    this.it('should accept short emails as mailto link', function() {
+        const sender = createSender(null);
+        const result = sender.generateEmail(formData, '2026-W45', pickupData);
+
+        expect(result.mailtoTooLong).toBeFalsy();
+        expect(sender.isMailtoTooLong()).toBeFalsy();
+    }, { quick: true });
+
+    this.it('should detect long bodies at the limit', function() {
+        const sender = createSender(null);
+        const short = sender.generateEmail({ ...formData, notes: 'x' }, '2026-W45', pickupData);
+        const fillLength = sender.MAILTO_MAX_LENGTH - short.mailtoLink.length + 1;
+
+        // "x" is not encoded, so the link grows by exactly one character per letter
+        const atLimit = sender.generateEmail({ ...formData, notes: 'x'.repeat(fillLength) }, '2026-W45', pickupData);
+        expect(atLimit.mailtoLink.length).toBe(sender.MAILTO_MAX_LENGTH);
+        expect(atLimit.mailtoTooLong).toBeFalsy();
+
+        const overLimit = sender.generateEmail({ ...formData, notes: 'x'.repeat(fillLength + 1) }, '2026-W45', pickupData);
+        expect(overLimit.mailtoLink.length).toBe(sender.MAILTO_MAX_LENGTH + 1);
+        expect(overLimit.mailtoTooLong).toBeTruthy();
+    }, { quick: true });
+
+    this.it('should count umlauts with their encoded length', function() {
+        const sender = createSender(null);
+        const notes = 'Übermäßig große Öffnungszeiten für Jürgen '.repeat(25);
+        const result = sender.generateEmail({ ...formData, notes }, '2026-W45', pickupData);
+
+        // Far less than 2000 characters of text, but too long once encoded
+        expect(result.body.length < sender.MAILTO_MAX_LENGTH).toBeTruthy();
+        expect(result.mailtoTooLong).toBeTruthy();
+        expect(encodeURIComponent('ä')).toBe('%C3%A4');
+    }, { quick: true });
+
+    this.it('should offer clipboard and .eml instead of a long mailto link', async function() {
+        const sender = createSender('eml');
+        sender.generateEmail({ ...formData, notes: 'Sehr lange Notiz. '.repeat(150) }, '2026-W45', pickupData);
+
+        expect(await sender.sendWith('mailto')).toBeTruthy();
+        expect(sender.used).toEqual(['eml']);
+        expect(sender.dialogs[0].options.title).toBe('E-Mail zu lang');
+        expect(sender.dialogs[0].options.choices.map(choice => choice.value)).toEqual(['eml', 'clipboard', 'mailto']);
+        expect(sender.dialogs[0].message).toContain(`empfohlen sind höchstens ${sender.MAILTO_MAX_LENGTH}`);
+    });
+
+    this.it('should still open long emails in the email program if chosen', async function() {
+        const sender = createSender('mailto');
+        sender.isMobile = false;
+        sender.generateEmail({ ...formData, notes: 'Sehr lange Notiz. '.repeat(150) }, '2026-W45', pickupData);
+
+        expect(await sender.sendWith('mailto')).toBeTruthy();
+        expect(sender.used).toEqual(['mailto']);
+    });
+
+    this.it('should not warn about short emails or other send methods', async function() {
+        const sender = createSender('mailto');
+        sender.isMobile = false;
+        sender.generateEmail(formData, '2026-W45', pickupData);
+
+        expect(await sender.sendWith('mailto')).toBeTruthy();
+        expect(sender.dialogs.length).toBe(0);
+
+        sender.generateEmail({ ...formData, notes: 'Sehr lange Notiz. '.repeat(150) }, '2026-W45', pickupData);
+        expect(await sender.sendWith('clipboard')).toBeTruthy();
+        expect(sender.dialogs.length).toBe(0);
+        expect(sender.used).toEqual(['mailto', 'clipboard']);
+    });
+
+    this.it('should copy long emails without notifications', async function() {
+        const sender = new EmailManager(calendar, validation);
+        const used = [];
+        sender.tryOpenEmailClient = sender.sendMobileEmail = () => used.push('mailto') > 0;
+        sender.copyToClipboard = async () => used.push('clipboard') > 0;
+        sender.generateEmail({ ...formData, notes: 'Sehr lange Notiz. '.repeat(150) }, '2026-W45', pickupData);
+
+        expect(await sender.sendEmail()).toBeTruthy();
+        expect(used).toEqual(['clipboard']);
+    });
+});
+
+describe('EmailManager greeting', function() {
+    const calendar = new CalendarManager();
+    const email = new EmailManager(calendar, new ValidationManager());
+    const rathjen = { facilityName: 'OGGS Harksheide-Nord', facilityLeader: 'Anja Rathjen' };
+    const dual = { facilityName: 'OGGS Lütjenmoor', facilityLeader: 'Jana Marquardt / Jan Körle' };
+
+    this.it('should keep the neutral greeting by default', () => {
+        expect(email.createGreeting({})).toBe('Hallo,');
+        expect(email.createGreeting(rathjen)).toBe('Hallo,');
+        expect(email.createGreeting({ greetingStyle: 'formal' })).toBe('Hallo,');
+    }, { quick: true });
+
+    this.it('should address the leaders formally without guessing their gender', () => {
+        expect(email.createGreeting({ ...rathjen, greetingStyle: 'formal' })).toBe('Guten Tag Anja Rathjen,');
+        expect(email.createGreeting({ ...rathjen, greetingStyle: 'formal', facilityLeaderSalutation: 'Frau' }))
+            .toBe('Liebe Frau Rathjen,');
+        expect(email.createGreeting({ ...dual, greetingStyle: 'formal', facilityLeaderSalutation: 'Frau / Herr' }))
+            .toBe('Liebe Frau Marquardt und lieber Herr Körle,');
+        expect(email.createGreeting({ ...dual, greetingStyle: 'formal', facilityLeaderSalutation: 'Frau' }))
+            .toBe('Guten Tag Jana Marquardt und Jan Körle,');
+    }, { quick: true });
+
+    this.it('should address the leaders informally by first name', () => {
+        expect(email.createGreeting({ ...rathjen, greetingStyle: 'informal' })).toBe('Hallo Anja,');
+        expect(email.createGreeting({ ...dual, greetingStyle: 'informal' })).toBe('Hallo Jana und Jan,');
+        expect(email.createGreeting({ ...dual, greetingStyle: 'informal' }, 'en')).toBe('Hello Jana and Jan,');
+        expect(email.createGreeting({ ...rathjen, greetingStyle: 'formal', facilityLeaderSalutation: 'frau' }, 'en'))
+            .toBe('Dear Ms Rathjen,');
+    }, { quick: true });
+
+    this.it('should greet the Geschäftsstelle without a name', () => {
+        const office = { facilityName: 'Geschäftsstelle', facilityLeader: 'Allgemeine Geschäftsstelle', facilityLeaderType: 'office' };
+
+        expect(email.createGreeting({ ...office, greetingStyle: 'formal' })).toBe('Sehr geehrte Damen und Herren,');
+        expect(email.createGreeting({ ...office, greetingStyle: 'informal' })).toBe('Hallo zusammen,');
+    }, { quick: true });
+
+    this.it('should greet the leader of each facility in batch emails', function() {
+        const result = email.generateBatchEmails({
+            parentName: 'Test Parent',
+            greetingStyle: 'formal',
+            bebLocation: 'falkenberg@beb-norderstedt.de',
+            children: [
+                { name: 'Anna', facility: '' },
+                { name: 'Tom', facility: 'sz-nord@beb-norderstedt.de' }
+            ],
+            facilities: {
+                'falkenberg@beb-norderstedt.de': { name: 'OGGS Falkenberg', leader: 'Doreen Matecki', salutation: 'Frau' },
+                'sz-nord@beb-norderstedt.de': { name: 'Schulzentrum Nord', leader: 'Yvonne Pauli' }
+            }
+        }, [{
+            weekType: '2026-W45',
+            pickupData: [
+                { name: 'Anna', pickupData: { monday: true, mondayTime: '15:00' } },
+                { name: 'Tom', pickupData: { tuesday: true, tuesdayTime: '16:30' } }
+            ]
+        }]);
+
+        expect(result.success).toBeTruthy();
+        expect(result.emails[0].body.startsWith('Liebe Frau Matecki,\n\n')).toBeTruthy();
+        expect(result.emails[1].body.startsWith('Guten Tag Yvonne Pauli,\n\n')).toBeTruthy();
+    });
+});
+
+describe('I18nManager', function() {
+    this.it('should translate messages with parameters and fall back to German', () => {
+        const i18n = new I18nManager();
+
+        expect(i18n.uiLanguage).toBe('de');
+        expect(i18n.t('week.many', { count: 3 })).toBe('3 Wochen');
+        expect(i18n.t('week.many', { count: 3 }, 'en')).toBe('3 weeks');
+        expect(i18n.t('unknown.key')).toBe('unknown.key');
+
+        // Template placeholders are not parameters
+        expect(i18n.t('template.wochenplan.subject', {}, 'en')).toBe('Pickup times for {{kinder}} - {{kw}}');
+
+        delete i18n.messages.en['week.one'];
+        expect(i18n.t('week.one', {}, 'en')).toBe('1 Woche');
+    });
+
+    this.it('should save the languages of interface and emails separately', () => {
+        const storage = new StorageManager();
+        localStorage.removeItem(storage.LANGUAGE_KEY);
+
+        const i18n = new I18nManager(storage);
+        i18n.setEmailLanguage('en');
+
+        const reloaded = new I18nManager(storage);
+        expect(reloaded.uiLanguage).toBe('de');
+        expect(reloaded.emailLanguage).toBe('en');
+
+        let error = null;
+        try {
+            reloaded.setUiLanguage('xx');
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toContain('Unbekannte Sprache');
+        expect(reloaded.uiLanguage).toBe('de');
+
+        localStorage.removeItem(storage.LANGUAGE_KEY);
+    });
+
+    this.it('should format dates, weeks and patterns in the chosen language', () => {
+        const calendar = new CalendarManager(null, null, new I18nManager());
+        const monday = new Date(2026, 10, 2);
+
+        expect(calendar.formatDate(monday)).toBe('2. November 2026');
+        expect(calendar.formatDate(monday, 'en')).toBe('2 November 2026');
+        expect(calendar.getWeekInfo(monday, 'en').formatted).toBe('Week 45/2026');
+        expect(calendar.getWeekRangeInfo(monday, calendar.addDays(monday, 14), 'en').formatted).toBe('Weeks 45–47/2026');
+        expect(calendar.getDayNames('en')[0]).toBe('Monday');
+
+        const pattern = calendar.createPattern({ days: [{ dayId: 'monday', time: '15:00' }, { dayId: 'wednesday', time: '15:00' }] });
+        expect(calendar.formatPattern(pattern, 'en')).toBe('Mo, We 15:00');
+    });
+
+    this.it('should write emails in the email language while the interface stays German', () => {
+        const i18n = new I18nManager();
+        i18n.setEmailLanguage('en');
+
+        const calendar = new CalendarManager(null, null, i18n);
+        const email = new EmailManager(calendar, new ValidationManager(i18n), new TemplateManager(null, i18n), null, null, i18n);
+        const formData = { parentName: 'Test Parent', childNames: 'Anna', childClass: '2b', bebLocation: 'test@beb-norderstedt.de' };
+
+        const result = email.generateEmail(formData, '2026-W45', { monday: true, mondayTime: '15:00' });
+        expect(result.success).toBeTruthy();
+        expect(result.subject).toBe('Pickup times for Anna - Week 45/2026');
+        expect(result.body).toContain('Hello,');
+        expect(result.body).toContain('Anna (class: 2b)');
+        expect(result.body).toContain('• Monday, 2 November 2026 at 15:00');
+        expect(result.displayContent).toContain('To: test@beb-norderstedt.de');
+
+        const sickNote = email.generateEmail({ ...formData, templateId: 'krankmeldung', absenceFrom: '2026-11-02' }, '2026-W45', []);
+        expect(sickNote.subject).toBe('Sick note Anna - on 2 November 2026');
+
+        // Labels of the interface keep the interface language
+        expect(email.getSendMethods()[0].label).toBe('❓ Jedes Mal fragen');
+        expect(calendar.getDayNames()[0]).toBe('Montag');
+        expect(new TemplateManager(null, i18n).getTemplate('wochenplan', 'de').name).toBe('Wöchentliche Abholzeiten');
+    });
+
+    this.it('should show labels and error messages in the interface language', () => {
+        const i18n = new I18nManager();
+        const calendar = new CalendarManager(null, null, i18n);
+        const email = new EmailManager(calendar, new ValidationManager(i18n), new TemplateManager(null, i18n), null, null, i18n);
+        const mailtoLabel = () => email.getSendMethods().find(method => method.value === 'mailto').label;
+        const emlError = () => {
+            try {
+                email.createEml();
+            } catch (e) {
+                return e.message;
+            }
+            return null;
+        };
+
+        i18n.setUiLanguage('en');
+        expect(mailtoLabel()).toBe('📧 Open in email program');
+        expect(emlError()).toBe('Please create an email first.');
+        expect(new StorageManager(null, i18n).renameProfile('missing', 'Oma').error).toBe('The profile was not found.');
+
+        i18n.setUiLanguage('de');
+        expect(mailtoLabel()).toBe('📧 Im E-Mail-Programm öffnen');
+        expect(emlError()).toBe('Bitte erstellen Sie zuerst eine E-Mail.');
+    });
+
+    this.it('should name children without name and the calendar in the email language', () => {
+        const i18n = new I18nManager();
+        i18n.setEmailLanguage('en');
+
+        const calendar = new CalendarManager(null, null, i18n);
+        const pickupData = [
+            { name: 'Anna', pickupData: { monday: true, mondayTime: '15:00' } },
+            { name: '', pickupData: { tuesday: true, tuesdayTime: '16:00' } }
+        ];
+
+        expect(calendar.getScheduleChildren('2026-W45', pickupData)).toEqual(['Anna', 'Child 2']);
+        expect(calendar.generatePickupList('2026-W45', pickupData, '', null, 'en').join('\n')).toContain('(Child 2)');
+
+        const result = new IcsManager(calendar).createPickupCalendar({ bebLocation: 'test@beb-norderstedt.de' }, [{ weekType: '2026-W45', pickupData }]);
+        expect(result.content).toContain('X-WR-CALNAME:BEB pickup times');
+        expect(result.content).toContain('SUMMARY:Pickup Child 2');
+    });
+});
+
+describe('NotificationManager', function() {
+    const notifications = new NotificationManager();
+    const nextDialog = () => new Promise(resolve => setTimeout(() => resolve(document.querySelector('.dialog')), 0));
+    const press = (element, key, shiftKey = false) => {
+        element.dispatchEvent(new KeyboardEvent('keydown', { key, shiftKey, bubbles: true }));
+    };
+
+    this.it('should show toasts with matching ARIA roles', function() {
+        const success = notifications.show('Gespeichert', { type: 'success', duration: 0 });
+        const error = notifications.show('Fehler', { type: 'error', duration: 0 });
+
+        expect(success.getAttribute('role')).toBe('status');
+        expect(error.getAttribute('role')).toBe('alert');
+        expect(success.textContent).toContain('Gespeichert');
+
+        success.querySelector('.toast-close').click();
+        expect(success.isConnected).toBeFalsy();
+        notifications.dismiss(error);
+    }, { quick: true });
+
+    this.it('should answer dialogs with buttons and keyboard', async function() {
+        const confirmed = notifications.confirm('Wirklich löschen?', { confirmLabel: 'Löschen' });
+        const dialog = await nextDialog();
+        expect(dialog.getAttribute('role')).toBe('alertdialog');
+        expect(dialog.getAttribute('aria-modal')).toBe('true');
+        expect(document.getElementById(dialog.getAttribute('aria-labelledby')).textContent).toBe('Bitte bestätigen');
+        dialog.querySelector('.dialog-button.primary').click();
+        expect(await confirmed).toBeTruthy();
+
+        const cancelled = notifications.confirm('Wirklich löschen?');
+        press(await nextDialog(), 'Escape');
+        expect(await cancelled).toBeFalsy();
+
+        const name = notifications.prompt('Name des Profils:', { value: 'Oma' });
+        const promptDialog = await nextDialog();
+        const input = promptDialog.querySelector('input');
+        expect(document.activeElement).toBe(input);
+        input.value = 'Opa';
+        press(input, 'Enter');
+        expect(await name).toBe('Opa');
+
+        const choice = notifications.choose('Wie senden?', {
+            choices: [{ value: 'mailto', label: 'E-Mail-Programm' }, { value: 'clipboard', label: 'Kopieren' }]
+        });
+        const choiceDialog = await nextDialog();
+        choiceDialog.querySelectorAll('.dialog-choice')[1].click();
+        expect(await choice).toBe('clipboard');
+        expect(document.querySelector('.dialog')).toBe(null);
+    });
+
+    this.it('should keep focus inside the dialog', async function() {
+        const confirmed = notifications.confirm('Fortfahren?');
+        const dialog = await nextDialog();
+        const buttons = dialog.querySelectorAll('button');
+
+        buttons[buttons.length - 1].focus();
+        press(buttons[buttons.length - 1], 'Tab');
+        expect(document.activeElement).toBe(buttons[0]);
+
+        press(buttons[0], 'Tab', true);
+        expect(document.activeElement).toBe(buttons[buttons.length - 1]);
+
+        press(dialog, 'Escape');
+        await confirmed;
+    });
+
+    this.it('should report blocked form data from the security checks as a toast', function() {
+        const security = new SecurityManager(notifications);
+        const form = document.createElement('form');
+        const input = document.createElement('input');
+        input.name = 'note';
+        input.value = '<script>alert(1)</script>';
+        form.appendChild(input);
+        const event = new Event('submit', { cancelable: true });
+        form.addEventListener('submit', submitEvent => security.validateFormSubmission(submitEvent));
+        form.dispatchEvent(event);
+
+        const toast = document.querySelector('.toast:last-child');
+        expect(event.defaultPrevented).toBeTruthy();
+        expect(toast.getAttribute('role')).toBe('alert');
+        expect(toast.textContent).toContain('Ungültige Daten erkannt');
+        notifications.dismiss(toast);
+    }, { quick: true });
+});
+
+// ICS export Tests
+describe('IcsManager', function() {
+    const calendar = new CalendarManager();
+    const ics = new IcsManager(calendar);
+    const formData = {
+        childNames: 'Anna',
+        bebLocation: 'falkenberg@beb-norderstedt.de',
+        facilityName: 'OGGS Falkenberg',
+        children: [{ name: 'Anna', schoolClass: '1a', facility: '' }]
+    };
+    const weekSchedules = [{ weekType: '2026-W45', pickupData: { monday: true, mondayTime: '16:00', friday: true, fridayTime: '14:30' } }];
+
+    this.it('should create events from structured pickup entries', function() {
+        const events = ics.createPickupEvents(formData, weekSchedules);
+
+        expect(events.length).toBe(2);
+        expect(events[0].summary).toBe('Abholung Anna');
+        expect(events[0].location).toBe('OGGS Falkenberg');
+        expect(events[0].uid).toBe('abholung-2026-11-02-alle-falkenberg-beb-norderstedt-de@beb-email-generator');
+    }, { quick: true });
+
+    this.it('should create a valid calendar with timezone and reminders', function() {
+        const result = ics.createPickupCalendar(formData, weekSchedules, { reminderMinutes: 30 });
+
+        expect(result.success).toBeTruthy();
+        expect(result.fileName).toBe('abholzeiten-2026-W45.ics');
+        expect(result.content).toContain('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n');
+        expect(result.content).toContain('TZID:Europe/Berlin');
+        expect(result.content).toContain('DTSTART;TZID=Europe/Berlin:20261102T160000');
+        expect(result.content).toContain('DTEND;TZID=Europe/Berlin:20261106T144500');
+        expect(result.content).toContain('TRIGGER:-PT30M');
+        expect(result.content.endsWith('END:VCALENDAR\r\n')).toBeTruthy();
+    }, { quick: true });
+
+    this.it('should keep UIDs stable when times change', function() {
+        const changed = [{ weekType: '2026-W45', pickupData: { monday: true, mondayTime: '17:15' } }];
+        expect(ics.createPickupEvents(formData, changed)[0].uid).toBe(ics.createPickupEvents(formData, weekSchedules)[0].uid);
+    }, { quick: true });
+
+    this.it('should escape and fold long lines', function() {
+        expect(ics.escapeText('Anna, Tom; Notiz\nZeile')).toBe('Anna\\, Tom\\; Notiz\\nZeile');
+
+        const folded = ics.foldLine('DESCRIPTION:' + 'ä'.repeat(60));
+        const encoder = new TextEncoder();
+        folded.split('\r\n').forEach(line => {
+            expect(encoder.encode(line).length <= 75).toBeTruthy();
+        });
+        expect(folded.split('\r\n')[1].startsWith(' ')).toBeTruthy();
+    }, { quick: true });
+
+    this.it('should fail without pickup times', function() {
+        const result = ics.createPickupCalendar(formData, [{ weekType: '2026-W45', pickupData: {} }]);
+        expect(result.success).toBeFalsy();
+    }, { quick: true });
+
+    this.it('should only contain the children of one batch email', function() {
+        const email = new EmailManager(calendar, new ValidationManager());
+        const siblings = {
+            ...formData,
+            children: [{ name: 'Anna', schoolClass: '1a', facility: '' }, { name: 'Tom', schoolClass: '3b', facility: 'harksheide@beb-norderstedt.de' }]
+        };
+        const schedule = [
+            { date: '2026-11-02', child: 'Anna', time: '15:00' },
+            { date: '2026-11-02', child: 'Tom', time: '16:30' }
+        ];
+        const [, tomGroup] = email.groupChildrenByRecipient(siblings);
+        const events = ics.createPickupEvents(email.createGroupFormData(siblings, tomGroup), [{ weekType: '2026-W45', pickupData: schedule }]);
+
+        expect(events.length).toBe(1);
+        expect(events[0].summary).toBe('Abholung Tom');
+    }, { quick: true });
+});
+
+describe('BackupManager', function() {
+    const storage = new StorageManager();
+    const backup = new BackupManager(storage);
+    const cleanUp = () => {
+        storage.getProfiles().forEach(profile => storage.removeProfileData(profile.id));
+        localStorage.removeItem(storage.PROFILES_KEY);
+        localStorage.removeItem(storage.TEMPLATES_KEY);
+        localStorage.removeItem(storage.CLOSURES_KEY);
+    };
+
+    this.it('should export all data with a verifiable checksum', async function() {
+        storage.saveFormData({ parentName: 'Mama' }, 'current');
+        storage.saveHistory([{ id: 'email-1', timestamp: 1, subject: 'KW 45' }]);
+        storage.saveClosures({ 'test@example.com': [{ name: 'Studientag', start: '2026-11-02', end: '2026-11-02' }] });
+
+        const created = await backup.createBackup();
+        expect(created.format).toBe(backup.FORMAT);
+        expect(created.formatVersion).toBe(1);
+        expect(created.checksum.value.length).toBe(64);
+        expect(created.data.profileData[storage.DEFAULT_PROFILE_ID].formData.parentName).toBe('Mama');
+        expect(backup.getFileName(new Date(2026, 9, 19))).toBe('beb-email-generator-sicherung-2026-10-19.json');
+
+        const read = await backup.readBackup(JSON.stringify(created));
+        expect(read.success).toBeTruthy();
+
+        const tampered = JSON.parse(JSON.stringify(created));
+        tampered.data.profileData[storage.DEFAULT_PROFILE_ID].formData.parentName = 'Papa';
+        expect((await backup.readBackup(JSON.stringify(tampered))).error).toContain('Prüfsumme');
+
+        expect((await backup.readBackup('kein json')).success).toBeFalsy();
+        expect((await backup.readBackup(JSON.stringify({ ...created, formatVersion: 99 }))).success).toBeFalsy();
+
+        cleanUp();
+    });
+
+    this.it('should reject backups with invalid profile ids', async function() {
+        storage.saveSendMethod('clipboard');
+        const crafted = await backup.createBackup();
+        crafted.data.profiles.push({ id: 'sendMethod', name: 'Fremd' });
+        crafted.data.profileData.sendMethod = { formData: null, history: [], pattern: null };
+        crafted.checksum.value = await backup.createChecksum(crafted.data);
+
+        const read = await backup.readBackup(JSON.stringify(crafted));
+        expect(read.success).toBeFalsy();
+        expect(read.error).toContain('Profil-IDs');
+
+        expect(backup.importBackup(crafted, 'replace').success).toBeFalsy();
+        expect(storage.loadSendMethod()).toBe('clipboard');
+        expect(storage.isProfileId(storage.DEFAULT_PROFILE_ID)).toBeTruthy();
+        expect(storage.isProfileId('profile-1760853600000-k3x9a1')).toBeTruthy();
+        expect(storage.isProfileId('profile-1/../x')).toBeFalsy();
+
+        localStorage.removeItem(storage.SEND_METHOD_KEY);
+        cleanUp();
+    });
+
+    this.it('should reject backups whose closures, history or profile names have the wrong shape', async function() {
+        const created = await backup.createBackup();
+        const readCrafted = async change => {
+            const crafted = JSON.parse(JSON.stringify(created));
+            change(crafted.data);
+            crafted.checksum.value = await backup.createChecksum(crafted.data);
+            return backup.readBackup(JSON.stringify(crafted));
+        };
+
+        const closures = await readCrafted(data => { data.closures = { x: 1 }; });
+        expect(closures.success).toBeFalsy();
+        expect(closures.error).toContain('Die Sicherung ist unvollständig');
+        expect(closures.error).toContain('Schließtage fehlen');
+
+        const history = await readCrafted(data => { data.profileData[storage.DEFAULT_PROFILE_ID].history = 'email-1'; });
+        expect(history.error).toContain('Profildaten fehlen');
+
+        const name = await readCrafted(data => { data.profiles[0].name = 42; });
+        expect(name.error).toContain('Profile fehlen');
+
+        cleanUp();
+    });
+
+    this.it('should merge or replace profiles and history', async function() {
+        storage.saveFormData({ parentName: 'Mama' }, 'current');
+        storage.saveHistory([{ id: 'email-1', timestamp: 1, subject: 'KW 45' }]);
+        storage.createProfile('Oma');
+        storage.saveFormData({ parentName: 'Oma Ilse' }, 'current');
+        const exported = await backup.createBackup();
+        const omaId = storage.getActiveProfile().id;
+        cleanUp();
+
+        // Another browser with its own history and a different profile of the same name
+        storage.saveFormData({ parentName: 'Papa' }, 'current');
+        storage.saveHistory([{ id: 'email-2', timestamp: 2, subject: 'KW 46' }]);
+        storage.createProfile('Oma');
+
+        const preview = backup.previewImport(exported, 'merge');
+        expect(preview.some(line => line.includes('Oma (Import)'))).toBeTruthy();
+
+        expect(backup.importBackup(exported, 'merge').success).toBeTruthy();
+        expect(storage.getProfiles().map(profile => profile.name)).toEqual(['Standard', 'Oma', 'Oma (Import)']);
+        expect(storage.loadHistory(storage.DEFAULT_PROFILE_ID).map(entry => entry.id)).toEqual(['email-2', 'email-1']);
+        expect(storage.exportProfileData(omaId).formData.parentName).toBe('Oma Ilse');
+
+        expect(backup.previewImport(exported, 'replace').some(line => line.includes('gelöscht'))).toBeTruthy();
+        expect(backup.importBackup(exported, 'replace').success).toBeTruthy();
+        expect(storage.getProfiles().map(profile => profile.name)).toEqual(['Standard', 'Oma']);
+        expect(storage.loadHistory(storage.DEFAULT_PROFILE_ID).map(entry => entry.id)).toEqual(['email-1']);
+        expect(storage.getActiveProfile().id).toBe(omaId);
+
+        cleanUp();
+    });
+});
+
+// UI Manager Tests (with the form elements they need)
+describe('UIManager facilities', function() {
+    const calendar = new CalendarManager();
+    const email = new EmailManager(calendar, new ValidationManager());
+    const ui = new UIManager(new StorageManager(), new ValidationManager(), email, calendar, new TemplateManager());
+
+    this.it('should greet the leaders of all facilities of the app by salutation', async function() {
+        // The facility options of the app page (the tests are served over HTTP)
+        const page = new DOMParser().parseFromString(await (await fetch('../index.html')).text(), 'text/html');
+        const select = document.importNode(page.getElementById('bebLocation'), true);
+        document.body.appendChild(select);
+
+        try {
+            const formData = { greetingStyle: 'formal', facilities: ui.getFacilities() };
+            const greetings = {};
+            Object.keys(formData.facilities).forEach(recipient => {
+                greetings[recipient] = email.createGreeting(email.createGroupFormData(formData, { recipient, children: [] }));
+            });
+
+            expect(Object.keys(greetings).length).toBe(16);
+            expect(Object.values(greetings).every(greeting => /^(Liebe Frau|Lieber Herr) /.test(greeting) ||
+                greeting === 'Sehr geehrte Damen und Herren,')).toBeTruthy();
+            expect(greetings['harksheide-nord@beb-norderstedt.de']).toBe('Liebe Frau Marquardt und lieber Herr Körle,');
+            expect(greetings['mail@beb-norderstedt.de']).toBe('Sehr geehrte Damen und Herren,');
+        } finally {
+            select.remove();
+        }
+    });
+});
+
+describe('UIManager pattern exceptions', function() {
+    const storage = new StorageManager();
+    const calendar = new CalendarManager(null, storage);
+    const ui = new UIManager(storage, new ValidationManager(), new EmailManager(calendar, new ValidationManager()), calendar, new TemplateManager());
+
+    const createFixture = () => {
+        const fixture = document.createElement('div');
+        const element = (tagName, id, type) => {
+            const node = document.createElement(tagName);
+            node.id = id;
+            if (type) node.type = type;
+            fixture.appendChild(node);
+            return node;
+        };
+
+        element('div', 'childList');
+        element('input', 'perChildSchedule', 'checkbox');
+        element('input', 'exceptionDate', 'date');
+        element('select', 'exceptionChild');
+        element('input', 'exceptionTime', 'time');
+        element('input', 'exceptionNote', 'text');
+        element('ul', 'patternExceptions');
+        document.body.appendChild(fixture);
+        return fixture;
+    };
+
+    this.it('should add an exception for one child of individual schedules', function() {
+        const fixture = createFixture();
+        storage.savePattern(calendar.createPattern({
+            days: [{ dayId: 'monday', time: '15:00', child: 'Anna' }, { dayId: 'monday', time: '16:00', child: 'Tom' }]
+        }));
+
+        ui.renderChildRows([{ name: 'Anna', schoolClass: '' }, { name: 'Tom', schoolClass: '' }]);
+        ui.renderExceptionChildOptions();
+        const exceptionChild = document.getElementById('exceptionChild');
+        expect(exceptionChild.hidden).toBeTruthy();
+
+        document.getElementById('perChildSchedule').checked = true;
+        ui.renderExceptionChildOptions();
+        expect(exceptionChild.hidden).toBeFalsy();
+        expect(Array.from(exceptionChild.options).map(option => option.value)).toEqual(['', 'Anna', 'Tom']);
+
+        exceptionChild.value = 'Tom';
+        document.getElementById('exceptionDate').value = '2026-11-02';
+        document.getElementById('exceptionNote').value = 'Arzttermin';
+        ui.handleAddException();
+
+        expect(storage.loadPattern().exceptions).toEqual([{ date: '2026-11-02', child: 'Tom', time: '', note: 'Arzttermin' }]);
+        expect(document.getElementById('patternExceptions').textContent).toContain('(Tom)');
+        expect(calendar.expandPattern(storage.loadPattern(), '2026-W45').map(entry => entry.child)).toEqual(['Anna']);
+
+        storage.savePattern(null);
+        fixture.remove();
+    });
 });
 
 // Performance Tests